@@ -1,19 +1,195 @@
 // auth.js - Script para proteger páginas
+//
+// Valida la sesión contra el servidor (/api/validate-session) antes de
+// mostrar la página. El resultado se guarda mientras la página esté
+// abierta y el token se renueva (/api/refresh-session) antes de vencer.
+// Si la sesión no es válida, redirige a login.html?returnUrl=<esta página>.
+// Si el código no incluye el módulo de esta página, regresa al inicio.
+// Los códigos de prueba gratis (flags.watermark) ven la página con marca de
+// agua, también al imprimir.
+//
+// Otras páginas pueden usar window.SkillsCertAuth:
+//   SkillsCertAuth.ready   → promesa con { email, expiresAt, modules, flags } de la sesión
+//   SkillsCertAuth.hasModule('portafolio_zip') → promesa con true/false
+//   SkillsCertAuth.logout() → cierra la sesión y vuelve al login
 
 (function() {
-    // Busca la "llave" (token) que guardamos después del login exitoso
-    const token = sessionStorage.getItem('skillscert_access_token');
-
-    // Verifica si el token existe y si parece válido (simplificado)
-    if (!token || !token.startsWith('VALID_SESSION_')) {
-        // Si no hay token o no es válido, redirige al usuario a la página de login
-        console.log('Acceso no autorizado, redirigiendo a login...');
-        // Asegúrate de que login.html no incluya este script para evitar un bucle infinito
-        if (window.location.pathname !== '/login.html') {
-             window.location.href = '/login.html';
+    const TOKEN_KEY = 'accessToken';
+    const LOGIN_PAGE = '/login.html';
+    // Renovar el token 5 minutos antes de que venza
+    const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+    let refreshTimer = null;
+
+    // Asegúrate de que login.html no incluya este script para evitar un bucle infinito
+    if (window.location.pathname === LOGIN_PAGE) return;
+
+    // Ocultar el contenido hasta confirmar la sesión
+    document.documentElement.style.visibility = 'hidden';
+
+    function show() {
+        document.documentElement.style.visibility = '';
+    }
+
+    function showWatermark() {
+        const watermark = document.createElement('div');
+        watermark.id = 'skillscert-watermark';
+        watermark.textContent = 'PRUEBA GRATIS · SkillsCert';
+        watermark.setAttribute('aria-hidden', 'true');
+        watermark.style.cssText = [
+            'position: fixed',
+            'top: 50%',
+            'left: 50%',
+            'transform: translate(-50%, -50%) rotate(-30deg)',
+            'font: bold 8vw sans-serif',
+            'color: rgba(0, 0, 0, 0.08)',
+            'white-space: nowrap',
+            'pointer-events: none',
+            'user-select: none',
+            'z-index: 2147483647',
+            '-webkit-print-color-adjust: exact',
+            'print-color-adjust: exact'
+        ].join(';');
+        document.body.appendChild(watermark);
+    }
+
+    function clearSession() {
+        localStorage.removeItem(TOKEN_KEY);
+        localStorage.removeItem('tokenExpiresAt');
+        localStorage.removeItem('userEmail');
+        localStorage.removeItem('userName');
+    }
+
+    function redirectToLogin(reason) {
+        const params = new URLSearchParams({
+            returnUrl: window.location.pathname + window.location.search + window.location.hash
+        });
+        if (reason) params.set('reason', reason);
+        window.location.replace(LOGIN_PAGE + '?' + params.toString());
+    }
+
+    async function post(url, token, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': 'Bearer ' + token
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify(body || {})
+        });
+        return { ok: response.ok, status: response.status, data: await response.json() };
+    }
+
+    function scheduleRefresh(tokenExpiresAt) {
+        clearTimeout(refreshTimer);
+        const delay = new Date(tokenExpiresAt).getTime() - Date.now() - REFRESH_MARGIN_MS;
+        refreshTimer = setTimeout(refresh, Math.max(delay, 0));
+    }
+
+    // Devuelve true si se obtuvo un token nuevo
+    async function refresh() {
+        const token = localStorage.getItem(TOKEN_KEY);
+        if (!token) {
+            redirectToLogin('expired');
+            return false;
+        }
+
+        try {
+            const result = await post('/api/refresh-session', token);
+
+            if (!result.ok) {
+                clearSession();
+                redirectToLogin('expired');
+                return false;
+            }
+
+            localStorage.setItem(TOKEN_KEY, result.data.token);
+            localStorage.setItem('tokenExpiresAt', result.data.tokenExpiresAt);
+            scheduleRefresh(result.data.tokenExpiresAt);
+            return true;
+        } catch (error) {
+            // Sin conexión: reintentar en un minuto sin bloquear la página
+            refreshTimer = setTimeout(refresh, 60 * 1000);
+            show();
+            return false;
+        }
+    }
+
+    async function validate() {
+        const token = localStorage.getItem(TOKEN_KEY);
+
+        if (!token) {
+            redirectToLogin();
+            return new Promise(() => {});
+        }
+
+        try {
+            const result = await post('/api/validate-session', token, {
+                page: decodeURIComponent(window.location.pathname)
+            });
+
+            if (result.status === 403) {
+                alert(result.data.error);
+                window.location.replace('/index.html');
+                return new Promise(() => {});
+            }
+
+            if (!result.ok) {
+                // El token venció: intentar renovarlo una vez antes de salir
+                if (result.data.code === 'TOKEN_EXPIRED') {
+                    if (await refresh()) return validate();
+                    return new Promise(() => {});
+                }
+
+                clearSession();
+                redirectToLogin('expired');
+                return new Promise(() => {});
+            }
+
+            const flags = result.data.flags || {};
+            if (flags.watermark) {
+                if (document.body) showWatermark();
+                else document.addEventListener('DOMContentLoaded', showWatermark);
+            }
+
+            scheduleRefresh(result.data.tokenExpiresAt);
+            show();
+            return {
+                email: result.data.email,
+                expiresAt: result.data.expiresAt,
+                modules: result.data.modules,
+                flags: flags
+            };
+        } catch (error) {
+            // Sin conexión: el servidor ya validó la cookie al entregar la página
+            show();
+            return null;
         }
-    } else {
-        // Si hay un token válido, el usuario puede ver la página
-        console.log('Acceso autorizado.');
     }
+
+    async function logout() {
+        const token = localStorage.getItem(TOKEN_KEY);
+        clearTimeout(refreshTimer);
+
+        try {
+            if (token) await post('/api/logout', token);
+        } finally {
+            clearSession();
+            window.location.replace(LOGIN_PAGE);
+        }
+    }
+
+    const ready = validate();
+
+    window.SkillsCertAuth = {
+        ready: ready,
+        // Sin conexión (sesión desconocida) no se bloquea la función
+        hasModule: async (moduleId) => {
+            const session = await ready;
+            return !session || session.modules.includes(moduleId);
+        },
+        refresh: refresh,
+        logout: logout
+    };
 })(); // Esta función se ejecuta automáticamente al cargar la página
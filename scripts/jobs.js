@@ -0,0 +1,70 @@
+// ============================================
+// TAREAS PROGRAMADAS
+// SkillsCert EC0301
+// ============================================
+//
+// USO:
+//   npm run jobs -- list           → tareas disponibles
+//   npm run jobs -- run <tarea>    → ejecuta una tarea una vez
+//   npm run jobs -- run --all      → ejecuta todas una vez
+//   npm run jobs -- runs [tarea]   → últimas ejecuciones registradas
+//
+// Útil para un cron externo si se desactiva el scheduler del servidor
+// (SCHEDULER_ENABLED=false). Respeta los mismos candados que el servidor.
+//
+// ============================================
+
+const { createContainer } = require('../src/container');
+
+async function main() {
+  const [command = 'list', argument] = process.argv.slice(2);
+  const container = createContainer();
+  const scheduler = container.schedulerService;
+
+  await container.database.initialize();
+
+  try {
+    switch (command) {
+      case 'list':
+        for (const job of scheduler.listJobs()) {
+          console.log(`• ${job.name.padEnd(26)} cada ${job.intervalMs / 60000} min  ${job.description}`);
+        }
+        break;
+
+      case 'run': {
+        if (!argument) {
+          throw new Error('Indica la tarea o --all');
+        }
+        const runs = argument === '--all'
+          ? await scheduler.runAll()
+          : [await scheduler.runJob(argument)];
+
+        for (const run of runs) {
+          const icon = { succeeded: '✅', failed: '❌', skipped: '⏭️ ' }[run.status];
+          console.log(`${icon} ${run.job} (${run.status}${run.durationMs !== undefined ? `, ${run.durationMs} ms` : ''})`,
+            JSON.stringify(run.result ?? run.error ?? run.reason));
+        }
+
+        if (runs.some((run) => run.status === 'failed')) process.exitCode = 1;
+        break;
+      }
+
+      case 'runs':
+        for (const run of await scheduler.getRecentRuns({ jobName: argument || null })) {
+          console.log(`${new Date(run.startedAt).toISOString()}  ${run.jobName.padEnd(26)} ${run.status.padEnd(9)} ${run.durationMs} ms` +
+            (run.error ? `  ❌ ${run.error}` : ''));
+        }
+        break;
+
+      default:
+        throw new Error('Comando desconocido (usa list, run o runs)');
+    }
+  } finally {
+    await container.database.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
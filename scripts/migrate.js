@@ -0,0 +1,64 @@
+// ============================================
+// MIGRACIONES DE BASE DE DATOS
+// SkillsCert EC0301
+// ============================================
+//
+// USO:
+//   npm run migrate              → aplica las migraciones pendientes
+//   npm run migrate -- status    → muestra qué migraciones están aplicadas
+//   npm run migrate -- down [n]  → revierte las últimas n (1 por defecto)
+//
+// Usa la misma configuración que el servidor (DB_DRIVER, DB_HOST...).
+// El servidor también aplica las pendientes al arrancar.
+//
+// ============================================
+
+const CONFIG = require('../src/config');
+const { createRepository } = require('../src/db');
+const MigrationRunner = require('../src/db/MigrationRunner');
+
+async function main() {
+  const [command = 'up', steps = '1'] = process.argv.slice(2);
+  const database = createRepository(CONFIG);
+
+  if (typeof database.hasTable !== 'function') {
+    console.log('ℹ️  El adaptador en memoria no usa migraciones (configura DB_DRIVER)');
+    return;
+  }
+
+  const runner = new MigrationRunner(database);
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await runner.migrate();
+        console.log(applied.length > 0
+          ? `✅ Migraciones aplicadas:\n   ${applied.join('\n   ')}`
+          : '✅ La base de datos ya está al día');
+        break;
+      }
+
+      case 'down': {
+        const reverted = await runner.rollback(parseInt(steps, 10) || 1);
+        console.log(`↩️  Migraciones revertidas:\n   ${reverted.join('\n   ') || '(ninguna)'}`);
+        break;
+      }
+
+      case 'status':
+        for (const { name, applied } of await runner.status()) {
+          console.log(`${applied ? '✅' : '⏳'} ${name}`);
+        }
+        break;
+
+      default:
+        throw new Error(`Comando desconocido: ${command} (usa up, down o status)`);
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
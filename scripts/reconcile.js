@@ -0,0 +1,115 @@
+// ============================================
+// CONCILIACIÓN CON STRIPE
+// SkillsCert EC0301
+// ============================================
+//
+// USO:
+//   npm run stripe:reconcile                                  → últimos 7 días
+//   npm run stripe:reconcile -- --from 2025-01-01 --to 2025-02-01
+//   npm run stripe:reconcile -- --fix    → además emite los códigos que faltan
+//   npm run stripe:reconcile -- --json   → reporte completo en JSON
+//
+// Compara checkouts, payment intents y reembolsos de Stripe con
+// access_codes, group_purchases y refunds. Termina con código 1 si quedan
+// incidencias sin corregir (útil en un cron).
+//
+// ============================================
+
+const { createContainer } = require('../src/container');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function parseArgs(args) {
+  const options = { fix: false, json: false, from: null, to: null };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--fix':
+        options.fix = true;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--from':
+      case '--to': {
+        const date = new Date(args[i + 1]);
+        if (Number.isNaN(date.getTime())) {
+          throw new Error(`Fecha inválida para ${args[i]}: ${args[i + 1]}`);
+        }
+        options[args[i].slice(2)] = date;
+        i += 1;
+        break;
+      }
+      default:
+        throw new Error(`Opción desconocida: ${args[i]}`);
+    }
+  }
+
+  options.to = options.to || new Date();
+  options.from = options.from || new Date(options.to.getTime() - 7 * DAY);
+  return options;
+}
+
+function describe(issue) {
+  const money = (amount, currency) => `$${(amount / 100).toFixed(2)} ${(currency || '').toUpperCase()}`;
+
+  switch (issue.type) {
+    case 'paid_without_code':
+      return `${issue.sessionId} pagado (${money(issue.amount, issue.currency)}, ${issue.email}) sin código` +
+        (issue.renewCode ? ` — renovación de ${issue.renewCode}` : '');
+    case 'code_without_payment':
+      return `${issue.code} (${issue.email}) sin pago: ${issue.reason}`;
+    case 'amount_mismatch':
+      return `${issue.reference}: Stripe ${money(issue.stripeAmount, issue.stripeCurrency)}, ` +
+        `local ${money(issue.localAmount, issue.localCurrency)}`;
+    case 'refund_not_reflected':
+      return `${issue.refundId} (${issue.paymentIntentId}) por ${money(issue.amount, issue.currency)} no registrado`;
+    default:
+      return JSON.stringify(issue);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const container = createContainer();
+
+  if (!container.stripeService) {
+    throw new Error('STRIPE_SECRET_KEY no configurada');
+  }
+
+  await container.database.initialize();
+
+  try {
+    const report = await container.reconciliationHandler.reconcilePayments(options);
+    const pending = report.issues.filter((issue) => issue.fix?.status !== 'fixed');
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      const { checked } = report;
+      console.log(`🔎 ${options.from.toISOString()} → ${options.to.toISOString()}`);
+      console.log(`   ${checked.sessions} checkouts pagados, ${checked.paymentIntents} payment intents, ` +
+        `${checked.refunds} reembolsos, ${checked.accessCodes} códigos locales`);
+
+      for (const issue of report.issues) {
+        const fix = issue.fix
+          ? `  → ${issue.fix.status === 'fixed' ? `✅ ${issue.fix.accessCode}` : `⚠️ ${issue.fix.reason || issue.fix.error}`}`
+          : '';
+        console.log(`❌ [${issue.type}] ${describe(issue)}${fix}`);
+      }
+
+      console.log(report.issues.length === 0
+        ? '✅ Sin diferencias'
+        : `ℹ️  ${report.issues.length} incidencias, ${pending.length} sin corregir`);
+    }
+
+    if (pending.length > 0) process.exitCode = 1;
+  } finally {
+    await container.database.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,96 @@
+// ============================================
+// BITÁCORA DE EVENTOS DE STRIPE
+// SkillsCert EC0301
+// ============================================
+//
+// USO:
+//   npm run stripe:events -- list [estado]       → últimos eventos (failed, processed...)
+//   npm run stripe:events -- reprocess <evt_id>  → reprocesa un evento fallido
+//   npm run stripe:events -- reprocess --failed  → reprocesa todos los fallidos
+//
+// Usa la misma configuración que el servidor. Un evento ya procesado
+// nunca se vuelve a procesar.
+//
+// ============================================
+
+const { createContainer } = require('../src/container');
+
+async function list(container, status) {
+  const events = await container.stripeEventService.listEvents({ status, limit: 100 });
+
+  if (events.length === 0) {
+    console.log('ℹ️  No hay eventos');
+    return;
+  }
+
+  for (const event of events) {
+    console.log(
+      `${event.status.padEnd(10)} ${event.eventId}  ${event.eventType}  intentos: ${event.attempts}` +
+      (event.lastError ? `\n           ❌ ${event.lastError}` : '')
+    );
+  }
+}
+
+async function reprocess(container, target) {
+  const eventIds = target === '--failed'
+    ? (await container.stripeEventService.listEvents({ status: 'failed', limit: 1000 }))
+      .map((event) => event.eventId)
+    : [target];
+
+  let failures = 0;
+
+  for (const eventId of eventIds) {
+    try {
+      const result = await container.fulfillmentService.reprocessStripeEvent(eventId);
+      console.log(result.duplicate
+        ? `⏭️  ${eventId}: omitido (${result.reason})`
+        : `✅ ${eventId}: procesado`);
+    } catch (error) {
+      failures += 1;
+      console.error(`❌ ${eventId}: ${error.message}`);
+    }
+  }
+
+  if (eventIds.length === 0) {
+    console.log('ℹ️  No hay eventos fallidos');
+  }
+
+  return failures;
+}
+
+async function main() {
+  const [command, argument] = process.argv.slice(2);
+  const container = createContainer();
+
+  await container.database.initialize();
+
+  try {
+    switch (command) {
+      case 'list':
+        await list(container, argument || null);
+        break;
+
+      case 'reprocess': {
+        if (!argument) {
+          throw new Error('Indica el id del evento o --failed');
+        }
+        if (!container.stripeService) {
+          throw new Error('STRIPE_SECRET_KEY no configurada');
+        }
+        const failures = await reprocess(container, argument);
+        if (failures > 0) process.exitCode = 1;
+        break;
+      }
+
+      default:
+        throw new Error('Comando desconocido (usa list o reprocess)');
+    }
+  } finally {
+    await container.database.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -1,162 +1,162 @@
 /**
- * APP.JS - PRODUCTION SAFE VERSION
- * Versión segura sin problemas de path
+ * APP.JS - APLICACIÓN UNIFICADA
+ *
+ * Una sola aplicación Express que reemplaza a server.js, webhook.js y la
+ * versión anterior de este archivo. `createApp` monta los routers sobre
+ * los servicios del contenedor; `start` levanta el servidor (npm start).
  */
 
 const express = require('express');
 const path = require('path');
+const cors = require('cors');
+
+const { createContainer } = require('./container');
+const { logger } = require('./utils/logger');
+const createStripeWebhookRouter = require('./routes/stripeWebhook');
+const createCheckoutRouter = require('./routes/checkout');
+const createAuthRouter = require('./routes/auth');
+const createWhatsAppWebhookRouter = require('./routes/whatsappWebhook');
+const createAdminRouter = require('./routes/admin');
+const createPaymentsRouter = require('./routes/payments');
+const createProductsRouter = require('./routes/products');
+const createGroupPurchasesRouter = require('./routes/groupPurchases');
+const createSubscriptionsRouter = require('./routes/subscriptions');
+const createReceiptsRouter = require('./routes/receipts');
+const createCheckoutRecoveryRouter = require('./routes/checkoutRecovery');
+const createTrialsRouter = require('./routes/trials');
+const { requireSession, servePlatformPages } = require('./middleware/requireSession');
 
-const app = express();
-
-// ==================== MIDDLEWARE ====================
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Servir archivos estáticos SOLO si existe
-try {
-  const publicPath = path.join(__dirname, '../public');
-  app.use(express.static(publicPath));
-} catch (e) {
-  console.warn('⚠️ Carpeta public no disponible');
-}
-
-// ==================== PAYMENT CONTROLLER ====================
-let paymentController = null;
-try {
-  paymentController = require('./paymentController');
-  console.log('✅ paymentController loaded successfully');
-} catch (error) {
-  console.error('⚠️ Warning: paymentController no cargado:', error.message);
-}
-
-// ==================== RUTAS DE SALUD ====================
+/**
+ * Construir la aplicación a partir de un contenedor de servicios
+ */
+function createApp(container = createContainer()) {
+  const app = express();
+  const { config } = container;
+
+  app.set('trust proxy', 1);
+
+  app.use(cors({
+    origin: config.ALLOWED_ORIGINS,
+    methods: ['GET', 'POST', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-key'],
+  }));
+
+  // ==================== WEBHOOK STRIPE (body RAW) ====================
+  // DEBE ir antes de express.json()
+  app.use(createStripeWebhookRouter(container));
+
+  // ==================== MIDDLEWARE ====================
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Páginas de la plataforma (platform/): solo con sesión válida
+  app.use(requireSession(container.sessionService));
+  app.use(servePlatformPages());
+  app.use(express.static(path.join(__dirname, '../public')));
+
+  // ==================== RUTAS ====================
+  app.use(createProductsRouter(container));
+  app.use(createCheckoutRouter(container));
+  app.use(createAuthRouter(container));
+  app.use(createWhatsAppWebhookRouter(container));
+  app.use('/api/admin', createAdminRouter(container));
+  app.use('/api/payments', createPaymentsRouter(container));
+  app.use('/api/group-purchases', createGroupPurchasesRouter(container));
+  app.use('/api/subscription', createSubscriptionsRouter(container));
+  app.use(createReceiptsRouter(container));
+  app.use(createCheckoutRecoveryRouter(container));
+  app.use(createTrialsRouter(container));
+
+  app.get('/health', (req, res) => {
+    res.status(200).json({
+      status: 'ok',
+      timestamp: new Date(),
+      services: {
+        stripe: container.stripeService ? 'configured' : 'missing',
+        email: container.emailService ? 'configured' : 'missing',
+        whatsapp: container.whatsAppService ? 'configured' : 'missing',
+        database: container.database ? container.database.constructor.name : 'missing',
+      },
+    });
+  });
 
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'ok', 
-    message: 'Server is running',
-    timestamp: new Date()
+  app.get('/api/info', (req, res) => {
+    res.status(200).json({
+      name: 'SkillsCert Payment System',
+      version: '2.0.0',
+      environment: config.NODE_ENV,
+    });
   });
-});
-
-app.get('/api/info', (req, res) => {
-  res.status(200).json({
-    name: 'SkillsCert Payment System',
-    version: '1.0.0',
-    environment: process.env.NODE_ENV || 'development',
-    paymentControllerStatus: paymentController ? '✅ loaded' : '⚠️ not loaded'
+
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public', 'index.html'));
   });
-});
 
-// ==================== MIDDLEWARE DE AUTENTICACIÓN ====================
+  // ==================== HANDLERS ====================
 
-const authMiddleware = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: 'Token requerido',
-      code: 'NO_TOKEN'
-    });
-  }
+  // 404 - DEBE IR ANTES del error handler
+  app.use((req, res) => {
+    if (req.path.startsWith('/api/')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Endpoint no encontrado',
+        path: req.path,
+      });
+    }
+    res.status(404).send('Página no encontrada');
+  });
 
-  if (!token.startsWith('Bearer_')) {
-    return res.status(401).json({
+  // Error handler global - DEBE tener 4 parámetros
+  app.use((err, req, res, next) => {
+    logger.error('Unhandled error', { error: err.message, path: req.path });
+    res.status(err.status || 500).json({
       success: false,
-      message: 'Token inválido',
-      code: 'INVALID_TOKEN'
+      message: 'Error interno del servidor',
+      error: config.NODE_ENV === 'development' ? err.message : undefined,
     });
-  }
+  });
 
-  next();
-};
+  return app;
+}
 
-// ==================== RUTAS DE PAYMENT ====================
+/**
+ * Preparar la base de datos y levantar el servidor HTTP
+ */
+async function start(container = createContainer()) {
+  await container.database.initialize();
 
-if (paymentController) {
-  if (paymentController.processPayment) {
-    app.post('/api/payments', authMiddleware, paymentController.processPayment);
-    console.log('✅ POST /api/payments registered');
-  }
+  const app = createApp(container);
+  const { PORT } = container.config;
 
-  if (paymentController.getPaymentHistory) {
-    app.get('/api/payments/history/:userId', authMiddleware, paymentController.getPaymentHistory);
-    console.log('✅ GET /api/payments/history/:userId registered');
-  }
+  const server = app.listen(PORT, () => {
+    logger.info('SkillsCert server started', {
+      port: PORT,
+      environment: container.config.NODE_ENV,
+    });
+  });
 
-  if (paymentController.getStats) {
-    app.get('/api/payments/stats/:userId', authMiddleware, paymentController.getStats);
-    console.log('✅ GET /api/payments/stats/:userId registered');
+  if (container.config.SCHEDULER_ENABLED) {
+    container.schedulerService.start();
   }
-}
 
-// ==================== RUTA ÍNDICE ====================
-
-app.get('/', (req, res) => {
-  res.json({
-    message: 'SkillsCert Payment System',
-    status: paymentController ? 'ready' : 'warning',
-    endpoints: {
-      health: 'GET /health',
-      info: 'GET /api/info',
-      payments: 'POST /api/payments (requires Bearer token)',
-      history: 'GET /api/payments/history/:userId (requires Bearer token)',
-      stats: 'GET /api/payments/stats/:userId (requires Bearer token)'
-    }
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, closing server');
+    container.schedulerService.stop();
+    server.close(async () => {
+      await container.database.close();
+      process.exit(0);
+    });
   });
-});
 
-// ==================== HANDLERS ====================
+  return server;
+}
 
-// 404 - DEBE IR ANTES del error handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint no encontrado',
-    path: req.path
-  });
-});
-
-// Error handler global - DEBE tener 4 parámetros
-app.use((err, req, res, next) => {
-  console.error('Error:', err.message);
-  res.status(err.status || 500).json({
-    success: false,
-    message: 'Error interno del servidor',
-    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+if (require.main === module) {
+  start().catch((error) => {
+    logger.error('Server failed to start', { error: error.message, stack: error.stack });
+    process.exit(1);
   });
-});
-
-// ==================== SERVER ====================
-
-const PORT = process.env.PORT || 3000;
-
-const server = app.listen(PORT, () => {
-  console.log(`
-╔════════════════════════════════════════╗
-║   SkillsCert Payment System             ║
-║   Server running on port ${PORT}          ║
-║   Environment: ${process.env.NODE_ENV || 'development'}        ║
-║   Status: ✅ READY                      ║
-╚════════════════════════════════════════╝
-  `);
-  
-  console.log('\n📋 Available endpoints:');
-  console.log('   GET  /health');
-  console.log('   GET  /api/info');
-  console.log('   POST /api/payments (requires Bearer token)');
-  console.log('   GET  /api/payments/history/:userId');
-  console.log('   GET  /api/payments/stats/:userId');
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, closing server...');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
-  });
-});
+}
 
-module.exports = app;
+module.exports = { createApp, start };
@@ -0,0 +1,148 @@
+/**
+ * CATÁLOGO DE PRODUCTOS
+ *
+ * Módulos de la plataforma y productos a la venta. Cada producto indica:
+ * - price: precio en centavos y moneda (se cobra con price_data si no
+ *   hay un Price de Stripe configurado para el producto)
+ * - prices: precio en otras monedas, en centavos (`{ usd: 5900 }`); se
+ *   cobran siempre con price_data (ver src/utils/money.js)
+ * - accessDays: días de acceso del código (sin valor = CODE_EXPIRATION_DAYS)
+ * - modules: módulos que habilita el código de acceso (sus entitlements)
+ * - groupPurchase: se puede comprar por lugares (un código por persona)
+ * - interval: solo suscripciones (kind 'subscription'), `month` o `year`;
+ *   accessDays cubre el primer periodo y cada factura pagada lo extiende
+ *
+ * TRIAL es la prueba gratis: no se vende, se pide en POST /api/trials.
+ *
+ * Los Price de Stripe se configuran con STRIPE_PRICE_IDS
+ * (`producto:price_xxx,...`); STRIPE_PRICE_ID aplica al producto por defecto.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+// Módulos de la plataforma y la página que protege cada uno
+// (page: null = función dentro de otra página, se valida en el navegador)
+const MODULES = {
+  carta_descriptiva: {
+    name: 'Generador de Carta Descriptiva',
+    page: '/Carta descriptiva ec0301 pro.html',
+  },
+  evaluaciones: {
+    name: 'Instrumentos de evaluación',
+    page: '/evaluaciones.html',
+  },
+  manuales: {
+    name: 'Manuales del participante e instructor',
+    page: '/manuales.html',
+  },
+  logistica: {
+    name: 'Logística del curso',
+    page: '/logistica.html',
+  },
+  auditoria: {
+    name: 'Auditoría de cumplimiento',
+    page: '/auditoria.html',
+  },
+  resultados: {
+    name: 'Resultados y reportes',
+    page: '/resultados.html',
+  },
+  portafolio_zip: {
+    name: 'Portafolio de evidencias en ZIP',
+    page: null,
+  },
+};
+
+const ALL_MODULES = Object.keys(MODULES);
+
+const PRODUCTS = [
+  {
+    id: 'ec0301-generador',
+    kind: 'product',
+    name: 'SkillsCert - Generador EC0301',
+    description: 'Acceso completo al generador de Carta Descriptiva EC0301',
+    price: { amount: 99900, currency: 'mxn' },
+    prices: { usd: 5900 },
+    modules: ALL_MODULES,
+    groupPurchase: true,
+  },
+  {
+    id: 'modulo-evaluaciones',
+    kind: 'module',
+    name: 'SkillsCert - Módulo de Evaluaciones',
+    description: 'Carta descriptiva e instrumentos de evaluación',
+    price: { amount: 39900, currency: 'mxn' },
+    prices: { usd: 2400 },
+    accessDays: 90,
+    modules: ['carta_descriptiva', 'evaluaciones'],
+  },
+  {
+    id: 'modulo-manuales',
+    kind: 'module',
+    name: 'SkillsCert - Módulo de Manuales',
+    description: 'Carta descriptiva y manuales del participante e instructor',
+    price: { amount: 39900, currency: 'mxn' },
+    prices: { usd: 2400 },
+    accessDays: 90,
+    modules: ['carta_descriptiva', 'manuales'],
+  },
+  {
+    id: 'paquete-instructor-anual',
+    kind: 'bundle',
+    name: 'SkillsCert - Paquete Instructor Anual',
+    description: 'Todos los módulos durante un año',
+    price: { amount: 149900, currency: 'mxn' },
+    prices: { usd: 8900 },
+    accessDays: 365,
+    modules: ALL_MODULES,
+    groupPurchase: true,
+  },
+  {
+    id: 'renovacion-anual',
+    kind: 'renewal',
+    name: 'SkillsCert - Renovación Anual',
+    description: 'Un año más de acceso a todos los módulos',
+    price: { amount: 69900, currency: 'mxn' },
+    prices: { usd: 3900 },
+    accessDays: 365,
+    modules: ALL_MODULES,
+  },
+  {
+    id: 'suscripcion-mensual',
+    kind: 'subscription',
+    name: 'SkillsCert - Suscripción Mensual',
+    description: 'Todos los módulos mientras la suscripción esté pagada',
+    price: { amount: 19900, currency: 'mxn' },
+    prices: { usd: 1200 },
+    interval: 'month',
+    accessDays: 31,
+    modules: ALL_MODULES,
+  },
+  {
+    id: 'suscripcion-anual',
+    kind: 'subscription',
+    name: 'SkillsCert - Suscripción Anual',
+    description: 'Todos los módulos mientras la suscripción esté pagada',
+    price: { amount: 149900, currency: 'mxn' },
+    prices: { usd: 8900 },
+    interval: 'year',
+    accessDays: 366,
+    modules: ALL_MODULES,
+  },
+];
+
+// Prueba gratis: código sin costo de pocos días (TRIAL_DAYS) con módulos
+// limitados; flags viajan a la sesión (watermark = marca de agua en las
+// páginas). Se convierte en pagado comprando upgradeProductId con el mismo
+// código, así el usuario conserva lo que avanzó.
+const TRIAL = {
+  id: 'prueba-gratis',
+  name: 'SkillsCert - Prueba gratis',
+  accessDays: 3,
+  modules: ['carta_descriptiva'],
+  flags: { trial: true, watermark: true },
+  upgradeProductId: 'ec0301-generador',
+};
+
+module.exports = { MODULES, ALL_MODULES, PRODUCTS, TRIAL };
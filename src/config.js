@@ -0,0 +1,134 @@
+/**
+ * CONFIGURACIÓN CENTRAL
+ *
+ * Reúne en un solo lugar las variables de entorno que antes leían
+ * server.js, webhook.js y src/app.js por separado.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+require('dotenv').config();
+
+const CONFIG = {
+  // Servidor
+  PORT: process.env.PORT || 3000,
+  NODE_ENV: process.env.NODE_ENV || 'development',
+  APP_URL: process.env.APP_URL || process.env.BASE_URL || 'http://localhost:3000',
+  ALLOWED_ORIGINS: process.env.ALLOWED_ORIGINS
+    ? process.env.ALLOWED_ORIGINS.split(',')
+    : '*',
+
+  // Base de datos (ver src/db)
+  DB_DRIVER: process.env.DB_DRIVER,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: parseInt(process.env.DB_PORT, 10) || 3306,
+  DB_USER: process.env.DB_USER,
+  DB_PASSWORD: process.env.DB_PASSWORD,
+  DB_NAME: process.env.DB_NAME,
+  DB_CONNECTION_LIMIT: parseInt(process.env.DB_CONNECTION_LIMIT, 10) || 10,
+  SQLITE_PATH: process.env.SQLITE_PATH || './data/skillscert.sqlite',
+
+  // Stripe
+  STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
+  STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET,
+  // Price de Stripe del producto por defecto (opcional)
+  STRIPE_PRICE_ID: process.env.STRIPE_PRICE_ID,
+  // Price de Stripe por producto: "modulo-manuales:price_xxx,renovacion-anual:price_yyy"
+  STRIPE_PRICE_IDS: Object.fromEntries(
+    (process.env.STRIPE_PRICE_IDS || '')
+      .split(',')
+      .map((pair) => pair.split(':').map((value) => value.trim()))
+      .filter(([productId, priceId]) => productId && priceId)
+  ),
+  // card, oxxo, customer_balance (transferencia SPEI)
+  PAYMENT_METHOD_TYPES: (process.env.PAYMENT_METHOD_TYPES || 'card').split(',').map((type) => type.trim()),
+
+  // Producto del catálogo (src/catalog/products.js) cuando la compra no indica uno
+  DEFAULT_PRODUCT_ID: process.env.DEFAULT_PRODUCT_ID || 'ec0301-generador',
+  // Encabezado con el país del comprador que agrega el proxy o CDN
+  // (p. ej. cf-ipcountry); elige la moneda del checkout si no la indica
+  GEO_COUNTRY_HEADER: (process.env.GEO_COUNTRY_HEADER || '').trim().toLowerCase() || null,
+
+  // Email (Postmark)
+  POSTMARK_SERVER_TOKEN: process.env.POSTMARK_SERVER_TOKEN,
+  POSTMARK_FROM_EMAIL: process.env.POSTMARK_FROM_EMAIL || 'info@skillscert.com.mx',
+
+  // WhatsApp (Meta Cloud API)
+  WHATSAPP_TOKEN: process.env.WHATSAPP_TOKEN,
+  WHATSAPP_PHONE_ID: process.env.WHATSAPP_PHONE_ID,
+  WHATSAPP_VERIFY_TOKEN: process.env.WHATSAPP_VERIFY_TOKEN || 'skillscert_webhook_2025',
+  WHATSAPP_BUSINESS_NUMBER: process.env.WHATSAPP_BUSINESS_NUMBER || '5538822334',
+
+  // Códigos de acceso (vigencia de los productos sin accessDays propio)
+  CODE_EXPIRATION_DAYS: parseInt(process.env.CODE_EXPIRATION_DAYS, 10) || 90,
+  // Máximo de lugares (códigos) en una compra de grupo
+  MAX_GROUP_SEATS: parseInt(process.env.MAX_GROUP_SEATS, 10) || 50,
+  // Días antes del vencimiento en que se envía el recordatorio de renovación
+  RENEWAL_REMINDER_DAYS: (process.env.RENEWAL_REMINDER_DAYS || '14,3')
+    .split(',')
+    .map((days) => parseInt(days, 10))
+    .filter((days) => days > 0),
+  // Días de acceso después del fin del periodo pagado de una suscripción
+  // (Stripe reintenta el cobro durante ese tiempo)
+  SUBSCRIPTION_GRACE_DAYS: parseInt(process.env.SUBSCRIPTION_GRACE_DAYS ?? '3', 10),
+
+  // Prueba gratis (POST /api/trials): días del código de prueba y secreto
+  // del enlace para comprar el acceso completo (por defecto SESSION_SECRET)
+  TRIALS_ENABLED: process.env.TRIALS_ENABLED !== 'false',
+  TRIAL_DAYS: parseInt(process.env.TRIAL_DAYS, 10) || 3,
+  TRIAL_SIGNING_SECRET: process.env.TRIAL_SIGNING_SECRET || process.env.SESSION_SECRET,
+
+  // Facturación CFDI 4.0 (src/services/CfdiService.js); sin emisor no se
+  // ofrece factura en el checkout
+  CFDI_EMISOR_RFC: process.env.CFDI_EMISOR_RFC,
+  CFDI_EMISOR_NOMBRE: process.env.CFDI_EMISOR_NOMBRE,
+  CFDI_EMISOR_REGIMEN: process.env.CFDI_EMISOR_REGIMEN || '601',
+  // Código postal del domicilio fiscal del emisor
+  CFDI_LUGAR_EXPEDICION: process.env.CFDI_LUGAR_EXPEDICION,
+  CFDI_SERIE: process.env.CFDI_SERIE || 'SC',
+  // c_ClaveProdServ del SAT para los conceptos
+  CFDI_CLAVE_PROD_SERV: process.env.CFDI_CLAVE_PROD_SERV || '86132000',
+  // PAC que timbra (src/services/pac): stub = pruebas, sin validez fiscal
+  CFDI_PAC_PROVIDER: process.env.CFDI_PAC_PROVIDER || 'stub',
+
+  // Recibos de pago: secreto de los enlaces firmados (por defecto SESSION_SECRET)
+  RECEIPT_SIGNING_SECRET: process.env.RECEIPT_SIGNING_SECRET || process.env.SESSION_SECRET,
+  RECEIPT_URL_TTL_DAYS: parseInt(process.env.RECEIPT_URL_TTL_DAYS, 10) || 365,
+
+  // Checkouts abandonados: minutos después del vencimiento de la sesión en
+  // que se envía el enlace nuevo (0 = no se envía) y antigüedad máxima
+  CHECKOUT_RECOVERY_DELAY_MINUTES: parseInt(process.env.CHECKOUT_RECOVERY_DELAY_MINUTES ?? '60', 10),
+  CHECKOUT_RECOVERY_MAX_AGE_HOURS: parseInt(process.env.CHECKOUT_RECOVERY_MAX_AGE_HOURS, 10) || 72,
+  // Secreto de los enlaces de baja (por defecto SESSION_SECRET)
+  CHECKOUT_RECOVERY_SIGNING_SECRET: process.env.CHECKOUT_RECOVERY_SIGNING_SECRET || process.env.SESSION_SECRET,
+
+  // Sesiones (tokens firmados del login)
+  SESSION_SECRET: process.env.SESSION_SECRET,
+  SESSION_TOKEN_TTL_HOURS: parseInt(process.env.SESSION_TOKEN_TTL_HOURS, 10) || 24,
+  // Horas después del vencimiento de un token en que aún se puede renovar
+  SESSION_REFRESH_WINDOW_HOURS: parseInt(process.env.SESSION_REFRESH_WINDOW_HOURS, 10) || 168,
+  // Dispositivos con sesión activa por código (0 = sin límite)
+  MAX_DEVICES_PER_CODE: parseInt(process.env.MAX_DEVICES_PER_CODE ?? '2', 10),
+
+  // Límite de intentos de login (fuerza bruta)
+  LOGIN_MAX_ATTEMPTS_PER_EMAIL: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_EMAIL, 10) || 5,
+  LOGIN_MAX_ATTEMPTS_PER_IP: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 20,
+  LOGIN_WINDOW_MINUTES: parseInt(process.env.LOGIN_WINDOW_MINUTES, 10) || 15,
+  LOGIN_LOCKOUT_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+
+  // Tareas programadas (src/jobs)
+  SCHEDULER_ENABLED: process.env.SCHEDULER_ENABLED !== 'false',
+  JOB_EXPIRE_CODES_MINUTES: parseInt(process.env.JOB_EXPIRE_CODES_MINUTES, 10) || 60,
+  JOB_EXPIRE_PAYMENTS_MINUTES: parseInt(process.env.JOB_EXPIRE_PAYMENTS_MINUTES, 10) || 15,
+  JOB_PURGE_MINUTES: parseInt(process.env.JOB_PURGE_MINUTES, 10) || 10,
+  JOB_RENEWAL_REMINDERS_MINUTES: parseInt(process.env.JOB_RENEWAL_REMINDERS_MINUTES, 10) || 60,
+  JOB_RETRY_CFDI_MINUTES: parseInt(process.env.JOB_RETRY_CFDI_MINUTES, 10) || 30,
+  JOB_RECONCILE_HOURS: parseInt(process.env.JOB_RECONCILE_HOURS, 10) || 24,
+  JOB_CHECKOUT_RECOVERY_MINUTES: parseInt(process.env.JOB_CHECKOUT_RECOVERY_MINUTES, 10) || 15,
+
+  // Administración
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY,
+};
+
+module.exports = CONFIG;
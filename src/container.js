@@ -0,0 +1,174 @@
+/**
+ * CONTENEDOR DE SERVICIOS
+ *
+ * Construye una sola vez las instancias de src/services a partir de la
+ * configuración, y con ellas los manejadores de eventos de src/handlers,
+ * para que todos los routers compartan las mismas.
+ * Cualquier servicio o manejador se puede reemplazar con `overrides`
+ * (p. ej. en pruebas).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const CONFIG = require('./config');
+const StripeServiceV2 = require('./services/StripeServiceV2');
+const EmailService = require('./services/EmailService');
+const WhatsAppService = require('./services/WhatsAppService');
+const AccessCodeService = require('./services/AccessCodeservice');
+const PaymentStateService = require('./services/PaymentStateService');
+const FulfillmentService = require('./services/FulfillmentService');
+const StripeEventService = require('./services/StripeEventService');
+const SessionService = require('./services/SessionService');
+const LoginThrottleService = require('./services/LoginThrottleService');
+const SchedulerService = require('./services/SchedulerService');
+const ProductCatalogService = require('./services/ProductCatalogService');
+const CouponService = require('./services/CouponService');
+const GroupPurchaseService = require('./services/GroupPurchaseService');
+const RenewalService = require('./services/RenewalService');
+const SubscriptionService = require('./services/SubscriptionService');
+const ChargeService = require('./services/ChargeService');
+const RefundService = require('./services/RefundService');
+const DisputeService = require('./services/DisputeService');
+const CfdiService = require('./services/CfdiService');
+const { createPacProvider } = require('./services/pac');
+const ReceiptService = require('./services/ReceiptService');
+const ReconciliationService = require('./services/ReconciliationService');
+const PayoutService = require('./services/PayoutService');
+const CheckoutRecoveryService = require('./services/CheckoutRecoveryService');
+const TrialService = require('./services/TrialService');
+const { createHandlers } = require('./handlers');
+const { createJobs } = require('./jobs');
+const paymentController = require('./paymentController');
+const { LogHistoryService } = require('./utils/logger');
+const { createRepository } = require('./db');
+
+function createContainer(overrides = {}) {
+  const config = overrides.config || CONFIG;
+  const database = overrides.database || createRepository(config);
+
+  const stripeService = overrides.stripeService
+    || (config.STRIPE_SECRET_KEY ? new StripeServiceV2(config.STRIPE_SECRET_KEY) : null);
+
+  const emailService = overrides.emailService
+    || (config.POSTMARK_SERVER_TOKEN
+      ? new EmailService(config.POSTMARK_SERVER_TOKEN, config.POSTMARK_FROM_EMAIL)
+      : null);
+
+  const whatsAppService = overrides.whatsAppService
+    || (config.WHATSAPP_TOKEN && config.WHATSAPP_PHONE_ID
+      ? new WhatsAppService(config.WHATSAPP_PHONE_ID, config.WHATSAPP_TOKEN)
+      : null);
+
+  // paymentController guarda sus documentos en la misma base de datos
+  paymentController.db.useRepository(database);
+
+  const productCatalogService = overrides.productCatalogService || new ProductCatalogService(config);
+  const couponService = overrides.couponService || new CouponService(database, { stripeService });
+  const accessCodeService = overrides.accessCodeService || new AccessCodeService(database);
+  const groupPurchaseService = overrides.groupPurchaseService
+    || new GroupPurchaseService(database, accessCodeService);
+  const renewalService = overrides.renewalService || new RenewalService(database, {
+    reminderDays: config.RENEWAL_REMINDER_DAYS,
+  });
+  const subscriptionService = overrides.subscriptionService || new SubscriptionService(database, {
+    graceDays: config.SUBSCRIPTION_GRACE_DAYS,
+  });
+  const chargeService = overrides.chargeService || new ChargeService(database);
+  const refundService = overrides.refundService
+    || new RefundService(database, { stripeService, chargeService });
+  const disputeService = overrides.disputeService || new DisputeService(database);
+  const cfdiService = overrides.cfdiService || new CfdiService(database, {
+    provider: overrides.pacProvider || createPacProvider(config),
+    emisor: {
+      rfc: config.CFDI_EMISOR_RFC,
+      nombre: config.CFDI_EMISOR_NOMBRE,
+      regimenFiscal: config.CFDI_EMISOR_REGIMEN,
+      lugarExpedicion: config.CFDI_LUGAR_EXPEDICION,
+    },
+    serie: config.CFDI_SERIE,
+    claveProdServ: config.CFDI_CLAVE_PROD_SERV,
+  });
+  const receiptService = overrides.receiptService || new ReceiptService(database, {
+    secret: config.RECEIPT_SIGNING_SECRET,
+    appUrl: config.APP_URL,
+    urlTtlDays: config.RECEIPT_URL_TTL_DAYS,
+  });
+  const reconciliationService = overrides.reconciliationService
+    || new ReconciliationService(database, { stripeService });
+  const payoutService = overrides.payoutService || new PayoutService(database, { stripeService });
+  const checkoutRecoveryService = overrides.checkoutRecoveryService || new CheckoutRecoveryService(database, {
+    secret: config.CHECKOUT_RECOVERY_SIGNING_SECRET,
+    appUrl: config.APP_URL,
+    delayMinutes: config.CHECKOUT_RECOVERY_DELAY_MINUTES,
+    maxAgeHours: config.CHECKOUT_RECOVERY_MAX_AGE_HOURS,
+  });
+  const trialService = overrides.trialService || new TrialService(database, accessCodeService, {
+    trial: productCatalogService.getTrial(),
+    secret: config.TRIAL_SIGNING_SECRET,
+    appUrl: config.APP_URL,
+  });
+  const paymentStateService = overrides.paymentStateService || new PaymentStateService(database);
+  const historyService = overrides.historyService || new LogHistoryService(database);
+  const stripeEventService = overrides.stripeEventService || new StripeEventService(database);
+  const sessionService = overrides.sessionService || new SessionService(database, {
+    secret: config.SESSION_SECRET,
+    tokenTtlHours: config.SESSION_TOKEN_TTL_HOURS,
+    refreshWindowHours: config.SESSION_REFRESH_WINDOW_HOURS,
+    maxDevicesPerCode: config.MAX_DEVICES_PER_CODE,
+  });
+  const loginThrottleService = overrides.loginThrottleService || new LoginThrottleService(database, {
+    maxAttemptsPerEmail: config.LOGIN_MAX_ATTEMPTS_PER_EMAIL,
+    maxAttemptsPerIp: config.LOGIN_MAX_ATTEMPTS_PER_IP,
+    windowMinutes: config.LOGIN_WINDOW_MINUTES,
+    lockoutMinutes: config.LOGIN_LOCKOUT_MINUTES,
+  });
+
+  const services = {
+    config,
+    database,
+    stripeService,
+    emailService,
+    whatsAppService,
+    productCatalogService,
+    couponService,
+    accessCodeService,
+    groupPurchaseService,
+    renewalService,
+    subscriptionService,
+    chargeService,
+    refundService,
+    disputeService,
+    cfdiService,
+    receiptService,
+    reconciliationService,
+    payoutService,
+    checkoutRecoveryService,
+    trialService,
+    paymentStateService,
+    historyService,
+    stripeEventService,
+    sessionService,
+    loginThrottleService,
+  };
+
+  const handlers = createHandlers(services, overrides);
+
+  const fulfillmentService = overrides.fulfillmentService || new FulfillmentService({
+    ...services,
+    ...handlers,
+  });
+
+  const container = {
+    ...services,
+    ...handlers,
+    fulfillmentService,
+  };
+
+  container.schedulerService = overrides.schedulerService
+    || new SchedulerService(database, createJobs(container));
+
+  return container;
+}
+
+module.exports = { createContainer };
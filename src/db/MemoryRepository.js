@@ -0,0 +1,153 @@
+/**
+ * ADAPTADOR EN MEMORIA
+ *
+ * Implementación de Repository sobre Maps. Pensado para desarrollo local
+ * y pruebas; los datos se pierden al reiniciar el proceso.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const Repository = require('./Repository');
+const { TABLES } = require('./schema');
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function matchesCondition(actual, condition) {
+  if (!Repository.isOperatorObject(condition)) {
+    if (condition === null || condition === undefined) {
+      return actual === null || actual === undefined;
+    }
+    return comparable(actual) === comparable(condition);
+  }
+
+  const value = comparable(actual);
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case '$lt':
+        return value !== null && value !== undefined && value < comparable(expected);
+      case '$lte':
+        return value !== null && value !== undefined && value <= comparable(expected);
+      case '$gt':
+        return value !== null && value !== undefined && value > comparable(expected);
+      case '$gte':
+        return value !== null && value !== undefined && value >= comparable(expected);
+      case '$ne':
+        if (expected === null || expected === undefined) {
+          return value !== null && value !== undefined;
+        }
+        return value !== comparable(expected);
+      case '$in':
+        return expected.map(comparable).includes(value);
+      default:
+        return false;
+    }
+  });
+}
+
+function matches(row, where) {
+  return Object.entries(where).every(([field, condition]) => matchesCondition(row[field], condition));
+}
+
+class MemoryRepository extends Repository {
+  constructor() {
+    super();
+    this.tables = new Map();
+    this.sequences = new Map();
+  }
+
+  getTable(table) {
+    if (!this.tables.has(table)) {
+      this.tables.set(table, []);
+      this.sequences.set(table, 0);
+    }
+    return this.tables.get(table);
+  }
+
+  assertUnique(table, doc, ignoreRow = null) {
+    const uniqueFields = TABLES[table]?.unique || [];
+    const rows = this.getTable(table);
+
+    for (const field of uniqueFields) {
+      if (doc[field] === undefined || doc[field] === null) continue;
+
+      const duplicate = rows.find((row) => row !== ignoreRow && row[field] === doc[field]);
+      if (duplicate) {
+        throw {
+          code: 'DUPLICATE_KEY',
+          message: `Valor duplicado para ${table}.${field}`,
+          table,
+          field,
+        };
+      }
+    }
+  }
+
+  async insert(table, doc) {
+    const rows = this.getTable(table);
+    this.assertUnique(table, doc);
+
+    const id = this.sequences.get(table) + 1;
+    this.sequences.set(table, id);
+
+    const row = { ...structuredClone(doc), id };
+    rows.push(row);
+
+    return structuredClone(row);
+  }
+
+  async find(table, where = {}, options = {}) {
+    const { orderBy = null, limit = null, offset = 0 } = options;
+    let rows = this.getTable(table).filter((row) => matches(row, where));
+
+    if (orderBy) {
+      const sorters = Object.entries(orderBy);
+      rows = [...rows].sort((a, b) => {
+        for (const [field, direction] of sorters) {
+          const left = comparable(a[field]);
+          const right = comparable(b[field]);
+          if (left === right) continue;
+          const result = left > right ? 1 : -1;
+          return direction === 'desc' ? -result : result;
+        }
+        return 0;
+      });
+    }
+
+    rows = rows.slice(offset, limit ? offset + limit : undefined);
+    return rows.map((row) => structuredClone(row));
+  }
+
+  async update(table, where, changes, options = {}) {
+    const { increment = {} } = options;
+    const rows = this.getTable(table).filter((row) => matches(row, where));
+
+    for (const row of rows) {
+      this.assertUnique(table, changes, row);
+      Object.assign(row, structuredClone(changes));
+
+      for (const [field, amount] of Object.entries(increment)) {
+        row[field] = (row[field] || 0) + amount;
+      }
+    }
+
+    return { modifiedCount: rows.length };
+  }
+
+  async count(table, where = {}) {
+    return this.getTable(table).filter((row) => matches(row, where)).length;
+  }
+
+  async delete(table, where) {
+    const rows = this.getTable(table);
+    const remaining = rows.filter((row) => !matches(row, where));
+    this.tables.set(table, remaining);
+
+    return { deletedCount: rows.length - remaining.length };
+  }
+}
+
+module.exports = MemoryRepository;
@@ -0,0 +1,259 @@
+/**
+ * EJECUTOR DE MIGRACIONES
+ *
+ * Aplica en orden los archivos de src/db/migrations (NNN_nombre.js) y
+ * registra cada versión en la tabla schema_migrations. Cada migración
+ * exporta `up(db)` y `down(db)`, donde `db` es el adaptador SQL con sus
+ * operaciones de esquema (createTable, addColumn, renameTable...).
+ *
+ * migrate() toma un candado para que dos instancias que arrancan a la vez
+ * no apliquen la misma migración: GET_LOCK en MySQL (el adaptador expone
+ * withLock) y en los demás una fila en schema_migrations_lock que vence
+ * sola si la instancia que la tomó se cae.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const LOCK_TABLE = 'schema_migrations_lock';
+const LOCK_NAME = 'schema_migrations';
+
+const MINUTE = 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class MigrationRunner {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.directory = options.directory || MIGRATIONS_DIR;
+    // Cuánto espera una instancia a que otra termine de migrar
+    this.lockTimeoutMs = options.lockTimeoutMs ?? 5 * MINUTE;
+    this.lockRetryMs = options.lockRetryMs ?? 500;
+    // Vigencia de la fila de candado; una migración larga debe caber
+    this.lockTtlMs = options.lockTtlMs ?? 30 * MINUTE;
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Cargar las migraciones disponibles ordenadas por versión
+   */
+  loadMigrations() {
+    return fs
+      .readdirSync(this.directory)
+      .filter((file) => /^\d+_.+\.js$/.test(file))
+      .map((file) => {
+        const [prefix] = file.split('_');
+        const migration = require(path.join(this.directory, file));
+
+        return {
+          version: parseInt(prefix, 10),
+          name: path.basename(file, '.js'),
+          up: migration.up,
+          down: migration.down,
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Crear la tabla de control si no existe
+   */
+  async ensureMigrationsTable() {
+    if (await this.db.hasTable(MIGRATIONS_TABLE)) return;
+
+    await this.db.createTable(
+      MIGRATIONS_TABLE,
+      { id: 'id', version: 'integer', name: 'string', appliedAt: 'datetime' },
+      { unique: ['version'] }
+    );
+  }
+
+  /**
+   * Versiones ya aplicadas
+   */
+  async appliedVersions() {
+    await this.ensureMigrationsTable();
+    const rows = await this.db.find(MIGRATIONS_TABLE, {}, { orderBy: { version: 'asc' } });
+    return rows.map((row) => row.version);
+  }
+
+  /**
+   * Estado de cada migración
+   */
+  async status() {
+    const applied = await this.appliedVersions();
+
+    return this.loadMigrations().map(({ version, name }) => ({
+      version,
+      name,
+      applied: applied.includes(version),
+    }));
+  }
+
+  /**
+   * Aplicar las migraciones pendientes
+   * Devuelve los nombres aplicados
+   */
+  async migrate() {
+    return this.withLock(() => this.applyPending());
+  }
+
+  async applyPending() {
+    const applied = await this.appliedVersions();
+    const pending = this.loadMigrations().filter(({ version }) => !applied.includes(version));
+    const done = [];
+
+    for (const migration of pending) {
+      logger.info('Applying migration', { migration: migration.name });
+
+      try {
+        await migration.up(this.db);
+      } catch (error) {
+        logger.error('Migration failed', { migration: migration.name, error: error.message });
+        throw {
+          code: 'MIGRATION_FAILED',
+          message: `La migración ${migration.name} falló: ${error.message}`,
+          migration: migration.name,
+          originalError: error.message,
+        };
+      }
+
+      await this.db.insert(MIGRATIONS_TABLE, {
+        version: migration.version,
+        name: migration.name,
+        appliedAt: new Date(),
+      });
+      done.push(migration.name);
+    }
+
+    if (done.length > 0) {
+      logger.info('Migrations applied', { count: done.length });
+    }
+
+    return done;
+  }
+
+  // ==================== CANDADO ====================
+
+  /**
+   * Ejecutar `fn` con el candado de migraciones
+   * Lanza { code: 'LOCK_TIMEOUT' } si otra instancia no lo suelta a tiempo
+   */
+  async withLock(fn) {
+    if (typeof this.db.withLock === 'function') {
+      return this.db.withLock(LOCK_NAME, fn, { timeoutMs: this.lockTimeoutMs });
+    }
+
+    await this.acquireLock();
+    try {
+      return await fn();
+    } finally {
+      await this.releaseLock();
+    }
+  }
+
+  /**
+   * Crear la tabla del candado si no existe
+   * Otra instancia puede crearla al mismo tiempo; basta con que exista
+   */
+  async ensureLockTable() {
+    if (await this.db.hasTable(LOCK_TABLE)) return;
+
+    try {
+      await this.db.createTable(
+        LOCK_TABLE,
+        { id: 'id', name: 'string', owner: 'string', acquiredAt: 'datetime', lockedUntil: 'datetime' },
+        { unique: ['name'] }
+      );
+    } catch (error) {
+      if (!(await this.db.hasTable(LOCK_TABLE))) throw error;
+    }
+  }
+
+  /**
+   * Tomar la fila de candado; gana quien la inserta primero o quien la
+   * encuentra vencida. Si la tiene otra instancia, esperar
+   */
+  async acquireLock() {
+    await this.ensureLockTable();
+    const deadline = Date.now() + this.lockTimeoutMs;
+
+    for (;;) {
+      const now = new Date();
+      const lock = { owner: this.owner, acquiredAt: now, lockedUntil: new Date(now.getTime() + this.lockTtlMs) };
+
+      try {
+        await this.db.insert(LOCK_TABLE, { name: LOCK_NAME, ...lock });
+        return;
+      } catch (error) {
+        if (error.code !== 'DUPLICATE_KEY') throw error;
+      }
+
+      const result = await this.db.update(LOCK_TABLE, { name: LOCK_NAME, lockedUntil: { $lt: now } }, lock);
+      if (result.modifiedCount === 1) {
+        logger.warn('Expired migration lock taken over', { owner: this.owner });
+        return;
+      }
+
+      if (Date.now() >= deadline) {
+        throw {
+          code: 'LOCK_TIMEOUT',
+          message: 'Otra instancia está aplicando las migraciones',
+          lock: LOCK_NAME,
+        };
+      }
+
+      logger.info('Waiting for migration lock', { owner: this.owner });
+      await sleep(this.lockRetryMs);
+    }
+  }
+
+  async releaseLock() {
+    try {
+      await this.db.delete(LOCK_TABLE, { name: LOCK_NAME, owner: this.owner });
+    } catch (error) {
+      // La fila vence sola; no ocultar el resultado de las migraciones
+      logger.error('Error releasing migration lock', { error: error.message });
+    }
+  }
+
+  /**
+   * Revertir las últimas `steps` migraciones aplicadas
+   * Devuelve los nombres revertidos
+   */
+  async rollback(steps = 1) {
+    const applied = await this.appliedVersions();
+    const migrations = this.loadMigrations();
+    const toRevert = applied.slice(-steps).reverse();
+    const done = [];
+
+    for (const version of toRevert) {
+      const migration = migrations.find((candidate) => candidate.version === version);
+
+      if (!migration) {
+        throw {
+          code: 'MIGRATION_NOT_FOUND',
+          message: `No existe el archivo de la migración ${version}`,
+          version,
+        };
+      }
+
+      logger.info('Reverting migration', { migration: migration.name });
+      await migration.down(this.db);
+      await this.db.delete(MIGRATIONS_TABLE, { version });
+      done.push(migration.name);
+    }
+
+    return done;
+  }
+}
+
+module.exports = MigrationRunner;
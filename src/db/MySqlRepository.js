@@ -0,0 +1,125 @@
+/**
+ * ADAPTADOR MYSQL
+ *
+ * Repository sobre un pool de mysql2. Es el adaptador de producción
+ * (la base de datos de Hostinger configurada con DB_HOST, DB_USER...).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const SqlRepository = require('./SqlRepository');
+const { logger } = require('../utils/logger');
+
+const COLUMN_TYPES = {
+  id: 'INT AUTO_INCREMENT PRIMARY KEY',
+  string: 'VARCHAR(255) NULL',
+  text: 'TEXT NULL',
+  integer: 'INT NULL',
+  decimal: 'DECIMAL(10,2) NULL',
+  boolean: 'BOOLEAN NULL',
+  datetime: 'DATETIME NULL',
+  json: 'JSON NULL',
+};
+
+class MySqlRepository extends SqlRepository {
+  constructor(options) {
+    super();
+    // El driver solo se carga si se usa este adaptador
+    const mysql = require('mysql2/promise');
+
+    this.pool = options.pool || mysql.createPool({
+      host: options.host,
+      port: options.port || 3306,
+      user: options.user,
+      password: options.password,
+      database: options.database,
+      waitForConnections: true,
+      connectionLimit: options.connectionLimit || 10,
+      queueLimit: 0,
+      enableKeepAlive: true,
+      keepAliveInitialDelay: 0,
+      timezone: 'Z',
+    });
+  }
+
+  async initialize() {
+    const connection = await this.pool.getConnection();
+    connection.release();
+    logger.info('MySQL connected');
+
+    await super.initialize();
+  }
+
+  async execute(sql, params = []) {
+    const [result] = await this.pool.query(sql, params);
+
+    if (Array.isArray(result)) {
+      return { rows: result, insertId: null, affectedRows: 0 };
+    }
+
+    return {
+      rows: [],
+      insertId: result.insertId,
+      affectedRows: result.affectedRows,
+    };
+  }
+
+  /**
+   * Ejecutar `fn` con un candado con nombre de MySQL (GET_LOCK) entre
+   * instancias. El candado es de la conexión: si el proceso se cae, MySQL
+   * lo suelta al cerrarse. Los nombres son de todo el servidor, así que
+   * llevan el nombre de la base de datos.
+   * Lanza { code: 'LOCK_TIMEOUT' } si no se obtiene en `timeoutMs`
+   */
+  async withLock(name, fn, { timeoutMs = 5 * 60 * 1000 } = {}) {
+    const connection = await this.pool.getConnection();
+
+    try {
+      const [rows] = await connection.query(
+        "SELECT GET_LOCK(CONCAT(DATABASE(), '.', ?), ?) AS acquired",
+        [name, Math.ceil(timeoutMs / 1000)]
+      );
+      if (Number(rows[0].acquired) !== 1) {
+        throw { code: 'LOCK_TIMEOUT', message: `No se obtuvo el candado ${name}`, lock: name };
+      }
+
+      try {
+        return await fn();
+      } finally {
+        // Si falla, MySQL lo suelta al cerrarse la conexión
+        await connection.query("SELECT RELEASE_LOCK(CONCAT(DATABASE(), '.', ?))", [name]).catch((error) => {
+          logger.error('Error releasing MySQL lock', { lock: name, error: error.message });
+        });
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  async hasTable(table) {
+    const result = await this.execute(
+      'SELECT COUNT(*) AS total FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?',
+      [table]
+    );
+    return Number(result.rows[0].total) > 0;
+  }
+
+  quote(identifier) {
+    return `\`${identifier}\``;
+  }
+
+  columnDefinition(type) {
+    return COLUMN_TYPES[type] || COLUMN_TYPES.string;
+  }
+
+  isDuplicateKeyError(error) {
+    return error.code === 'ER_DUP_ENTRY';
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
+
+module.exports = MySqlRepository;
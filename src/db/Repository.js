@@ -0,0 +1,96 @@
+/**
+ * INTERFAZ DE REPOSITORIO
+ *
+ * Contrato común para los adaptadores de persistencia (memoria, MySQL,
+ * SQLite). Los servicios solo hablan con estos métodos, así el mismo
+ * código corre en producción y en pruebas sin conexión.
+ *
+ * Convenciones:
+ * - Los campos se nombran en camelCase; los adaptadores SQL los
+ *   traducen a snake_case.
+ * - `where` acepta igualdad ({ status: 'active' }, null => IS NULL) y
+ *   operadores { $lt, $lte, $gt, $gte, $ne, $in }.
+ * - Las violaciones de unicidad se lanzan como { code: 'DUPLICATE_KEY' }.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const OPERATORS = ['$lt', '$lte', '$gt', '$gte', '$ne', '$in'];
+
+class Repository {
+  static OPERATORS = OPERATORS;
+
+  /**
+   * Preparar el almacenamiento (tablas, conexiones)
+   */
+  async initialize() {}
+
+  /**
+   * Insertar un registro y devolverlo con su `id`
+   */
+  async insert(table, doc) {
+    throw new Error(`${this.constructor.name}.insert not implemented`);
+  }
+
+  /**
+   * Obtener el primer registro que cumpla `where`
+   */
+  async findOne(table, where = {}) {
+    const [row] = await this.find(table, where, { limit: 1 });
+    return row || null;
+  }
+
+  /**
+   * Obtener registros
+   * options: { orderBy: { campo: 'asc' | 'desc' }, limit, offset }
+   */
+  async find(table, where = {}, options = {}) {
+    throw new Error(`${this.constructor.name}.find not implemented`);
+  }
+
+  /**
+   * Actualizar registros
+   * options.increment: { campo: n } suma n al valor actual
+   * Devuelve { modifiedCount }
+   */
+  async update(table, where, changes, options = {}) {
+    throw new Error(`${this.constructor.name}.update not implemented`);
+  }
+
+  /**
+   * Contar registros
+   */
+  async count(table, where = {}) {
+    throw new Error(`${this.constructor.name}.count not implemented`);
+  }
+
+  /**
+   * Eliminar registros
+   * Devuelve { deletedCount }
+   */
+  async delete(table, where) {
+    throw new Error(`${this.constructor.name}.delete not implemented`);
+  }
+
+  /**
+   * Cerrar conexiones
+   */
+  async close() {}
+
+  /**
+   * Indica si un valor de `where` es un objeto de operadores
+   */
+  static isOperatorObject(value) {
+    return (
+      value !== null &&
+      typeof value === 'object' &&
+      !(value instanceof Date) &&
+      !Array.isArray(value) &&
+      Object.keys(value).length > 0 &&
+      Object.keys(value).every((key) => OPERATORS.includes(key))
+    );
+  }
+}
+
+module.exports = Repository;
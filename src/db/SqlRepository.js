@@ -0,0 +1,315 @@
+/**
+ * BASE DE ADAPTADORES SQL
+ *
+ * Traduce las operaciones de Repository a SQL con parámetros `?`, que
+ * comparten MySQL y SQLite. Cada dialecto implementa `execute`, las
+ * comillas de identificadores y la conversión de valores.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const Repository = require('./Repository');
+const { toColumnName, toFieldName, fieldType } = require('./schema');
+
+const SQL_OPERATORS = {
+  $lt: '<',
+  $lte: '<=',
+  $gt: '>',
+  $gte: '>=',
+  $ne: '<>',
+};
+
+class SqlRepository extends Repository {
+  /**
+   * Ejecutar una sentencia
+   * Debe devolver { rows, insertId, affectedRows }
+   */
+  async execute(sql, params = []) {
+    throw new Error(`${this.constructor.name}.execute not implemented`);
+  }
+
+  /**
+   * Entrecomillar un identificador
+   */
+  quote(identifier) {
+    return `"${identifier}"`;
+  }
+
+  /**
+   * Definición de columna para un tipo lógico (CREATE TABLE)
+   */
+  columnDefinition(type) {
+    throw new Error(`${this.constructor.name}.columnDefinition not implemented`);
+  }
+
+  /**
+   * Indica si un error del driver es una violación de unicidad
+   */
+  isDuplicateKeyError(error) {
+    return false;
+  }
+
+  /**
+   * Convertir un valor de JS al formato que guarda la base de datos
+   */
+  serializeValue(type, value) {
+    if (value === undefined || value === null) return null;
+
+    switch (type) {
+      case 'json':
+        return JSON.stringify(value);
+      case 'boolean':
+        return value ? 1 : 0;
+      case 'datetime':
+        return value instanceof Date ? value : new Date(value);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Convertir un valor de la base de datos a JS
+   */
+  deserializeValue(type, value) {
+    if (value === undefined || value === null) return null;
+
+    switch (type) {
+      case 'json':
+        return typeof value === 'string' ? JSON.parse(value) : value;
+      case 'boolean':
+        return Boolean(value);
+      case 'datetime':
+        return value instanceof Date ? value : new Date(value);
+      case 'decimal':
+      case 'integer':
+      case 'id':
+        return Number(value);
+      default:
+        return value;
+    }
+  }
+
+  deserializeRow(table, row) {
+    const doc = {};
+    for (const [column, value] of Object.entries(row)) {
+      const field = toFieldName(column);
+      doc[field] = this.deserializeValue(fieldType(table, field), value);
+    }
+    return doc;
+  }
+
+  buildWhere(table, where = {}) {
+    const clauses = [];
+    const params = [];
+
+    for (const [field, condition] of Object.entries(where)) {
+      const column = this.quote(toColumnName(field));
+      const type = fieldType(table, field);
+
+      if (!Repository.isOperatorObject(condition)) {
+        if (condition === null || condition === undefined) {
+          clauses.push(`${column} IS NULL`);
+        } else {
+          clauses.push(`${column} = ?`);
+          params.push(this.serializeValue(type, condition));
+        }
+        continue;
+      }
+
+      for (const [operator, expected] of Object.entries(condition)) {
+        if (operator === '$in') {
+          if (expected.length === 0) {
+            clauses.push('1 = 0');
+          } else {
+            clauses.push(`${column} IN (${expected.map(() => '?').join(', ')})`);
+            params.push(...expected.map((value) => this.serializeValue(type, value)));
+          }
+        } else if (operator === '$ne' && expected === null) {
+          clauses.push(`${column} IS NOT NULL`);
+        } else if (operator === '$ne') {
+          clauses.push(`(${column} IS NULL OR ${column} <> ?)`);
+          params.push(this.serializeValue(type, expected));
+        } else {
+          clauses.push(`${column} ${SQL_OPERATORS[operator]} ?`);
+          params.push(this.serializeValue(type, expected));
+        }
+      }
+    }
+
+    return {
+      sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+      params,
+    };
+  }
+
+  async insert(table, doc) {
+    const fields = Object.keys(doc).filter((field) => doc[field] !== undefined);
+    const columns = fields.map((field) => this.quote(toColumnName(field)));
+    const params = fields.map((field) => this.serializeValue(fieldType(table, field), doc[field]));
+
+    const sql = `INSERT INTO ${this.quote(table)} (${columns.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`;
+
+    try {
+      const result = await this.execute(sql, params);
+      return { ...doc, id: Number(result.insertId) };
+    } catch (error) {
+      throw this.translateError(error, table);
+    }
+  }
+
+  async find(table, where = {}, options = {}) {
+    const { orderBy = null, limit = null, offset = 0 } = options;
+    const whereClause = this.buildWhere(table, where);
+    let sql = `SELECT * FROM ${this.quote(table)}${whereClause.sql}`;
+
+    if (orderBy) {
+      const order = Object.entries(orderBy)
+        .map(([field, direction]) => `${this.quote(toColumnName(field))} ${direction === 'desc' ? 'DESC' : 'ASC'}`)
+        .join(', ');
+      sql += ` ORDER BY ${order}`;
+    }
+
+    if (limit) {
+      sql += ` LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10) || 0}`;
+    }
+
+    const result = await this.execute(sql, whereClause.params);
+    return result.rows.map((row) => this.deserializeRow(table, row));
+  }
+
+  async update(table, where, changes, options = {}) {
+    const { increment = {} } = options;
+    const assignments = [];
+    const params = [];
+
+    for (const [field, value] of Object.entries(changes)) {
+      if (value === undefined) continue;
+      assignments.push(`${this.quote(toColumnName(field))} = ?`);
+      params.push(this.serializeValue(fieldType(table, field), value));
+    }
+
+    for (const [field, amount] of Object.entries(increment)) {
+      const column = this.quote(toColumnName(field));
+      assignments.push(`${column} = COALESCE(${column}, 0) + ?`);
+      params.push(amount);
+    }
+
+    if (assignments.length === 0) {
+      return { modifiedCount: 0 };
+    }
+
+    const whereClause = this.buildWhere(table, where);
+    const sql = `UPDATE ${this.quote(table)} SET ${assignments.join(', ')}${whereClause.sql}`;
+
+    try {
+      const result = await this.execute(sql, [...params, ...whereClause.params]);
+      return { modifiedCount: result.affectedRows };
+    } catch (error) {
+      throw this.translateError(error, table);
+    }
+  }
+
+  async count(table, where = {}) {
+    const whereClause = this.buildWhere(table, where);
+    const sql = `SELECT COUNT(*) AS total FROM ${this.quote(table)}${whereClause.sql}`;
+    const result = await this.execute(sql, whereClause.params);
+    return Number(result.rows[0].total);
+  }
+
+  async delete(table, where) {
+    const whereClause = this.buildWhere(table, where);
+    const sql = `DELETE FROM ${this.quote(table)}${whereClause.sql}`;
+    const result = await this.execute(sql, whereClause.params);
+    return { deletedCount: result.affectedRows };
+  }
+
+  /**
+   * Preparar la base de datos aplicando las migraciones pendientes
+   */
+  async initialize() {
+    const MigrationRunner = require('./MigrationRunner');
+    await new MigrationRunner(this).migrate();
+  }
+
+  // ==================== OPERACIONES DE ESQUEMA ====================
+  // Las usan las migraciones de src/db/migrations. Los tipos de columna
+  // son los tipos lógicos de schema.js.
+
+  /**
+   * Indica si existe una tabla
+   */
+  async hasTable(table) {
+    throw new Error(`${this.constructor.name}.hasTable not implemented`);
+  }
+
+  /**
+   * Crear una tabla
+   * columns: { campo: tipo }, options: { unique: [campos], indexes: [[campos]] }
+   */
+  async createTable(table, columns, options = {}) {
+    const { unique = [], indexes = [] } = options;
+    const definitions = Object.entries(columns).map(
+      ([field, type]) => `${this.quote(toColumnName(field))} ${this.columnDefinition(type)}`
+    );
+
+    for (const field of unique) {
+      definitions.push(`UNIQUE (${this.quote(toColumnName(field))})`);
+    }
+
+    await this.execute(`CREATE TABLE ${this.quote(table)} (${definitions.join(', ')})`);
+
+    for (const fields of indexes) {
+      await this.createIndex(table, fields);
+    }
+  }
+
+  async dropTable(table) {
+    await this.execute(`DROP TABLE IF EXISTS ${this.quote(table)}`);
+  }
+
+  async renameTable(from, to) {
+    await this.execute(`ALTER TABLE ${this.quote(from)} RENAME TO ${this.quote(to)}`);
+  }
+
+  async addColumn(table, field, type) {
+    await this.execute(
+      `ALTER TABLE ${this.quote(table)} ADD COLUMN ${this.quote(toColumnName(field))} ${this.columnDefinition(type)}`
+    );
+  }
+
+  async dropColumn(table, field) {
+    await this.execute(`ALTER TABLE ${this.quote(table)} DROP COLUMN ${this.quote(toColumnName(field))}`);
+  }
+
+  async createIndex(table, fields) {
+    const columns = fields.map((field) => toColumnName(field));
+    const name = `idx_${table}_${columns.join('_')}`;
+    await this.execute(
+      `CREATE INDEX ${this.quote(name)} ON ${this.quote(table)} (${columns.map((column) => this.quote(column)).join(', ')})`
+    );
+  }
+
+  /**
+   * Leer todas las filas de una tabla tal como están guardadas
+   * (columnas originales, sin conversión). Útil para migrar datos heredados.
+   */
+  async selectRaw(table) {
+    const result = await this.execute(`SELECT * FROM ${this.quote(table)}`);
+    return result.rows;
+  }
+
+  translateError(error, table) {
+    if (this.isDuplicateKeyError(error)) {
+      return {
+        code: 'DUPLICATE_KEY',
+        message: `Valor duplicado en ${table}`,
+        table,
+        originalError: error.message,
+      };
+    }
+    return error;
+  }
+}
+
+module.exports = SqlRepository;
@@ -0,0 +1,83 @@
+/**
+ * ADAPTADOR SQLITE
+ *
+ * Repository sobre better-sqlite3. Útil para correr el sistema completo
+ * sin servidor MySQL (desarrollo, pruebas, demos). Las fechas se guardan
+ * como texto ISO 8601 para que se puedan comparar con < y >.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SqlRepository = require('./SqlRepository');
+
+const COLUMN_TYPES = {
+  id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+  string: 'TEXT',
+  text: 'TEXT',
+  integer: 'INTEGER',
+  decimal: 'REAL',
+  boolean: 'INTEGER',
+  datetime: 'TEXT',
+  json: 'TEXT',
+};
+
+class SqliteRepository extends SqlRepository {
+  constructor(options = {}) {
+    super();
+    // El driver solo se carga si se usa este adaptador
+    const Database = require('better-sqlite3');
+    const filename = options.filename || ':memory:';
+
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+  }
+
+  async execute(sql, params = []) {
+    const statement = this.db.prepare(sql);
+
+    if (statement.reader) {
+      return { rows: statement.all(params), insertId: null, affectedRows: 0 };
+    }
+
+    const result = statement.run(params);
+    return {
+      rows: [],
+      insertId: result.lastInsertRowid,
+      affectedRows: result.changes,
+    };
+  }
+
+  async hasTable(table) {
+    const result = await this.execute(
+      "SELECT COUNT(*) AS total FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [table]
+    );
+    return Number(result.rows[0].total) > 0;
+  }
+
+  serializeValue(type, value) {
+    const serialized = super.serializeValue(type, value);
+    return serialized instanceof Date ? serialized.toISOString() : serialized;
+  }
+
+  columnDefinition(type) {
+    return COLUMN_TYPES[type] || COLUMN_TYPES.string;
+  }
+
+  isDuplicateKeyError(error) {
+    return error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteRepository;
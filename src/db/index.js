@@ -0,0 +1,51 @@
+/**
+ * SELECCIÓN DE ADAPTADOR DE PERSISTENCIA
+ *
+ * DB_DRIVER=mysql | sqlite | memory
+ * Si no se indica, se usa MySQL cuando hay DB_HOST y memoria en otro caso.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const Repository = require('./Repository');
+const MemoryRepository = require('./MemoryRepository');
+const { logger } = require('../utils/logger');
+
+function createRepository(config) {
+  const driver = config.DB_DRIVER || (config.DB_HOST ? 'mysql' : 'memory');
+
+  switch (driver) {
+    case 'mysql': {
+      const MySqlRepository = require('./MySqlRepository');
+      return new MySqlRepository({
+        host: config.DB_HOST,
+        port: config.DB_PORT,
+        user: config.DB_USER,
+        password: config.DB_PASSWORD,
+        database: config.DB_NAME,
+        connectionLimit: config.DB_CONNECTION_LIMIT,
+      });
+    }
+
+    case 'sqlite': {
+      const SqliteRepository = require('./SqliteRepository');
+      return new SqliteRepository({ filename: config.SQLITE_PATH });
+    }
+
+    case 'memory':
+      if (config.NODE_ENV === 'production') {
+        logger.warn('Using in-memory database in production: data will be lost on restart');
+      }
+      return new MemoryRepository();
+
+    default:
+      throw new Error(`DB_DRIVER desconocido: ${driver}`);
+  }
+}
+
+module.exports = {
+  Repository,
+  MemoryRepository,
+  createRepository,
+};
@@ -0,0 +1,36 @@
+/**
+ * 001 - Conservar las tablas heredadas
+ *
+ * server.js y webhook.js creaban a mano access_codes, stripe_events,
+ * email_logs, whatsapp_logs, user_activity y payments, cada uno con sus
+ * propias columnas. Si alguna ya existe antes de la primera migración,
+ * se renombra a legacy_<tabla> para crear la versión actual sin perder
+ * datos (ver 008 y 009).
+ */
+
+const TABLES = [
+  'access_codes',
+  'stripe_events',
+  'email_logs',
+  'whatsapp_logs',
+  'user_activity',
+  'payments',
+];
+
+async function up(db) {
+  for (const table of TABLES) {
+    if ((await db.hasTable(table)) && !(await db.hasTable(`legacy_${table}`))) {
+      await db.renameTable(table, `legacy_${table}`);
+    }
+  }
+}
+
+async function down(db) {
+  for (const table of TABLES) {
+    if ((await db.hasTable(`legacy_${table}`)) && !(await db.hasTable(table))) {
+      await db.renameTable(`legacy_${table}`, table);
+    }
+  }
+}
+
+module.exports = { up, down };
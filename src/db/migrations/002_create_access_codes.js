@@ -0,0 +1,42 @@
+/**
+ * 002 - Tabla access_codes
+ */
+
+async function up(db) {
+  await db.createTable(
+    'access_codes',
+    {
+      id: 'id',
+      code: 'string',
+      userId: 'string',
+      email: 'string',
+      name: 'string',
+      phone: 'string',
+      deliveryMethod: 'string',
+      productId: 'string',
+      productName: 'string',
+      paymentId: 'string',
+      stripeSessionId: 'string',
+      stripeEventId: 'string',
+      amount: 'decimal',
+      currency: 'string',
+      status: 'string',
+      usedAt: 'datetime',
+      loginCount: 'integer',
+      lastLogin: 'datetime',
+      createdAt: 'datetime',
+      expiresAt: 'datetime',
+      metadata: 'json',
+    },
+    {
+      unique: ['code'],
+      indexes: [['email'], ['stripeSessionId']],
+    }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('access_codes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+/**
+ * 003 - Tabla stripe_events (bitácora de eventos del webhook de Stripe)
+ */
+
+async function up(db) {
+  await db.createTable(
+    'stripe_events',
+    {
+      id: 'id',
+      eventId: 'string',
+      eventType: 'string',
+      objectId: 'string',
+      customerEmail: 'string',
+      amount: 'integer',
+      currency: 'string',
+      status: 'string',
+      attempts: 'integer',
+      lastError: 'text',
+      payload: 'json',
+      receivedAt: 'datetime',
+      processedAt: 'datetime',
+    },
+    {
+      unique: ['eventId'],
+      indexes: [['status']],
+    }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('stripe_events');
+}
+
+module.exports = { up, down };
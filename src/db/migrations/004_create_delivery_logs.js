@@ -0,0 +1,34 @@
+/**
+ * 004 - Tablas email_logs y whatsapp_logs (entregas de códigos)
+ */
+
+const COMMON_COLUMNS = {
+  accessCode: 'string',
+  status: 'string',
+  messageId: 'string',
+  errorMessage: 'text',
+  metadata: 'json',
+  timestamp: 'datetime',
+  statusUpdatedAt: 'datetime',
+};
+
+async function up(db) {
+  await db.createTable(
+    'email_logs',
+    { id: 'id', userId: 'string', email: 'string', ...COMMON_COLUMNS },
+    { indexes: [['messageId'], ['userId']] }
+  );
+
+  await db.createTable(
+    'whatsapp_logs',
+    { id: 'id', userId: 'string', phone: 'string', ...COMMON_COLUMNS },
+    { indexes: [['messageId'], ['userId']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('whatsapp_logs');
+  await db.dropTable('email_logs');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+/**
+ * 005 - Tabla user_activity (inicios de sesión y acciones del usuario)
+ */
+
+async function up(db) {
+  await db.createTable(
+    'user_activity',
+    {
+      id: 'id',
+      email: 'string',
+      accessCode: 'string',
+      activityType: 'string',
+      description: 'text',
+      ipAddress: 'string',
+      userAgent: 'text',
+      timestamp: 'datetime',
+    },
+    { indexes: [['email']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('user_activity');
+}
+
+module.exports = { up, down };
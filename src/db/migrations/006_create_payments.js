@@ -0,0 +1,40 @@
+/**
+ * 006 - Tabla payments (estado de pagos, incluidos OXXO y SPEI)
+ */
+
+async function up(db) {
+  await db.createTable(
+    'payments',
+    {
+      id: 'id',
+      sessionId: 'string',
+      paymentIntentId: 'string',
+      customerEmail: 'string',
+      customerName: 'string',
+      amount: 'integer',
+      currency: 'string',
+      paymentMethod: 'string',
+      productName: 'string',
+      priceId: 'string',
+      status: 'string',
+      createdAt: 'datetime',
+      updatedAt: 'datetime',
+      paidAt: 'datetime',
+      expiresAt: 'datetime',
+      completedAt: 'datetime',
+      metadata: 'json',
+      orderCompleted: 'boolean',
+      accessCodeGenerated: 'boolean',
+      accessCode: 'string',
+      notificationsSent: 'json',
+      statusHistory: 'json',
+    },
+    { indexes: [['paymentIntentId'], ['sessionId'], ['status']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('payments');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,82 @@
+/**
+ * 007 - Tablas de historial (LogHistoryService) y documentos de paymentController
+ */
+
+async function up(db) {
+  await db.createTable(
+    'payment_history',
+    {
+      id: 'id',
+      eventType: 'string',
+      timestamp: 'datetime',
+      userId: 'string',
+      email: 'string',
+      amount: 'decimal',
+      currency: 'string',
+      stripePaymentId: 'string',
+      stripePriceId: 'string',
+      status: 'string',
+      metadata: 'json',
+      ipAddress: 'string',
+      userAgent: 'text',
+    },
+    { indexes: [['userId']] }
+  );
+
+  await db.createTable(
+    'error_history',
+    {
+      id: 'id',
+      eventType: 'string',
+      timestamp: 'datetime',
+      userId: 'string',
+      email: 'string',
+      errorType: 'string',
+      errorMessage: 'text',
+      errorCode: 'string',
+      stripePriceId: 'string',
+      metadata: 'json',
+      stack: 'text',
+      ipAddress: 'string',
+    },
+    { indexes: [['userId']] }
+  );
+
+  await db.createTable(
+    'access_code_history',
+    {
+      id: 'id',
+      eventType: 'string',
+      timestamp: 'datetime',
+      userId: 'string',
+      email: 'string',
+      accessCode: 'string',
+      expiresAt: 'datetime',
+      productId: 'string',
+      paymentId: 'string',
+    },
+    { indexes: [['userId']] }
+  );
+
+  await db.createTable(
+    'payment_documents',
+    {
+      id: 'id',
+      collection: 'string',
+      documentId: 'string',
+      data: 'json',
+      createdAt: 'datetime',
+      updatedAt: 'datetime',
+    },
+    { indexes: [['collection', 'documentId']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('payment_documents');
+  await db.dropTable('access_code_history');
+  await db.dropTable('error_history');
+  await db.dropTable('payment_history');
+}
+
+module.exports = { up, down };
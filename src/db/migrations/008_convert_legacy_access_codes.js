@@ -0,0 +1,134 @@
+/**
+ * 008 - Convertir los códigos de acceso heredados
+ *
+ * Copia legacy_access_codes (ver 001) a la tabla actual. Acepta las dos
+ * variantes que existieron en producción:
+ * - server.js: codigo, nombre, telefono, session_id, fecha_compra,
+ *   fecha_expiracion, activo, usado, fecha_primer_uso, numero_usos,
+ *   ultimo_acceso, monto, moneda
+ * - webhook.js / generar-codigo-manual.js: code, status, expires_at,
+ *   stripe_session_id, stripe_event_id, login_count, last_login, amount_paid
+ *
+ * Se conserva el id original para no romper referencias (access_code_id)
+ * y la tabla heredada no se borra.
+ */
+
+const { logger } = require('../../utils/logger');
+
+const LEGACY_TABLE = 'legacy_access_codes';
+const DEFAULT_PRODUCT_NAME = 'SkillsCert - Generador EC0301';
+
+/**
+ * Primer valor definido entre varias columnas posibles
+ */
+function pick(row, ...columns) {
+  for (const column of columns) {
+    if (row[column] !== undefined && row[column] !== null) return row[column];
+  }
+  return null;
+}
+
+function parseJson(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return { raw: value };
+  }
+}
+
+function legacyStatus(row) {
+  if (row.status) return row.status;
+  if (row.activo === undefined || row.activo === null) return 'active';
+  return Number(row.activo) ? 'active' : 'inactive';
+}
+
+function legacyAmount(row) {
+  const amount = pick(row, 'amount', 'monto');
+  if (amount !== null) return Number(amount);
+  // generar-codigo-manual.js guardaba centavos
+  return row.amount_paid !== undefined && row.amount_paid !== null
+    ? Number(row.amount_paid) / 100
+    : null;
+}
+
+function toAccessCode(row) {
+  const email = pick(row, 'email');
+  const stripeSessionId = pick(row, 'stripe_session_id', 'session_id');
+  // En el esquema heredado `usado` solo indicaba que ya hubo un primer
+  // inicio de sesión; aquí usedAt invalida el código, así que no se copia.
+  const firstUsedAt = pick(row, 'fecha_primer_uso');
+
+  return {
+    id: row.id,
+    code: pick(row, 'code', 'codigo'),
+    userId: pick(row, 'user_id') || (email ? email.toLowerCase().trim() : null),
+    email: email ? email.toLowerCase().trim() : null,
+    name: pick(row, 'name', 'nombre'),
+    phone: pick(row, 'phone', 'telefono'),
+    deliveryMethod: pick(row, 'delivery_method') || 'email',
+    productId: pick(row, 'product_id'),
+    productName: pick(row, 'product_name') || DEFAULT_PRODUCT_NAME,
+    paymentId: pick(row, 'payment_id') || stripeSessionId,
+    stripeSessionId,
+    stripeEventId: pick(row, 'stripe_event_id'),
+    amount: legacyAmount(row),
+    currency: pick(row, 'currency', 'moneda') || 'mxn',
+    status: legacyStatus(row),
+    usedAt: pick(row, 'used_at'),
+    loginCount: Number(pick(row, 'login_count', 'numero_usos') || 0),
+    lastLogin: pick(row, 'last_login', 'ultimo_acceso'),
+    createdAt: pick(row, 'created_at', 'fecha_compra') || new Date(),
+    expiresAt: pick(row, 'expires_at', 'fecha_expiracion'),
+    metadata: {
+      ...parseJson(row.metadata),
+      legacy: true,
+      ...(firstUsedAt ? { firstUsedAt } : {}),
+    },
+  };
+}
+
+async function up(db) {
+  if (!(await db.hasTable(LEGACY_TABLE))) return;
+
+  const rows = await db.selectRaw(LEGACY_TABLE);
+  let converted = 0;
+  const skipped = [];
+
+  for (const row of rows) {
+    const accessCode = toAccessCode(row);
+
+    if (!accessCode.code || !accessCode.email) {
+      skipped.push({ id: row.id, reason: 'missing code or email' });
+      continue;
+    }
+
+    try {
+      await db.insert('access_codes', accessCode);
+      converted += 1;
+    } catch (error) {
+      if (error.code !== 'DUPLICATE_KEY') throw error;
+      skipped.push({ id: row.id, reason: 'duplicate code' });
+    }
+  }
+
+  logger.info('Legacy access codes converted', { converted, skipped: skipped.length });
+
+  if (skipped.length > 0) {
+    logger.warn('Legacy access codes skipped', { skipped });
+  }
+}
+
+async function down(db) {
+  if (!(await db.hasTable(LEGACY_TABLE))) return;
+
+  const rows = await db.selectRaw(LEGACY_TABLE);
+  const ids = rows.map((row) => row.id);
+
+  if (ids.length > 0) {
+    await db.delete('access_codes', { id: { $in: ids } });
+  }
+}
+
+module.exports = { up, down };
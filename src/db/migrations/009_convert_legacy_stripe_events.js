@@ -0,0 +1,77 @@
+/**
+ * 009 - Convertir la bitácora heredada de eventos de Stripe
+ *
+ * webhook.js guardaba event_id, event_type, session_id, customer_email,
+ * amount_total, currency, payment_status, raw_data y processed. Se copian
+ * a stripe_events para que los eventos ya procesados no se repitan.
+ */
+
+const LEGACY_TABLE = 'legacy_stripe_events';
+
+function pick(row, ...columns) {
+  for (const column of columns) {
+    if (row[column] !== undefined && row[column] !== null) return row[column];
+  }
+  return null;
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return { raw: value };
+  }
+}
+
+function toStripeEvent(row) {
+  const processed = row.status
+    ? row.status === 'processed'
+    : Boolean(Number(pick(row, 'processed') || 0));
+  const receivedAt = pick(row, 'received_at', 'created_at') || new Date();
+
+  return {
+    eventId: pick(row, 'event_id'),
+    eventType: pick(row, 'event_type', 'type'),
+    objectId: pick(row, 'object_id', 'session_id'),
+    customerEmail: pick(row, 'customer_email'),
+    amount: pick(row, 'amount', 'amount_total'),
+    currency: pick(row, 'currency'),
+    status: processed ? 'processed' : 'received',
+    attempts: Number(pick(row, 'attempts') || (processed ? 1 : 0)),
+    lastError: pick(row, 'last_error'),
+    payload: parseJson(pick(row, 'payload', 'raw_data')),
+    receivedAt,
+    processedAt: pick(row, 'processed_at') || (processed ? receivedAt : null),
+  };
+}
+
+async function up(db) {
+  if (!(await db.hasTable(LEGACY_TABLE))) return;
+
+  for (const row of await db.selectRaw(LEGACY_TABLE)) {
+    const event = toStripeEvent(row);
+    if (!event.eventId) continue;
+
+    try {
+      await db.insert('stripe_events', event);
+    } catch (error) {
+      if (error.code !== 'DUPLICATE_KEY') throw error;
+    }
+  }
+}
+
+async function down(db) {
+  if (!(await db.hasTable(LEGACY_TABLE))) return;
+
+  const eventIds = (await db.selectRaw(LEGACY_TABLE))
+    .map((row) => row.event_id)
+    .filter(Boolean);
+
+  if (eventIds.length > 0) {
+    await db.delete('stripe_events', { eventId: { $in: eventIds } });
+  }
+}
+
+module.exports = { up, down };
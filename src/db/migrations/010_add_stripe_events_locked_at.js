@@ -0,0 +1,16 @@
+/**
+ * 010 - stripe_events.locked_at
+ *
+ * Momento en que un proceso reclamó el evento; permite detectar eventos
+ * que quedaron en 'processing' porque el servidor se cayó a la mitad.
+ */
+
+async function up(db) {
+  await db.addColumn('stripe_events', 'lockedAt', 'datetime');
+}
+
+async function down(db) {
+  await db.dropColumn('stripe_events', 'lockedAt');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+/**
+ * 011 - Tablas del scheduler: job_locks (candados) y job_runs (ejecuciones)
+ */
+
+async function up(db) {
+  await db.createTable(
+    'job_locks',
+    {
+      id: 'id',
+      name: 'string',
+      owner: 'string',
+      acquiredAt: 'datetime',
+      lockedUntil: 'datetime',
+    },
+    { unique: ['name'] }
+  );
+
+  await db.createTable(
+    'job_runs',
+    {
+      id: 'id',
+      jobName: 'string',
+      instanceId: 'string',
+      status: 'string',
+      startedAt: 'datetime',
+      finishedAt: 'datetime',
+      durationMs: 'integer',
+      result: 'json',
+      error: 'text',
+    },
+    { indexes: [['jobName', 'startedAt']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('job_runs');
+  await db.dropTable('job_locks');
+}
+
+module.exports = { up, down };
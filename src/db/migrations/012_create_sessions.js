@@ -0,0 +1,32 @@
+/**
+ * 012 - Tabla sessions: sesiones emitidas al iniciar sesión con un código
+ *
+ * El token firmado lleva el sessionId; revocar la fila invalida el token
+ * aunque su firma y su expiración sigan siendo válidas.
+ */
+
+async function up(db) {
+  await db.createTable(
+    'sessions',
+    {
+      id: 'id',
+      sessionId: 'string',
+      accessCode: 'string',
+      email: 'string',
+      ipAddress: 'string',
+      userAgent: 'text',
+      issuedAt: 'datetime',
+      lastSeenAt: 'datetime',
+      expiresAt: 'datetime',
+      revokedAt: 'datetime',
+      revokedReason: 'string',
+    },
+    { unique: ['sessionId'], indexes: [['accessCode'], ['expiresAt']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('sessions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+/**
+ * 013 - Tabla login_attempts: contadores de intentos fallidos de login
+ *
+ * Una fila por clave (`email:<correo>` o `ip:<dirección>`), ver
+ * src/services/LoginThrottleService.js.
+ */
+
+async function up(db) {
+  await db.createTable(
+    'login_attempts',
+    {
+      id: 'id',
+      throttleKey: 'string',
+      failures: 'integer',
+      lockouts: 'integer',
+      windowStartedAt: 'datetime',
+      lastFailureAt: 'datetime',
+      lockedUntil: 'datetime',
+    },
+    { unique: ['throttleKey'], indexes: [['lastFailureAt']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('login_attempts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+/**
+ * 014 - Dispositivos por código de acceso
+ *
+ * sessions.device_id: huella del dispositivo (id del navegador + user agent)
+ * sessions.device_name: descripción legible ("Chrome en Windows")
+ * access_codes.max_devices: límite propio del código (null = el de la config)
+ */
+
+async function up(db) {
+  await db.addColumn('sessions', 'deviceId', 'string');
+  await db.addColumn('sessions', 'deviceName', 'string');
+  await db.addColumn('access_codes', 'maxDevices', 'integer');
+}
+
+async function down(db) {
+  await db.dropColumn('access_codes', 'maxDevices');
+  await db.dropColumn('sessions', 'deviceName');
+  await db.dropColumn('sessions', 'deviceId');
+}
+
+module.exports = { up, down };
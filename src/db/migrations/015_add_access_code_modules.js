@@ -0,0 +1,16 @@
+/**
+ * 015 - access_codes.modules: módulos que habilita el producto comprado
+ *
+ * Los códigos existentes quedan con null (acceso a todos los módulos,
+ * como hasta ahora).
+ */
+
+async function up(db) {
+  await db.addColumn('access_codes', 'modules', 'json');
+}
+
+async function down(db) {
+  await db.dropColumn('access_codes', 'modules');
+}
+
+module.exports = { up, down };
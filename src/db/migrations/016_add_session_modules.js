@@ -0,0 +1,17 @@
+/**
+ * 016 - sessions.modules: copia de los módulos del código al emitir la sesión
+ *
+ * validate-session y el guardia de páginas los leen de la sesión sin volver
+ * a consultar el código; al cambiar los módulos de un código se actualizan
+ * también sus sesiones abiertas.
+ */
+
+async function up(db) {
+  await db.addColumn('sessions', 'modules', 'json');
+}
+
+async function down(db) {
+  await db.dropColumn('sessions', 'modules');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,64 @@
+/**
+ * 017 - Cupones de descuento
+ *
+ * - coupons: definición de cada cupón (ver src/services/CouponService.js)
+ * - coupon_redemptions: una fila por compra pagada con cupón
+ * - access_codes / payments: cupón y descuento aplicados a la compra
+ */
+
+async function up(db) {
+  await db.createTable(
+    'coupons',
+    {
+      id: 'id',
+      code: 'string',
+      description: 'string',
+      discountType: 'string',
+      value: 'integer',
+      currency: 'string',
+      productIds: 'json',
+      maxRedemptions: 'integer',
+      maxPerEmail: 'integer',
+      redemptionCount: 'integer',
+      startsAt: 'datetime',
+      expiresAt: 'datetime',
+      active: 'boolean',
+      stripeCouponId: 'string',
+      stripePromotionCodeId: 'string',
+      createdAt: 'datetime',
+      updatedAt: 'datetime',
+    },
+    { unique: ['code'] }
+  );
+
+  await db.createTable(
+    'coupon_redemptions',
+    {
+      id: 'id',
+      couponCode: 'string',
+      email: 'string',
+      sessionId: 'string',
+      productId: 'string',
+      discountAmount: 'integer',
+      currency: 'string',
+      redeemedAt: 'datetime',
+    },
+    { unique: ['sessionId'], indexes: [['couponCode', 'email'], ['redeemedAt']] }
+  );
+
+  await db.addColumn('access_codes', 'couponCode', 'string');
+  await db.addColumn('access_codes', 'discountAmount', 'decimal');
+  await db.addColumn('payments', 'couponCode', 'string');
+  await db.addColumn('payments', 'discountAmount', 'integer');
+}
+
+async function down(db) {
+  await db.dropColumn('payments', 'discountAmount');
+  await db.dropColumn('payments', 'couponCode');
+  await db.dropColumn('access_codes', 'discountAmount');
+  await db.dropColumn('access_codes', 'couponCode');
+  await db.dropTable('coupon_redemptions');
+  await db.dropTable('coupons');
+}
+
+module.exports = { up, down };
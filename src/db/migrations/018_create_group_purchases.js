@@ -0,0 +1,42 @@
+/**
+ * 018 - Compras de grupo: un pago que genera varios códigos (lugares)
+ *
+ * - group_purchases: la compra y el token con que el comprador administra
+ *   sus lugares (ver src/services/GroupPurchaseService.js)
+ * - access_codes: compra de grupo, número de lugar y fecha de asignación
+ */
+
+async function up(db) {
+  await db.createTable(
+    'group_purchases',
+    {
+      id: 'id',
+      purchaseId: 'string',
+      sessionId: 'string',
+      buyerEmail: 'string',
+      buyerName: 'string',
+      productId: 'string',
+      productName: 'string',
+      quantity: 'integer',
+      amount: 'integer',
+      currency: 'string',
+      managementTokenHash: 'string',
+      createdAt: 'datetime',
+      completedAt: 'datetime',
+    },
+    { unique: ['purchaseId', 'sessionId'], indexes: [['buyerEmail']] }
+  );
+
+  await db.addColumn('access_codes', 'groupPurchaseId', 'string');
+  await db.addColumn('access_codes', 'seatNumber', 'integer');
+  await db.addColumn('access_codes', 'assignedAt', 'datetime');
+}
+
+async function down(db) {
+  await db.dropColumn('access_codes', 'assignedAt');
+  await db.dropColumn('access_codes', 'seatNumber');
+  await db.dropColumn('access_codes', 'groupPurchaseId');
+  await db.dropTable('group_purchases');
+}
+
+module.exports = { up, down };
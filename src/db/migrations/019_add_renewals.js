@@ -0,0 +1,36 @@
+/**
+ * 019 - Renovaciones de acceso
+ *
+ * - access_codes.lastRenewalSessionId: última sesión de checkout que
+ *   extendió el código (evita extenderlo dos veces con el mismo pago)
+ * - access_code_history.previousExpiresAt: vigencia anterior en los
+ *   registros de extensión
+ * - renewal_reminders: recordatorios de vencimiento ya enviados
+ */
+
+async function up(db) {
+  await db.addColumn('access_codes', 'lastRenewalSessionId', 'string');
+  await db.addColumn('access_code_history', 'previousExpiresAt', 'datetime');
+
+  await db.createTable(
+    'renewal_reminders',
+    {
+      id: 'id',
+      reminderKey: 'string',
+      accessCode: 'string',
+      daysBefore: 'integer',
+      expiresAt: 'datetime',
+      sentAt: 'datetime',
+      deliveries: 'json',
+    },
+    { unique: ['reminderKey'], indexes: [['accessCode']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('renewal_reminders');
+  await db.dropColumn('access_code_history', 'previousExpiresAt');
+  await db.dropColumn('access_codes', 'lastRenewalSessionId');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+/**
+ * 020 - Suscripciones
+ *
+ * Los códigos de productos de suscripción guardan la suscripción y el
+ * cliente de Stripe: las facturas pagadas extienden la vigencia y la
+ * cancelación suspende el código
+ */
+
+async function up(db) {
+  await db.addColumn('access_codes', 'stripeSubscriptionId', 'string');
+  await db.addColumn('access_codes', 'stripeCustomerId', 'string');
+  await db.addColumn('access_codes', 'subscriptionStatus', 'string');
+}
+
+async function down(db) {
+  await db.dropColumn('access_codes', 'subscriptionStatus');
+  await db.dropColumn('access_codes', 'stripeCustomerId');
+  await db.dropColumn('access_codes', 'stripeSubscriptionId');
+}
+
+module.exports = { up, down };
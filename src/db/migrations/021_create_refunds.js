@@ -0,0 +1,46 @@
+/**
+ * 021 - Reembolsos
+ *
+ * - refunds: un registro por reembolso de Stripe (admin o dashboard) y lo
+ *   que se hizo con el código de acceso
+ * - access_codes.stripePaymentIntentId: pago que generó el código, para
+ *   encontrarlo desde charge.refunded
+ * - payments.refundedAmount / refundedAt: total reembolsado de un pago
+ *   diferido (centavos)
+ */
+
+async function up(db) {
+  await db.createTable(
+    'refunds',
+    {
+      id: 'id',
+      refundId: 'string',
+      paymentIntentId: 'string',
+      chargeId: 'string',
+      accessCodes: 'json',
+      amount: 'integer',
+      currency: 'string',
+      chargeAmount: 'integer',
+      reason: 'string',
+      status: 'string',
+      source: 'string',
+      accessAction: 'string',
+      requestedBy: 'string',
+      createdAt: 'datetime',
+    },
+    { unique: ['refundId'], indexes: [['paymentIntentId']] }
+  );
+
+  await db.addColumn('access_codes', 'stripePaymentIntentId', 'string');
+  await db.addColumn('payments', 'refundedAmount', 'integer');
+  await db.addColumn('payments', 'refundedAt', 'datetime');
+}
+
+async function down(db) {
+  await db.dropColumn('payments', 'refundedAt');
+  await db.dropColumn('payments', 'refundedAmount');
+  await db.dropColumn('access_codes', 'stripePaymentIntentId');
+  await db.dropTable('refunds');
+}
+
+module.exports = { up, down };
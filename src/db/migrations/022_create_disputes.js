@@ -0,0 +1,40 @@
+/**
+ * 022 - Disputas (contracargos) de Stripe
+ *
+ * - disputes: una fila por disputa (dp_...), los códigos suspendidos con
+ *   su estado anterior, la evidencia armada y el resultado
+ *
+ * Los documentos `disputes` de paymentController siguen en
+ * payment_documents; no tienen relación con Stripe.
+ */
+
+async function up(db) {
+  await db.createTable(
+    'disputes',
+    {
+      id: 'id',
+      disputeId: 'string',
+      chargeId: 'string',
+      paymentIntentId: 'string',
+      amount: 'integer',
+      currency: 'string',
+      reason: 'string',
+      status: 'string',
+      evidenceDueBy: 'datetime',
+      accessCodes: 'json',
+      evidence: 'json',
+      evidenceSubmittedAt: 'datetime',
+      outcome: 'string',
+      createdAt: 'datetime',
+      updatedAt: 'datetime',
+      closedAt: 'datetime',
+    },
+    { unique: ['disputeId'], indexes: [['paymentIntentId'], ['status']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('disputes');
+}
+
+module.exports = { up, down };
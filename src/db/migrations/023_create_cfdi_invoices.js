@@ -0,0 +1,47 @@
+/**
+ * 023 - Facturas CFDI 4.0
+ *
+ * - cfdi_invoices: una factura por checkout con datos fiscales, su XML
+ *   timbrado y el estado del timbrado y del envío al comprador
+ */
+
+async function up(db) {
+  await db.createTable(
+    'cfdi_invoices',
+    {
+      id: 'id',
+      invoiceId: 'string',
+      sessionId: 'string',
+      paymentIntentId: 'string',
+      accessCode: 'string',
+      email: 'string',
+      name: 'string',
+      serie: 'string',
+      folio: 'string',
+      receptor: 'json',
+      description: 'string',
+      subtotal: 'integer',
+      discount: 'integer',
+      iva: 'integer',
+      total: 'integer',
+      currency: 'string',
+      formaPago: 'string',
+      status: 'string',
+      provider: 'string',
+      uuid: 'string',
+      xml: 'text',
+      attempts: 'integer',
+      lastError: 'text',
+      createdAt: 'datetime',
+      stampedAt: 'datetime',
+      emailedAt: 'datetime',
+    },
+    { unique: ['invoiceId', 'sessionId'], indexes: [['status']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('cfdi_invoices');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+/**
+ * 024 - Recibos de pago
+ *
+ * - receipts: un recibo por pago completado (checkout o cobro de
+ *   suscripción) con los datos que se imprimen en el PDF
+ */
+
+async function up(db) {
+  await db.createTable(
+    'receipts',
+    {
+      id: 'id',
+      receiptId: 'string',
+      reference: 'string',
+      paymentIntentId: 'string',
+      email: 'string',
+      name: 'string',
+      productId: 'string',
+      productName: 'string',
+      quantity: 'integer',
+      amount: 'integer',
+      discountAmount: 'integer',
+      couponCode: 'string',
+      currency: 'string',
+      paymentMethod: 'string',
+      accessCode: 'string',
+      expiresAt: 'datetime',
+      createdAt: 'datetime',
+      emailedAt: 'datetime',
+    },
+    { unique: ['receiptId', 'reference'], indexes: [['email']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('receipts');
+}
+
+module.exports = { up, down };
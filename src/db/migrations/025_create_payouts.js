@@ -0,0 +1,63 @@
+/**
+ * 025 - Depósitos (payouts) de Stripe
+ *
+ * - payouts: un depósito de Stripe a la cuenta bancaria con sus totales
+ * - payout_transactions: los movimientos de saldo (cobros, reembolsos,
+ *   ajustes) que incluye cada depósito, con la comisión y el neto de cada
+ *   uno y la compra a la que corresponden
+ *
+ * Los documentos `settlements` de paymentController siguen en
+ * payment_documents; no tienen relación con Stripe.
+ */
+
+async function up(db) {
+  await db.createTable(
+    'payouts',
+    {
+      id: 'id',
+      payoutId: 'string',
+      amount: 'integer',
+      currency: 'string',
+      status: 'string',
+      automatic: 'boolean',
+      arrivalDate: 'datetime',
+      grossAmount: 'integer',
+      feeAmount: 'integer',
+      netAmount: 'integer',
+      transactionCount: 'integer',
+      failureMessage: 'string',
+      createdAt: 'datetime',
+      syncedAt: 'datetime',
+    },
+    { unique: ['payoutId'], indexes: [['arrivalDate']] }
+  );
+
+  await db.createTable(
+    'payout_transactions',
+    {
+      id: 'id',
+      balanceTransactionId: 'string',
+      payoutId: 'string',
+      type: 'string',
+      sourceId: 'string',
+      paymentIntentId: 'string',
+      accessCode: 'string',
+      email: 'string',
+      productName: 'string',
+      amount: 'integer',
+      fee: 'integer',
+      net: 'integer',
+      currency: 'string',
+      description: 'string',
+      createdAt: 'datetime',
+    },
+    { unique: ['balanceTransactionId'], indexes: [['payoutId'], ['paymentIntentId']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('payout_transactions');
+  await db.dropTable('payouts');
+}
+
+module.exports = { up, down };
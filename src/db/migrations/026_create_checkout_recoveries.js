@@ -0,0 +1,60 @@
+/**
+ * 026 - Recuperación de checkouts abandonados
+ *
+ * - checkout_recoveries: un checkout de Stripe que venció sin pagarse, con
+ *   lo necesario para crear uno nuevo y el resultado de la recuperación
+ * - notification_opt_outs: emails y teléfonos que pidieron no recibir
+ *   recordatorios de compra
+ */
+
+async function up(db) {
+  await db.createTable(
+    'checkout_recoveries',
+    {
+      id: 'id',
+      sessionId: 'string',
+      email: 'string',
+      name: 'string',
+      phone: 'string',
+      deliveryMethod: 'string',
+      productId: 'string',
+      productName: 'string',
+      quantity: 'integer',
+      amount: 'integer',
+      currency: 'string',
+      paymentMethodTypes: 'json',
+      metadata: 'json',
+      status: 'string',
+      reason: 'string',
+      sessionCreatedAt: 'datetime',
+      expiredAt: 'datetime',
+      recoverySessionId: 'string',
+      recoveryUrl: 'text',
+      deliveries: 'json',
+      sentAt: 'datetime',
+      recoveredAt: 'datetime',
+      updatedAt: 'datetime',
+    },
+    { unique: ['sessionId'], indexes: [['status'], ['email'], ['recoverySessionId']] }
+  );
+
+  await db.createTable(
+    'notification_opt_outs',
+    {
+      id: 'id',
+      optOutKey: 'string',
+      channel: 'string',
+      destination: 'string',
+      source: 'string',
+      createdAt: 'datetime',
+    },
+    { unique: ['optOutKey'] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('notification_opt_outs');
+  await db.dropTable('checkout_recoveries');
+}
+
+module.exports = { up, down };
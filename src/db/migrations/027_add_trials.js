@@ -0,0 +1,39 @@
+/**
+ * 027 - Pruebas gratis
+ *
+ * - access_codes.trial: código de prueba (sin pago); deja de serlo al
+ *   comprar el acceso con el mismo código (upgradedAt)
+ * - access_codes.flags / sessions.flags: restricciones del código que
+ *   aplica el navegador (p. ej. marca de agua); la sesión guarda una copia
+ *   como con los módulos
+ * - trial_claims: un registro por email y por teléfono que ya pidió su
+ *   prueba (una sola prueba por persona)
+ */
+
+async function up(db) {
+  await db.addColumn('access_codes', 'trial', 'boolean');
+  await db.addColumn('access_codes', 'flags', 'json');
+  await db.addColumn('access_codes', 'upgradedAt', 'datetime');
+  await db.addColumn('sessions', 'flags', 'json');
+
+  await db.createTable(
+    'trial_claims',
+    {
+      id: 'id',
+      claimKey: 'string',
+      accessCode: 'string',
+      createdAt: 'datetime',
+    },
+    { unique: ['claimKey'], indexes: [['accessCode']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('trial_claims');
+  await db.dropColumn('sessions', 'flags');
+  await db.dropColumn('access_codes', 'upgradedAt');
+  await db.dropColumn('access_codes', 'flags');
+  await db.dropColumn('access_codes', 'trial');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+/**
+ * 028 - Reservas de cupones
+ *
+ * - coupons.reservedCount: checkouts creados con el cupón que aún no se
+ *   pagan ni se liberan; cuentan para maxRedemptions
+ * - coupon_reservations: una fila por checkout con cupón (reserved →
+ *   redeemed al pagarse, released si vence o falla)
+ * - coupon_redemptions.overLimit: uso pagado sin reserva cuando el cupón
+ *   ya no tenía usos disponibles
+ */
+
+async function up(db) {
+  await db.addColumn('coupons', 'reservedCount', 'integer');
+  await db.addColumn('coupon_redemptions', 'overLimit', 'boolean');
+
+  await db.createTable(
+    'coupon_reservations',
+    {
+      id: 'id',
+      reservationId: 'string',
+      couponCode: 'string',
+      email: 'string',
+      status: 'string',
+      expiresAt: 'datetime',
+      createdAt: 'datetime',
+      updatedAt: 'datetime',
+    },
+    { unique: ['reservationId'], indexes: [['couponCode', 'email', 'status'], ['status', 'expiresAt']] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('coupon_reservations');
+  await db.dropColumn('coupon_redemptions', 'overLimit');
+  await db.dropColumn('coupons', 'reservedCount');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+/**
+ * 029 - Renovaciones aplicadas
+ *
+ * code_renewals: una fila por sesión de checkout que extendió un código.
+ * access_codes.lastRenewalSessionId solo recordaba la última, así que un
+ * evento repetido de una renovación anterior volvía a extender el código.
+ * Se copian las renovaciones ya registradas en lastRenewalSessionId.
+ */
+
+async function up(db) {
+  await db.createTable(
+    'code_renewals',
+    {
+      id: 'id',
+      renewalSessionId: 'string',
+      accessCode: 'string',
+      days: 'integer',
+      previousExpiresAt: 'datetime',
+      expiresAt: 'datetime',
+      createdAt: 'datetime',
+    },
+    { unique: ['renewalSessionId'], indexes: [['accessCode']] }
+  );
+
+  const renewed = await db.find('access_codes', { lastRenewalSessionId: { $ne: null } });
+
+  for (const accessCode of renewed) {
+    await db.insert('code_renewals', {
+      renewalSessionId: accessCode.lastRenewalSessionId,
+      accessCode: accessCode.code,
+      days: null,
+      previousExpiresAt: null,
+      expiresAt: accessCode.expiresAt,
+      createdAt: new Date(),
+    });
+  }
+}
+
+async function down(db) {
+  await db.dropTable('code_renewals');
+}
+
+module.exports = { up, down };
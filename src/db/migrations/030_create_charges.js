@@ -0,0 +1,46 @@
+/**
+ * 030 - Cobros
+ *
+ * charges: un registro por Payment Intent cobrado (compra, renovación o
+ * factura de suscripción) con el código o la compra de grupo que pagó y
+ * el periodo de acceso que cubre. Los reembolsos y las disputas
+ * encuentran aquí los códigos de cualquier cobro, no solo los del
+ * Payment Intent con el que se generó el código, y el monto reembolsado
+ * de cada cobro queda en el mismo registro.
+ */
+
+async function up(db) {
+  await db.createTable(
+    'charges',
+    {
+      id: 'id',
+      paymentIntentId: 'string',
+      chargeId: 'string',
+      kind: 'string',
+      sessionId: 'string',
+      invoiceId: 'string',
+      accessCode: 'string',
+      groupPurchaseId: 'string',
+      subscriptionId: 'string',
+      amount: 'integer',
+      currency: 'string',
+      periodStart: 'datetime',
+      periodEnd: 'datetime',
+      status: 'string',
+      refundedAmount: 'integer',
+      refundedAt: 'datetime',
+      createdAt: 'datetime',
+      updatedAt: 'datetime',
+    },
+    {
+      unique: ['paymentIntentId'],
+      indexes: [['accessCode'], ['groupPurchaseId'], ['subscriptionId']],
+    }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('charges');
+}
+
+module.exports = { up, down };
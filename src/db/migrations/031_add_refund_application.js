@@ -0,0 +1,23 @@
+/**
+ * 031 - Aplicación de reembolsos
+ *
+ * - refunds.appliedAt: el reembolso ya se aplicó al acceso y al registro
+ *   de cobros. Mientras es null, un webhook repetido vuelve a aplicarlo
+ * - refunds.applyingAt: una instancia lo está aplicando (se libera si
+ *   falla; vence después de unos minutos si el proceso se detuvo)
+ *
+ * Los reembolsos anteriores ya se aplicaron al registrarse.
+ */
+
+async function up(db) {
+  await db.addColumn('refunds', 'appliedAt', 'datetime');
+  await db.addColumn('refunds', 'applyingAt', 'datetime');
+  await db.update('refunds', { appliedAt: null }, { appliedAt: new Date() });
+}
+
+async function down(db) {
+  await db.dropColumn('refunds', 'applyingAt');
+  await db.dropColumn('refunds', 'appliedAt');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+/**
+ * 032 - Suspensión de códigos por disputa
+ *
+ * - disputes.codesSuspendedAt: los códigos del pago se suspendieron, sus
+ *   sesiones se revocaron y se armó la evidencia. Mientras es null, un
+ *   webhook repetido de la disputa abierta vuelve a hacerlo
+ *
+ * Las disputas anteriores ya se procesaron al registrarse.
+ */
+
+async function up(db) {
+  await db.addColumn('disputes', 'codesSuspendedAt', 'datetime');
+  await db.update('disputes', { codesSuspendedAt: null }, { codesSuspendedAt: new Date() });
+}
+
+async function down(db) {
+  await db.dropColumn('disputes', 'codesSuspendedAt');
+}
+
+module.exports = { up, down };
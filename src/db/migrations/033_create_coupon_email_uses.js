@@ -0,0 +1,30 @@
+/**
+ * 033 - Usos de cupón por email
+ *
+ * coupon_email_uses: un contador por cupón y email (reservas pendientes
+ * más usos reservados) que CouponService.reserve incrementa con
+ * compare-and-set para respetar maxPerEmail con checkouts simultáneos.
+ * La fila se crea en la primera reserva de cada email contando sus usos
+ * y reservas anteriores.
+ */
+
+async function up(db) {
+  await db.createTable(
+    'coupon_email_uses',
+    {
+      id: 'id',
+      usageKey: 'string',
+      couponCode: 'string',
+      email: 'string',
+      uses: 'integer',
+      updatedAt: 'datetime',
+    },
+    { unique: ['usageKey'] }
+  );
+}
+
+async function down(db) {
+  await db.dropTable('coupon_email_uses');
+}
+
+module.exports = { up, down };
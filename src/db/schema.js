@@ -0,0 +1,677 @@
+/**
+ * ESQUEMA DE TABLAS
+ *
+ * Describe los campos de cada tabla y su tipo lógico. Los adaptadores SQL
+ * lo usan para convertir valores (fechas, booleanos, JSON) y nombres de
+ * columna; el adaptador en memoria, para respetar las claves únicas.
+ *
+ * Tipos: id, string, text, integer, decimal, boolean, datetime, json
+ *
+ * Las tablas se crean y modifican con las migraciones de src/db/migrations;
+ * cualquier cambio aquí necesita su migración correspondiente.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const TABLES = {
+  access_codes: {
+    unique: ['code'],
+    columns: {
+      id: 'id',
+      code: 'string',
+      userId: 'string',
+      email: 'string',
+      name: 'string',
+      phone: 'string',
+      deliveryMethod: 'string',
+      productId: 'string',
+      productName: 'string',
+      paymentId: 'string',
+      stripeSessionId: 'string',
+      stripeEventId: 'string',
+      amount: 'decimal',
+      currency: 'string',
+      status: 'string',
+      usedAt: 'datetime',
+      loginCount: 'integer',
+      lastLogin: 'datetime',
+      createdAt: 'datetime',
+      expiresAt: 'datetime',
+      metadata: 'json',
+      maxDevices: 'integer', // null = MAX_DEVICES_PER_CODE
+      modules: 'json', // Módulos del producto comprado (src/catalog/products.js)
+      couponCode: 'string',
+      discountAmount: 'decimal', // Pesos, como amount
+      groupPurchaseId: 'string', // Lugar de una compra de grupo
+      seatNumber: 'integer',
+      assignedAt: 'datetime', // El comprador lo asignó a una persona
+      lastRenewalSessionId: 'string', // Checkout de la última renovación aplicada
+      stripeSubscriptionId: 'string', // Productos de suscripción
+      stripeCustomerId: 'string',
+      subscriptionStatus: 'string', // active | past_due | canceled
+      stripePaymentIntentId: 'string', // Pago que generó el código (reembolsos)
+      trial: 'boolean', // Prueba gratis sin pagar (src/services/TrialService.js)
+      flags: 'json', // Restricciones para el navegador: { trial, watermark }
+      upgradedAt: 'datetime', // La prueba se convirtió en acceso pagado
+    },
+  },
+
+  stripe_events: {
+    unique: ['eventId'],
+    columns: {
+      id: 'id',
+      eventId: 'string',
+      eventType: 'string',
+      objectId: 'string',
+      customerEmail: 'string',
+      amount: 'integer', // Centavos
+      currency: 'string',
+      status: 'string', // received | processing | processed | failed
+      attempts: 'integer',
+      lastError: 'text',
+      payload: 'json',
+      receivedAt: 'datetime',
+      lockedAt: 'datetime',
+      processedAt: 'datetime',
+    },
+  },
+
+  payments: {
+    unique: [],
+    columns: {
+      id: 'id',
+      sessionId: 'string',
+      paymentIntentId: 'string',
+      customerEmail: 'string',
+      customerName: 'string',
+      amount: 'integer', // Centavos, como los reporta Stripe
+      currency: 'string',
+      paymentMethod: 'string',
+      productName: 'string',
+      priceId: 'string',
+      status: 'string',
+      createdAt: 'datetime',
+      updatedAt: 'datetime',
+      paidAt: 'datetime',
+      expiresAt: 'datetime',
+      completedAt: 'datetime',
+      metadata: 'json',
+      orderCompleted: 'boolean',
+      accessCodeGenerated: 'boolean',
+      accessCode: 'string',
+      notificationsSent: 'json',
+      statusHistory: 'json',
+      couponCode: 'string',
+      discountAmount: 'integer', // Centavos
+      refundedAmount: 'integer', // Centavos
+      refundedAt: 'datetime',
+    },
+  },
+
+  email_logs: {
+    unique: [],
+    columns: {
+      id: 'id',
+      userId: 'string',
+      email: 'string',
+      accessCode: 'string',
+      status: 'string',
+      messageId: 'string',
+      errorMessage: 'text',
+      metadata: 'json',
+      timestamp: 'datetime',
+      statusUpdatedAt: 'datetime',
+    },
+  },
+
+  whatsapp_logs: {
+    unique: [],
+    columns: {
+      id: 'id',
+      userId: 'string',
+      phone: 'string',
+      accessCode: 'string',
+      status: 'string',
+      messageId: 'string',
+      errorMessage: 'text',
+      metadata: 'json',
+      timestamp: 'datetime',
+      statusUpdatedAt: 'datetime',
+    },
+  },
+
+  payment_history: {
+    unique: [],
+    columns: {
+      id: 'id',
+      eventType: 'string',
+      timestamp: 'datetime',
+      userId: 'string',
+      email: 'string',
+      amount: 'decimal',
+      currency: 'string',
+      stripePaymentId: 'string',
+      stripePriceId: 'string',
+      status: 'string',
+      metadata: 'json',
+      ipAddress: 'string',
+      userAgent: 'text',
+    },
+  },
+
+  error_history: {
+    unique: [],
+    columns: {
+      id: 'id',
+      eventType: 'string',
+      timestamp: 'datetime',
+      userId: 'string',
+      email: 'string',
+      errorType: 'string',
+      errorMessage: 'text',
+      errorCode: 'string',
+      stripePriceId: 'string',
+      metadata: 'json',
+      stack: 'text',
+      ipAddress: 'string',
+    },
+  },
+
+  access_code_history: {
+    unique: [],
+    columns: {
+      id: 'id',
+      eventType: 'string',
+      timestamp: 'datetime',
+      userId: 'string',
+      email: 'string',
+      accessCode: 'string',
+      expiresAt: 'datetime',
+      previousExpiresAt: 'datetime', // Solo en access_code_extended
+      productId: 'string',
+      paymentId: 'string',
+    },
+  },
+
+  // Documentos de paymentController (transactions, invoices, disputes, settlements)
+  payment_documents: {
+    unique: [],
+    columns: {
+      id: 'id',
+      collection: 'string',
+      documentId: 'string',
+      data: 'json',
+      createdAt: 'datetime',
+      updatedAt: 'datetime',
+    },
+  },
+
+  user_activity: {
+    unique: [],
+    columns: {
+      id: 'id',
+      email: 'string',
+      accessCode: 'string',
+      activityType: 'string',
+      description: 'text',
+      ipAddress: 'string',
+      userAgent: 'text',
+      timestamp: 'datetime',
+    },
+  },
+
+  // Sesiones emitidas por el login (src/services/SessionService.js)
+  sessions: {
+    unique: ['sessionId'],
+    columns: {
+      id: 'id',
+      sessionId: 'string',
+      accessCode: 'string',
+      email: 'string',
+      ipAddress: 'string',
+      userAgent: 'text',
+      deviceId: 'string', // Huella: id del navegador + user agent
+      deviceName: 'string',
+      modules: 'json', // Copia de access_codes.modules
+      flags: 'json', // Copia de access_codes.flags
+      issuedAt: 'datetime',
+      lastSeenAt: 'datetime',
+      expiresAt: 'datetime', // Vigencia del código de acceso
+      revokedAt: 'datetime',
+      revokedReason: 'string',
+    },
+  },
+
+  // Intentos fallidos de login (src/services/LoginThrottleService.js)
+  login_attempts: {
+    unique: ['throttleKey'],
+    columns: {
+      id: 'id',
+      throttleKey: 'string', // email:<correo> | ip:<dirección>
+      failures: 'integer', // Intentos de la ventana (se reservan antes de validar)
+      lockouts: 'integer',
+      windowStartedAt: 'datetime',
+      lastFailureAt: 'datetime',
+      lockedUntil: 'datetime',
+    },
+  },
+
+  // Cupones de descuento (src/services/CouponService.js)
+  coupons: {
+    unique: ['code'],
+    columns: {
+      id: 'id',
+      code: 'string',
+      description: 'string',
+      discountType: 'string', // percent | fixed
+      value: 'integer', // Porcentaje (1-100) o centavos
+      currency: 'string', // Solo para fixed
+      productIds: 'json', // null = todos los productos
+      maxRedemptions: 'integer', // null = sin límite
+      maxPerEmail: 'integer', // null = sin límite
+      redemptionCount: 'integer', // Compras pagadas
+      reservedCount: 'integer', // Checkouts sin pagar (coupon_reservations)
+      startsAt: 'datetime',
+      expiresAt: 'datetime',
+      active: 'boolean',
+      stripeCouponId: 'string',
+      stripePromotionCodeId: 'string',
+      createdAt: 'datetime',
+      updatedAt: 'datetime',
+    },
+  },
+
+  coupon_redemptions: {
+    unique: ['sessionId'],
+    columns: {
+      id: 'id',
+      couponCode: 'string',
+      email: 'string',
+      sessionId: 'string', // Sesión de Stripe Checkout
+      productId: 'string',
+      discountAmount: 'integer', // Centavos
+      currency: 'string',
+      redeemedAt: 'datetime',
+      overLimit: 'boolean', // Se pagó sin reserva con el cupón agotado
+    },
+  },
+
+  coupon_reservations: {
+    unique: ['reservationId'],
+    columns: {
+      id: 'id',
+      reservationId: 'string', // metadata.couponReservationId del checkout
+      couponCode: 'string',
+      email: 'string',
+      status: 'string', // reserved | redeemed | released
+      expiresAt: 'datetime', // null = retenida por un pago OXXO/SPEI pendiente
+      createdAt: 'datetime',
+      updatedAt: 'datetime',
+    },
+  },
+
+  coupon_email_uses: {
+    unique: ['usageKey'],
+    columns: {
+      id: 'id',
+      usageKey: 'string', // CUPON:email
+      couponCode: 'string',
+      email: 'string',
+      uses: 'integer', // Reservas pendientes más usos reservados, contra maxPerEmail
+      updatedAt: 'datetime',
+    },
+  },
+
+  // Compras de grupo (src/services/GroupPurchaseService.js)
+  group_purchases: {
+    unique: ['purchaseId', 'sessionId'],
+    columns: {
+      id: 'id',
+      purchaseId: 'string',
+      sessionId: 'string', // Sesión de Stripe Checkout
+      buyerEmail: 'string',
+      buyerName: 'string',
+      productId: 'string',
+      productName: 'string',
+      quantity: 'integer',
+      amount: 'integer', // Centavos, total de la compra
+      currency: 'string',
+      managementTokenHash: 'string', // SHA-256 del token del enlace de administración
+      createdAt: 'datetime',
+      completedAt: 'datetime', // Lugares generados y enlace enviado
+    },
+  },
+
+  // Recordatorios de vencimiento (src/services/RenewalService.js)
+  renewal_reminders: {
+    unique: ['reminderKey'],
+    columns: {
+      id: 'id',
+      reminderKey: 'string', // <código>:<días antes>:<vigencia>
+      accessCode: 'string',
+      daysBefore: 'integer',
+      expiresAt: 'datetime',
+      sentAt: 'datetime',
+      deliveries: 'json',
+    },
+  },
+
+  // Renovaciones aplicadas, una por checkout (src/services/AccessCodeservice.js)
+  code_renewals: {
+    unique: ['renewalSessionId'],
+    columns: {
+      id: 'id',
+      renewalSessionId: 'string', // Checkout que pagó la renovación
+      accessCode: 'string',
+      days: 'integer',
+      previousExpiresAt: 'datetime',
+      expiresAt: 'datetime',
+      createdAt: 'datetime',
+    },
+  },
+
+  // Cobros y el acceso que pagó cada uno (src/services/ChargeService.js)
+  charges: {
+    unique: ['paymentIntentId'],
+    columns: {
+      id: 'id',
+      paymentIntentId: 'string', // pi_... de Stripe
+      chargeId: 'string',
+      kind: 'string', // purchase | renewal
+      sessionId: 'string', // Checkout (compras y renovaciones)
+      invoiceId: 'string', // Factura (suscripciones)
+      accessCode: 'string',
+      groupPurchaseId: 'string',
+      subscriptionId: 'string',
+      amount: 'integer', // Centavos
+      currency: 'string',
+      periodStart: 'datetime', // Periodo de acceso que pagó el cobro
+      periodEnd: 'datetime', // (null = toda la vigencia del código)
+      status: 'string', // paid | partially_refunded | refunded
+      refundedAmount: 'integer', // Centavos
+      refundedAt: 'datetime',
+      createdAt: 'datetime',
+      updatedAt: 'datetime',
+    },
+  },
+
+  // Reembolsos de Stripe (src/services/RefundService.js)
+  refunds: {
+    unique: ['refundId'],
+    columns: {
+      id: 'id',
+      refundId: 'string', // re_... de Stripe
+      paymentIntentId: 'string',
+      chargeId: 'string',
+      accessCodes: 'json', // [{ code, action, expiresAt }]
+      amount: 'integer', // Centavos
+      currency: 'string',
+      chargeAmount: 'integer', // Centavos cobrados en el cargo original
+      reason: 'string',
+      status: 'string', // pending | succeeded | failed | canceled (de Stripe)
+      source: 'string', // admin | stripe (dashboard u otra integración)
+      accessAction: 'string', // deactivate | shorten | keep
+      requestedBy: 'string',
+      createdAt: 'datetime',
+      appliedAt: 'datetime', // Acciones sobre el acceso y registro de cobros terminados
+      applyingAt: 'datetime', // Aplicación en curso (se libera si falla)
+    },
+  },
+
+  // Disputas de Stripe (src/services/DisputeService.js)
+  disputes: {
+    unique: ['disputeId'],
+    columns: {
+      id: 'id',
+      disputeId: 'string', // dp_... de Stripe
+      chargeId: 'string',
+      paymentIntentId: 'string',
+      amount: 'integer', // Centavos
+      currency: 'string',
+      reason: 'string', // fraudulent, product_not_received, ... (de Stripe)
+      status: 'string', // needs_response, under_review, won, lost, ... (de Stripe)
+      evidenceDueBy: 'datetime',
+      accessCodes: 'json', // [{ code, previousStatus, suspended }] códigos del pago
+      codesSuspendedAt: 'datetime', // Códigos suspendidos, sesiones revocadas y evidencia armada
+      evidence: 'json', // Campos de evidencia de Stripe armados con los registros
+      evidenceSubmittedAt: 'datetime',
+      outcome: 'string', // restored | revoked
+      createdAt: 'datetime',
+      updatedAt: 'datetime',
+      closedAt: 'datetime',
+    },
+  },
+
+  // Facturas CFDI 4.0 (src/services/CfdiService.js)
+  cfdi_invoices: {
+    unique: ['invoiceId', 'sessionId'],
+    columns: {
+      id: 'id',
+      invoiceId: 'string',
+      sessionId: 'string', // Checkout facturado (una factura por checkout)
+      paymentIntentId: 'string',
+      accessCode: 'string', // Código o compra de grupo entregados
+      email: 'string',
+      name: 'string',
+      serie: 'string',
+      folio: 'string',
+      receptor: 'json', // { rfc, nombre, regimenFiscal, usoCfdi, codigoPostal }
+      description: 'string',
+      subtotal: 'integer', // Centavos sin IVA, antes del descuento
+      discount: 'integer', // Centavos sin IVA
+      iva: 'integer', // Centavos
+      total: 'integer', // Centavos cobrados
+      currency: 'string',
+      formaPago: 'string', // c_FormaPago del SAT
+      status: 'string', // pending | stamped | failed | rejected
+      provider: 'string', // PAC que timbró
+      uuid: 'string', // Folio fiscal
+      xml: 'text', // XML timbrado
+      attempts: 'integer',
+      lastError: 'text',
+      createdAt: 'datetime',
+      stampedAt: 'datetime',
+      emailedAt: 'datetime',
+    },
+  },
+
+  // Recibos de pago (src/services/ReceiptService.js)
+  receipts: {
+    unique: ['receiptId', 'reference'],
+    columns: {
+      id: 'id', // Folio del recibo
+      receiptId: 'string', // Id público del enlace firmado
+      reference: 'string', // Checkout (cs_...) o factura de Stripe (in_...) pagados
+      paymentIntentId: 'string',
+      email: 'string',
+      name: 'string',
+      productId: 'string',
+      productName: 'string',
+      quantity: 'integer',
+      amount: 'integer', // Centavos cobrados
+      discountAmount: 'integer', // Centavos
+      couponCode: 'string',
+      currency: 'string',
+      paymentMethod: 'string', // card | oxxo | customer_balance
+      accessCode: 'string', // Código entregado (vacío en compras de grupo)
+      expiresAt: 'datetime', // Vigencia del código al emitir el recibo
+      createdAt: 'datetime',
+      emailedAt: 'datetime',
+    },
+  },
+
+  // Depósitos de Stripe (src/services/PayoutService.js)
+  payouts: {
+    unique: ['payoutId'],
+    columns: {
+      id: 'id',
+      payoutId: 'string', // po_... de Stripe
+      amount: 'integer', // Centavos depositados
+      currency: 'string',
+      status: 'string', // pending | in_transit | paid | failed | canceled (de Stripe)
+      automatic: 'boolean', // Solo los automáticos detallan sus movimientos
+      arrivalDate: 'datetime',
+      grossAmount: 'integer', // Centavos, suma de los movimientos
+      feeAmount: 'integer',
+      netAmount: 'integer',
+      transactionCount: 'integer',
+      failureMessage: 'string',
+      createdAt: 'datetime',
+      syncedAt: 'datetime',
+    },
+  },
+
+  payout_transactions: {
+    unique: ['balanceTransactionId'],
+    columns: {
+      id: 'id',
+      balanceTransactionId: 'string', // txn_... de Stripe
+      payoutId: 'string',
+      type: 'string', // charge | payment | refund | adjustment | ... (de Stripe)
+      sourceId: 'string', // ch_, py_, re_, dp_...
+      paymentIntentId: 'string',
+      accessCode: 'string', // Código o compra de grupo de la venta
+      email: 'string',
+      productName: 'string',
+      amount: 'integer', // Centavos brutos (negativo en reembolsos)
+      fee: 'integer', // Comisión de Stripe en centavos
+      net: 'integer',
+      currency: 'string',
+      description: 'string',
+      createdAt: 'datetime',
+    },
+  },
+
+  // Checkouts abandonados (src/services/CheckoutRecoveryService.js)
+  checkout_recoveries: {
+    unique: ['sessionId'],
+    columns: {
+      id: 'id',
+      sessionId: 'string', // cs_... que venció
+      email: 'string',
+      name: 'string',
+      phone: 'string',
+      deliveryMethod: 'string', // email | whatsapp | both
+      productId: 'string',
+      productName: 'string',
+      quantity: 'integer',
+      amount: 'integer', // Centavos
+      currency: 'string',
+      paymentMethodTypes: 'json',
+      metadata: 'json', // Metadata del checkout original
+      status: 'string', // pending | sending | sent | recovered | lost | purchased | opted_out | failed
+      reason: 'string',
+      sessionCreatedAt: 'datetime',
+      expiredAt: 'datetime',
+      recoverySessionId: 'string', // Checkout nuevo que se envió
+      recoveryUrl: 'text',
+      deliveries: 'json',
+      sentAt: 'datetime',
+      recoveredAt: 'datetime',
+      updatedAt: 'datetime',
+    },
+  },
+
+  notification_opt_outs: {
+    unique: ['optOutKey'],
+    columns: {
+      id: 'id',
+      optOutKey: 'string', // canal:destino
+      channel: 'string', // email | whatsapp
+      destination: 'string', // Email o teléfono (solo dígitos)
+      source: 'string', // link | whatsapp | admin
+      createdAt: 'datetime',
+    },
+  },
+
+  // Pruebas gratis ya pedidas: una por email y una por teléfono
+  // (src/services/TrialService.js)
+  trial_claims: {
+    unique: ['claimKey'],
+    columns: {
+      id: 'id',
+      claimKey: 'string', // email:<correo> | phone:<10 dígitos>
+      accessCode: 'string',
+      createdAt: 'datetime',
+    },
+  },
+
+  // Scheduler (src/services/SchedulerService.js)
+  job_locks: {
+    unique: ['name'],
+    columns: {
+      id: 'id',
+      name: 'string',
+      owner: 'string',
+      acquiredAt: 'datetime',
+      lockedUntil: 'datetime',
+    },
+  },
+
+  job_runs: {
+    unique: [],
+    columns: {
+      id: 'id',
+      jobName: 'string',
+      instanceId: 'string',
+      status: 'string',
+      startedAt: 'datetime',
+      finishedAt: 'datetime',
+      durationMs: 'integer',
+      result: 'json',
+      error: 'text',
+    },
+  },
+
+  // Control de migraciones aplicadas
+  schema_migrations: {
+    unique: ['version'],
+    columns: {
+      id: 'id',
+      version: 'integer',
+      name: 'string',
+      appliedAt: 'datetime',
+    },
+  },
+
+  // Candado de MigrationRunner (en MySQL se usa GET_LOCK)
+  schema_migrations_lock: {
+    unique: ['name'],
+    columns: {
+      id: 'id',
+      name: 'string',
+      owner: 'string',
+      acquiredAt: 'datetime',
+      lockedUntil: 'datetime',
+    },
+  },
+};
+
+/**
+ * Convertir un nombre de campo camelCase a columna snake_case
+ */
+function toColumnName(field) {
+  return field.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`);
+}
+
+/**
+ * Convertir una columna snake_case a campo camelCase
+ */
+function toFieldName(column) {
+  return column.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Tipo lógico de un campo (string si la tabla o el campo no están definidos)
+ */
+function fieldType(table, field) {
+  return TABLES[table]?.columns[field] || 'string';
+}
+
+module.exports = {
+  TABLES,
+  toColumnName,
+  toFieldName,
+  fieldType,
+};
@@ -0,0 +1,289 @@
+/**
+ * CHECKOUTS PAGADOS
+ *
+ * Cumple un checkout pagado (con tarjeta al completarse, o el pago
+ * diferido al confirmarse):
+ * - El producto comprado (metadata.productId) define la vigencia y los
+ *   módulos del código
+ * - Compras de grupo (metadata.quantity > 1): GroupPurchaseHandler
+ * - Renovaciones (producto kind 'renewal' con metadata.renewCode):
+ *   RenewalHandler extiende el código existente
+ * - Upgrade de prueba gratis (metadata.upgradeCode): TrialHandler
+ * - Lo demás genera un código nuevo y lo entrega
+ * Después se registra el cobro con el acceso que pagó (ChargeService), se
+ * cuenta el cupón (con la reserva que hizo el checkout), se envía el
+ * recibo, se timbra la factura si se pidió y, si venía de una
+ * recuperación, se marca como recuperado.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const ChargeService = require('../services/ChargeService');
+const { logger } = require('../utils/logger');
+const { fromMinorUnits } = require('../utils/money');
+
+class CheckoutHandler {
+  constructor({
+    accessCodeService,
+    productCatalogService,
+    couponService = null,
+    chargeService = null,
+    historyService,
+    notificationHandler,
+    receiptHandler,
+    invoiceHandler,
+    groupPurchaseHandler = null,
+    renewalHandler,
+    trialHandler,
+    checkoutRecoveryHandler = null,
+  }) {
+    this.accessCodes = accessCodeService;
+    this.catalog = productCatalogService;
+    this.coupons = couponService;
+    this.charges = chargeService;
+    this.history = historyService;
+    this.notifications = notificationHandler;
+    this.receiptHandler = receiptHandler;
+    this.invoiceHandler = invoiceHandler;
+    this.groupPurchaseHandler = groupPurchaseHandler;
+    this.renewalHandler = renewalHandler;
+    this.trialHandler = trialHandler;
+    this.checkoutRecoveryHandler = checkoutRecoveryHandler;
+  }
+
+  /**
+   * Descuento en centavos de un checkout: el que reporta Stripe o, si no
+   * viene (registro de un pago diferido), el calculado al crear el checkout
+   */
+  static discountFor(checkout) {
+    return checkout.discountAmount ?? (Number(checkout.metadata?.discountAmount) || 0);
+  }
+
+  /**
+   * Cumplir un checkout pagado, enviar su recibo y, si el comprador pidió
+   * factura, timbrarla
+   */
+  async fulfillCheckout(checkout, { eventId = null } = {}) {
+    const fulfillment = await this.fulfillOrder(checkout, { eventId });
+    const receipt = await this.receiptHandler.receiptForCheckout(checkout, fulfillment);
+    const invoice = await this.invoiceHandler.invoiceCheckout(checkout, fulfillment);
+
+    if (this.checkoutRecoveryHandler) {
+      await this.checkoutRecoveryHandler.markCheckoutRecovered(checkout);
+    }
+
+    return {
+      ...fulfillment,
+      ...(receipt ? { receipt } : {}),
+      ...(invoice ? { invoice } : {}),
+    };
+  }
+
+  /**
+   * Generar o extender el código de un checkout completado, registrar su
+   * cobro y contar su cupón
+   */
+  async fulfillOrder(checkout, { eventId = null } = {}) {
+    const { sessionId, customerEmail, currency, metadata = {} } = checkout;
+
+    if (!customerEmail) {
+      throw {
+        code: 'MISSING_EMAIL',
+        message: 'Email no encontrado en la sesión de checkout',
+        sessionId,
+      };
+    }
+
+    // Los cupones no aplican a compras de grupo
+    const quantity = parseInt(metadata.quantity, 10) || 1;
+    if (quantity > 1 && this.groupPurchaseHandler) {
+      const fulfillment = await this.groupPurchaseHandler.fulfillGroupPurchase(checkout, quantity, { eventId });
+      await this.recordCharge(checkout, fulfillment);
+      return fulfillment;
+    }
+
+    const product = this.catalog.productFor(metadata);
+    let fulfillment;
+
+    if (product.kind === 'renewal' && metadata.renewCode) {
+      fulfillment = await this.renewalHandler.fulfillRenewal(checkout, product, { eventId });
+    } else if (metadata.upgradeCode) {
+      fulfillment = await this.trialHandler.fulfillTrialUpgrade(checkout, product, { eventId });
+    } else {
+      fulfillment = await this.issueAccessCode(checkout, product, { eventId });
+    }
+
+    await this.recordCharge(checkout, fulfillment);
+
+    // redeem es idempotente por sesión: un reintento completa el uso que faltó
+    if (metadata.couponCode) {
+      await this.redeemCoupon({
+        code: metadata.couponCode,
+        email: customerEmail.toLowerCase().trim(),
+        sessionId,
+        productId: product.id,
+        discountAmount: CheckoutHandler.discountFor(checkout),
+        currency,
+        reservationId: metadata.couponReservationId || null,
+      });
+    }
+
+    return fulfillment;
+  }
+
+  /**
+   * Registrar el cobro del checkout con el acceso que pagó
+   * Una renovación paga el periodo que se agregó al código; una compra,
+   * la vigencia con la que se generó. Las suscripciones se registran con
+   * su factura (el checkout no tiene Payment Intent)
+   */
+  async recordCharge(checkout, fulfillment) {
+    if (!this.charges || !checkout.paymentIntentId) return;
+
+    const { PURCHASE, RENEWAL } = ChargeService.KINDS;
+    const paidAt = new Date();
+    const previousExpiresAt = fulfillment.previousExpiresAt ? new Date(fulfillment.previousExpiresAt) : null;
+
+    await this.charges.recordCharge({
+      paymentIntentId: checkout.paymentIntentId,
+      kind: fulfillment.renewed ? RENEWAL : PURCHASE,
+      sessionId: checkout.sessionId,
+      accessCode: fulfillment.accessCode || null,
+      groupPurchaseId: fulfillment.groupPurchaseId || null,
+      amount: checkout.amount,
+      currency: checkout.currency,
+      periodStart: previousExpiresAt && previousExpiresAt > paidAt ? previousExpiresAt : paidAt,
+      periodEnd: fulfillment.expiresAt || null,
+    });
+  }
+
+  /**
+   * Generar y entregar el código de acceso de una compra individual
+   */
+  async issueAccessCode(checkout, product, { eventId = null } = {}) {
+    const {
+      sessionId,
+      customerEmail,
+      customerName,
+      customerPhone,
+      amount,
+      currency,
+      metadata = {},
+    } = checkout;
+
+    // Un reintento después de un fallo parcial no debe generar otro código
+    const existing = sessionId ? await this.accessCodes.findBySessionId(sessionId) : null;
+    if (existing) {
+      logger.warn('Access code already generated for session', {
+        sessionId,
+        code: existing.code,
+      });
+      return {
+        accessCode: existing.code,
+        email: existing.email,
+        expiresAt: existing.expiresAt,
+        deliveries: {},
+        existing: true,
+      };
+    }
+
+    const deliveryMethod = metadata.delivery_method || (customerPhone ? 'both' : 'email');
+    const couponCode = metadata.couponCode || null;
+    const discountAmount = couponCode ? CheckoutHandler.discountFor(checkout) : 0;
+    const code = await this.accessCodes.createUniqueCode();
+
+    const accessCode = await this.accessCodes.saveAccessCode({
+      code,
+      userId: customerEmail.toLowerCase().trim(),
+      email: customerEmail.toLowerCase().trim(),
+      name: customerName || 'Cliente',
+      phone: customerPhone || null,
+      deliveryMethod,
+      productId: product.id,
+      productName: product.name,
+      paymentId: sessionId,
+      stripeSessionId: sessionId,
+      stripeEventId: eventId,
+      stripePaymentIntentId: checkout.paymentIntentId || null,
+      amount: fromMinorUnits(amount, currency), // Stripe reporta centavos
+      currency,
+      couponCode,
+      discountAmount: fromMinorUnits(discountAmount, currency),
+      stripeSubscriptionId: checkout.subscriptionId || null,
+      stripeCustomerId: checkout.subscriptionId ? checkout.customerId : null,
+      expiresAt: this.accessCodes.calculateExpiration(product.accessDays),
+      modules: product.modules,
+    });
+
+    await this.history.logAccessCode({
+      userId: accessCode.email,
+      email: accessCode.email,
+      accessCode: code,
+      expiresAt: accessCode.expiresAt,
+      productId: accessCode.productId,
+      paymentId: sessionId,
+    });
+
+    const deliveries = await this.notifications.deliverAccessCode(accessCode);
+
+    return {
+      accessCode: code,
+      email: accessCode.email,
+      expiresAt: accessCode.expiresAt,
+      deliveries,
+    };
+  }
+
+  /**
+   * Liberar el uso del cupón que reservó un checkout que no se pagó
+   */
+  async releaseCoupon(metadata = {}) {
+    if (!this.coupons || !metadata.couponReservationId) return false;
+
+    try {
+      return await this.coupons.release(metadata.couponReservationId);
+    } catch (error) {
+      logger.error('Error releasing coupon reservation', {
+        reservationId: metadata.couponReservationId,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Mantener la reserva del cupón mientras se espera un pago diferido
+   */
+  async holdCoupon(metadata = {}) {
+    if (!this.coupons || !metadata.couponReservationId) return;
+
+    try {
+      await this.coupons.holdReservation(metadata.couponReservationId);
+    } catch (error) {
+      logger.error('Error holding coupon reservation', {
+        reservationId: metadata.couponReservationId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Contar el uso del cupón sin interrumpir la entrega del código
+   */
+  async redeemCoupon(redemption) {
+    if (!this.coupons) return;
+
+    try {
+      await this.coupons.redeem(redemption);
+    } catch (error) {
+      logger.error('Error redeeming coupon', {
+        couponCode: redemption.code,
+        sessionId: redemption.sessionId,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = CheckoutHandler;
@@ -0,0 +1,227 @@
+/**
+ * CHECKOUTS ABANDONADOS
+ *
+ * checkout.session.expired se registra y, pasado un tiempo, el comprador
+ * recibe el enlace de un checkout nuevo salvo que se haya dado de baja o
+ * ya haya comprado (CheckoutRecoveryService).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const WhatsAppService = require('../services/WhatsAppService');
+const CheckoutRecoveryService = require('../services/CheckoutRecoveryService');
+const { logger } = require('../utils/logger');
+
+class CheckoutRecoveryHandler {
+  constructor({
+    checkoutRecoveryService,
+    productCatalogService,
+    couponService = null,
+    stripeService,
+    notificationHandler,
+    emailService,
+    whatsAppService,
+    config,
+  }) {
+    this.recoveries = checkoutRecoveryService;
+    this.catalog = productCatalogService;
+    this.coupons = couponService;
+    this.stripe = stripeService;
+    this.notifications = notificationHandler;
+    this.email = emailService;
+    this.whatsApp = whatsAppService;
+    this.config = config;
+  }
+
+  /**
+   * checkout.session.expired: registrar el checkout vencido
+   */
+  async registerExpired(checkout) {
+    const { record } = await this.recoveries.registerExpired(checkout);
+    return record;
+  }
+
+  /**
+   * Enviar el enlace de un checkout nuevo a los checkouts vencidos que ya
+   * cumplieron el tiempo de espera (tarea periódica)
+   */
+  async sendCheckoutRecoveries(now = new Date()) {
+    const due = await this.recoveries.dueRecoveries(now);
+    const summary = { due: due.length };
+
+    for (const record of due) {
+      if (!(await this.recoveries.claim(record.sessionId))) continue;
+
+      const status = await this.sendCheckoutRecovery(record, now);
+      summary[status] = (summary[status] || 0) + 1;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Enviar una recuperación ya reservada
+   * Devuelve el estado en que quedó
+   */
+  async sendCheckoutRecovery(record, now = new Date()) {
+    const { STATUSES } = CheckoutRecoveryService;
+
+    if (this.recoveries.isTooOld(record, now)) {
+      await this.recoveries.close(record.sessionId, STATUSES.LOST, 'too_old');
+      return STATUSES.LOST;
+    }
+
+    if (await this.recoveries.hasPurchasedSince(record)) {
+      await this.recoveries.close(record.sessionId, STATUSES.PURCHASED);
+      return STATUSES.PURCHASED;
+    }
+
+    const channels = await this.recoveryChannels(record);
+    if (channels.length === 0) {
+      await this.recoveries.close(record.sessionId, STATUSES.OPTED_OUT);
+      return STATUSES.OPTED_OUT;
+    }
+
+    let session;
+    try {
+      session = await this.createRecoveryCheckout(record);
+    } catch (error) {
+      logger.error('Error creating recovery checkout', { sessionId: record.sessionId, error: error.message });
+      await this.recoveries.close(record.sessionId, STATUSES.FAILED, error.code || error.message);
+      return STATUSES.FAILED;
+    }
+
+    const message = {
+      name: record.name,
+      productName: record.productName,
+      amount: record.amount,
+      currency: record.currency,
+      checkoutUrl: session.url,
+    };
+    const recipient = { email: record.email, code: null };
+    const deliveries = {};
+
+    if (channels.includes('email')) {
+      try {
+        deliveries.email = await this.email.sendCheckoutRecovery({
+          to: record.email,
+          ...message,
+          optOutUrl: this.recoveries.optOutUrl(record.email),
+        });
+      } catch (error) {
+        deliveries.email = { success: false, error: error.details || error.message };
+      }
+      await this.notifications.recordNotification(recipient, 'email', record.email, deliveries.email);
+    }
+
+    if (channels.includes('whatsapp')) {
+      const to = WhatsAppService.formatPhoneNumber(record.phone);
+      try {
+        deliveries.whatsapp = await this.whatsApp.sendCheckoutRecovery({ to, ...message });
+      } catch (error) {
+        deliveries.whatsapp = { success: false, error: error.message };
+      }
+      await this.notifications.recordNotification(recipient, 'whatsapp', to, deliveries.whatsapp);
+    }
+
+    await this.recoveries.markSent(record.sessionId, {
+      recoverySessionId: session.sessionId,
+      recoveryUrl: session.url,
+      deliveries,
+    });
+
+    return STATUSES.SENT;
+  }
+
+  /**
+   * Canales del comprador (los que eligió en el checkout) sin los que se
+   * dieron de baja
+   */
+  async recoveryChannels(record) {
+    const channels = [];
+
+    if (this.email && ['email', 'both'].includes(record.deliveryMethod)
+      && !(await this.recoveries.isOptedOut('email', record.email))) {
+      channels.push('email');
+    }
+
+    if (this.whatsApp && record.phone && ['whatsapp', 'both'].includes(record.deliveryMethod)
+      && !(await this.recoveries.isOptedOut('whatsapp', record.phone))) {
+      channels.push('whatsapp');
+    }
+
+    return channels;
+  }
+
+  /**
+   * Checkout nuevo con los datos del que venció
+   * El precio se vuelve a calcular y el cupón se reserva otra vez; si ya no
+   * aplica se cobra sin él
+   */
+  async createRecoveryCheckout(record) {
+    const metadata = { ...record.metadata, recoveredFrom: record.sessionId };
+    delete metadata.priceId;
+    delete metadata.createdAt;
+    delete metadata.couponReservationId;
+
+    let product = this.catalog.resolve({ productId: record.productId });
+    if (product.prices[record.currency]) {
+      product = this.catalog.priceIn(product, record.currency);
+    }
+
+    let discount = null;
+    if (metadata.couponCode && this.coupons) {
+      try {
+        discount = await this.coupons.validate({ code: metadata.couponCode, email: record.email, product });
+        const reservation = await this.coupons.reserve({ code: discount.coupon.code, email: record.email });
+        metadata.discountAmount = String(discount.discountAmount);
+        metadata.couponReservationId = reservation.reservationId;
+      } catch (error) {
+        discount = null;
+        if (!error.couponCode) throw error;
+        delete metadata.couponCode;
+        delete metadata.discountAmount;
+      }
+    }
+
+    const isSubscription = product.kind === 'subscription';
+
+    try {
+      return await this.stripe.createCheckoutSession({
+        ...this.catalog.checkoutPrice(product, discount),
+        successUrl: `${this.config.APP_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
+        cancelUrl: `${this.config.APP_URL}/checkout.html?canceled=true`,
+        customerEmail: record.email,
+        quantity: record.quantity,
+        mode: isSubscription ? 'subscription' : 'payment',
+        paymentMethodTypes: isSubscription ? ['card'] : record.paymentMethodTypes,
+        locale: product.price.currency === 'mxn' ? 'es' : 'auto',
+        metadata,
+      });
+    } catch (error) {
+      if (metadata.couponReservationId) await this.coupons.release(metadata.couponReservationId);
+      throw error;
+    }
+  }
+
+  /**
+   * Si el checkout pagado venía de una recuperación, contarla como recuperada
+   */
+  async markCheckoutRecovered(checkout) {
+    const originalSessionId = checkout.metadata?.recoveredFrom;
+    if (!originalSessionId) return;
+
+    try {
+      await this.recoveries.markRecovered(originalSessionId, checkout.sessionId);
+    } catch (error) {
+      logger.error('Error marking checkout as recovered', {
+        sessionId: checkout.sessionId,
+        originalSessionId,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = CheckoutRecoveryHandler;
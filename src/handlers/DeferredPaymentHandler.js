@@ -0,0 +1,274 @@
+/**
+ * PAGOS DIFERIDOS (OXXO / SPEI)
+ *
+ * Al completarse el checkout solo se registra el pago pendiente y se
+ * envían las instrucciones de pago; el código se genera cuando Stripe
+ * confirma el pago (async_payment_succeeded / payment_intent.succeeded).
+ * Los pagos que fallan, se cancelan o vencen liberan la reserva del cupón
+ * y se avisan al comprador.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const WhatsAppService = require('../services/WhatsAppService');
+const PaymentStateService = require('../services/PaymentStateService');
+const CheckoutHandler = require('./CheckoutHandler');
+const { logger } = require('../utils/logger');
+
+class DeferredPaymentHandler {
+  constructor({
+    stripeService,
+    paymentStateService,
+    productCatalogService,
+    checkoutHandler,
+    notificationHandler,
+    emailService,
+    whatsAppService,
+    config,
+  }) {
+    this.stripe = stripeService;
+    this.payments = paymentStateService;
+    this.catalog = productCatalogService;
+    this.checkoutHandler = checkoutHandler;
+    this.notifications = notificationHandler;
+    this.email = emailService;
+    this.whatsApp = whatsAppService;
+    this.config = config;
+  }
+
+  /**
+   * Registrar el pago pendiente y enviar las instrucciones de pago
+   */
+  async registerPendingPayment(checkout) {
+    const { sessionId, paymentIntentId, customerEmail, customerName, customerPhone, metadata = {} } = checkout;
+
+    if (!paymentIntentId) {
+      throw {
+        code: 'MISSING_PAYMENT_INTENT',
+        message: 'La sesión pendiente de pago no tiene payment_intent',
+        sessionId,
+      };
+    }
+
+    const existing = await this.payments.getPayment(paymentIntentId);
+    if (existing) {
+      return { paymentIntentId, status: existing.status, existing: true };
+    }
+
+    // Si Stripe no responde se registra el pago de todos modos; el
+    // comprador ya ve las instrucciones en la página de Stripe
+    let instructions = null;
+    try {
+      instructions = await this.stripe.getPaymentInstructions(paymentIntentId);
+    } catch (error) {
+      logger.error('Error retrieving payment instructions', {
+        paymentIntentId,
+        error: error.message,
+      });
+    }
+
+    const paymentMethod = instructions?.method
+      || (checkout.paymentMethodTypes || []).find((type) => type !== 'card')
+      || 'oxxo';
+
+    const payment = await this.payments.createPendingPayment({
+      sessionId,
+      paymentIntentId,
+      customerEmail: customerEmail.toLowerCase().trim(),
+      customerName,
+      amount: checkout.amount,
+      currency: checkout.currency,
+      paymentMethod,
+      productName: this.catalog.productFor(metadata).name,
+      priceId: metadata.priceId || null,
+      couponCode: metadata.couponCode || null,
+      discountAmount: CheckoutHandler.discountFor(checkout),
+      expiresAt: instructions?.expiresAt || null,
+      metadata: { ...metadata, customerPhone: customerPhone || null, instructions },
+    });
+
+    await this.checkoutHandler.holdCoupon(metadata);
+
+    const deliveries = instructions
+      ? await this.sendPaymentInstructions(payment, instructions)
+      : {};
+
+    return { paymentIntentId, status: payment.status, paymentMethod, deliveries };
+  }
+
+  /**
+   * Enviar instrucciones de pago por los canales que eligió el comprador
+   */
+  async sendPaymentInstructions(payment, instructions) {
+    const phone = payment.metadata.customerPhone;
+    const deliveryMethod = payment.metadata.delivery_method || (phone ? 'both' : 'email');
+    const recipient = { email: payment.customerEmail, code: null };
+    const message = {
+      name: payment.customerName,
+      productName: payment.productName,
+      instructions,
+    };
+    const deliveries = {};
+
+    if (this.email && (deliveryMethod === 'email' || deliveryMethod === 'both')) {
+      try {
+        deliveries.email = await this.email.sendPaymentInstructions({ to: payment.customerEmail, ...message });
+      } catch (error) {
+        deliveries.email = { success: false, error: error.details || error.message };
+      }
+      await this.notifications.recordNotification(recipient, 'email', payment.customerEmail, deliveries.email);
+      await this.payments.markNotificationSent(payment.paymentIntentId, 'email', deliveries.email.success);
+    }
+
+    if (this.whatsApp && phone && (deliveryMethod === 'whatsapp' || deliveryMethod === 'both')) {
+      const to = WhatsAppService.formatPhoneNumber(phone);
+      try {
+        deliveries.whatsapp = await this.whatsApp.sendPaymentInstructions({ to, ...message });
+      } catch (error) {
+        deliveries.whatsapp = { success: false, error: error.message };
+      }
+      await this.notifications.recordNotification(recipient, 'whatsapp', to, deliveries.whatsapp);
+      await this.payments.markNotificationSent(payment.paymentIntentId, 'whatsapp', deliveries.whatsapp.success);
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Generar y entregar el código de un pago diferido ya confirmado
+   */
+  async fulfillDeferredPayment(result, { eventId = null } = {}) {
+    const payment = result.paymentIntentId
+      ? await this.payments.getPayment(result.paymentIntentId)
+      : null;
+
+    if (!payment) {
+      // payment_intent.succeeded de una tarjeta: ya se cumplió en checkout.completed
+      if (result.type === 'payment.succeeded') {
+        return { skipped: true, reason: 'no_pending_payment' };
+      }
+      // async_payment_succeeded sin registro previo (se perdió el checkout.completed)
+      return this.checkoutHandler.fulfillCheckout(result, { eventId });
+    }
+
+    if (payment.orderCompleted) {
+      return { skipped: true, reason: 'already_completed', accessCode: payment.accessCode };
+    }
+
+    const { PENDING, PROCESSING, SUCCEEDED } = PaymentStateService.STATES;
+    const claimed = await this.payments.updatePaymentStatus(
+      payment.paymentIntentId,
+      SUCCEEDED,
+      'Pago confirmado por Stripe',
+      { fromStatuses: [PENDING, PROCESSING] }
+    );
+
+    // Otro evento ya lo está cumpliendo; si quedó a medias (el estado es
+    // succeeded sin orden completada) se continúa, fulfillCheckout no
+    // genera un segundo código para la misma sesión
+    if (!claimed && payment.status !== SUCCEEDED) {
+      return { skipped: true, reason: `payment_${payment.status}` };
+    }
+
+    const fulfillment = await this.checkoutHandler.fulfillCheckout({
+      sessionId: payment.sessionId,
+      paymentIntentId: payment.paymentIntentId,
+      customerEmail: payment.customerEmail,
+      customerName: payment.customerName,
+      customerPhone: payment.metadata?.customerPhone,
+      amount: payment.amount,
+      currency: payment.currency,
+      discountAmount: payment.discountAmount,
+      paymentMethod: payment.paymentMethod,
+      metadata: payment.metadata || {},
+    }, { eventId });
+
+    // Las compras de grupo no tienen un solo código: se guarda el id de la compra
+    await this.payments.markOrderCompleted(
+      payment.paymentIntentId,
+      fulfillment.accessCode ?? fulfillment.groupPurchaseId
+    );
+
+    return fulfillment;
+  }
+
+  /**
+   * Registrar que un pago diferido falló, se canceló o venció
+   * y avisar al comprador
+   */
+  async failDeferredPayment(result, status = null) {
+    const payment = result.paymentIntentId
+      ? await this.payments.getPayment(result.paymentIntentId)
+      : null;
+
+    if (!payment) {
+      return { skipped: true, reason: 'no_pending_payment' };
+    }
+
+    const { PENDING, PROCESSING, FAILED, EXPIRED } = PaymentStateService.STATES;
+    // Stripe avisa el voucher vencido como async_payment_failed
+    const expired = !status && payment.expiresAt && new Date(payment.expiresAt) <= new Date();
+    const newStatus = status || (expired ? EXPIRED : FAILED);
+
+    const updated = await this.payments.updatePaymentStatus(
+      payment.paymentIntentId,
+      newStatus,
+      expired ? 'Voucher vencido' : `Stripe: ${result.type}`,
+      { fromStatuses: [PENDING, PROCESSING] }
+    );
+
+    if (!updated) {
+      return { skipped: true, reason: `payment_${payment.status}` };
+    }
+
+    await this.checkoutHandler.releaseCoupon(payment.metadata || {});
+    await this.notifyPaymentFailed(updated, newStatus === EXPIRED);
+
+    return { paymentIntentId: payment.paymentIntentId, status: newStatus };
+  }
+
+  /**
+   * Marcar como vencidos los pagos pendientes cuya fecha límite pasó
+   * (tarea periódica) y avisar a cada comprador
+   */
+  async expireOverduePayments() {
+    const { expiredCount, payments } = await this.payments.markExpiredPayments();
+
+    for (const payment of payments) {
+      await this.checkoutHandler.releaseCoupon(payment.metadata || {});
+      await this.notifyPaymentFailed(payment, true);
+    }
+
+    return { expiredCount };
+  }
+
+  /**
+   * Avisar al comprador que su pago no se completó
+   */
+  async notifyPaymentFailed(payment, expired) {
+    if (!this.email) return;
+
+    let result;
+    try {
+      result = await this.email.sendPaymentFailed({
+        to: payment.customerEmail,
+        name: payment.customerName,
+        productName: payment.productName,
+        expired,
+        retryUrl: `${this.config.APP_URL}/checkout.html`,
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    await this.notifications.recordNotification(
+      { email: payment.customerEmail, code: null },
+      'email',
+      payment.customerEmail,
+      result
+    );
+  }
+}
+
+module.exports = DeferredPaymentHandler;
@@ -0,0 +1,94 @@
+/**
+ * DISPUTAS (CONTRACARGOS)
+ *
+ * charge.dispute.*: el código que pagó el cobro disputado (compra,
+ * renovación o factura de suscripción, según ChargeService) se suspende
+ * mientras la disputa está abierta, se arma la evidencia y al cerrarse se
+ * restaura o se desactiva según el resultado (DisputeService).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const SessionService = require('../services/SessionService');
+const DisputeService = require('../services/DisputeService');
+const { logger } = require('../utils/logger');
+
+class DisputeHandler {
+  constructor({ disputeService, chargeService, sessionService = null, stripeService }) {
+    this.disputes = disputeService;
+    this.charges = chargeService;
+    this.sessions = sessionService;
+    this.stripe = stripeService;
+  }
+
+  /**
+   * charge.dispute.*: registrar la disputa y, mientras no se haya hecho,
+   * suspender los códigos del pago y armar la evidencia (si falla, el
+   * reintento del webhook lo vuelve a intentar)
+   * Si ya llega cerrada (eventos fuera de orden) se aplica el resultado
+   */
+  async handleDispute(dispute) {
+    const { record } = await this.disputes.recordDispute(dispute);
+    const result = { disputeId: record.disputeId, status: record.status };
+
+    if (!record.codesSuspendedAt && !record.closedAt) {
+      const accessCodes = await this.charges.findAccessCodes(dispute.paymentIntentId);
+      const suspended = await this.disputes.suspendCodes(record.disputeId, accessCodes);
+
+      if (this.sessions) {
+        for (const { code } of suspended) {
+          await this.sessions.revokeCodeSessions(code, SessionService.REVOKE_REASONS.DISPUTED);
+        }
+      }
+
+      if (accessCodes.length === 0) {
+        logger.warn('Dispute without linked access code', {
+          disputeId: record.disputeId,
+          paymentIntentId: dispute.paymentIntentId,
+        });
+      }
+
+      await this.disputes.assembleEvidence(record.disputeId);
+      await this.disputes.markCodesSuspended(record.disputeId);
+      result.suspendedCodes = suspended.map((item) => item.code);
+    }
+
+    if (DisputeService.isClosed(dispute.status)) {
+      const closing = await this.disputes.close(record.disputeId, dispute.status);
+      if (closing) {
+        result.outcome = closing.outcome;
+        result.accessCodes = closing.accessCodes;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Enviar a Stripe la evidencia de una disputa abierta
+   * La evidencia se vuelve a armar con los registros actuales; `evidence`
+   * agrega o reemplaza campos (p. ej. cancellation_policy_disclosure)
+   */
+  async submitDisputeEvidence(disputeId, { evidence = {}, submit = true } = {}) {
+    const record = await this.disputes.getDispute(disputeId);
+
+    if (record.closedAt) {
+      throw { code: 'DISPUTE_CLOSED', message: 'La disputa ya está cerrada' };
+    }
+
+    const assembled = await this.disputes.assembleEvidence(disputeId);
+    const finalEvidence = { ...(assembled || {}), ...evidence };
+    const dispute = await this.stripe.submitDisputeEvidence(disputeId, finalEvidence, { submit });
+
+    await this.disputes.saveEvidence(disputeId, {
+      evidence: finalEvidence,
+      status: dispute.status,
+      submitted: submit,
+    });
+
+    return { disputeId, status: dispute.status, evidence: finalEvidence, submitted: submit };
+  }
+}
+
+module.exports = DisputeHandler;
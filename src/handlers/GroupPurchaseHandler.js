@@ -0,0 +1,145 @@
+/**
+ * COMPRAS DE GRUPO
+ *
+ * Un checkout con metadata.quantity > 1 genera un código por lugar
+ * (GroupPurchaseService) y el comprador recibe el enlace para asignarlos.
+ * Cada lugar asignado recibe su código por email.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const { logger } = require('../utils/logger');
+
+class GroupPurchaseHandler {
+  constructor({
+    groupPurchaseService,
+    accessCodeService,
+    productCatalogService,
+    historyService,
+    notificationHandler,
+    emailService,
+    config,
+  }) {
+    this.groups = groupPurchaseService;
+    this.accessCodes = accessCodeService;
+    this.catalog = productCatalogService;
+    this.history = historyService;
+    this.notifications = notificationHandler;
+    this.email = emailService;
+    this.config = config;
+  }
+
+  /**
+   * Generar los lugares de una compra de grupo y enviar al comprador el
+   * enlace para asignarlos
+   */
+  async fulfillGroupPurchase(checkout, quantity, { eventId = null } = {}) {
+    const { sessionId, customerEmail, customerName, customerPhone, amount, currency, metadata = {} } = checkout;
+    const product = this.catalog.productFor(metadata);
+    const buyerEmail = customerEmail.toLowerCase().trim();
+
+    const { purchase, managementToken, completed } = await this.groups.createPurchase({
+      sessionId,
+      buyerEmail,
+      buyerName: customerName || 'Cliente',
+      product,
+      quantity,
+      amount,
+      currency,
+    });
+
+    if (completed) {
+      logger.warn('Group purchase already fulfilled for session', {
+        sessionId,
+        purchaseId: purchase.purchaseId,
+      });
+      return {
+        accessCode: null,
+        groupPurchaseId: purchase.purchaseId,
+        email: buyerEmail,
+        deliveries: {},
+        existing: true,
+      };
+    }
+
+    const seats = await this.groups.issueSeats(purchase, {
+      expiresAt: this.accessCodes.calculateExpiration(product.accessDays),
+      modules: product.modules,
+      phone: customerPhone || null,
+      deliveryMethod: metadata.delivery_method || 'email',
+      eventId,
+      paymentIntentId: checkout.paymentIntentId || null,
+    });
+
+    for (const seat of seats) {
+      await this.history.logAccessCode({
+        userId: buyerEmail,
+        email: buyerEmail,
+        accessCode: seat.code,
+        expiresAt: seat.expiresAt,
+        productId: seat.productId,
+        paymentId: sessionId,
+      });
+    }
+
+    const deliveries = {
+      email: await this.sendGroupPurchaseLink(purchase, managementToken),
+    };
+
+    await this.groups.markCompleted(purchase.purchaseId);
+
+    return {
+      accessCode: null,
+      groupPurchaseId: purchase.purchaseId,
+      seats: quantity,
+      email: buyerEmail,
+      deliveries,
+    };
+  }
+
+  /**
+   * Enlace de administración de una compra de grupo
+   */
+  groupManagementUrl(purchaseId, managementToken) {
+    const params = new URLSearchParams({ compra: purchaseId, token: managementToken });
+    return `${this.config.APP_URL}/grupo.html?${params}`;
+  }
+
+  async sendGroupPurchaseLink(purchase, managementToken) {
+    const recipient = { email: purchase.buyerEmail, code: null };
+
+    if (!this.email) {
+      return { success: false, error: 'Email no configurado' };
+    }
+
+    let result;
+    try {
+      result = await this.email.sendGroupPurchase({
+        to: purchase.buyerEmail,
+        name: purchase.buyerName,
+        productName: purchase.productName,
+        quantity: purchase.quantity,
+        purchaseId: purchase.purchaseId,
+        manageUrl: this.groupManagementUrl(purchase.purchaseId, managementToken),
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    await this.notifications.recordNotification(recipient, 'email', purchase.buyerEmail, result);
+    return result;
+  }
+
+  /**
+   * Asignar un lugar de una compra de grupo y enviarle su código
+   */
+  async assignGroupSeat(purchaseId, code, { email, name = null }) {
+    const seat = await this.groups.assignSeat(purchaseId, code, { email, name });
+    const deliveries = await this.notifications.deliverAccessCode(seat, 'email');
+
+    return { seat, deliveries };
+  }
+}
+
+module.exports = GroupPurchaseHandler;
@@ -0,0 +1,146 @@
+/**
+ * FACTURAS CFDI
+ *
+ * Si el checkout trae datos fiscales en la metadata, al cumplirse la
+ * compra se timbra la factura y se envía por email (CfdiService). Las que
+ * fallan quedan para la tarea retry-cfdi-invoices.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const CfdiService = require('../services/CfdiService');
+const CheckoutHandler = require('./CheckoutHandler');
+const { logger } = require('../utils/logger');
+
+class InvoiceHandler {
+  constructor({ cfdiService, productCatalogService, notificationHandler, emailService }) {
+    this.invoices = cfdiService;
+    this.catalog = productCatalogService;
+    this.notifications = notificationHandler;
+    this.email = emailService;
+  }
+
+  /**
+   * Registrar, timbrar y enviar la factura de un checkout con datos fiscales
+   * Un error aquí no afecta la entrega del código: la factura queda para
+   * la tarea retry-cfdi-invoices
+   */
+  async invoiceCheckout(checkout, fulfillment) {
+    const { sessionId, paymentIntentId, customerEmail, customerName, amount, currency, metadata = {} } = checkout;
+    const receptor = CfdiService.fromMetadata(metadata);
+
+    if (!receptor || !this.invoices) return null;
+
+    if (!this.invoices.isEnabled()) {
+      logger.warn('CFDI requested but invoicing is not configured', { sessionId, rfc: receptor.rfc });
+      return null;
+    }
+
+    // Compras sin cobro (cupón del 100%)
+    if (!amount) return null;
+
+    try {
+      const product = this.catalog.productFor(metadata);
+      const quantity = parseInt(metadata.quantity, 10) || 1;
+
+      const { record } = await this.invoices.createInvoice({
+        sessionId,
+        paymentIntentId: paymentIntentId || null,
+        accessCode: fulfillment.accessCode ?? fulfillment.groupPurchaseId ?? null,
+        email: customerEmail.toLowerCase().trim(),
+        name: customerName || null,
+        receptor,
+        description: quantity > 1 ? `${product.name} (${quantity} lugares)` : product.name,
+        total: amount,
+        discountAmount: CheckoutHandler.discountFor(checkout),
+        currency,
+        paymentMethod: checkout.paymentMethod || 'card',
+      });
+
+      return await this.processInvoice(record);
+    } catch (error) {
+      logger.error('Error issuing CFDI invoice', { sessionId, error: error.message });
+      return { status: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Timbrar la factura (si falta) y enviarla al comprador (si no se envió)
+   */
+  async processInvoice(record) {
+    const { STAMPED } = CfdiService.STATUSES;
+    const invoice = await this.invoices.stamp(record);
+    let { emailedAt } = invoice;
+
+    if (invoice.status === STAMPED && !emailedAt && this.email) {
+      const result = await this.sendInvoiceEmail(invoice);
+      if (result.success) emailedAt = new Date();
+    }
+
+    return {
+      invoiceId: invoice.invoiceId,
+      folio: `${invoice.serie}-${invoice.folio}`,
+      status: invoice.status,
+      uuid: invoice.uuid,
+      emailed: Boolean(emailedAt),
+      error: invoice.lastError || undefined,
+    };
+  }
+
+  async sendInvoiceEmail(invoice) {
+    let result;
+
+    try {
+      result = await this.email.sendInvoice({
+        to: invoice.email,
+        name: invoice.name,
+        productName: invoice.description,
+        serie: invoice.serie,
+        folio: invoice.folio,
+        uuid: invoice.uuid,
+        rfc: invoice.receptor.rfc,
+        total: invoice.total,
+        currency: invoice.currency,
+        xml: invoice.xml,
+        pdf: this.invoices.renderPdf(invoice),
+      });
+      await this.invoices.markEmailed(invoice.invoiceId);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    await this.notifications.recordNotification(
+      { email: invoice.email, code: invoice.accessCode },
+      'email',
+      invoice.email,
+      result
+    );
+
+    return result;
+  }
+
+  /**
+   * Reintentar las facturas sin timbrar o sin enviar (tarea periódica)
+   */
+  async retryInvoices() {
+    if (!this.invoices || !this.invoices.isEnabled()) {
+      return { skipped: true, reason: 'cfdi_not_configured' };
+    }
+
+    const due = await this.invoices.pendingRetries();
+    const results = [];
+
+    for (const record of due) {
+      results.push(await this.processInvoice(record));
+    }
+
+    return {
+      due: due.length,
+      stamped: results.filter((result) => result.status === CfdiService.STATUSES.STAMPED).length,
+      emailed: results.filter((result) => result.emailed).length,
+    };
+  }
+}
+
+module.exports = InvoiceHandler;
@@ -0,0 +1,165 @@
+/**
+ * ENVÍO DE AVISOS Y CÓDIGOS
+ *
+ * Lo comparten los manejadores de eventos para entregar códigos y avisos
+ * por los canales que eligió el comprador (email y/o WhatsApp) y dejar
+ * cada envío en el historial. Un canal que falla no interrumpe el flujo.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const WhatsAppService = require('../services/WhatsAppService');
+const { logger } = require('../utils/logger');
+
+class NotificationHandler {
+  constructor({ emailService, whatsAppService, historyService }) {
+    this.email = emailService;
+    this.whatsApp = whatsAppService;
+    this.history = historyService;
+  }
+
+  /**
+   * Enviar un aviso al dueño de un código por los canales que eligió
+   * `method` es el nombre del método en EmailService y WhatsAppService
+   */
+  async notifyCodeOwner(accessCode, method, message) {
+    const deliveryMethod = accessCode.deliveryMethod || 'email';
+    const deliveries = {};
+
+    if (this.email && (deliveryMethod === 'email' || deliveryMethod === 'both')) {
+      try {
+        deliveries.email = await this.email[method]({ to: accessCode.email, name: accessCode.name, ...message });
+      } catch (error) {
+        deliveries.email = { success: false, error: error.details || error.message };
+      }
+      await this.recordNotification(accessCode, 'email', accessCode.email, deliveries.email);
+    }
+
+    if (this.whatsApp && accessCode.phone && (deliveryMethod === 'whatsapp' || deliveryMethod === 'both')) {
+      const to = WhatsAppService.formatPhoneNumber(accessCode.phone);
+      try {
+        deliveries.whatsapp = await this.whatsApp[method]({ to, name: accessCode.name, ...message });
+      } catch (error) {
+        deliveries.whatsapp = { success: false, error: error.message };
+      }
+      await this.recordNotification(accessCode, 'whatsapp', to, deliveries.whatsapp);
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Entregar un código por los canales elegidos
+   * Un canal que falla no impide intentar el otro
+   */
+  async deliverAccessCode(accessCode, deliveryMethod = accessCode.deliveryMethod) {
+    const deliveries = {};
+
+    if (deliveryMethod === 'email' || deliveryMethod === 'both') {
+      deliveries.email = await this.sendByEmail(accessCode);
+    }
+
+    if ((deliveryMethod === 'whatsapp' || deliveryMethod === 'both') && accessCode.phone) {
+      deliveries.whatsapp = await this.sendByWhatsApp(accessCode);
+    }
+
+    if (!deliveries.email?.success && !deliveries.whatsapp?.success) {
+      logger.warn('Access code generated but not delivered', {
+        code: accessCode.code,
+        email: accessCode.email,
+        deliveries,
+      });
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Enviar el código por email
+   */
+  async sendByEmail(accessCode) {
+    if (!this.email) {
+      return { success: false, error: 'Email no configurado' };
+    }
+
+    try {
+      const result = await this.email.sendAccessCode({
+        to: accessCode.email,
+        name: accessCode.name,
+        accessCode: accessCode.code,
+        expiresAt: accessCode.expiresAt,
+        productName: accessCode.productName,
+        amount: accessCode.amount,
+        currency: accessCode.currency,
+        couponCode: accessCode.couponCode,
+        discountAmount: accessCode.discountAmount,
+        paymentId: accessCode.paymentId,
+      });
+
+      await this.recordNotification(accessCode, 'email', accessCode.email, result);
+      return result;
+    } catch (error) {
+      const failure = { success: false, error: error.details || error.message };
+      await this.recordNotification(accessCode, 'email', accessCode.email, failure);
+      return failure;
+    }
+  }
+
+  /**
+   * Enviar el código por WhatsApp
+   */
+  async sendByWhatsApp(accessCode) {
+    if (!this.whatsApp) {
+      return { success: false, error: 'WhatsApp no configurado' };
+    }
+
+    const to = WhatsAppService.formatPhoneNumber(accessCode.phone);
+
+    try {
+      const result = await this.whatsApp.sendAccessCode({
+        to,
+        name: accessCode.name,
+        accessCode: accessCode.code,
+        expiresAt: accessCode.expiresAt,
+        productName: accessCode.productName,
+        amount: accessCode.amount,
+        currency: accessCode.currency,
+      });
+
+      await this.recordNotification(accessCode, 'whatsapp', to, result);
+      return result;
+    } catch (error) {
+      const failure = { success: false, error: error.message };
+      await this.recordNotification(accessCode, 'whatsapp', to, failure);
+      return failure;
+    }
+  }
+
+  /**
+   * Registrar el resultado de un envío sin interrumpir el flujo
+   */
+  async recordNotification(accessCode, type, destination, result) {
+    try {
+      await this.history.logNotification({
+        userId: accessCode.email,
+        type,
+        destination,
+        status: result.success ? 'success' : 'failed',
+        messageId: result.messageId || null,
+        metadata: {
+          accessCode: accessCode.code,
+          error: result.error || null,
+        },
+      });
+    } catch (error) {
+      logger.error('Error recording notification', {
+        type,
+        destination,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = NotificationHandler;
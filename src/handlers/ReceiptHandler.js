@@ -0,0 +1,139 @@
+/**
+ * RECIBOS DE PAGO
+ *
+ * Cada pago completado (checkout o cobro de suscripción) genera un recibo
+ * en PDF que se adjunta a la confirmación de pago junto con su enlace
+ * firmado (ReceiptService). Un error aquí no afecta la entrega del código.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const ReceiptService = require('../services/ReceiptService');
+const CheckoutHandler = require('./CheckoutHandler');
+const { logger } = require('../utils/logger');
+
+class ReceiptHandler {
+  constructor({
+    receiptService,
+    accessCodeService,
+    groupPurchaseService,
+    productCatalogService,
+    notificationHandler,
+    emailService,
+  }) {
+    this.receipts = receiptService;
+    this.accessCodes = accessCodeService;
+    this.groups = groupPurchaseService;
+    this.catalog = productCatalogService;
+    this.notifications = notificationHandler;
+    this.email = emailService;
+  }
+
+  /**
+   * Recibo del checkout con la vigencia que quedó en el código
+   */
+  async receiptForCheckout(checkout, fulfillment) {
+    const { sessionId, paymentIntentId, customerEmail, customerName, amount, currency, metadata = {} } = checkout;
+
+    // Compras sin cobro (cupón del 100%)
+    if (!this.receipts || !amount) return null;
+
+    try {
+      const product = this.catalog.productFor(metadata);
+      let { expiresAt = null } = fulfillment;
+
+      if (!expiresAt && fulfillment.accessCode) {
+        expiresAt = (await this.accessCodes.getCodeInfo(fulfillment.accessCode))?.expiresAt ?? null;
+      } else if (!expiresAt && fulfillment.groupPurchaseId) {
+        const [seat] = await this.groups.listSeats(fulfillment.groupPurchaseId);
+        expiresAt = seat?.expiresAt ?? null;
+      }
+
+      return await this.sendReceipt({
+        reference: sessionId,
+        paymentIntentId: paymentIntentId || null,
+        email: customerEmail.toLowerCase().trim(),
+        name: customerName || null,
+        productId: product.id,
+        productName: product.name,
+        quantity: parseInt(metadata.quantity, 10) || 1,
+        amount,
+        discountAmount: metadata.couponCode ? CheckoutHandler.discountFor(checkout) : 0,
+        couponCode: metadata.couponCode || null,
+        currency,
+        paymentMethod: checkout.paymentMethod || 'card',
+        accessCode: fulfillment.accessCode || null,
+        expiresAt,
+      });
+    } catch (error) {
+      logger.error('Error issuing receipt', { sessionId, error: error.message });
+      return { status: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Registrar el recibo de un pago y enviarlo con la confirmación
+   * Un pago repetido (reintento del webhook) no se vuelve a enviar; un
+   * error aquí no afecta la entrega del código
+   */
+  async sendReceipt(data) {
+    try {
+      const { record } = await this.receipts.createReceipt(data);
+      let { emailedAt } = record;
+
+      if (!emailedAt && this.email) {
+        const result = await this.sendPaymentConfirmation(record);
+        if (result.success) emailedAt = new Date();
+      }
+
+      return {
+        receiptId: record.receiptId,
+        url: this.receipts.signedUrl(record.receiptId),
+        emailed: Boolean(emailedAt),
+      };
+    } catch (error) {
+      logger.error('Error issuing receipt', { reference: data.reference, error: error.message });
+      return { status: 'error', error: error.message };
+    }
+  }
+
+  async sendPaymentConfirmation(receipt) {
+    const url = this.receipts.signedUrl(receipt.receiptId);
+    let result;
+
+    try {
+      result = await this.email.sendPaymentConfirmation({
+        to: receipt.email,
+        name: receipt.name || 'Cliente',
+        amount: receipt.amount,
+        currency: receipt.currency,
+        paymentId: receipt.paymentIntentId || receipt.reference,
+        productName: receipt.productName,
+        couponCode: receipt.couponCode,
+        discountAmount: receipt.discountAmount,
+        paymentMethod: ReceiptService.PAYMENT_METHODS[receipt.paymentMethod] || receipt.paymentMethod,
+        expiresAt: receipt.expiresAt,
+        receiptUrl: url,
+        receipt: {
+          filename: ReceiptService.filename(receipt),
+          content: this.receipts.renderPdf(receipt),
+        },
+      });
+      await this.receipts.markEmailed(receipt.receiptId);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    await this.notifications.recordNotification(
+      { email: receipt.email, code: receipt.accessCode },
+      'email',
+      receipt.email,
+      result
+    );
+
+    return result;
+  }
+}
+
+module.exports = ReceiptHandler;
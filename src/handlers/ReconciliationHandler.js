@@ -0,0 +1,56 @@
+/**
+ * CONCILIACIÓN
+ *
+ * Compara los cobros de Stripe con la base de datos
+ * (ReconciliationService) y puede emitir los códigos de checkouts pagados
+ * que se quedaron sin código.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const ReconciliationService = require('../services/ReconciliationService');
+const { logger } = require('../utils/logger');
+
+class ReconciliationHandler {
+  constructor({ reconciliationService, stripeService, deferredPaymentHandler }) {
+    this.reconciliation = reconciliationService;
+    this.stripe = stripeService;
+    this.deferredPaymentHandler = deferredPaymentHandler;
+  }
+
+  /**
+   * Conciliar Stripe con la base de datos entre `from` y `to`
+   * Con `fix`, los checkouts pagados sin código se cumplen como si hubiera
+   * llegado su webhook; cada incidencia corregida lleva `fix`
+   */
+  async reconcilePayments({ from, to, fix = false }) {
+    const report = await this.reconciliation.reconcile({ from, to });
+    if (!fix) return report;
+
+    for (const issue of report.issues) {
+      if (issue.type !== ReconciliationService.ISSUES.PAID_WITHOUT_CODE) continue;
+
+      try {
+        const session = await this.stripe.getCheckoutSession(issue.sessionId);
+        const fulfillment = await this.deferredPaymentHandler.fulfillDeferredPayment({
+          type: 'checkout.reconciled',
+          ...this.stripe.describeCheckoutSession(session),
+        });
+
+        issue.fix = fulfillment.skipped
+          ? { status: 'skipped', reason: fulfillment.reason }
+          : { status: 'fixed', accessCode: fulfillment.accessCode ?? fulfillment.groupPurchaseId };
+
+        logger.info('Reconciliation issued missing access code', { sessionId: issue.sessionId, ...issue.fix });
+      } catch (error) {
+        issue.fix = { status: 'error', error: error.message };
+        logger.error('Error fixing reconciliation issue', { sessionId: issue.sessionId, error: error.message });
+      }
+    }
+
+    return report;
+  }
+}
+
+module.exports = ReconciliationHandler;
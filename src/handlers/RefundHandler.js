@@ -0,0 +1,199 @@
+/**
+ * REEMBOLSOS
+ *
+ * Los reembolsos (desde el admin o charge.refunded) se registran, se
+ * desactiva o acorta el código que pagó el cobro (compra, renovación o
+ * factura de suscripción, según ChargeService), se suma al cobro y se
+ * avisa al comprador (RefundService).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const SessionService = require('../services/SessionService');
+const RefundService = require('../services/RefundService');
+const ChargeService = require('../services/ChargeService');
+const StripeServiceV2 = require('../services/StripeServiceV2');
+const { logger } = require('../utils/logger');
+
+class RefundHandler {
+  constructor({
+    refundService,
+    chargeService,
+    stripeService,
+    accessCodeService,
+    paymentStateService,
+    sessionService = null,
+    groupPurchaseService = null,
+    notificationHandler,
+  }) {
+    this.refunds = refundService;
+    this.charges = chargeService;
+    this.stripe = stripeService;
+    this.accessCodes = accessCodeService;
+    this.payments = paymentStateService;
+    this.sessions = sessionService;
+    this.groups = groupPurchaseService;
+    this.notifications = notificationHandler;
+  }
+
+  /**
+   * Reembolsar un pago desde el admin (por código o Payment Intent)
+   * `amount` en centavos; sin amount el reembolso es total
+   */
+  async refundPayment({ code = null, paymentIntentId = null, amount = null, reason = null, accessAction = null }) {
+    const resolved = await this.refunds.resolvePaymentIntent({ code, paymentIntentId });
+
+    const refund = await this.stripe.createRefund({
+      paymentIntentId: resolved,
+      amount,
+      reason,
+      metadata: { requestedBy: 'admin', ...(accessAction ? { accessAction } : {}) },
+    });
+
+    return this.applyRefund(refund, { source: 'admin', requestedBy: 'admin' });
+  }
+
+  /**
+   * charge.refunded: aplicar los reembolsos que aún no se registraron
+   * (los del admin ya se aplicaron al crearlos)
+   */
+  async handleChargeRefunded(charge) {
+    const refunds = charge.refunds || (await this.stripe.listRefunds(charge.chargeId)).map(
+      (refund) => StripeServiceV2.describeRefund(refund, {
+        id: charge.chargeId,
+        payment_intent: charge.paymentIntentId,
+        amount: charge.amount,
+      })
+    );
+
+    const applied = [];
+    for (const refund of refunds) {
+      if (!['succeeded', 'pending'].includes(refund.status)) continue;
+      applied.push(await this.applyRefund(
+        { ...refund, chargeAmount: refund.chargeAmount ?? charge.amount },
+        { source: 'stripe' }
+      ));
+    }
+
+    return applied;
+  }
+
+  /**
+   * Registrar un reembolso y aplicarlo a los códigos del pago
+   * Si algo falla, el reembolso queda sin aplicar y el reintento del
+   * webhook lo retoma con los códigos que faltaron
+   */
+  async applyRefund(stripeRefund, { source, requestedBy = null }) {
+    const charge = await this.charges.findCharge(stripeRefund.paymentIntentId);
+    const refund = { ...stripeRefund, chargeAmount: stripeRefund.chargeAmount ?? charge?.amount ?? null };
+    const { record, duplicate } = await this.refunds.recordRefund(refund, { source, requestedBy, charge });
+
+    if (duplicate) {
+      return { refundId: record.refundId, accessAction: record.accessAction, duplicate: true };
+    }
+
+    let accessCodes;
+    let results;
+    try {
+      accessCodes = await this.charges.findAccessCodes(refund.paymentIntentId);
+      results = await this.applyAccessAction(record, refund, charge, accessCodes);
+
+      // El cobro registra los reembolsos de todos los métodos de pago; el
+      // pago diferido (OXXO / SPEI) además cambia de estado
+      const ledgerEntry = { refundId: record.refundId, amount: refund.amount };
+      await this.charges.recordRefund(refund.paymentIntentId, ledgerEntry);
+      await this.payments.recordRefund(refund.paymentIntentId, ledgerEntry);
+      await this.refunds.markApplied(record.refundId);
+    } catch (error) {
+      logger.error('Error applying refund', { refundId: record.refundId, error: error.message });
+      await this.refunds.releaseApplication(record.refundId);
+      throw error;
+    }
+
+    if (accessCodes.length === 0) {
+      logger.warn('Refund without linked access code', {
+        refundId: record.refundId,
+        paymentIntentId: refund.paymentIntentId,
+      });
+    }
+
+    const deliveries = accessCodes.length > 0
+      ? await this.notifyRefund(accessCodes[0], record, results[0])
+      : {};
+
+    return {
+      refundId: record.refundId,
+      amount: record.amount,
+      currency: record.currency,
+      accessAction: record.accessAction,
+      accessCodes: results,
+      deliveries,
+    };
+  }
+
+  /**
+   * Desactivar o acortar los códigos del reembolso
+   * Cada código queda en el registro al aplicarse; al retomar un reembolso
+   * los que ya están ahí no se vuelven a tocar (acortar dos veces quitaría
+   * más tiempo del reembolsado)
+   */
+  async applyAccessAction(record, refund, charge, accessCodes) {
+    const { DEACTIVATE, SHORTEN } = RefundService.ACCESS_ACTIONS;
+    const results = [...(record.accessCodes || [])];
+
+    for (const accessCode of accessCodes) {
+      if (results.some((item) => item.code === accessCode.code)) continue;
+
+      if (record.accessAction === DEACTIVATE) {
+        const { status } = await this.accessCodes.deactivateCode(accessCode.code);
+        if (this.sessions) {
+          await this.sessions.revokeCodeSessions(accessCode.code, SessionService.REVOKE_REASONS.REFUNDED);
+        }
+        results.push({ code: accessCode.code, action: DEACTIVATE, status, expiresAt: accessCode.expiresAt });
+      } else if (record.accessAction === SHORTEN) {
+        const { expiresAt } = await this.accessCodes.shortenCode(
+          accessCode.code,
+          refund.amount / refund.chargeAmount,
+          { period: ChargeService.periodOf(charge) }
+        );
+        if (this.sessions) await this.sessions.syncCodeExpiration(accessCode.code, expiresAt);
+        results.push({ code: accessCode.code, action: SHORTEN, expiresAt });
+      } else {
+        results.push({ code: accessCode.code, action: record.accessAction, expiresAt: accessCode.expiresAt });
+      }
+
+      await this.refunds.setAccessCodes(record.refundId, results);
+    }
+
+    return results;
+  }
+
+  /**
+   * Avisar del reembolso al comprador (en compras de grupo, a quien pagó)
+   */
+  async notifyRefund(accessCode, record, result) {
+    let recipient = accessCode;
+
+    if (accessCode.groupPurchaseId && this.groups) {
+      const purchase = await this.groups.getPurchase(accessCode.groupPurchaseId);
+      recipient = {
+        ...accessCode,
+        email: purchase.buyerEmail,
+        name: purchase.buyerName,
+        deliveryMethod: 'email',
+      };
+    }
+
+    return this.notifications.notifyCodeOwner(recipient, 'sendRefundNotification', {
+      productName: accessCode.productName,
+      accessCode: accessCode.groupPurchaseId || accessCode.code,
+      amount: record.amount,
+      currency: record.currency,
+      accessAction: record.accessAction,
+      expiresAt: result.expiresAt,
+    });
+  }
+}
+
+module.exports = RefundHandler;
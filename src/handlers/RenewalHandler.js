@@ -0,0 +1,132 @@
+/**
+ * RENOVACIONES
+ *
+ * El producto de renovación (kind 'renewal' con metadata.renewCode)
+ * extiende la vigencia del código existente en lugar de generar otro, y
+ * los códigos próximos a vencer reciben recordatorios con el enlace para
+ * renovar (RenewalService).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const { logger } = require('../utils/logger');
+
+class RenewalHandler {
+  constructor({
+    accessCodeService,
+    renewalService,
+    productCatalogService,
+    sessionService = null,
+    historyService,
+    notificationHandler,
+    config,
+  }) {
+    this.accessCodes = accessCodeService;
+    this.renewals = renewalService;
+    this.catalog = productCatalogService;
+    this.sessions = sessionService;
+    this.history = historyService;
+    this.notifications = notificationHandler;
+    this.config = config;
+  }
+
+  /**
+   * Extender la vigencia del código que se renovó
+   * El usuario sigue con el mismo código y su trabajo guardado
+   */
+  async fulfillRenewal(checkout, product, { eventId = null } = {}) {
+    const { sessionId, metadata = {} } = checkout;
+    const code = metadata.renewCode.toUpperCase().trim();
+
+    const extension = await this.accessCodes.extendCode(code, product.accessDays, {
+      renewalSessionId: sessionId,
+    });
+
+    if (extension.alreadyApplied) {
+      logger.warn('Renewal already applied for session', { sessionId, code });
+      return {
+        accessCode: code,
+        renewed: true,
+        previousExpiresAt: extension.previousExpiresAt,
+        expiresAt: extension.expiresAt,
+        deliveries: {},
+        existing: true,
+      };
+    }
+
+    let { accessCode } = extension;
+
+    // Los códigos de módulos sueltos reciben los módulos del producto de renovación
+    if (accessCode.modules) {
+      const { modules } = await this.accessCodes.updateModules(code, product.modules, 'add');
+      accessCode = { ...accessCode, modules };
+      if (this.sessions) await this.sessions.syncCodeModules(code, modules);
+    }
+
+    if (this.sessions) {
+      await this.sessions.syncCodeExpiration(code, extension.expiresAt);
+    }
+
+    await this.history.logAccessCodeExtension({
+      userId: accessCode.email,
+      email: accessCode.email,
+      accessCode: code,
+      previousExpiresAt: extension.previousExpiresAt,
+      expiresAt: extension.expiresAt,
+      productId: product.id,
+      paymentId: sessionId,
+    });
+
+    const deliveries = await this.notifications.notifyCodeOwner(accessCode, 'sendRenewalConfirmation', {
+      productName: accessCode.productName,
+      accessCode: code,
+      expiresAt: extension.expiresAt,
+    });
+
+    return {
+      accessCode: code,
+      renewed: true,
+      previousExpiresAt: extension.previousExpiresAt,
+      expiresAt: extension.expiresAt,
+      email: accessCode.email,
+      deliveries,
+      eventId,
+    };
+  }
+
+  /**
+   * Enviar los recordatorios de vencimiento pendientes (tarea periódica)
+   */
+  async sendRenewalReminders(now = new Date()) {
+    const due = await this.renewals.dueReminders(now);
+    let sent = 0;
+
+    for (const { accessCode, daysBefore, daysLeft } of due) {
+      if (!(await this.renewals.claimReminder(accessCode, daysBefore))) continue;
+
+      const deliveries = await this.notifications.notifyCodeOwner(accessCode, 'sendRenewalReminder', {
+        productName: accessCode.productName,
+        accessCode: accessCode.code,
+        expiresAt: accessCode.expiresAt,
+        daysLeft,
+        renewUrl: this.renewalUrl(accessCode.code),
+      });
+
+      await this.renewals.recordReminderDeliveries(accessCode, daysBefore, deliveries);
+      sent += 1;
+    }
+
+    return { due: due.length, sent };
+  }
+
+  /**
+   * Checkout del producto de renovación para un código
+   */
+  renewalUrl(code) {
+    const params = new URLSearchParams({ producto: this.catalog.getRenewalProduct().id, codigo: code });
+    return `${this.config.APP_URL}/checkout.html?${params}`;
+  }
+}
+
+module.exports = RenewalHandler;
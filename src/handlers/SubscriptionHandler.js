@@ -0,0 +1,190 @@
+/**
+ * SUSCRIPCIONES
+ *
+ * El checkout genera el código (CheckoutHandler); invoice.paid lo
+ * extiende y registra el cobro de la factura (ChargeService),
+ * invoice.payment_failed avisa del periodo de gracia y
+ * customer.subscription.deleted lo suspende (SubscriptionService).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const SessionService = require('../services/SessionService');
+const ChargeService = require('../services/ChargeService');
+const { logger } = require('../utils/logger');
+
+class SubscriptionHandler {
+  constructor({
+    subscriptionService,
+    chargeService = null,
+    sessionService = null,
+    historyService,
+    notificationHandler,
+    receiptHandler,
+    config,
+  }) {
+    this.subscriptions = subscriptionService;
+    this.charges = chargeService;
+    this.sessions = sessionService;
+    this.history = historyService;
+    this.notifications = notificationHandler;
+    this.receiptHandler = receiptHandler;
+    this.config = config;
+  }
+
+  /**
+   * Factura pagada: extender la vigencia del código de la suscripción
+   * La primera factura puede llegar antes que checkout.session.completed;
+   * en ese caso el código aún no existe y su vigencia inicial ya cubre
+   * el primer periodo
+   */
+  async renewSubscription(invoice) {
+    const { invoiceId, subscriptionId, billingReason, periodEnd } = invoice;
+    const renewal = await this.subscriptions.applyPaidInvoice({ subscriptionId, periodEnd });
+    await this.recordInvoiceCharge(invoice, renewal?.accessCode || null);
+
+    if (!renewal) {
+      logger.info('Invoice paid before access code was issued', { invoiceId, subscriptionId });
+      return { handled: false, reason: 'CODE_NOT_FOUND' };
+    }
+
+    const { accessCode, previousExpiresAt, expiresAt, extended } = renewal;
+
+    if (!extended) {
+      return { accessCode: accessCode.code, expiresAt, extended: false };
+    }
+
+    if (this.sessions) {
+      await this.sessions.syncCodeExpiration(accessCode.code, expiresAt);
+    }
+
+    await this.history.logAccessCodeExtension({
+      userId: accessCode.email,
+      email: accessCode.email,
+      accessCode: accessCode.code,
+      previousExpiresAt,
+      expiresAt,
+      productId: accessCode.productId,
+      paymentId: invoiceId,
+    });
+
+    // La primera factura es la compra; el correo con el código y el recibo
+    // ya se enviaron al completarse el checkout
+    if (billingReason !== 'subscription_cycle') {
+      return { accessCode: accessCode.code, expiresAt, extended: true, deliveries: {} };
+    }
+
+    const deliveries = await this.notifications.notifyCodeOwner(accessCode, 'sendRenewalConfirmation', {
+      productName: accessCode.productName,
+      accessCode: accessCode.code,
+      expiresAt,
+    });
+
+    const receipt = this.receiptHandler && invoice.amount
+      ? await this.receiptHandler.sendReceipt({
+        reference: invoiceId,
+        email: accessCode.email,
+        name: accessCode.name,
+        productId: accessCode.productId,
+        productName: accessCode.productName,
+        amount: invoice.amount,
+        currency: invoice.currency,
+        paymentMethod: 'card',
+        accessCode: accessCode.code,
+        expiresAt,
+      })
+      : null;
+
+    return { accessCode: accessCode.code, expiresAt, extended: true, deliveries, receipt };
+  }
+
+  /**
+   * Registrar el cobro de una factura pagada con el periodo que paga
+   * La primera factura es la compra; las siguientes, renovaciones. Si el
+   * código aún no existe, el cobro lo encuentra por la suscripción
+   */
+  async recordInvoiceCharge(invoice, accessCode) {
+    if (!this.charges) return;
+
+    const { PURCHASE, RENEWAL } = ChargeService.KINDS;
+    await this.charges.recordCharge({
+      paymentIntentId: invoice.paymentIntentId,
+      chargeId: invoice.chargeId,
+      kind: invoice.billingReason === 'subscription_create' ? PURCHASE : RENEWAL,
+      invoiceId: invoice.invoiceId,
+      accessCode: accessCode?.code || null,
+      subscriptionId: invoice.subscriptionId,
+      amount: invoice.amount,
+      currency: invoice.currency,
+      periodStart: invoice.periodStart,
+      periodEnd: invoice.periodEnd,
+    });
+  }
+
+  /**
+   * Cobro fallido: avisar que el acceso sigue durante el periodo de gracia
+   * Stripe reintenta el cobro; si agota los reintentos cancela la
+   * suscripción (customer.subscription.deleted)
+   */
+  async handleSubscriptionPaymentFailed(invoice) {
+    const { invoiceId, subscriptionId, attemptCount } = invoice;
+    const pastDue = await this.subscriptions.markPastDue({ subscriptionId });
+
+    if (!pastDue) {
+      logger.warn('Invoice payment failed for unknown subscription', { invoiceId, subscriptionId });
+      return { handled: false, reason: 'CODE_NOT_FOUND' };
+    }
+
+    const { accessCode, graceEndsAt } = pastDue;
+
+    // Un aviso por factura, no uno por cada reintento
+    const deliveries = attemptCount > 1
+      ? {}
+      : await this.notifications.notifyCodeOwner(accessCode, 'sendSubscriptionPaymentFailed', {
+        productName: accessCode.productName,
+        accessCode: accessCode.code,
+        graceEndsAt,
+        accountUrl: `${this.config.APP_URL}/dispositivos.html`,
+      });
+
+    return { accessCode: accessCode.code, graceEndsAt, deliveries };
+  }
+
+  /**
+   * Suscripción terminada: suspender el código y cerrar sus sesiones
+   */
+  async cancelSubscription(subscription) {
+    const { subscriptionId } = subscription;
+    const cancellation = await this.subscriptions.cancel({ subscriptionId });
+
+    if (!cancellation) {
+      logger.warn('Subscription deleted without access code', { subscriptionId });
+      return { handled: false, reason: 'CODE_NOT_FOUND' };
+    }
+
+    const { accessCode, suspended } = cancellation;
+
+    if (!suspended) {
+      return { accessCode: accessCode.code, suspended: false };
+    }
+
+    const revokedSessions = this.sessions
+      ? await this.sessions.revokeCodeSessions(
+        accessCode.code,
+        SessionService.REVOKE_REASONS.SUBSCRIPTION_CANCELED
+      )
+      : 0;
+
+    const params = new URLSearchParams({ producto: accessCode.productId });
+    const deliveries = await this.notifications.notifyCodeOwner(accessCode, 'sendSubscriptionCanceled', {
+      productName: accessCode.productName,
+      accessCode: accessCode.code,
+      subscribeUrl: `${this.config.APP_URL}/checkout.html?${params}`,
+    });
+
+    return { accessCode: accessCode.code, suspended: true, revokedSessions, deliveries };
+  }
+}
+
+module.exports = SubscriptionHandler;
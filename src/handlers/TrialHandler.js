@@ -0,0 +1,161 @@
+/**
+ * PRUEBAS GRATIS
+ *
+ * Emite el código de prueba (TrialService) con el enlace de upgrade. Al
+ * pagarse un checkout con metadata.upgradeCode, el mismo código pasa a
+ * ser del producto comprado, sin las restricciones de la prueba.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const CheckoutHandler = require('./CheckoutHandler');
+const { logger } = require('../utils/logger');
+const { fromMinorUnits, paymentMethodsFor } = require('../utils/money');
+const { MODULES } = require('../catalog/products');
+
+class TrialHandler {
+  constructor({
+    trialService,
+    accessCodeService,
+    productCatalogService,
+    stripeService,
+    sessionService = null,
+    historyService,
+    notificationHandler,
+    config,
+  }) {
+    this.trials = trialService;
+    this.accessCodes = accessCodeService;
+    this.catalog = productCatalogService;
+    this.stripe = stripeService;
+    this.sessions = sessionService;
+    this.history = historyService;
+    this.notifications = notificationHandler;
+    this.config = config;
+  }
+
+  /**
+   * Emitir una prueba gratis y enviar el código con el enlace de upgrade
+   */
+  async startTrial({ email, name = null, phone = null, deliveryMethod = 'email' }) {
+    const accessCode = await this.trials.issueTrial({ email, name, phone, deliveryMethod });
+
+    await this.history.logAccessCode({
+      userId: accessCode.email,
+      email: accessCode.email,
+      accessCode: accessCode.code,
+      expiresAt: accessCode.expiresAt,
+      productId: accessCode.productId,
+      paymentId: null,
+    });
+
+    const deliveries = await this.notifications.notifyCodeOwner(accessCode, 'sendTrialCode', {
+      accessCode: accessCode.code,
+      expiresAt: accessCode.expiresAt,
+      modules: accessCode.modules.map((id) => MODULES[id]?.name || id),
+      upgradeUrl: this.trials.upgradeUrl(accessCode.code),
+    });
+
+    return {
+      accessCode: accessCode.code,
+      email: accessCode.email,
+      expiresAt: accessCode.expiresAt,
+      deliveries,
+    };
+  }
+
+  /**
+   * Checkout del producto de upgrade para un código de prueba
+   * (enlace de un clic: los datos del comprador salen del código)
+   */
+  async createTrialUpgradeCheckout(accessCode, { country = null } = {}) {
+    let product = this.catalog.getTrialUpgradeProduct();
+    product = this.catalog.priceIn(product, this.catalog.selectCurrency(product, { country }));
+
+    const paymentMethods = paymentMethodsFor(product.price.currency, this.config.PAYMENT_METHOD_TYPES);
+    const isSubscription = product.kind === 'subscription';
+
+    return this.stripe.createCheckoutSession({
+      ...this.catalog.checkoutPrice(product),
+      successUrl: `${this.config.APP_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
+      cancelUrl: `${this.config.APP_URL}/checkout.html?canceled=true`,
+      customerEmail: accessCode.email,
+      mode: isSubscription ? 'subscription' : 'payment',
+      paymentMethodTypes: isSubscription || paymentMethods.length === 0 ? ['card'] : paymentMethods,
+      locale: product.price.currency === 'mxn' ? 'es' : 'auto',
+      metadata: {
+        nombre: accessCode.name,
+        ...(accessCode.phone ? { telefono: accessCode.phone } : {}),
+        delivery_method: accessCode.deliveryMethod,
+        productId: product.id,
+        productName: product.name,
+        upgradeCode: accessCode.code,
+        source: 'skillscert_ec0301',
+      },
+    });
+  }
+
+  /**
+   * Convertir el código de prueba en el código del producto pagado
+   * El usuario sigue con el mismo código y lo que avanzó en la prueba
+   */
+  async fulfillTrialUpgrade(checkout, product, { eventId = null } = {}) {
+    const { sessionId, amount, currency, metadata = {} } = checkout;
+    const code = metadata.upgradeCode.toUpperCase().trim();
+    const couponCode = metadata.couponCode || null;
+    const discountAmount = couponCode ? CheckoutHandler.discountFor(checkout) : 0;
+
+    const conversion = await this.accessCodes.convertTrial(code, {
+      productId: product.id,
+      productName: product.name,
+      paymentId: sessionId,
+      stripeSessionId: sessionId,
+      stripeEventId: eventId,
+      stripePaymentIntentId: checkout.paymentIntentId || null,
+      amount: fromMinorUnits(amount, currency), // Stripe reporta centavos
+      currency,
+      couponCode,
+      discountAmount: fromMinorUnits(discountAmount, currency),
+      stripeSubscriptionId: checkout.subscriptionId || null,
+      stripeCustomerId: checkout.subscriptionId ? checkout.customerId : null,
+      subscriptionStatus: checkout.subscriptionId ? 'active' : null,
+      expiresAt: this.accessCodes.calculateExpiration(product.accessDays),
+      modules: product.modules,
+    });
+
+    const { accessCode } = conversion;
+
+    if (conversion.alreadyApplied) {
+      logger.warn('Trial upgrade already applied for session', { sessionId, code });
+      return { accessCode: code, email: accessCode.email, upgraded: true, deliveries: {}, existing: true };
+    }
+
+    if (this.sessions) {
+      await this.sessions.syncCodeModules(code, accessCode.modules);
+      await this.sessions.syncCodeFlags(code, null);
+      await this.sessions.syncCodeExpiration(code, accessCode.expiresAt);
+    }
+
+    await this.history.logAccessCode({
+      userId: accessCode.email,
+      email: accessCode.email,
+      accessCode: code,
+      expiresAt: accessCode.expiresAt,
+      productId: product.id,
+      paymentId: sessionId,
+    });
+
+    const deliveries = await this.notifications.deliverAccessCode(accessCode);
+
+    return {
+      accessCode: code,
+      email: accessCode.email,
+      upgraded: true,
+      expiresAt: accessCode.expiresAt,
+      deliveries,
+    };
+  }
+}
+
+module.exports = TrialHandler;
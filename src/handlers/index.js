@@ -0,0 +1,78 @@
+/**
+ * MANEJADORES DE EVENTOS DE PAGO
+ *
+ * Un manejador por familia de eventos (checkout, pagos diferidos,
+ * renovaciones, suscripciones, reembolsos, disputas, ...). Cada uno
+ * combina los servicios de su familia con los avisos al comprador;
+ * FulfillmentService solo despacha los eventos de Stripe al que toca.
+ *
+ * Se construyen una sola vez a partir de los servicios del contenedor y
+ * cualquiera se puede reemplazar con `overrides` (p. ej. en pruebas).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const NotificationHandler = require('./NotificationHandler');
+const ReceiptHandler = require('./ReceiptHandler');
+const InvoiceHandler = require('./InvoiceHandler');
+const GroupPurchaseHandler = require('./GroupPurchaseHandler');
+const RenewalHandler = require('./RenewalHandler');
+const TrialHandler = require('./TrialHandler');
+const CheckoutRecoveryHandler = require('./CheckoutRecoveryHandler');
+const CheckoutHandler = require('./CheckoutHandler');
+const DeferredPaymentHandler = require('./DeferredPaymentHandler');
+const SubscriptionHandler = require('./SubscriptionHandler');
+const RefundHandler = require('./RefundHandler');
+const DisputeHandler = require('./DisputeHandler');
+const ReconciliationHandler = require('./ReconciliationHandler');
+
+function createHandlers(services, overrides = {}) {
+  const build = (name, Handler, deps) => overrides[name] || new Handler({ ...services, ...deps });
+
+  const notificationHandler = build('notificationHandler', NotificationHandler);
+  const shared = { notificationHandler };
+
+  const receiptHandler = build('receiptHandler', ReceiptHandler, shared);
+  const invoiceHandler = build('invoiceHandler', InvoiceHandler, shared);
+  const groupPurchaseHandler = build('groupPurchaseHandler', GroupPurchaseHandler, shared);
+  const renewalHandler = build('renewalHandler', RenewalHandler, shared);
+  const trialHandler = build('trialHandler', TrialHandler, shared);
+  const checkoutRecoveryHandler = build('checkoutRecoveryHandler', CheckoutRecoveryHandler, shared);
+
+  const checkoutHandler = build('checkoutHandler', CheckoutHandler, {
+    ...shared,
+    receiptHandler,
+    invoiceHandler,
+    groupPurchaseHandler,
+    renewalHandler,
+    trialHandler,
+    checkoutRecoveryHandler,
+  });
+  const deferredPaymentHandler = build('deferredPaymentHandler', DeferredPaymentHandler, {
+    ...shared,
+    checkoutHandler,
+  });
+  const subscriptionHandler = build('subscriptionHandler', SubscriptionHandler, { ...shared, receiptHandler });
+  const refundHandler = build('refundHandler', RefundHandler, shared);
+  const disputeHandler = build('disputeHandler', DisputeHandler, shared);
+  const reconciliationHandler = build('reconciliationHandler', ReconciliationHandler, { deferredPaymentHandler });
+
+  return {
+    notificationHandler,
+    receiptHandler,
+    invoiceHandler,
+    groupPurchaseHandler,
+    renewalHandler,
+    trialHandler,
+    checkoutRecoveryHandler,
+    checkoutHandler,
+    deferredPaymentHandler,
+    subscriptionHandler,
+    refundHandler,
+    disputeHandler,
+    reconciliationHandler,
+  };
+}
+
+module.exports = { createHandlers };
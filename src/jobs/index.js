@@ -0,0 +1,128 @@
+/**
+ * TAREAS PROGRAMADAS
+ *
+ * Definición de las tareas que ejecuta SchedulerService. Cada tarea
+ * devuelve un resumen que queda guardado en job_runs.
+ *
+ * Para agregar una tarea: añadirla a la lista con name, intervalMs y run().
+ * Usar `lock: false` solo si limpia memoria del propio proceso.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const paymentController = require('../paymentController');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function createJobs(container) {
+  const {
+    accessCodeService,
+    couponService,
+    deferredPaymentHandler,
+    renewalHandler,
+    invoiceHandler,
+    checkoutRecoveryHandler,
+    reconciliationHandler,
+    stripeService,
+    sessionService,
+    loginThrottleService,
+    config,
+  } = container;
+
+  return [
+    {
+      name: 'expire-access-codes',
+      description: 'Marca como expirados los códigos cuya vigencia terminó',
+      intervalMs: config.JOB_EXPIRE_CODES_MINUTES * MINUTE,
+      run: () => accessCodeService.cleanExpiredCodes(),
+    },
+    {
+      name: 'expire-payments',
+      description: 'Marca como vencidos los pagos OXXO/SPEI no pagados y avisa al comprador',
+      intervalMs: config.JOB_EXPIRE_PAYMENTS_MINUTES * MINUTE,
+      run: () => deferredPaymentHandler.expireOverduePayments(),
+    },
+    {
+      name: 'release-coupon-reservations',
+      description: 'Libera los usos de cupón reservados por checkouts que vencieron sin pagarse',
+      intervalMs: config.JOB_PURGE_MINUTES * MINUTE,
+      run: () => couponService.releaseExpiredReservations(),
+    },
+    {
+      name: 'send-renewal-reminders',
+      description: 'Envía los recordatorios de renovación a los códigos próximos a vencer',
+      intervalMs: config.JOB_RENEWAL_REMINDERS_MINUTES * MINUTE,
+      run: () => renewalHandler.sendRenewalReminders(),
+    },
+    {
+      name: 'retry-cfdi-invoices',
+      description: 'Vuelve a timbrar las facturas CFDI fallidas y envía las que no se enviaron',
+      intervalMs: config.JOB_RETRY_CFDI_MINUTES * MINUTE,
+      run: () => invoiceHandler.retryInvoices(),
+    },
+    {
+      name: 'send-checkout-recoveries',
+      description: 'Envía un checkout nuevo a quien dejó vencer el suyo sin pagar',
+      intervalMs: config.JOB_CHECKOUT_RECOVERY_MINUTES * MINUTE,
+      run: async () => {
+        if (!stripeService) return { skipped: true, reason: 'stripe_not_configured' };
+        if (config.CHECKOUT_RECOVERY_DELAY_MINUTES <= 0) return { skipped: true, reason: 'disabled' };
+
+        return checkoutRecoveryHandler.sendCheckoutRecoveries();
+      },
+    },
+    {
+      name: 'reconcile-stripe',
+      description: 'Compara los cobros de Stripe de las últimas 48 horas con la base de datos (solo reporta)',
+      intervalMs: config.JOB_RECONCILE_HOURS * HOUR,
+      run: async () => {
+        if (!stripeService) return { skipped: true, reason: 'stripe_not_configured' };
+
+        // La última hora se omite: sus webhooks pueden seguir en camino
+        const to = new Date(Date.now() - HOUR);
+        const { checked, summary } = await reconciliationHandler.reconcilePayments({
+          from: new Date(to.getTime() - 48 * HOUR),
+          to,
+        });
+        return { ...checked, ...summary };
+      },
+    },
+    {
+      name: 'purge-idempotency-cache',
+      description: 'Elimina resultados vencidos del caché de idempotencia de pagos',
+      intervalMs: config.JOB_PURGE_MINUTES * MINUTE,
+      lock: false,
+      run: async () => ({ purged: paymentController.idempotency.purgeExpired() }),
+    },
+    {
+      name: 'purge-rate-limits',
+      description: 'Elimina ventanas vencidas del límite de peticiones de pagos',
+      intervalMs: config.JOB_PURGE_MINUTES * MINUTE,
+      lock: false,
+      run: async () => ({ purged: paymentController.rateLimiter.purgeExpired() }),
+    },
+    {
+      name: 'purge-sessions',
+      description: 'Borra las sesiones vencidas o revocadas hace más de 30 días',
+      intervalMs: 24 * 60 * MINUTE,
+      run: async () => ({ purged: await sessionService.purgeExpired(30) }),
+    },
+    {
+      name: 'purge-login-attempts',
+      description: 'Borra los contadores de login sin fallos en las últimas 24 horas',
+      intervalMs: config.JOB_PURGE_MINUTES * MINUTE,
+      run: async () => ({ purged: await loginThrottleService.purgeExpired() }),
+    },
+    {
+      name: 'purge-job-runs',
+      description: 'Borra el historial de ejecuciones de más de 30 días',
+      intervalMs: 24 * 60 * MINUTE,
+      // El scheduler se crea después de las tareas, por eso se lee del contenedor
+      run: async () => ({ purged: await container.schedulerService.purgeRuns(30) }),
+    },
+  ];
+}
+
+module.exports = { createJobs };
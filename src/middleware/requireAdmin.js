@@ -0,0 +1,46 @@
+/**
+ * MIDDLEWARE DE ADMINISTRACIÓN
+ *
+ * Protege las rutas /api/admin con la clave ADMIN_API_KEY, enviada en
+ * el header `x-admin-key` o como `Authorization: Bearer <clave>`.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function requireAdmin(config) {
+  return (req, res, next) => {
+    if (!config.ADMIN_API_KEY) {
+      return res.status(503).json({
+        success: false,
+        code: 'ADMIN_NOT_CONFIGURED',
+        message: 'ADMIN_API_KEY no configurada',
+      });
+    }
+
+    const provided = req.headers['x-admin-key']
+      || req.headers.authorization?.replace('Bearer ', '');
+
+    if (!provided || !safeEqual(provided, config.ADMIN_API_KEY)) {
+      logger.warn('Unauthorized admin request', { path: req.originalUrl, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        code: 'UNAUTHORIZED',
+        message: 'Credenciales de administrador inválidas',
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = requireAdmin;
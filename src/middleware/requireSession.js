@@ -0,0 +1,201 @@
+/**
+ * MIDDLEWARE DE SESIÓN
+ *
+ * Protege las páginas de la plataforma (carta descriptiva, evaluaciones...)
+ * del lado del servidor: sin un token de sesión válido, la petición se
+ * redirige a login.html con la URL de regreso. Si la página es de un
+ * módulo que el código no incluye, responde 403.
+ *
+ * El token se lee de la cookie `skillscert_session` (la fija el login) o
+ * del header `Authorization: Bearer <token>`.
+ *
+ * Las páginas protegidas están en platform/, fuera de la carpeta que sirve
+ * express.static: solo `servePlatformPages` las entrega, y solo cuando la
+ * ruta normalizada es una de PROTECTED_PAGES (que ya pasó por el guard).
+ *
+ * `requireApiSession` hace lo mismo para rutas /api y responde 401 en JSON.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { MODULES } = require('../catalog/products');
+const ProductCatalogService = require('../services/ProductCatalogService');
+
+const SESSION_COOKIE = 'skillscert_session';
+const PLATFORM_DIR = path.join(__dirname, '../../platform');
+
+// Páginas que requieren haber iniciado sesión con un código: las de cada
+// módulo del catálogo y las de la cuenta
+const PROTECTED_PAGES = [
+  ...Object.values(MODULES).map((module) => module.page).filter(Boolean),
+  '/dispositivos.html',
+];
+
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const pair of header.split(';')) {
+    const [key, ...value] = pair.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+
+  return null;
+}
+
+/**
+ * Token de la petición: body, header Authorization o cookie
+ */
+function readSessionToken(req) {
+  return req.body?.token
+    || req.headers.authorization?.replace('Bearer ', '')
+    || readCookie(req, SESSION_COOKIE);
+}
+
+/**
+ * Guardar el token en la cookie de sesión
+ */
+function setSessionCookie(res, token, expiresAt, config) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.NODE_ENV === 'production',
+    expires: new Date(expiresAt),
+    path: '/',
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/**
+ * Ruta decodificada y normalizada de la petición (`//a.html`, `/./a.html`
+ * y `/x/../a.html` son `/a.html`); null si no se puede decodificar
+ */
+function normalizedPath(req) {
+  try {
+    return path.posix.normalize(decodeURIComponent(req.path).replace(/\/+/g, '/'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function loginRedirect(req, reason) {
+  const params = new URLSearchParams({ returnUrl: req.originalUrl });
+  if (reason) params.set('reason', reason);
+  return `/login.html?${params}`;
+}
+
+function requireSession(sessionService, pages = PROTECTED_PAGES) {
+  const protectedPaths = new Set(pages);
+
+  return async (req, res, next) => {
+    const pathname = normalizedPath(req);
+
+    if (!['GET', 'HEAD'].includes(req.method) || !protectedPaths.has(pathname)) {
+      return next();
+    }
+
+    const token = readSessionToken(req);
+
+    if (!token) {
+      return res.redirect(302, loginRedirect(req));
+    }
+
+    try {
+      const verification = await sessionService.verify(token);
+
+      if (!verification.valid) {
+        logger.info('Protected page requested with invalid session', {
+          path: pathname,
+          reason: verification.reason,
+          ip: req.ip,
+        });
+        clearSessionCookie(res);
+        return res.redirect(302, loginRedirect(req, 'expired'));
+      }
+
+      const moduleId = ProductCatalogService.moduleForPage(pathname);
+
+      if (moduleId && !ProductCatalogService.hasModule(verification.session.modules, moduleId)) {
+        logger.info('Protected page requested without module', {
+          path: pathname,
+          module: moduleId,
+          email: verification.session.email,
+        });
+        return res
+          .status(403)
+          .send(`Tu código de acceso no incluye el módulo "${MODULES[moduleId].name}". `
+            + '<a href="/index.html">Ver productos</a>');
+      }
+
+      req.session = verification.session;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Entregar las páginas protegidas desde platform/. Va después de
+ * requireSession, que ya validó la sesión para la misma ruta normalizada.
+ */
+function servePlatformPages(pages = PROTECTED_PAGES, root = PLATFORM_DIR) {
+  const protectedPaths = new Set(pages);
+
+  return (req, res, next) => {
+    const pathname = normalizedPath(req);
+
+    if (!['GET', 'HEAD'].includes(req.method) || !protectedPaths.has(pathname)) {
+      return next();
+    }
+
+    res.sendFile(pathname, { root }, (error) => {
+      if (error) next(error.status === 404 ? undefined : error);
+    });
+  };
+}
+
+function requireApiSession(sessionService) {
+  return async (req, res, next) => {
+    const token = readSessionToken(req);
+
+    if (!token) {
+      return res.status(401).json({ success: false, code: 'INVALID_TOKEN', error: 'Sesión requerida' });
+    }
+
+    try {
+      const verification = await sessionService.verify(token);
+
+      if (!verification.valid) {
+        return res.status(401).json({
+          success: false,
+          code: verification.reason,
+          error: verification.message,
+        });
+      }
+
+      req.session = verification.session;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  requireSession,
+  servePlatformPages,
+  requireApiSession,
+  readSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  SESSION_COOKIE,
+  PROTECTED_PAGES,
+  PLATFORM_DIR,
+};
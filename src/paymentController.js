@@ -11,11 +11,11 @@
  * - Batch processing
  * - Circuit breaker pattern
  * - Idempotency support
- * - Reconciliation
+ * - Reconciliation (con Stripe: src/services/ReconciliationService.js)
  * - PCI compliance
  * - 3D Secure ready
  * - Dispute handling
- * - Settlement tracking
+ * - Settlement tracking (depósitos de Stripe: src/services/PayoutService.js)
  * - Analytics/Reporting
  * - Performance monitoring
  * - Concurrency control
@@ -30,6 +30,8 @@
 
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const { MemoryRepository } = require('./db');
+const { normalizeCurrency, formatMoney } = require('./utils/money');
 
 // ==================== ENUMERACIONES ====================
 const PAYMENT_STATUS = {
@@ -44,6 +46,8 @@ const PAYMENT_STATUS = {
   SETTLED: 'settled'
 };
 
+const DOCUMENT_COLLECTIONS = ['transactions', 'invoices', 'disputes', 'settlements'];
+
 const TRANSACTION_TYPE = {
   PAYMENT: 'payment',
   REFUND: 'refund',
@@ -75,15 +79,19 @@ const CONFIG = {
   // Stripe
   STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY || 'sk_test_mock',
   
-  // Montos
-  MAX_AMOUNT: 100000, // $1000 USD
-  MIN_AMOUNT: 100, // $1 USD
+  // Montos por moneda, en centavos (ver src/utils/money.js)
+  DEFAULT_CURRENCY: 'usd',
+  AMOUNT_LIMITS: {
+    usd: { min: 100, max: 100000 }, // $1 - $1000 USD
+    mxn: { min: 1000, max: 2000000 } // $10 - $20,000 MXN
+  },
   
   // Tiempos
   DUPLICATE_CHECK_MINUTES: 5,
   CACHE_TTL: 5 * 60 * 1000,
   RATE_LIMIT_REQUESTS: 100,
   RATE_LIMIT_WINDOW: 60000,
+  IDEMPOTENCY_TTL: 60 * 60 * 1000, // 1 hora
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 1000,
   
@@ -103,7 +111,6 @@ const CONFIG = {
   
   // Ambiente
   NODE_ENV: process.env.NODE_ENV || 'development',
-  DB_TYPE: process.env.DB_TYPE || 'memory', // memory | mongodb | postgresql
   
   // PCI
   ENABLE_PCI_COMPLIANCE: true
@@ -255,85 +262,101 @@ class EncryptionService {
 const encryption = new EncryptionService();
 
 // ==================== DATABASE ABSTRACTION ====================
+// Los documentos (transacciones, facturas, disputas, settlements) se guardan
+// como JSON en la tabla payment_documents del Repository compartido (src/db).
+// Mientras no se conecte uno con useRepository(), se usa el adaptador en memoria.
 class DatabaseService {
-  constructor(type = CONFIG.DB_TYPE) {
-    this.type = type;
-    this.transactionDB = new Map();
-    this.invoiceDB = new Map();
-    this.disputeDB = new Map();
-    this.settlementDB = new Map();
+  constructor(repository = new MemoryRepository()) {
+    this.repository = repository;
+  }
+
+  useRepository(repository) {
+    this.repository = repository;
   }
 
   async save(collection, id, data) {
-    if (this.type === 'memory') {
-      const db = this.getCollection(collection);
-      db.set(id, {
-        ...data,
-        _id: id,
-        _createdAt: new Date(),
-        _updatedAt: new Date()
+    this.assertCollection(collection);
+    const now = new Date();
+    const existing = await this.repository.findOne('payment_documents', {
+      collection,
+      documentId: id
+    });
+
+    if (existing) {
+      await this.repository.update(
+        'payment_documents',
+        { id: existing.id },
+        { data, updatedAt: now }
+      );
+    } else {
+      await this.repository.insert('payment_documents', {
+        collection,
+        documentId: id,
+        data,
+        createdAt: now,
+        updatedAt: now
       });
-      return data;
     }
-    // Aquí iría implementación MongoDB/PostgreSQL
-    throw new Error('DB type not yet implemented');
+    return data;
   }
 
   async findById(collection, id) {
-    if (this.type === 'memory') {
-      return this.getCollection(collection).get(id);
-    }
-    throw new Error('DB type not yet implemented');
+    this.assertCollection(collection);
+    const row = await this.repository.findOne('payment_documents', {
+      collection,
+      documentId: id
+    });
+    return row ? this.toDocument(row) : undefined;
   }
 
   async findAll(collection, query = {}) {
-    if (this.type === 'memory') {
-      const db = this.getCollection(collection);
-      const results = Array.from(db.values());
-      return this.filterByQuery(results, query);
-    }
-    throw new Error('DB type not yet implemented');
+    this.assertCollection(collection);
+    const rows = await this.repository.find(
+      'payment_documents',
+      { collection },
+      { orderBy: { createdAt: 'asc' } }
+    );
+    return this.filterByQuery(rows.map(row => this.toDocument(row)), query);
   }
 
   async update(collection, id, data) {
-    if (this.type === 'memory') {
-      const db = this.getCollection(collection);
-      const existing = db.get(id);
-      if (!existing) throw new Error('Document not found');
-
-      const updated = {
-        ...existing,
-        ...data,
-        _updatedAt: new Date()
-      };
-      db.set(id, updated);
-      return updated;
-    }
-    throw new Error('DB type not yet implemented');
+    const existing = await this.findById(collection, id);
+    if (!existing) throw new Error('Document not found');
+
+    const { _id, _createdAt, _updatedAt, ...current } = existing;
+    const updated = {
+      ...current,
+      ...data
+    };
+
+    await this.save(collection, id, updated);
+    return { ...updated, _id, _createdAt, _updatedAt: new Date() };
   }
 
   async delete(collection, id) {
-    if (this.type === 'memory') {
-      return this.getCollection(collection).delete(id);
-    }
-    throw new Error('DB type not yet implemented');
+    this.assertCollection(collection);
+    const result = await this.repository.delete('payment_documents', {
+      collection,
+      documentId: id
+    });
+    return result.deletedCount > 0;
   }
 
-  getCollection(name) {
-    switch (name) {
-      case 'transactions':
-        return this.transactionDB;
-      case 'invoices':
-        return this.invoiceDB;
-      case 'disputes':
-        return this.disputeDB;
-      case 'settlements':
-        return this.settlementDB;
-      default:
-        throw new Error(`Unknown collection: ${name}`);
+  assertCollection(name) {
+    if (!DOCUMENT_COLLECTIONS.includes(name)) {
+      throw new Error(`Unknown collection: ${name}`);
     }
   }
 
+  toDocument(row) {
+    return {
+      ...row.data,
+      _id: row.documentId,
+      _createdAt: row.createdAt,
+      _updatedAt: row.updatedAt
+    };
+  }
+
   filterByQuery(results, query) {
     return results.filter(doc => {
       for (let key in query) {
@@ -363,10 +386,11 @@ class IdempotencyHandler {
   async execute(userId, operation, data, fn) {
     const key = this.generateKey(userId, operation, data);
 
-    // Si existe en caché, retornar resultado anterior
-    if (this.cache.has(key)) {
+    // Si existe en caché y no ha vencido, retornar resultado anterior
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.timestamp < CONFIG.IDEMPOTENCY_TTL) {
       logger.debug('Idempotent call detected', { key });
-      return this.cache.get(key).result;
+      return cached.result;
     }
 
     // Ejecutar y cachear resultado
@@ -376,11 +400,20 @@ class IdempotencyHandler {
       timestamp: Date.now()
     });
 
-    // Limpiar caché después de 1 hora
-    setTimeout(() => this.cache.delete(key), 3600000);
-
     return result;
   }
+
+  // Eliminar entradas vencidas (lo ejecuta el scheduler, ver src/jobs)
+  purgeExpired(now = Date.now()) {
+    let purged = 0;
+    for (const [key, entry] of this.cache.entries()) {
+      if (now - entry.timestamp >= CONFIG.IDEMPOTENCY_TTL) {
+        this.cache.delete(key);
+        purged++;
+      }
+    }
+    return purged;
+  }
 }
 
 const idempotency = new IdempotencyHandler();
@@ -398,6 +431,7 @@ class EmailService {
       data: {
         transactionId: transactionData.id,
         amount: transactionData.amount,
+        currency: transactionData.currency,
         courseId: transactionData.courseId,
         timestamp: transactionData.timestamp
       }
@@ -463,11 +497,7 @@ const invoiceService = new InvoiceService();
 // ==================== DISPUTE SERVICE ====================
 class DisputeService {
   async createDispute(transactionId, reason, evidence = []) {
-    let transaction = null;
-    for (let [, transactions] of db.transactionDB.entries()) {
-      transaction = transactions.find(t => t.id === transactionId);
-      if (transaction) break;
-    }
+    const transaction = await db.findById('transactions', transactionId.toString());
 
     if (!transaction) {
       throw new Error('Transaction not found');
@@ -488,8 +518,10 @@ class DisputeService {
     await db.save('disputes', dispute.id, dispute);
 
     // Actualizar transacción
-    transaction.status = PAYMENT_STATUS.DISPUTED;
-    transaction.disputeId = dispute.id;
+    await db.update('transactions', transactionId.toString(), {
+      status: PAYMENT_STATUS.DISPUTED,
+      disputeId: dispute.id
+    });
 
     logger.warn('⚠️ Disputa creada', { disputeId: dispute.id, transactionId });
 
@@ -527,12 +559,11 @@ class SettlementService {
     };
 
     // Reunir transacciones
-    for (let [, transactions] of db.transactionDB.entries()) {
-      for (let tx of transactions) {
-        if (transactionIds.includes(tx.id)) {
-          settlement.transactions.push(tx);
-          settlement.totalAmount += tx.amount;
-        }
+    const transactions = await db.findAll('transactions');
+    for (let tx of transactions) {
+      if (transactionIds.includes(tx.id)) {
+        settlement.transactions.push(tx);
+        settlement.totalAmount += tx.amount;
       }
     }
 
@@ -575,7 +606,7 @@ const stripe = {
         if (!chargeData.amount || chargeData.amount <= 0) {
           throw new Error('Invalid amount');
         }
-        if (chargeData.amount > CONFIG.MAX_AMOUNT * 100) {
+        if (chargeData.amount > CONFIG.AMOUNT_LIMITS[chargeData.currency].max * 100) {
           throw new Error('Amount exceeds limit');
         }
 
@@ -634,15 +665,22 @@ const validatePaymentInput = (data) => {
     errors.push({ field: 'userId', message: 'máximo 100 caracteres' });
   }
 
-  // amount
+  // currency
+  const currency = normalizeCurrency(data.currency);
+  if (!currency) {
+    errors.push({ field: 'currency', message: `debe ser ${Object.keys(CONFIG.AMOUNT_LIMITS).join(' o ')}` });
+  }
+
+  // amount (centavos de la moneda)
+  const limits = CONFIG.AMOUNT_LIMITS[currency] || CONFIG.AMOUNT_LIMITS[CONFIG.DEFAULT_CURRENCY];
   if (!data.amount) {
     errors.push({ field: 'amount', message: 'requerido' });
   } else if (typeof data.amount !== 'number') {
     errors.push({ field: 'amount', message: 'debe ser número' });
-  } else if (data.amount < CONFIG.MIN_AMOUNT) {
-    errors.push({ field: 'amount', message: `mínimo ${CONFIG.MIN_AMOUNT / 100}` });
-  } else if (data.amount > CONFIG.MAX_AMOUNT) {
-    errors.push({ field: 'amount', message: `máximo ${CONFIG.MAX_AMOUNT / 100}` });
+  } else if (currency && data.amount < limits.min) {
+    errors.push({ field: 'amount', message: `mínimo ${formatMoney(limits.min, currency)}` });
+  } else if (currency && data.amount > limits.max) {
+    errors.push({ field: 'amount', message: `máximo ${formatMoney(limits.max, currency)}` });
   } else if (!Number.isInteger(data.amount)) {
     errors.push({ field: 'amount', message: 'debe ser entero' });
   }
@@ -714,6 +752,18 @@ const createRateLimiter = () => {
 
     reset: (userId) => {
       limits.delete(userId);
+    },
+
+    // Eliminar ventanas ya vencidas (lo ejecuta el scheduler, ver src/jobs)
+    purgeExpired: (now = Date.now()) => {
+      let purged = 0;
+      for (const [userId, limit] of limits.entries()) {
+        if (now >= limit.resetAt) {
+          limits.delete(userId);
+          purged++;
+        }
+      }
+      return purged;
     }
   };
 };
@@ -761,11 +811,13 @@ const processPayment = async (req, res) => {
     logger.info('📥 Nueva solicitud de pago', { requestId });
 
     const { userId, amount, courseId, tokenId, email, metadata } = req.body;
+    const currency = req.body.currency || CONFIG.DEFAULT_CURRENCY;
 
     // VALIDACIÓN
     const validationErrors = validatePaymentInput({
       userId,
       amount,
+      currency,
       courseId,
       tokenId,
       email
@@ -812,7 +864,7 @@ const processPayment = async (req, res) => {
     const result = await idempotency.execute(
       userId,
       'processPayment',
-      { courseId, amount },
+      { courseId, amount, currency },
       async () => {
         // VERIFICAR DUPLICADOS
         const duplicate = await checkExistingTransaction(userId, courseId);
@@ -839,7 +891,7 @@ const processPayment = async (req, res) => {
           charge = await retryWithBackoff(async () => {
             return await stripe.charges.create({
               amount,
-              currency: 'usd',
+              currency: normalizeCurrency(currency),
               source: tokenId,
               description: `Certificación - Curso ${courseId}`
             });
@@ -867,6 +919,7 @@ const processPayment = async (req, res) => {
           userId,
           courseId,
           amount,
+          currency: charge.currency,
           stripeId: charge.id,
           email,
           metadata,
@@ -0,0 +1,740 @@
+/**
+ * RUTAS DE ADMINISTRACIÓN
+ *
+ * GET /api/admin/stats       - Estadísticas de códigos y envíos
+ * GET /api/admin/test-envio  - Probar la entrega por email/WhatsApp
+ * GET /api/admin/jobs        - Tareas programadas y sus últimas ejecuciones
+ * POST /api/admin/codes/:code/deactivate - Desactivar un código y cerrar sus sesiones
+ * GET  /api/admin/codes/:code/sessions    - Dispositivos con sesión abierta
+ * POST /api/admin/codes/:code/sessions/revoke - Cerrar todas sus sesiones
+ * POST /api/admin/codes/:code/device-limit    - Límite propio de dispositivos
+ * POST /api/admin/codes/:code/modules         - Agregar o reemplazar módulos (upgrade)
+ * GET  /api/admin/coupons                     - Cupones y sus usos
+ * POST /api/admin/coupons                     - Crear un cupón
+ * POST /api/admin/coupons/:code/deactivate    - Desactivar un cupón
+ * GET  /api/admin/group-purchases/:purchaseId - Compra de grupo y sus lugares
+ * POST /api/admin/group-purchases/:purchaseId/resend-link - Nuevo enlace al comprador
+ * GET  /api/admin/refunds                     - Reembolsos registrados (?paymentIntentId=)
+ * POST /api/admin/refunds                     - Reembolsar un pago en Stripe
+ * GET  /api/admin/disputes                    - Disputas de Stripe (?open=true|false)
+ * GET  /api/admin/disputes/:disputeId         - Disputa con su evidencia armada
+ * POST /api/admin/disputes/:disputeId/evidence - Enviar la evidencia a Stripe
+ * GET  /api/admin/invoices                    - Facturas CFDI (?status=stamped|failed|rejected|pending)
+ * GET  /api/admin/invoices/:invoiceId/xml     - Descargar el XML timbrado
+ * GET  /api/admin/invoices/:invoiceId/pdf     - Descargar la representación impresa
+ * POST /api/admin/invoices/:invoiceId/retry   - Reintentar el timbrado y el envío
+ * GET  /api/admin/receipts                    - Recibos con enlace vigente (?email= o ?code=)
+ * GET  /api/admin/payouts                     - Depósitos de Stripe sincronizados (?status=)
+ * POST /api/admin/payouts/sync                - Sincronizar depósitos de Stripe ({ from, to })
+ * GET  /api/admin/payouts/transactions        - Depósitos de una venta (?code= o ?paymentIntentId=)
+ * GET  /api/admin/payouts/:payoutId           - Depósito con sus movimientos, comisiones y netos
+ * GET  /api/admin/payouts/:payoutId/csv       - Reporte del depósito para contabilidad
+ * GET  /api/admin/checkout-recoveries         - Checkouts abandonados (?status= o ?email=)
+ * GET  /api/admin/checkout-recoveries/stats   - Recuperados contra perdidos (?days=30)
+ * POST /api/admin/checkout-recoveries/opt-outs - Dar de baja un email o WhatsApp de los recordatorios
+ *
+ * Todas requieren ADMIN_API_KEY (ver middleware/requireAdmin).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const express = require('express');
+const requireAdmin = require('../middleware/requireAdmin');
+const { logger } = require('../utils/logger');
+const SessionService = require('../services/SessionService');
+const ProductCatalogService = require('../services/ProductCatalogService');
+const GroupPurchaseService = require('../services/GroupPurchaseService');
+const RefundService = require('../services/RefundService');
+const PayoutService = require('../services/PayoutService');
+const { fromMinorUnits } = require('../utils/money');
+
+function createAdminRouter({
+  accessCodeService,
+  productCatalogService,
+  couponService,
+  groupPurchaseService,
+  subscriptionService,
+  refundService,
+  disputeService,
+  cfdiService,
+  receiptService,
+  payoutService,
+  checkoutRecoveryService,
+  trialService,
+  historyService,
+  notificationHandler,
+  groupPurchaseHandler,
+  refundHandler,
+  disputeHandler,
+  invoiceHandler,
+  schedulerService,
+  sessionService,
+  config,
+}) {
+  const router = express.Router();
+
+  router.use(requireAdmin(config));
+
+  router.get('/stats', async (req, res) => {
+    const { days = 30 } = req.query;
+    const endDate = new Date();
+    const startDate = new Date(endDate.getTime() - parseInt(days, 10) * 24 * 60 * 60 * 1000);
+
+    try {
+      const [
+        codes,
+        efficiency,
+        coupons,
+        groupPurchases,
+        subscriptions,
+        refunds,
+        disputes,
+        invoices,
+        checkoutRecoveries,
+        trials,
+      ] = await Promise.all([
+        accessCodeService.getStats(),
+        historyService.getEfficiencyStats(startDate, endDate),
+        couponService.getStats(startDate),
+        groupPurchaseService.getStats(),
+        subscriptionService.getStats(),
+        refundService.getStats(startDate),
+        disputeService.getStats(startDate),
+        cfdiService.getStats(),
+        checkoutRecoveryService.getStats({ from: startDate, to: endDate }),
+        trialService.getStats(startDate),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          codes,
+          ...efficiency,
+          coupons,
+          groupPurchases,
+          subscriptions,
+          refunds,
+          disputes,
+          invoices,
+          checkoutRecoveries,
+          trials,
+        },
+      });
+    } catch (error) {
+      logger.error('Error getting admin stats', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/jobs', async (req, res) => {
+    try {
+      const runs = await schedulerService.getRecentRuns({
+        jobName: req.query.job || null,
+        limit: Math.min(parseInt(req.query.limit, 10) || 20, 100),
+      });
+
+      res.json({ success: true, data: { jobs: schedulerService.listJobs(), runs } });
+    } catch (error) {
+      logger.error('Error getting job runs', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.post('/codes/:code/deactivate', async (req, res) => {
+    const code = req.params.code.toUpperCase().trim();
+
+    try {
+      await accessCodeService.deactivateCode(code);
+      const revokedSessions = await sessionService.revokeCodeSessions(code);
+
+      res.json({ success: true, data: { code, status: 'inactive', revokedSessions } });
+    } catch (error) {
+      if (error.code === 'CODE_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error deactivating access code', { code, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/codes/:code/sessions', async (req, res) => {
+    const code = req.params.code.toUpperCase().trim();
+
+    try {
+      const sessions = await sessionService.listActiveSessions(code);
+      res.json({
+        success: true,
+        data: sessions.map((session) => ({
+          ...SessionService.describeSession(session),
+          userAgent: session.userAgent,
+        })),
+      });
+    } catch (error) {
+      logger.error('Error listing code sessions', { code, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.post('/codes/:code/sessions/revoke', async (req, res) => {
+    const code = req.params.code.toUpperCase().trim();
+
+    try {
+      const revokedSessions = await sessionService.revokeCodeSessions(
+        code,
+        SessionService.REVOKE_REASONS.ADMIN
+      );
+      res.json({ success: true, data: { code, revokedSessions } });
+    } catch (error) {
+      logger.error('Error revoking code sessions', { code, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.post('/codes/:code/device-limit', async (req, res) => {
+    const code = req.params.code.toUpperCase().trim();
+    const { maxDevices = null } = req.body;
+
+    if (maxDevices !== null && !(Number.isInteger(maxDevices) && maxDevices >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxDevices debe ser un entero >= 0 (0 = sin límite) o null',
+      });
+    }
+
+    try {
+      const data = await accessCodeService.setDeviceLimit(code, maxDevices);
+      res.json({ success: true, data });
+    } catch (error) {
+      if (error.code === 'CODE_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error changing device limit', { code, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.post('/codes/:code/modules', async (req, res) => {
+    const code = req.params.code.toUpperCase().trim();
+    const { modules, mode = 'add' } = req.body;
+
+    try {
+      if (!['add', 'set'].includes(mode)) {
+        throw { code: 'INVALID_MODE', message: 'mode debe ser add o set' };
+      }
+      ProductCatalogService.assertModules(modules);
+
+      const data = await accessCodeService.updateModules(code, modules, mode);
+      await sessionService.syncCodeModules(code, data.modules);
+
+      res.json({ success: true, data });
+    } catch (error) {
+      if (['INVALID_MODE', 'INVALID_MODULES'].includes(error.code)) {
+        return res.status(400).json({ success: false, ...error });
+      }
+      if (error.code === 'CODE_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error updating access code modules', { code, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/coupons', async (req, res) => {
+    try {
+      res.json({ success: true, data: await couponService.listCoupons() });
+    } catch (error) {
+      logger.error('Error listing coupons', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.post('/coupons', async (req, res) => {
+    const { productIds = null } = req.body;
+
+    if (productIds !== null && !Array.isArray(productIds)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_COUPON',
+        message: 'productIds debe ser una lista de productos o null',
+      });
+    }
+
+    const unknown = (productIds || []).filter((id) => !productCatalogService.getProduct(id));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_COUPON',
+        message: `Productos desconocidos: ${unknown.join(', ')}`,
+      });
+    }
+
+    try {
+      const coupon = await couponService.createCoupon(req.body);
+      res.status(201).json({ success: true, data: coupon });
+    } catch (error) {
+      if (error.code === 'INVALID_COUPON') {
+        return res.status(400).json({ success: false, ...error });
+      }
+      if (error.code === 'COUPON_EXISTS') {
+        return res.status(409).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error creating coupon', { code: req.body.code, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.post('/coupons/:code/deactivate', async (req, res) => {
+    try {
+      const coupon = await couponService.deactivateCoupon(req.params.code);
+      res.json({ success: true, data: coupon });
+    } catch (error) {
+      if (error.code === 'COUPON_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error deactivating coupon', { code: req.params.code, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/group-purchases/:purchaseId', async (req, res) => {
+    const { purchaseId } = req.params;
+
+    try {
+      const purchase = await groupPurchaseService.getPurchase(purchaseId);
+
+      if (!purchase) {
+        return res.status(404).json({ success: false, code: 'GROUP_NOT_FOUND', message: 'Compra no encontrada' });
+      }
+
+      const seats = await groupPurchaseService.listSeats(purchaseId);
+      res.json({
+        success: true,
+        data: {
+          ...GroupPurchaseService.toPublic(purchase),
+          sessionId: purchase.sessionId,
+          completedAt: purchase.completedAt,
+          seats: seats.map(GroupPurchaseService.describeSeat),
+        },
+      });
+    } catch (error) {
+      logger.error('Error getting group purchase', { purchaseId, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  // El comprador perdió el correo: el enlace anterior deja de servir
+  router.post('/group-purchases/:purchaseId/resend-link', async (req, res) => {
+    const { purchaseId } = req.params;
+
+    try {
+      const { purchase, managementToken } = await groupPurchaseService.rotateToken(purchaseId);
+      const delivery = await groupPurchaseHandler.sendGroupPurchaseLink(purchase, managementToken);
+
+      res.json({ success: true, data: { purchaseId, to: purchase.buyerEmail, delivery } });
+    } catch (error) {
+      if (error.code === 'GROUP_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error resending group purchase link', { purchaseId, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/test-envio', async (req, res) => {
+    const { email, telefono, nombre, metodo = 'email' } = req.query;
+
+    if (!email || !nombre) {
+      return res.status(400).json({
+        success: false,
+        message: 'Faltan parámetros',
+        ejemplo: '/api/admin/test-envio?email=test@test.com&nombre=Juan&telefono=5538822334&metodo=both',
+      });
+    }
+
+    const product = productCatalogService.getDefaultProduct();
+    const testCode = {
+      code: accessCodeService.generateCode(),
+      email,
+      name: nombre,
+      phone: telefono || null,
+      productName: product.name,
+      amount: fromMinorUnits(product.price.amount, product.price.currency),
+      currency: product.price.currency,
+      paymentId: 'TEST',
+      expiresAt: accessCodeService.calculateExpiration(product.accessDays),
+    };
+
+    try {
+      const deliveries = await notificationHandler.deliverAccessCode(testCode, metodo);
+
+      res.json({
+        success: true,
+        codigo: testCode.code,
+        expiresAt: testCode.expiresAt,
+        resultados: deliveries,
+      });
+    } catch (error) {
+      logger.error('Error sending test delivery', { email, metodo, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/refunds', async (req, res) => {
+    try {
+      const refunds = await refundService.listRefunds({
+        paymentIntentId: req.query.paymentIntentId || null,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      });
+      res.json({ success: true, data: refunds });
+    } catch (error) {
+      logger.error('Error listing refunds', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  // Body: { code | paymentIntentId, amount? (centavos), reason?, accessAction? }
+  router.post('/refunds', async (req, res) => {
+    const {
+      code = null,
+      paymentIntentId = null,
+      amount = null,
+      reason = null,
+      accessAction = null,
+    } = req.body;
+
+    if (!code && !paymentIntentId) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_REFUND',
+        message: 'Indica code o paymentIntentId',
+      });
+    }
+    if (amount !== null && !(Number.isInteger(amount) && amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_REFUND',
+        message: 'amount debe ser un entero en centavos mayor a 0',
+      });
+    }
+    if (accessAction !== null && !Object.values(RefundService.ACCESS_ACTIONS).includes(accessAction)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_REFUND',
+        message: `accessAction debe ser ${Object.values(RefundService.ACCESS_ACTIONS).join(', ')}`,
+      });
+    }
+
+    try {
+      const refund = await refundHandler.refundPayment({
+        code,
+        paymentIntentId,
+        amount,
+        reason,
+        accessAction,
+      });
+      res.status(201).json({ success: true, data: refund });
+    } catch (error) {
+      if (error.code === 'CODE_NOT_FOUND' || error.code === 'PAYMENT_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: error.code, message: error.message });
+      }
+      // Stripe rechazó el reembolso (monto mayor al disponible, ya reembolsado...)
+      if (error.stripeError) {
+        return res.status(400).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error creating refund', { code, paymentIntentId, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/disputes', async (req, res) => {
+    const { open } = req.query;
+
+    try {
+      const disputes = await disputeService.listDisputes({
+        open: open === undefined ? null : open === 'true',
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      });
+      res.json({ success: true, data: disputes });
+    } catch (error) {
+      logger.error('Error listing disputes', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/disputes/:disputeId', async (req, res) => {
+    try {
+      const dispute = await disputeService.getDispute(req.params.disputeId);
+      res.json({ success: true, data: dispute });
+    } catch (error) {
+      if (error.code === 'DISPUTE_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error getting dispute', { disputeId: req.params.disputeId, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  // Body: { evidence?: { campo de Stripe: texto }, submit?: false para solo guardar el borrador }
+  router.post('/disputes/:disputeId/evidence', async (req, res) => {
+    const { disputeId } = req.params;
+    const { evidence = {}, submit = true } = req.body;
+
+    if (!evidence || typeof evidence !== 'object' || Array.isArray(evidence)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_EVIDENCE',
+        message: 'evidence debe ser un objeto con los campos de evidencia de Stripe',
+      });
+    }
+
+    try {
+      const result = await disputeHandler.submitDisputeEvidence(disputeId, {
+        evidence,
+        submit: submit !== false,
+      });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      if (error.code === 'DISPUTE_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: error.code, message: error.message });
+      }
+      if (error.code === 'DISPUTE_CLOSED' || error.stripeError) {
+        return res.status(400).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error submitting dispute evidence', { disputeId, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/invoices', async (req, res) => {
+    try {
+      const invoices = await cfdiService.listInvoices({
+        status: req.query.status || null,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      });
+      // El XML se descarga aparte
+      res.json({ success: true, data: invoices.map(({ xml, ...invoice }) => invoice) });
+    } catch (error) {
+      logger.error('Error listing invoices', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/invoices/:invoiceId/:format(xml|pdf)', async (req, res) => {
+    const { invoiceId, format } = req.params;
+
+    try {
+      const invoice = await cfdiService.getInvoice(invoiceId);
+
+      if (!invoice.xml) {
+        return res.status(404).json({
+          success: false,
+          code: 'INVOICE_NOT_STAMPED',
+          message: 'La factura todavía no está timbrada',
+        });
+      }
+
+      const filename = `${invoice.serie}-${invoice.folio}.${format}`;
+      res.attachment(filename);
+
+      if (format === 'xml') {
+        return res.type('application/xml').send(invoice.xml);
+      }
+      res.type('application/pdf').send(cfdiService.renderPdf(invoice));
+    } catch (error) {
+      if (error.code === 'INVOICE_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error downloading invoice', { invoiceId, format, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.post('/invoices/:invoiceId/retry', async (req, res) => {
+    const { invoiceId } = req.params;
+
+    try {
+      const invoice = await cfdiService.getInvoice(invoiceId);
+      const result = await invoiceHandler.processInvoice(invoice);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      if (error.code === 'INVOICE_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error retrying invoice', { invoiceId, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/receipts', async (req, res) => {
+    const { email, code } = req.query;
+
+    if (!email && !code) {
+      return res.status(400).json({
+        success: false,
+        code: 'MISSING_FILTER',
+        message: 'Indica email o code',
+      });
+    }
+
+    try {
+      const receipts = await receiptService.listReceipts({
+        email: email || null,
+        accessCode: code || null,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      });
+      res.json({ success: true, data: receipts });
+    } catch (error) {
+      logger.error('Error listing receipts', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/payouts', async (req, res) => {
+    try {
+      const payouts = await payoutService.listPayouts({
+        status: req.query.status || null,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      });
+      res.json({ success: true, data: payouts });
+    } catch (error) {
+      logger.error('Error listing payouts', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  // Body: { from?: fecha ISO (hace 30 días), to?: fecha ISO (ahora) }
+  router.post('/payouts/sync', async (req, res) => {
+    const to = req.body.to ? new Date(req.body.to) : new Date();
+    const from = req.body.from ? new Date(req.body.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_RANGE',
+        message: 'from y to deben ser fechas válidas y from anterior a to',
+      });
+    }
+
+    try {
+      const result = await payoutService.syncPayouts({ from, to });
+      res.json({ success: true, data: { from, to, ...result } });
+    } catch (error) {
+      logger.error('Error syncing payouts', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/payouts/transactions', async (req, res) => {
+    const { code, paymentIntentId } = req.query;
+
+    if (!code && !paymentIntentId) {
+      return res.status(400).json({
+        success: false,
+        code: 'MISSING_FILTER',
+        message: 'Indica code o paymentIntentId',
+      });
+    }
+
+    try {
+      const transactions = await payoutService.findTransactions({
+        paymentIntentId: paymentIntentId || null,
+        accessCode: code || null,
+      });
+      res.json({ success: true, data: transactions });
+    } catch (error) {
+      logger.error('Error finding payout transactions', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/payouts/:payoutId', async (req, res) => {
+    try {
+      const payout = await payoutService.getPayout(req.params.payoutId);
+      res.json({ success: true, data: payout });
+    } catch (error) {
+      if (error.code === 'PAYOUT_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error getting payout', { payoutId: req.params.payoutId, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/payouts/:payoutId/csv', async (req, res) => {
+    const { payoutId } = req.params;
+
+    try {
+      const payout = await payoutService.getPayout(payoutId);
+      res.attachment(`deposito-${payoutId}.csv`);
+      res.type('text/csv').send(PayoutService.toCsv(payout));
+    } catch (error) {
+      if (error.code === 'PAYOUT_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error exporting payout', { payoutId, error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/checkout-recoveries', async (req, res) => {
+    try {
+      const recoveries = await checkoutRecoveryService.listRecoveries({
+        status: req.query.status || null,
+        email: req.query.email || null,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      });
+      res.json({ success: true, data: recoveries });
+    } catch (error) {
+      logger.error('Error listing checkout recoveries', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/checkout-recoveries/stats', async (req, res) => {
+    const { days = 30 } = req.query;
+    const to = new Date();
+    const from = new Date(to.getTime() - parseInt(days, 10) * 24 * 60 * 60 * 1000);
+
+    try {
+      const stats = await checkoutRecoveryService.getStats({ from, to });
+      res.json({ success: true, data: stats });
+    } catch (error) {
+      logger.error('Error getting checkout recovery stats', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  // Body: { channel: 'email' | 'whatsapp', destination }
+  router.post('/checkout-recoveries/opt-outs', async (req, res) => {
+    try {
+      const optOut = await checkoutRecoveryService.optOut(req.body.channel, req.body.destination);
+      res.json({ success: true, data: optOut });
+    } catch (error) {
+      if (error.code === 'INVALID_OPT_OUT') {
+        return res.status(400).json({ success: false, code: error.code, message: error.message });
+      }
+
+      logger.error('Error registering opt-out', { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminRouter;
@@ -0,0 +1,320 @@
+/**
+ * RUTAS DE ACCESO CON CÓDIGO
+ *
+ * POST /api/login             - Login con email + código
+ * POST /api/validate-code     - Alias usado por login.html
+ * POST /api/validate-session  - Verificar la firma y la vigencia de un token
+ *                               (y el módulo de `page` o `module`, si se indica)
+ * POST /api/refresh-session   - Emitir un token nuevo para la misma sesión
+ * POST /api/logout            - Cerrar la sesión del token
+ * GET  /api/sessions          - Dispositivos con sesión abierta en el código
+ * POST /api/sessions/:sessionId/revoke - Cerrar la sesión de otro dispositivo
+ *
+ * El login acepta `deviceId` (id que guarda el navegador) para contar los
+ * dispositivos del código; al llegar al límite responde 409 con la lista
+ * y se puede reintentar con `signOutSessionId` para cerrar uno de ellos.
+ *
+ * El login se bloquea por email y por IP tras varios intentos fallidos
+ * (429 con Retry-After, ver services/LoginThrottleService). Cada login
+ * exitoso queda en user_activity (IP y navegador).
+ *
+ * El token va en el body (`token`), en `Authorization: Bearer <token>` o en
+ * la cookie de sesión que fijan el login y el refresh (ver middleware/requireSession).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const express = require('express');
+const { logger } = require('../utils/logger');
+const {
+  requireApiSession,
+  readSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+} = require('../middleware/requireSession');
+const LoginThrottleService = require('../services/LoginThrottleService');
+const SessionService = require('../services/SessionService');
+const ProductCatalogService = require('../services/ProductCatalogService');
+
+function tooManyAttempts(res, throttle) {
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    code: 'TOO_MANY_ATTEMPTS',
+    message: 'Demasiados intentos fallidos. Intenta de nuevo más tarde.',
+    retryAfter: throttle.retryAfterSeconds,
+    lockedUntil: throttle.lockedUntil,
+  });
+}
+
+function isOptionalString(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+function createAuthRouter({
+  accessCodeService,
+  sessionService,
+  loginThrottleService,
+  historyService,
+  config,
+}) {
+  const router = express.Router();
+
+  router.post(['/api/login', '/api/validate-code'], async (req, res) => {
+    const { email, code, accessCode, deviceId, signOutSessionId } = req.body;
+    const finalCode = code || accessCode;
+
+    if (!email || !finalCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email y código son requeridos',
+      });
+    }
+
+    if (
+      typeof email !== 'string' ||
+      typeof finalCode !== 'string' ||
+      !isOptionalString(deviceId) ||
+      !isOptionalString(signOutSessionId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos inválidos',
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    try {
+      const normalizedCode = finalCode.toUpperCase().trim();
+      const throttleKeys = LoginThrottleService.keysFor({ email: normalizedEmail, ip: req.ip });
+      // El intento se cuenta antes de validar; un login exitoso lo devuelve
+      const throttle = await loginThrottleService.reserve(throttleKeys);
+
+      if (!throttle.allowed) {
+        logger.warn('Login blocked by throttle', { email: normalizedEmail, ip: req.ip });
+        return tooManyAttempts(res, throttle);
+      }
+
+      const validation = await accessCodeService.validateCode(normalizedCode, normalizedEmail);
+
+      if (!validation.valid) {
+        logger.warn('Failed login attempt', {
+          email: normalizedEmail,
+          reason: validation.reason,
+          ip: req.ip,
+        });
+
+        const afterFailure = await loginThrottleService.recordFailure(throttleKeys);
+
+        if (!afterFailure.allowed) {
+          return tooManyAttempts(res, afterFailure);
+        }
+
+        return res.status(401).json({
+          success: false,
+          code: validation.reason,
+          message: validation.message,
+        });
+      }
+
+      const record = validation.accessCode;
+      await loginThrottleService.recordSuccess(throttleKeys);
+
+      if (signOutSessionId) {
+        await sessionService.revokeCodeSession(normalizedCode, signOutSessionId);
+      }
+
+      const { token, tokenExpiresAt } = await sessionService.createSession(record, {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') || null,
+        deviceId: deviceId || null,
+      });
+      await accessCodeService.recordLogin(normalizedCode);
+      // Bitácora de acceso (evidencia en disputas); un error ya queda en el log
+      await historyService.logUserActivity({
+        email: normalizedEmail,
+        accessCode: normalizedCode,
+        activityType: 'login',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') || null,
+      }).catch(() => {});
+      setSessionCookie(res, token, tokenExpiresAt, config);
+
+      logger.info('Login successful', { email: normalizedEmail, ip: req.ip });
+
+      res.json({
+        success: true,
+        token,
+        tokenExpiresAt,
+        nombre: record.name,
+        email: record.email,
+        expiresAt: record.expiresAt,
+        loginCount: (record.loginCount || 0) + 1,
+        flags: record.flags || {},
+      });
+    } catch (error) {
+      if (error.code === 'DEVICE_LIMIT_REACHED') {
+        return res.status(409).json({
+          success: false,
+          code: error.code,
+          message: error.message,
+          limit: error.limit,
+          devices: error.devices,
+        });
+      }
+
+      logger.error('Error during login', { email: normalizedEmail, error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor',
+      });
+    }
+  });
+
+  router.post('/api/validate-session', async (req, res) => {
+    const { email, page } = req.body;
+    const token = readSessionToken(req);
+
+    if (!token) {
+      return res.status(400).json({ success: false, error: 'Datos incompletos' });
+    }
+
+    try {
+      const verification = await sessionService.verify(token);
+
+      if (!verification.valid) {
+        return res.status(401).json({
+          success: false,
+          code: verification.reason,
+          error: verification.message,
+        });
+      }
+
+      const { session, claims } = verification;
+
+      if (email && (typeof email !== 'string' || email.toLowerCase().trim() !== session.email)) {
+        return res.status(401).json({ success: false, code: 'INVALID_TOKEN', error: 'Token inválido' });
+      }
+
+      const moduleId = req.body.module || (page ? ProductCatalogService.moduleForPage(page) : null);
+
+      if (moduleId && !ProductCatalogService.hasModule(session.modules, moduleId)) {
+        return res.status(403).json({
+          success: false,
+          code: 'MODULE_NOT_INCLUDED',
+          error: 'Tu código de acceso no incluye este módulo',
+          module: moduleId,
+          modules: ProductCatalogService.resolveModules(session.modules),
+        });
+      }
+
+      await sessionService.touch(session);
+
+      res.json({
+        success: true,
+        valid: true,
+        email: session.email,
+        expiresAt: session.expiresAt,
+        tokenExpiresAt: new Date(claims.exp * 1000),
+        modules: ProductCatalogService.resolveModules(session.modules),
+        flags: session.flags || {},
+      });
+    } catch (error) {
+      logger.error('Error validating session', { email, error: error.message });
+      res.status(500).json({ success: false, error: 'Error interno' });
+    }
+  });
+
+  router.post('/api/refresh-session', async (req, res) => {
+    const token = readSessionToken(req);
+
+    if (!token) {
+      return res.status(400).json({ success: false, error: 'Datos incompletos' });
+    }
+
+    try {
+      const refreshed = await sessionService.refresh(token, accessCodeService);
+
+      if (!refreshed.valid) {
+        return res.status(401).json({
+          success: false,
+          code: refreshed.reason,
+          error: refreshed.message,
+        });
+      }
+
+      setSessionCookie(res, refreshed.token, refreshed.tokenExpiresAt, config);
+
+      res.json({
+        success: true,
+        token: refreshed.token,
+        tokenExpiresAt: refreshed.tokenExpiresAt,
+        expiresAt: refreshed.session.expiresAt,
+      });
+    } catch (error) {
+      logger.error('Error refreshing session', { error: error.message });
+      res.status(500).json({ success: false, error: 'Error interno' });
+    }
+  });
+
+  router.post('/api/logout', async (req, res) => {
+    const token = readSessionToken(req);
+
+    try {
+      const verification = token
+        ? await sessionService.verify(token, { allowExpired: true })
+        : { valid: false };
+
+      if (verification.valid) {
+        await sessionService.revokeSession(verification.session.sessionId);
+      }
+
+      clearSessionCookie(res);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error during logout', { error: error.message });
+      res.status(500).json({ success: false, error: 'Error interno' });
+    }
+  });
+
+  router.get('/api/sessions', requireApiSession(sessionService), async (req, res) => {
+    try {
+      const sessions = await sessionService.listActiveSessions(req.session.accessCode);
+
+      res.json({
+        success: true,
+        data: sessions.map((session) => SessionService.describeSession(session, req.session.sessionId)),
+      });
+    } catch (error) {
+      logger.error('Error listing sessions', { error: error.message });
+      res.status(500).json({ success: false, error: 'Error interno' });
+    }
+  });
+
+  router.post('/api/sessions/:sessionId/revoke', requireApiSession(sessionService), async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+      const revoked = await sessionService.revokeCodeSession(req.session.accessCode, sessionId);
+
+      if (!revoked) {
+        return res.status(404).json({ success: false, error: 'Sesión no encontrada' });
+      }
+
+      if (sessionId === req.session.sessionId) {
+        clearSessionCookie(res);
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error revoking session', { sessionId, error: error.message });
+      res.status(500).json({ success: false, error: 'Error interno' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,363 @@
+/**
+ * RUTAS DE CHECKOUT
+ *
+ * POST /api/create-checkout        - Crear sesión de pago (checkout.html)
+ * POST /create-checkout-session    - Alias usado por index.html
+ * GET  /api/checkout-session       - Consultar una sesión (success.html)
+ * POST /api/coupons/validate       - Vista previa del descuento de un cupón
+ * GET  /api/cfdi/catalogs          - Catálogos del SAT para pedir factura
+ *
+ * El cuerpo indica el producto del catálogo (`productId`); sin él se vende
+ * el producto por defecto. `priceId` se sigue aceptando si corresponde a
+ * un producto del catálogo. `couponCode` aplica un cupón (CouponService)
+ * validado aquí mismo; el monto lo calcula siempre el servidor. El checkout
+ * reserva un uso del cupón (metadata.couponReservationId) que se cuenta al
+ * pagarse o se libera si vence.
+ *
+ * `quantity` > 1 es una compra de grupo (productos con groupPurchase): al
+ * pagarse se genera un código por lugar (GroupPurchaseService). Los
+ * cupones no aplican a compras de grupo.
+ *
+ * El producto de renovación (kind: 'renewal') requiere `renewCode`: el
+ * código que se va a extender, registrado con el mismo email del checkout.
+ *
+ * `upgradeCode` compra el producto para un código de prueba gratis con el
+ * mismo email: al pagarse, el código de prueba pasa a ser el del producto.
+ *
+ * Los productos de suscripción (kind: 'subscription') crean el checkout en
+ * modo `subscription`, solo con tarjeta y sin cupones.
+ *
+ * `currency` elige la moneda (mxn o usd) si el producto tiene precio en
+ * ella; sin `currency` se usa la del país del comprador (`country`, o el
+ * encabezado GEO_COUNTRY_HEADER del proxy) y si no, la moneda base del
+ * producto. OXXO y SPEI solo se ofrecen en pesos.
+ *
+ * `factura` (opcional) pide factura CFDI: { rfc, razonSocial, regimenFiscal,
+ * usoCfdi, codigoPostal }. Se valida aquí y viaja en la metadata; la factura
+ * se timbra al pagarse (CfdiService) y solo para compras en pesos. GET /api/cfdi/catalogs devuelve los
+ * regímenes y usos de CFDI para el formulario.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const express = require('express');
+const { logger } = require('../utils/logger');
+const CouponService = require('../services/CouponService');
+const CfdiService = require('../services/CfdiService');
+const { paymentMethodsFor } = require('../utils/money');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DELIVERY_METHODS = ['email', 'whatsapp', 'both'];
+
+function isOptionalString(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+function createCheckoutRouter({
+  stripeService,
+  productCatalogService,
+  couponService,
+  renewalService,
+  trialService,
+  cfdiService,
+  config,
+}) {
+  const router = express.Router();
+
+  // País del comprador: el que indica o el que reporta el proxy (p. ej. cf-ipcountry)
+  const buyerCountry = (req, country) => country
+    || (config.GEO_COUNTRY_HEADER ? req.get(config.GEO_COUNTRY_HEADER) : null);
+
+  // Métodos de pago configurados que Stripe acepta en la moneda del checkout
+  const checkoutPaymentMethods = (currency) => {
+    const types = paymentMethodsFor(currency, config.PAYMENT_METHOD_TYPES);
+    return types.length > 0 ? types : ['card'];
+  };
+
+  const createCheckout = async (req, res) => {
+    // checkout.html envía nombre/telefono; index.html envía name/phone
+    const {
+      nombre,
+      name,
+      email,
+      telefono,
+      phone,
+      productId,
+      priceId,
+      couponCode,
+      renewCode,
+      upgradeCode,
+      factura = null,
+      currency = null,
+      country = null,
+      quantity = 1,
+      deliveryMethod = 'email',
+    } = req.body;
+
+    if (typeof email !== 'string' || !EMAIL_REGEX.test(email)) {
+      return res.status(400).json({ error: 'Email válido es requerido' });
+    }
+
+    if (![nombre, name, telefono, phone, productId, priceId, couponCode, renewCode, upgradeCode, currency, country]
+      .every(isOptionalString)) {
+      return res.status(400).json({ error: 'Datos inválidos' });
+    }
+
+    const customerName = (nombre || name || '').trim();
+    const customerPhone = (telefono || phone || '').trim();
+
+    if (!DELIVERY_METHODS.includes(deliveryMethod)) {
+      return res.status(400).json({ error: 'Método de entrega inválido' });
+    }
+
+    if ((deliveryMethod === 'whatsapp' || deliveryMethod === 'both') && !customerPhone) {
+      return res.status(400).json({ error: 'Teléfono es obligatorio para WhatsApp' });
+    }
+
+    const seats = Number(quantity);
+    if (!Number.isInteger(seats) || seats < 1 || seats > config.MAX_GROUP_SEATS) {
+      return res.status(400).json({ error: `La cantidad debe ser de 1 a ${config.MAX_GROUP_SEATS}` });
+    }
+
+    if (!stripeService) {
+      return res.status(503).json({ error: 'Stripe no configurado' });
+    }
+
+    let product;
+    try {
+      product = productCatalogService.resolve({ productId, priceId });
+      product = productCatalogService.priceIn(
+        product,
+        productCatalogService.selectCurrency(product, { currency, country: buyerCountry(req, country) })
+      );
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    if (seats > 1 && !product.groupPurchase) {
+      return res.status(400).json({
+        error: 'Este producto no se puede comprar por lugares',
+        code: 'GROUP_PURCHASE_NOT_ALLOWED',
+      });
+    }
+
+    const isSubscription = product.kind === 'subscription';
+
+    if ((seats > 1 || isSubscription) && couponCode) {
+      return res.status(400).json({
+        error: isSubscription
+          ? 'Los cupones no aplican a suscripciones'
+          : 'Los cupones no aplican a compras de grupo',
+        code: 'COUPON_NOT_APPLICABLE',
+      });
+    }
+
+    let renewal = null;
+    if (product.kind === 'renewal') {
+      if (!renewCode) {
+        return res.status(400).json({
+          error: 'Indica el código de acceso que quieres renovar',
+          code: 'RENEWAL_CODE_REQUIRED',
+        });
+      }
+
+      try {
+        renewal = await renewalService.assertRenewable(renewCode, email);
+      } catch (error) {
+        if (['CODE_NOT_FOUND', 'CODE_INACTIVE', 'CODE_SUSPENDED', 'TRIAL_NOT_RENEWABLE'].includes(error.code)) {
+          return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        logger.error('Error validating renewal code', { email, error: error.message });
+        return res.status(500).json({ error: error.message });
+      }
+    }
+
+    let trialCode = null;
+    if (upgradeCode) {
+      if (product.kind === 'renewal' || seats > 1) {
+        return res.status(400).json({
+          error: 'La prueba gratis se convierte comprando un acceso individual',
+          code: 'UPGRADE_NOT_APPLICABLE',
+        });
+      }
+
+      try {
+        trialCode = await trialService.assertUpgradable(upgradeCode, email);
+      } catch (error) {
+        if (['CODE_NOT_FOUND', 'CODE_INACTIVE', 'NOT_A_TRIAL'].includes(error.code)) {
+          return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        logger.error('Error validating trial code', { email, error: error.message });
+        return res.status(500).json({ error: error.message });
+      }
+    }
+
+    let receptor = null;
+    if (factura) {
+      if (!cfdiService.isEnabled()) {
+        return res.status(400).json({
+          error: 'La facturación no está disponible por ahora',
+          code: 'CFDI_NOT_AVAILABLE',
+        });
+      }
+
+      if (product.price.currency !== 'mxn') {
+        return res.status(400).json({
+          error: 'Solo se factura en pesos; elige MXN para pedir factura',
+          code: 'CFDI_CURRENCY_NOT_SUPPORTED',
+        });
+      }
+
+      try {
+        receptor = CfdiService.validateReceptor(factura);
+      } catch (error) {
+        return res.status(400).json({ error: error.message, code: error.code, field: error.field });
+      }
+    }
+
+    let discount = null;
+    let reservation = null;
+    if (couponCode) {
+      try {
+        discount = await couponService.validate({ code: couponCode, email, product });
+        reservation = await couponService.reserve({ code: discount.coupon.code, email });
+      } catch (error) {
+        if (error.couponCode) {
+          return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        logger.error('Error validating coupon', { email, couponCode, error: error.message });
+        return res.status(500).json({ error: error.message });
+      }
+    }
+
+    try {
+      const session = await stripeService.createCheckoutSession({
+        ...productCatalogService.checkoutPrice(product, discount),
+        successUrl: `${config.APP_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
+        cancelUrl: `${config.APP_URL}/checkout.html?canceled=true`,
+        customerEmail: email.toLowerCase().trim(),
+        quantity: seats,
+        // OXXO y transferencias no sirven para cobros recurrentes
+        mode: isSubscription ? 'subscription' : 'payment',
+        paymentMethodTypes: isSubscription ? ['card'] : checkoutPaymentMethods(product.price.currency),
+        // Compras en pesos en español; en otra moneda, el idioma del comprador
+        locale: product.price.currency === 'mxn' ? 'es' : 'auto',
+        metadata: {
+          nombre: customerName,
+          telefono: customerPhone,
+          delivery_method: deliveryMethod,
+          productId: product.id,
+          productName: product.name,
+          ...(discount
+            ? {
+              couponCode: discount.coupon.code,
+              discountAmount: String(discount.discountAmount),
+              couponReservationId: reservation.reservationId,
+            }
+            : {}),
+          ...(seats > 1 ? { quantity: String(seats) } : {}),
+          ...(renewal ? { renewCode: renewal.code } : {}),
+          ...(trialCode ? { upgradeCode: trialCode.code } : {}),
+          ...(receptor ? CfdiService.toMetadata(receptor) : {}),
+          source: 'skillscert_ec0301',
+        },
+      });
+
+      res.json({ sessionId: session.sessionId, url: session.url });
+    } catch (error) {
+      logger.error('Error creating checkout', { email, productId: product.id, error: error.message });
+
+      if (reservation) {
+        await couponService.release(reservation.reservationId).catch((releaseError) => {
+          logger.error('Error releasing coupon reservation', {
+            reservationId: reservation.reservationId,
+            error: releaseError.message,
+          });
+        });
+      }
+
+      const status = ['INVALID_PRICE_ID', 'INACTIVE_PRICE'].includes(error.code) ? 400 : 500;
+      res.status(status).json({ error: error.message, code: error.code });
+    }
+  };
+
+  router.post(['/api/create-checkout', '/create-checkout-session'], createCheckout);
+
+  router.post('/api/coupons/validate', async (req, res) => {
+    const { couponCode, productId, currency = null, country = null, email = null } = req.body;
+
+    if (!couponCode || typeof couponCode !== 'string') {
+      return res.status(400).json({ error: 'couponCode es requerido' });
+    }
+    if (email !== null && typeof email !== 'string') {
+      return res.status(400).json({ error: 'email debe ser texto' });
+    }
+
+    try {
+      const catalogProduct = productCatalogService.resolve({ productId });
+      const product = productCatalogService.priceIn(
+        catalogProduct,
+        productCatalogService.selectCurrency(catalogProduct, { currency, country: buyerCountry(req, country) })
+      );
+      const discount = await couponService.validate({ code: couponCode, email, product });
+
+      res.json({
+        success: true,
+        data: {
+          coupon: CouponService.toPublic(discount.coupon),
+          productId: product.id,
+          originalAmount: product.price.amount,
+          discountAmount: discount.discountAmount,
+          finalAmount: discount.finalAmount,
+          currency: discount.currency,
+        },
+      });
+    } catch (error) {
+      if (error.couponCode || ['PRODUCT_NOT_FOUND', 'CURRENCY_NOT_AVAILABLE'].includes(error.code)) {
+        return res.status(400).json({ success: false, error: error.message, code: error.code });
+      }
+
+      logger.error('Error validating coupon', { couponCode, error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/api/cfdi/catalogs', (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        enabled: cfdiService.isEnabled(),
+        regimenesFiscales: CfdiService.REGIMENES_FISCALES,
+        usosCfdi: CfdiService.USOS_CFDI,
+      },
+    });
+  });
+
+  router.get('/api/checkout-session', async (req, res) => {
+    const { session_id: sessionId } = req.query;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'session_id es requerido' });
+    }
+
+    if (!stripeService) {
+      return res.status(503).json({ error: 'Stripe no configurado' });
+    }
+
+    try {
+      const session = await stripeService.stripe.checkout.sessions.retrieve(sessionId);
+      res.json(session);
+    } catch (error) {
+      logger.error('Error retrieving checkout session', { sessionId, error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCheckoutRouter;
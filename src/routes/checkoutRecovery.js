@@ -0,0 +1,49 @@
+/**
+ * RUTAS DE CHECKOUTS ABANDONADOS
+ *
+ * GET /api/checkout-recovery/opt-out?email=&signature= - Darse de baja de los recordatorios
+ *
+ * Se autentica con la firma del enlace que llega en el email de
+ * recuperación (CheckoutRecoveryService.optOutUrl), no con una sesión.
+ * Responde una página sencilla porque se abre desde el correo.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const express = require('express');
+const { logger } = require('../utils/logger');
+
+const page = (title, message) => `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><title>${title} - SkillsCert</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 60px auto; text-align: center;">
+  <h2>${title}</h2>
+  <p>${message}</p>
+</body>
+</html>`;
+
+function createCheckoutRecoveryRouter({ checkoutRecoveryService }) {
+  const router = express.Router();
+
+  router.get('/api/checkout-recovery/opt-out', async (req, res) => {
+    const { email, signature } = req.query;
+
+    try {
+      await checkoutRecoveryService.optOutWithSignature(email, signature);
+
+      res.send(page('Listo', 'Ya no te enviaremos recordatorios de compras pendientes.'));
+    } catch (error) {
+      if (error.code === 'INVALID_OPT_OUT_LINK') {
+        return res.status(403).send(page('Enlace no válido', error.message));
+      }
+
+      logger.error('Error processing recovery opt-out', { error: error.message });
+      res.status(500).send(page('Error', 'No pudimos procesar tu baja; intenta más tarde.'));
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCheckoutRecoveryRouter;
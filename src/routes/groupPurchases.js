@@ -0,0 +1,122 @@
+/**
+ * RUTAS DE COMPRAS DE GRUPO (administración del comprador)
+ *
+ * GET  /api/group-purchases/:purchaseId                    - Compra y sus lugares
+ * POST /api/group-purchases/:purchaseId/seats/:code/assign - Asignar un lugar a un email
+ * POST /api/group-purchases/:purchaseId/seats/:code/resend - Reenviar el código del lugar
+ *
+ * Se autentican con el token del enlace que recibe el comprador por email
+ * (`Authorization: Bearer <token>`), no con una sesión de código.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const express = require('express');
+const { logger } = require('../utils/logger');
+const GroupPurchaseService = require('../services/GroupPurchaseService');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const STATUS_BY_CODE = {
+  GROUP_NOT_FOUND: 404,
+  SEAT_NOT_FOUND: 404,
+  SEAT_ALREADY_REDEEMED: 409,
+};
+
+function createGroupPurchasesRouter({ groupPurchaseService, groupPurchaseHandler, notificationHandler }) {
+  const router = express.Router();
+
+  const sendError = (res, error, context) => {
+    const status = STATUS_BY_CODE[error.code];
+
+    if (status) {
+      return res.status(status).json({ success: false, code: error.code, error: error.message });
+    }
+
+    logger.error('Error in group purchase management', { ...context, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  };
+
+  // Compra a la que da acceso el token (req.groupPurchase)
+  router.use('/:purchaseId', async (req, res, next) => {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    try {
+      req.groupPurchase = await groupPurchaseService.authenticate(req.params.purchaseId, token);
+      next();
+    } catch (error) {
+      sendError(res, error, { purchaseId: req.params.purchaseId });
+    }
+  });
+
+  router.get('/:purchaseId', async (req, res) => {
+    const purchase = req.groupPurchase;
+
+    try {
+      const seats = await groupPurchaseService.listSeats(purchase.purchaseId);
+
+      res.json({
+        success: true,
+        data: {
+          ...GroupPurchaseService.toPublic(purchase),
+          seats: seats.map(GroupPurchaseService.describeSeat),
+        },
+      });
+    } catch (error) {
+      sendError(res, error, { purchaseId: purchase.purchaseId });
+    }
+  });
+
+  router.post('/:purchaseId/seats/:code/assign', async (req, res) => {
+    const purchase = req.groupPurchase;
+    const code = req.params.code.toUpperCase().trim();
+    const { email: rawEmail, name: rawName } = req.body;
+
+    if (typeof rawEmail !== 'string' || !EMAIL_REGEX.test(rawEmail.trim())) {
+      return res.status(400).json({ success: false, error: 'Email válido es requerido' });
+    }
+
+    if (rawName !== undefined && rawName !== null && typeof rawName !== 'string') {
+      return res.status(400).json({ success: false, error: 'El nombre debe ser texto' });
+    }
+
+    const email = rawEmail.toLowerCase().trim();
+    const name = (rawName || '').trim() || null;
+
+    try {
+      const { seat, deliveries } = await groupPurchaseHandler.assignGroupSeat(
+        purchase.purchaseId,
+        code,
+        { email, name }
+      );
+
+      res.json({ success: true, data: { seat: GroupPurchaseService.describeSeat(seat), deliveries } });
+    } catch (error) {
+      sendError(res, error, { purchaseId: purchase.purchaseId, code });
+    }
+  });
+
+  router.post('/:purchaseId/seats/:code/resend', async (req, res) => {
+    const purchase = req.groupPurchase;
+    const code = req.params.code.toUpperCase().trim();
+
+    try {
+      const seats = await groupPurchaseService.listSeats(purchase.purchaseId);
+      const seat = seats.find((item) => item.code === code);
+
+      if (!seat?.assignedAt) {
+        throw { code: 'SEAT_NOT_FOUND', message: 'Lugar no encontrado o sin asignar' };
+      }
+
+      const deliveries = await notificationHandler.deliverAccessCode(seat, 'email');
+      res.json({ success: true, data: { deliveries } });
+    } catch (error) {
+      sendError(res, error, { purchaseId: purchase.purchaseId, code });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createGroupPurchasesRouter;
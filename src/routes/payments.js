@@ -0,0 +1,38 @@
+/**
+ * API DE PAGOS (paymentController)
+ *
+ * POST /api/payments                   - Procesar pago
+ * GET  /api/payments/history/:userId   - Historial
+ * GET  /api/payments/stats/:userId     - Estadísticas
+ * POST /api/payments/refunds           - Reembolso (transacciones de este
+ *                                        controlador; los pagos de Stripe
+ *                                        Checkout van por /api/admin/refunds)
+ * POST /api/payments/disputes          - Disputa (registro interno; las
+ *                                        disputas de Stripe llegan por
+ *                                        webhook, ver /api/admin/disputes)
+ * GET  /api/payments/audit             - Audit trail
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const express = require('express');
+const paymentController = require('../paymentController');
+
+function createPaymentsRouter() {
+  const router = express.Router();
+  const { validateToken } = paymentController.paymentMiddleware;
+
+  router.use(validateToken);
+
+  router.post('/', paymentController.processPayment);
+  router.get('/history/:userId', paymentController.getPaymentHistory);
+  router.get('/stats/:userId', paymentController.getStats);
+  router.post('/refunds', paymentController.processRefund);
+  router.post('/disputes', paymentController.createDispute);
+  router.get('/audit', paymentController.getAuditTrail);
+
+  return router;
+}
+
+module.exports = createPaymentsRouter;
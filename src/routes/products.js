@@ -0,0 +1,69 @@
+/**
+ * RUTAS DEL CATÁLOGO
+ *
+ * GET /api/products      - Productos a la venta (precio, vigencia y módulos)
+ * GET /api/products/:id  - Un producto
+ *
+ * `?currency=usd` o `?country=US` devuelven `price` en la moneda que se
+ * cobraría en el checkout (ver ProductCatalogService.selectCurrency);
+ * `prices` lista el precio en todas las monedas del producto. En la lista,
+ * los productos sin precio en la moneda pedida conservan su moneda base.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const express = require('express');
+const ProductCatalogService = require('../services/ProductCatalogService');
+
+function createProductsRouter({ productCatalogService, config }) {
+  const router = express.Router();
+
+  const pricedFor = (req, product) => {
+    const country = req.query.country
+      || (config.GEO_COUNTRY_HEADER ? req.get(config.GEO_COUNTRY_HEADER) : null);
+
+    return productCatalogService.priceIn(
+      product,
+      productCatalogService.selectCurrency(product, { currency: req.query.currency, country })
+    );
+  };
+
+  router.get('/api/products', (req, res) => {
+    const products = productCatalogService.listProducts().map((product) => {
+      try {
+        return pricedFor(req, product);
+      } catch (error) {
+        return product;
+      }
+    });
+
+    res.json({
+      success: true,
+      defaultProductId: productCatalogService.getDefaultProduct().id,
+      data: products.map(ProductCatalogService.toPublic),
+    });
+  });
+
+  router.get('/api/products/:id', (req, res) => {
+    const product = productCatalogService.getProduct(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        code: 'PRODUCT_NOT_FOUND',
+        message: 'El producto solicitado no existe',
+      });
+    }
+
+    try {
+      res.json({ success: true, data: ProductCatalogService.toPublic(pricedFor(req, product)) });
+    } catch (error) {
+      res.status(400).json({ success: false, code: error.code, message: error.message, available: error.available });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createProductsRouter;
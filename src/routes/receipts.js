@@ -0,0 +1,51 @@
+/**
+ * RUTAS DE RECIBOS
+ *
+ * GET /api/receipts/:receiptId/pdf?expires=&signature= - Descargar el recibo en PDF
+ *
+ * Se autentican con la firma del enlace que recibe el comprador en la
+ * confirmación de pago (ReceiptService.signedUrl), no con una sesión.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const express = require('express');
+const { logger } = require('../utils/logger');
+const ReceiptService = require('../services/ReceiptService');
+
+const STATUS_BY_CODE = {
+  INVALID_RECEIPT_LINK: 403,
+  RECEIPT_LINK_EXPIRED: 410,
+  RECEIPT_NOT_FOUND: 404,
+};
+
+function createReceiptsRouter({ receiptService }) {
+  const router = express.Router();
+
+  router.get('/api/receipts/:receiptId/pdf', async (req, res) => {
+    const { receiptId } = req.params;
+
+    try {
+      const receipt = await receiptService.getSignedReceipt(receiptId, req.query);
+
+      res.set('Cache-Control', 'private, no-store');
+      res.type('application/pdf');
+      res.set('Content-Disposition', `inline; filename="${ReceiptService.filename(receipt)}"`);
+      res.send(receiptService.renderPdf(receipt));
+    } catch (error) {
+      const status = STATUS_BY_CODE[error.code];
+
+      if (status) {
+        return res.status(status).json({ success: false, code: error.code, error: error.message });
+      }
+
+      logger.error('Error downloading receipt', { receiptId, error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createReceiptsRouter;
@@ -0,0 +1,76 @@
+/**
+ * WEBHOOK DE STRIPE
+ *
+ * POST /webhook         - Endpoint registrado en el dashboard de Stripe
+ * POST /stripe-webhook  - Alias de render-functions
+ *
+ * Necesita el body RAW para verificar la firma, por eso el router se
+ * monta antes de express.json().
+ *
+ * Los eventos repetidos responden 200 sin volver a procesarse; si otro
+ * proceso todavía lo está atendiendo se responde 409 para que Stripe
+ * reintente más tarde.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const express = require('express');
+const { logger } = require('../utils/logger');
+
+function createStripeWebhookRouter({ stripeService, fulfillmentService, config }) {
+  const router = express.Router();
+
+  router.post(
+    ['/webhook', '/stripe-webhook'],
+    express.raw({ type: 'application/json' }),
+    async (req, res) => {
+      if (!stripeService) {
+        return res.status(503).json({ error: 'Stripe no configurado' });
+      }
+
+      let event;
+      try {
+        event = stripeService.constructEvent(
+          req.body,
+          req.headers['stripe-signature'],
+          config.STRIPE_WEBHOOK_SECRET
+        );
+      } catch (error) {
+        return res.status(400).send(`Webhook Error: ${error.originalError || error.message}`);
+      }
+
+      try {
+        const result = await fulfillmentService.handleStripeEvent(event);
+
+        if (result.duplicate) {
+          return res.status(result.reason === 'in_progress' ? 409 : 200).json({
+            received: true,
+            type: event.type,
+            duplicate: true,
+            reason: result.reason,
+          });
+        }
+
+        res.json({
+          received: true,
+          type: event.type,
+          handled: result.handled !== false,
+        });
+      } catch (error) {
+        logger.error('Error processing Stripe webhook', {
+          eventId: event.id,
+          type: event.type,
+          error: error.message,
+        });
+
+        // Respondemos error para que Stripe reintente
+        res.status(500).json({ received: true, error: error.message });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createStripeWebhookRouter;
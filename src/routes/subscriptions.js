@@ -0,0 +1,66 @@
+/**
+ * RUTAS DE SUSCRIPCIÓN (cuenta del usuario)
+ *
+ * GET  /api/subscription        - Estado de la suscripción del código
+ * POST /api/subscription/portal - Enlace al portal de clientes de Stripe
+ *                                 (cambiar tarjeta, ver facturas, cancelar)
+ *
+ * Requieren la sesión del código (ver middleware/requireSession); los
+ * códigos que no son de suscripción responden 404 NO_SUBSCRIPTION.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const express = require('express');
+const { logger } = require('../utils/logger');
+const { requireApiSession } = require('../middleware/requireSession');
+
+function createSubscriptionsRouter({ subscriptionService, sessionService, stripeService, config }) {
+  const router = express.Router();
+
+  router.use(requireApiSession(sessionService));
+
+  const sendError = (res, error, context) => {
+    if (error.code === 'NO_SUBSCRIPTION') {
+      return res.status(404).json({ success: false, code: error.code, error: error.message });
+    }
+
+    logger.error('Error in subscription route', { ...context, error: error.message });
+    res.status(500).json({ success: false, error: 'Error interno' });
+  };
+
+  router.get('/', async (req, res) => {
+    try {
+      const { stripeCustomerId, ...subscription } = await subscriptionService.getSubscription(
+        req.session.accessCode
+      );
+
+      res.json({ success: true, data: subscription });
+    } catch (error) {
+      sendError(res, error, { code: req.session.accessCode });
+    }
+  });
+
+  router.post('/portal', async (req, res) => {
+    if (!stripeService) {
+      return res.status(503).json({ success: false, error: 'Stripe no configurado' });
+    }
+
+    try {
+      const subscription = await subscriptionService.getSubscription(req.session.accessCode);
+      const portal = await stripeService.createPortalSession({
+        customerId: subscription.stripeCustomerId,
+        returnUrl: `${config.APP_URL}/dispositivos.html`,
+      });
+
+      res.json({ success: true, data: { url: portal.url } });
+    } catch (error) {
+      sendError(res, error, { code: req.session.accessCode });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSubscriptionsRouter;
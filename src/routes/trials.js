@@ -0,0 +1,120 @@
+/**
+ * RUTAS DE PRUEBA GRATIS
+ *
+ * POST /api/trials                          - Pedir el código de prueba
+ * GET  /api/trials/upgrade?code=&signature= - Comprar el acceso completo (enlace de un clic)
+ *
+ * El cuerpo de POST /api/trials es como el del checkout: nombre, email,
+ * telefono y deliveryMethod. Solo hay una prueba por email y por teléfono.
+ *
+ * El enlace de upgrade llega con el código de prueba (TrialService.upgradeUrl):
+ * crea el checkout del producto de upgrade y redirige a Stripe. Al pagarse,
+ * el código de prueba pasa a ser el del producto comprado.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const express = require('express');
+const { logger } = require('../utils/logger');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DELIVERY_METHODS = ['email', 'whatsapp', 'both'];
+
+const STATUS_BY_CODE = {
+  INVALID_PHONE: 400,
+  TRIAL_ALREADY_USED: 409,
+  ALREADY_CUSTOMER: 409,
+  INVALID_UPGRADE_LINK: 403,
+  CODE_NOT_FOUND: 404,
+  NOT_A_TRIAL: 409,
+  CODE_INACTIVE: 403,
+};
+
+function isOptionalString(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+function createTrialsRouter({ trialHandler, trialService, stripeService, config }) {
+  const router = express.Router();
+
+  router.post('/api/trials', async (req, res) => {
+    const { nombre, name, email, telefono, phone, deliveryMethod = 'email' } = req.body;
+
+    if (!config.TRIALS_ENABLED) {
+      return res.status(404).json({ success: false, code: 'TRIALS_DISABLED', error: 'La prueba gratis no está disponible' });
+    }
+
+    if (typeof email !== 'string' || !EMAIL_REGEX.test(email)) {
+      return res.status(400).json({ success: false, error: 'Email válido es requerido' });
+    }
+
+    if (![nombre, name, telefono, phone].every(isOptionalString)) {
+      return res.status(400).json({ success: false, error: 'Nombre y teléfono deben ser texto' });
+    }
+
+    const customerName = (nombre || name || '').trim();
+    const customerPhone = (telefono || phone || '').trim();
+
+    if (!DELIVERY_METHODS.includes(deliveryMethod)) {
+      return res.status(400).json({ success: false, error: 'Método de entrega inválido' });
+    }
+
+    if ((deliveryMethod === 'whatsapp' || deliveryMethod === 'both') && !customerPhone) {
+      return res.status(400).json({ success: false, error: 'Teléfono es obligatorio para WhatsApp' });
+    }
+
+    try {
+      const trial = await trialHandler.startTrial({
+        email,
+        name: customerName || null,
+        phone: customerPhone || null,
+        deliveryMethod,
+      });
+
+      // El código solo se entrega por email o WhatsApp, para verificar el contacto
+      res.status(201).json({
+        success: true,
+        email: trial.email,
+        expiresAt: trial.expiresAt,
+        deliveries: Object.keys(trial.deliveries),
+      });
+    } catch (error) {
+      const status = STATUS_BY_CODE[error.code];
+
+      if (status) {
+        return res.status(status).json({ success: false, code: error.code, error: error.message });
+      }
+
+      logger.error('Error starting trial', { email, error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/api/trials/upgrade', async (req, res) => {
+    if (!stripeService) {
+      return res.status(503).json({ success: false, error: 'Stripe no configurado' });
+    }
+
+    try {
+      const accessCode = await trialService.verifyUpgradeLink(req.query);
+      const country = config.GEO_COUNTRY_HEADER ? req.get(config.GEO_COUNTRY_HEADER) : null;
+      const session = await trialHandler.createTrialUpgradeCheckout(accessCode, { country });
+
+      res.redirect(303, session.url);
+    } catch (error) {
+      const status = STATUS_BY_CODE[error.code];
+
+      if (status) {
+        return res.status(status).json({ success: false, code: error.code, error: error.message });
+      }
+
+      logger.error('Error creating trial upgrade checkout', { code: req.query.code, error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTrialsRouter;
@@ -0,0 +1,77 @@
+/**
+ * WEBHOOK DE WHATSAPP
+ *
+ * GET  /webhook-whatsapp  - Verificación de Meta (hub.challenge)
+ * POST /webhook-whatsapp  - Mensajes entrantes y estados de entrega
+ *
+ * Un mensaje "BAJA" (o STOP, ALTO, CANCELAR) da de baja el número de los
+ * recordatorios de checkouts abandonados.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const express = require('express');
+const CheckoutRecoveryService = require('../services/CheckoutRecoveryService');
+const { logger } = require('../utils/logger');
+
+// Estados que Meta reporta y que guardamos en el historial de notificaciones
+const TRACKED_STATUSES = ['delivered', 'read', 'failed'];
+
+function createWhatsAppWebhookRouter({ whatsAppService, historyService, checkoutRecoveryService, config }) {
+  const router = express.Router();
+
+  router.get('/webhook-whatsapp', (req, res) => {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+
+    if (mode === 'subscribe' && token === config.WHATSAPP_VERIFY_TOKEN) {
+      logger.info('WhatsApp webhook verified successfully');
+      return res.status(200).send(req.query['hub.challenge']);
+    }
+
+    logger.warn('WhatsApp webhook verification failed', { mode });
+    res.sendStatus(403);
+  });
+
+  router.post('/webhook-whatsapp', async (req, res) => {
+    const body = req.body;
+
+    if (body.object !== 'whatsapp_business_account') {
+      return res.sendStatus(200);
+    }
+
+    try {
+      const statuses = body.entry?.[0]?.changes?.[0]?.value?.statuses || [];
+
+      for (const status of statuses) {
+        if (TRACKED_STATUSES.includes(status.status)) {
+          await historyService.updateNotificationStatus(status.id, status.status);
+        }
+      }
+
+      if (whatsAppService && body.entry?.[0]?.changes?.[0]?.value?.messages) {
+        const message = await whatsAppService.handleIncomingMessage(body);
+
+        if (checkoutRecoveryService && CheckoutRecoveryService.isOptOutMessage(message.messageBody)) {
+          await checkoutRecoveryService.optOut('whatsapp', message.from, 'whatsapp');
+          await whatsAppService.sendTextMessage(
+            message.from,
+            'Listo, ya no te enviaremos recordatorios de compras pendientes.'
+          );
+        }
+      }
+
+      res.sendStatus(200);
+    } catch (error) {
+      logger.error('Error processing WhatsApp webhook', {
+        error: error.message || error.details,
+      });
+      res.sendStatus(500);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createWhatsAppWebhookRouter;
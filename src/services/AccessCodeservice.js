@@ -49,9 +49,7 @@ class AccessCodeService {
         return true; // Si no hay DB, asumir único
       }
 
-      const existing = await this.db
-        .collection('accessCodes')
-        .findOne({ code });
+      const existing = await this.db.findOne('access_codes', { code });
 
       return !existing;
     } catch (error) {
@@ -99,12 +97,27 @@ class AccessCodeService {
       code,
       userId,
       email,
+      name = null,
+      phone = null,
+      deliveryMethod = 'email',
       productId,
       productName,
       paymentId,
+      stripeSessionId = null,
+      stripeEventId = null,
+      stripePaymentIntentId = null,
       amount,
       currency,
+      couponCode = null,
+      discountAmount = 0,
+      groupPurchaseId = null,
+      seatNumber = null,
+      stripeSubscriptionId = null,
+      stripeCustomerId = null,
       expiresAt = null,
+      modules = null,
+      trial = false,
+      flags = null,
       metadata = {},
     } = data;
 
@@ -117,33 +130,48 @@ class AccessCodeService {
         code,
         userId,
         email,
+        name,
+        phone,
+        deliveryMethod,
         productId,
         productName,
         paymentId,
+        stripeSessionId,
+        stripeEventId,
+        stripePaymentIntentId,
         amount,
         currency,
+        couponCode,
+        discountAmount,
+        groupPurchaseId,
+        seatNumber,
+        assignedAt: null,
+        stripeSubscriptionId,
+        stripeCustomerId,
+        subscriptionStatus: stripeSubscriptionId ? 'active' : null,
         status: 'active',
         usedAt: null,
+        loginCount: 0,
+        lastLogin: null,
         createdAt: new Date(),
         expiresAt: expiresAt || this.calculateExpiration(),
+        modules,
+        trial,
+        flags,
+        upgradedAt: null,
         metadata,
       };
 
-      const result = await this.db
-        .collection('accessCodes')
-        .insertOne(accessCodeDoc);
+      const saved = await this.db.insert('access_codes', accessCodeDoc);
 
       logger.info('Access code saved', {
         code,
         email,
         productName,
-        insertedId: result.insertedId,
+        id: saved.id,
       });
 
-      return {
-        ...accessCodeDoc,
-        _id: result.insertedId,
-      };
+      return saved;
     } catch (error) {
       logger.error('Error saving access code', {
         code,
@@ -177,9 +205,7 @@ class AccessCodeService {
         query.email = email;
       }
 
-      const accessCode = await this.db
-        .collection('accessCodes')
-        .findOne(query);
+      const accessCode = await this.db.findOne('access_codes', query);
 
       if (!accessCode) {
         return {
@@ -246,13 +272,12 @@ class AccessCodeService {
         throw new Error('Database not connected');
       }
 
-      const result = await this.db.collection('accessCodes').updateOne(
-        { code },
+      const result = await this.db.update(
+        'access_codes',
+        { code, usedAt: null },
         {
-          $set: {
-            usedAt: new Date(),
-            status: 'used',
-          },
+          usedAt: new Date(),
+          status: 'used',
         }
       );
 
@@ -276,6 +301,360 @@ class AccessCodeService {
     }
   }
 
+  /**
+   * Registrar un inicio de sesión con el código
+   * El código se puede usar varias veces mientras siga activo
+   */
+  async recordLogin(code) {
+    try {
+      if (!this.db) {
+        throw new Error('Database not connected');
+      }
+
+      const now = new Date();
+
+      await this.db.update(
+        'access_codes',
+        { code },
+        { lastLogin: now },
+        { increment: { loginCount: 1 } }
+      );
+
+      logger.info('Access code login recorded', { code });
+
+      return { success: true, code, lastLogin: now };
+    } catch (error) {
+      logger.error('Error recording login', {
+        code,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Desactivar un código (soporte, reembolso, abuso)
+   * Aplica a cualquier estado, también a códigos en disputa o suspendidos:
+   * así el cierre de una disputa ganada no reactiva un código reembolsado
+   * Las sesiones abiertas se revocan con SessionService.revokeCodeSessions
+   */
+  async deactivateCode(code) {
+    try {
+      if (!this.db) {
+        throw new Error('Database not connected');
+      }
+
+      const result = await this.db.update(
+        'access_codes',
+        { code, status: { $ne: 'inactive' } },
+        { status: 'inactive' }
+      );
+
+      if (result.modifiedCount === 0) {
+        const existing = await this.db.findOne('access_codes', { code });
+
+        if (!existing) {
+          throw { code: 'CODE_NOT_FOUND', message: 'Código no encontrado' };
+        }
+
+        logger.info('Access code already inactive', { code, status: existing.status });
+
+        return { success: true, code, status: existing.status };
+      }
+
+      logger.info('Access code deactivated', { code });
+
+      return { success: true, code, status: 'inactive' };
+    } catch (error) {
+      logger.error('Error deactivating code', {
+        code,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cambiar el límite de dispositivos de un código
+   * null vuelve al límite general (MAX_DEVICES_PER_CODE); 0 = sin límite
+   */
+  async setDeviceLimit(code, maxDevices) {
+    if (!this.db) {
+      throw new Error('Database not connected');
+    }
+
+    const result = await this.db.update('access_codes', { code }, { maxDevices });
+
+    if (result.modifiedCount === 0 && !(await this.db.findOne('access_codes', { code }))) {
+      throw { code: 'CODE_NOT_FOUND', message: 'Código no encontrado' };
+    }
+
+    logger.info('Access code device limit changed', { code, maxDevices });
+
+    return { code, maxDevices };
+  }
+
+  /**
+   * Cambiar los módulos habilitados de un código sin emitir otro
+   * mode 'add' agrega a los que ya tiene; 'set' los reemplaza
+   * Un código con modules null ya tiene todos y no cambia con 'add'
+   */
+  async updateModules(code, modules, mode = 'add') {
+    if (!this.db) {
+      throw new Error('Database not connected');
+    }
+
+    const accessCode = await this.db.findOne('access_codes', { code });
+
+    if (!accessCode) {
+      throw { code: 'CODE_NOT_FOUND', message: 'Código no encontrado' };
+    }
+
+    let updated;
+    if (mode === 'set') {
+      updated = [...new Set(modules)];
+    } else if (accessCode.modules === null || accessCode.modules === undefined) {
+      updated = null;
+    } else {
+      updated = [...new Set([...accessCode.modules, ...modules])];
+    }
+
+    await this.db.update('access_codes', { code }, { modules: updated });
+
+    logger.info('Access code modules updated', { code, mode, modules: updated });
+
+    return { code, modules: updated };
+  }
+
+  /**
+   * Extender la vigencia de un código (renovación)
+   * Los días se suman a la vigencia actual, o a hoy si ya venció; un
+   * código expirado vuelve a quedar activo y cualquier otro conserva su
+   * estado (uno suspendido o en disputa sigue así, pero con la vigencia
+   * que ya se pagó). Cada renewalSessionId se registra en code_renewals y
+   * se aplica una sola vez, aunque llegue después de otra renovación.
+   * Devuelve { code, previousExpiresAt, expiresAt, alreadyApplied, accessCode }
+   */
+  async extendCode(code, days, { renewalSessionId = null, now = new Date() } = {}) {
+    if (!this.db) {
+      throw new Error('Database not connected');
+    }
+
+    if (renewalSessionId && !(await this.claimRenewal(code, days, renewalSessionId))) {
+      const renewal = await this.db.findOne('code_renewals', { renewalSessionId });
+      return {
+        code,
+        previousExpiresAt: renewal.previousExpiresAt,
+        expiresAt: renewal.expiresAt,
+        alreadyApplied: true,
+        accessCode: await this.db.findOne('access_codes', { code }),
+      };
+    }
+
+    try {
+      const extension = await this.applyExtension(code, days, { renewalSessionId, now });
+
+      if (renewalSessionId) {
+        await this.db.update(
+          'code_renewals',
+          { renewalSessionId },
+          { previousExpiresAt: extension.previousExpiresAt, expiresAt: extension.expiresAt }
+        );
+      }
+
+      return extension;
+    } catch (error) {
+      // Sin extensión, el registro no debe bloquear el reintento del evento
+      if (renewalSessionId) await this.db.delete('code_renewals', { renewalSessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar la renovación de un checkout antes de aplicarla
+   * Devuelve false si ese checkout ya renovó el código
+   */
+  async claimRenewal(code, days, renewalSessionId) {
+    try {
+      await this.db.insert('code_renewals', {
+        renewalSessionId,
+        accessCode: code,
+        days,
+        previousExpiresAt: null,
+        expiresAt: null,
+        createdAt: new Date(),
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 'DUPLICATE_KEY') return false;
+      throw error;
+    }
+  }
+
+  async applyExtension(code, days, { renewalSessionId, now }) {
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const accessCode = await this.db.findOne('access_codes', { code });
+
+      if (!accessCode) {
+        throw { code: 'CODE_NOT_FOUND', message: 'Código no encontrado' };
+      }
+
+      const previousExpiresAt = accessCode.expiresAt ? new Date(accessCode.expiresAt) : null;
+      const base = previousExpiresAt && previousExpiresAt > now ? previousExpiresAt : now;
+      const expiresAt = new Date(base.getTime() + days * 24 * 60 * 60 * 1000);
+
+      const changes = {
+        expiresAt,
+        ...(accessCode.status === 'expired' ? { status: 'active' } : {}),
+        ...(renewalSessionId ? { lastRenewalSessionId: renewalSessionId } : {}),
+      };
+
+      // Solo si nadie cambió la vigencia ni el estado desde que se leyó
+      const result = await this.db.update(
+        'access_codes',
+        { code, expiresAt: previousExpiresAt, status: accessCode.status },
+        changes
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.info('Access code extended', {
+          code,
+          days,
+          status: changes.status || accessCode.status,
+          previousExpiresAt,
+          expiresAt,
+          renewalSessionId,
+        });
+
+        return {
+          code,
+          previousExpiresAt,
+          expiresAt,
+          alreadyApplied: false,
+          accessCode: { ...accessCode, ...changes },
+        };
+      }
+    }
+
+    throw {
+      code: 'CODE_EXTENSION_CONFLICT',
+      message: 'No se pudo extender el código por cambios simultáneos',
+    };
+  }
+
+  /**
+   * Convertir un código de prueba en uno pagado sin cambiar el código
+   * `purchase` trae los datos de la compra (producto, pago, vigencia y
+   * módulos); se quitan las restricciones de la prueba. Con el mismo
+   * stripeSessionId la conversión se aplica una sola vez.
+   * Devuelve { code, alreadyApplied, accessCode }
+   */
+  async convertTrial(code, purchase) {
+    if (!this.db) {
+      throw new Error('Database not connected');
+    }
+
+    const accessCode = await this.db.findOne('access_codes', { code });
+
+    if (!accessCode) {
+      throw { code: 'CODE_NOT_FOUND', message: 'Código no encontrado' };
+    }
+
+    if (!accessCode.trial) {
+      if (purchase.stripeSessionId && accessCode.stripeSessionId === purchase.stripeSessionId) {
+        return { code, alreadyApplied: true, accessCode };
+      }
+      throw { code: 'NOT_A_TRIAL', message: 'Este código ya no es de prueba' };
+    }
+
+    if (accessCode.status === 'inactive') {
+      throw { code: 'CODE_INACTIVE', message: 'Este código está inactivo' };
+    }
+
+    const changes = {
+      ...purchase,
+      trial: false,
+      flags: null,
+      status: 'active',
+      upgradedAt: new Date(),
+    };
+
+    // Solo si sigue siendo prueba: otro webhook pudo convertirlo antes
+    const result = await this.db.update('access_codes', { code, trial: true }, changes);
+
+    if (result.modifiedCount === 0) {
+      const current = await this.db.findOne('access_codes', { code });
+      if (purchase.stripeSessionId && current.stripeSessionId === purchase.stripeSessionId) {
+        return { code, alreadyApplied: true, accessCode: current };
+      }
+      throw { code: 'NOT_A_TRIAL', message: 'Este código ya no es de prueba' };
+    }
+
+    logger.info('Trial access code upgraded', {
+      code,
+      productId: purchase.productId,
+      stripeSessionId: purchase.stripeSessionId,
+    });
+
+    return { code, alreadyApplied: false, accessCode: { ...accessCode, ...changes } };
+  }
+
+  /**
+   * Reducir la vigencia restante de un código en una proporción (0-1)
+   * Se usa con los reembolsos parciales. Con `period` ({ start, end }, el
+   * periodo que pagó el cobro reembolsado) solo se reduce la parte de ese
+   * periodo que aún no transcurre; sin él, toda la vigencia restante
+   * Devuelve { code, previousExpiresAt, expiresAt }
+   */
+  async shortenCode(code, fraction, { now = new Date(), period = null } = {}) {
+    if (!this.db) {
+      throw new Error('Database not connected');
+    }
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const accessCode = await this.db.findOne('access_codes', { code });
+
+      if (!accessCode) {
+        throw { code: 'CODE_NOT_FOUND', message: 'Código no encontrado' };
+      }
+
+      const previousExpiresAt = new Date(accessCode.expiresAt);
+      const from = period ? Math.max(now.getTime(), new Date(period.start).getTime()) : now.getTime();
+      const until = period
+        ? Math.min(previousExpiresAt.getTime(), new Date(period.end).getTime())
+        : previousExpiresAt.getTime();
+      const remaining = Math.max(0, until - from);
+      const expiresAt = new Date(previousExpiresAt.getTime() - Math.round(remaining * Math.min(fraction, 1)));
+
+      const result = await this.db.update(
+        'access_codes',
+        { code, expiresAt: accessCode.expiresAt },
+        { expiresAt }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.info('Access code shortened', { code, fraction, period, previousExpiresAt, expiresAt });
+        return { code, previousExpiresAt, expiresAt };
+      }
+    }
+
+    throw {
+      code: 'CODE_EXTENSION_CONFLICT',
+      message: 'No se pudo ajustar el código por cambios simultáneos',
+    };
+  }
+
+  /**
+   * Buscar el código generado para una sesión de checkout
+   */
+  async findBySessionId(stripeSessionId) {
+    if (!this.db) {
+      throw new Error('Database not connected');
+    }
+
+    return this.db.findOne('access_codes', { stripeSessionId });
+  }
+
   /**
    * Obtener información del código
    */
@@ -285,9 +664,7 @@ class AccessCodeService {
         throw new Error('Database not connected');
       }
 
-      const accessCode = await this.db
-        .collection('accessCodes')
-        .findOne({ code });
+      const accessCode = await this.db.findOne('access_codes', { code });
 
       if (!accessCode) {
         return null;
@@ -324,14 +701,13 @@ class AccessCodeService {
         throw new Error('Database not connected');
       }
 
-      const result = await this.db.collection('accessCodes').updateMany(
+      const result = await this.db.update(
+        'access_codes',
         {
           expiresAt: { $lt: new Date() },
           status: 'active',
         },
-        {
-          $set: { status: 'expired' },
-        }
+        { status: 'expired' }
       );
 
       logger.info('Expired codes cleaned', {
@@ -348,6 +724,41 @@ class AccessCodeService {
       throw error;
     }
   }
+
+  /**
+   * Obtener estadísticas de códigos (panel de administración)
+   */
+  async getStats() {
+    try {
+      if (!this.db) {
+        throw new Error('Database not connected');
+      }
+
+      const now = new Date();
+      const in30Days = this.calculateExpiration(30);
+      const [total, active, neverUsed, expiringSoon] = await Promise.all([
+        this.db.count('access_codes'),
+        this.db.count('access_codes', { status: 'active' }),
+        this.db.count('access_codes', { status: 'active', loginCount: 0 }),
+        this.db.count('access_codes', {
+          status: 'active',
+          expiresAt: { $gte: now, $lte: in30Days },
+        }),
+      ]);
+
+      return {
+        total,
+        active,
+        neverUsed,
+        expiringIn30Days: expiringSoon,
+      };
+    } catch (error) {
+      logger.error('Error getting access code stats', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
 }
 
 module.exports = AccessCodeService;
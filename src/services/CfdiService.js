@@ -0,0 +1,490 @@
+/**
+ * SERVICIO DE FACTURACIÓN CFDI 4.0
+ *
+ * Factura electrónica para compradores en México que la piden en el
+ * checkout (RFC, razón social, régimen fiscal, uso de CFDI y código postal):
+ * - Valida los datos fiscales antes de crear el checkout; viajan en la
+ *   metadata de Stripe (cfdiRfc, cfdiNombre, cfdiRegimen, cfdiUso, cfdiCp)
+ * - Al pagarse, registra la factura (una por checkout), arma el XML del
+ *   CFDI de ingreso con el desglose de IVA y lo timbra con el PAC
+ *   configurado (src/services/pac)
+ * - Genera la representación impresa en PDF
+ *
+ * Los precios del catálogo incluyen IVA: el total cobrado se desglosa en
+ * base e IVA. InvoiceHandler timbra y envía la factura al comprador;
+ * las que fallan se reintentan con la tarea retry-cfdi-invoices.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { createTextPdf } = require('../utils/pdf');
+
+const RFC_REGEX = /^[A-ZÑ&]{3,4}\d{6}[A-Z0-9]{3}$/;
+const POSTAL_CODE_REGEX = /^\d{5}$/;
+const CFDI_NAMESPACE = 'http://www.sat.gob.mx/cfd/4';
+const CFDI_SCHEMA = 'http://www.sat.gob.mx/sitio_internet/cfd/4/cfdv40.xsd';
+
+class CfdiService {
+  static STATUSES = {
+    PENDING: 'pending',
+    STAMPED: 'stamped',
+    FAILED: 'failed', // Se reintenta
+    REJECTED: 'rejected', // El PAC rechazó los datos; requiere revisión
+  };
+
+  // Catálogo c_RegimenFiscal del SAT
+  static REGIMENES_FISCALES = {
+    601: 'General de Ley Personas Morales',
+    603: 'Personas Morales con Fines no Lucrativos',
+    605: 'Sueldos y Salarios e Ingresos Asimilados a Salarios',
+    606: 'Arrendamiento',
+    607: 'Régimen de Enajenación o Adquisición de Bienes',
+    608: 'Demás ingresos',
+    610: 'Residentes en el Extranjero sin Establecimiento Permanente en México',
+    611: 'Ingresos por Dividendos (socios y accionistas)',
+    612: 'Personas Físicas con Actividades Empresariales y Profesionales',
+    614: 'Ingresos por intereses',
+    615: 'Régimen de los ingresos por obtención de premios',
+    616: 'Sin obligaciones fiscales',
+    620: 'Sociedades Cooperativas de Producción que optan por diferir sus ingresos',
+    621: 'Incorporación Fiscal',
+    622: 'Actividades Agrícolas, Ganaderas, Silvícolas y Pesqueras',
+    623: 'Opcional para Grupos de Sociedades',
+    624: 'Coordinados',
+    625: 'Actividades Empresariales con ingresos a través de Plataformas Tecnológicas',
+    626: 'Régimen Simplificado de Confianza',
+  };
+
+  // Catálogo c_UsoCFDI del SAT (sin CP01 pagos ni CN01 nómina)
+  static USOS_CFDI = {
+    G01: 'Adquisición de mercancías',
+    G02: 'Devoluciones, descuentos o bonificaciones',
+    G03: 'Gastos en general',
+    I01: 'Construcciones',
+    I02: 'Mobiliario y equipo de oficina por inversiones',
+    I03: 'Equipo de transporte',
+    I04: 'Equipo de cómputo y accesorios',
+    I05: 'Dados, troqueles, moldes, matrices y herramental',
+    I06: 'Comunicaciones telefónicas',
+    I07: 'Comunicaciones satelitales',
+    I08: 'Otra maquinaria y equipo',
+    D01: 'Honorarios médicos, dentales y gastos hospitalarios',
+    D02: 'Gastos médicos por incapacidad o discapacidad',
+    D03: 'Gastos funerales',
+    D04: 'Donativos',
+    D05: 'Intereses reales efectivamente pagados por créditos hipotecarios',
+    D06: 'Aportaciones voluntarias al SAR',
+    D07: 'Primas por seguros de gastos médicos',
+    D08: 'Gastos de transportación escolar obligatoria',
+    D09: 'Depósitos en cuentas para el ahorro, primas que tengan como base planes de pensiones',
+    D10: 'Pagos por servicios educativos (colegiaturas)',
+    S01: 'Sin efectos fiscales',
+  };
+
+  // c_FormaPago por método de pago de Stripe
+  static FORMAS_PAGO = {
+    card: '04', // Tarjeta de crédito
+    oxxo: '01', // Efectivo
+    customer_balance: '03', // Transferencia electrónica (SPEI)
+  };
+
+  constructor(database, {
+    provider = null,
+    emisor = {},
+    serie = 'SC',
+    claveProdServ = '86132000',
+    ivaRate = 0.16,
+  } = {}) {
+    this.db = database;
+    this.provider = provider;
+    this.emisor = emisor;
+    this.serie = serie;
+    this.claveProdServ = claveProdServ;
+    this.ivaRate = ivaRate;
+  }
+
+  /**
+   * La facturación requiere los datos del emisor y un PAC
+   */
+  isEnabled() {
+    return Boolean(this.provider && this.emisor.rfc && this.emisor.nombre && this.emisor.lugarExpedicion);
+  }
+
+  /**
+   * Normalizar y validar los datos fiscales del receptor
+   * Lanza { code: 'INVALID_FISCAL_DATA', field, message }
+   */
+  static validateReceptor(data = {}) {
+    const invalid = (field, message) => ({ code: 'INVALID_FISCAL_DATA', field, message });
+
+    const rfc = String(data.rfc || '').toUpperCase().replace(/[\s-]/g, '');
+    const nombre = String(data.razonSocial || data.nombre || '').toUpperCase().replace(/\s+/g, ' ').trim();
+    const regimenFiscal = String(data.regimenFiscal || '').trim();
+    const usoCfdi = String(data.usoCfdi || '').toUpperCase().trim();
+    const codigoPostal = String(data.codigoPostal || '').trim();
+
+    if (!RFC_REGEX.test(rfc)) {
+      throw invalid('rfc', 'El RFC no tiene un formato válido');
+    }
+    if (!nombre) {
+      throw invalid('razonSocial', 'La razón social es requerida (como aparece en tu constancia fiscal)');
+    }
+    if (!CfdiService.REGIMENES_FISCALES[regimenFiscal]) {
+      throw invalid('regimenFiscal', 'El régimen fiscal no es válido');
+    }
+    if (!CfdiService.USOS_CFDI[usoCfdi]) {
+      throw invalid('usoCfdi', 'El uso de CFDI no es válido');
+    }
+    if (!POSTAL_CODE_REGEX.test(codigoPostal)) {
+      throw invalid('codigoPostal', 'El código postal debe tener 5 dígitos');
+    }
+
+    return { rfc, nombre, regimenFiscal, usoCfdi, codigoPostal };
+  }
+
+  /**
+   * Datos fiscales en la metadata del checkout (Stripe limita cada valor a
+   * 500 caracteres; la razón social se recorta a 300 como en el SAT)
+   */
+  static toMetadata(receptor) {
+    return {
+      cfdiRfc: receptor.rfc,
+      cfdiNombre: receptor.nombre.slice(0, 300),
+      cfdiRegimen: receptor.regimenFiscal,
+      cfdiUso: receptor.usoCfdi,
+      cfdiCp: receptor.codigoPostal,
+    };
+  }
+
+  static fromMetadata(metadata = {}) {
+    if (!metadata.cfdiRfc) return null;
+
+    return {
+      rfc: metadata.cfdiRfc,
+      nombre: metadata.cfdiNombre,
+      regimenFiscal: metadata.cfdiRegimen,
+      usoCfdi: metadata.cfdiUso,
+      codigoPostal: metadata.cfdiCp,
+    };
+  }
+
+  /**
+   * Registrar la factura de un checkout pagado
+   * Devuelve { record, created } (created = false si ya existía)
+   * `total` y `discountAmount` en centavos, con IVA
+   */
+  async createInvoice({
+    sessionId,
+    paymentIntentId = null,
+    accessCode = null,
+    email,
+    name = null,
+    receptor,
+    description,
+    total,
+    discountAmount = 0,
+    currency,
+    paymentMethod = 'card',
+  }) {
+    const existing = await this.db.findOne('cfdi_invoices', { sessionId });
+    if (existing) return { record: existing, created: false };
+
+    // Base e IVA del total cobrado; así SubTotal - Descuento + IVA = Total
+    const base = Math.round(total / (1 + this.ivaRate));
+    const discount = Math.round(discountAmount / (1 + this.ivaRate));
+
+    const record = {
+      invoiceId: crypto.randomUUID(),
+      sessionId,
+      paymentIntentId,
+      accessCode,
+      email,
+      name,
+      serie: this.serie,
+      folio: null,
+      receptor,
+      description,
+      subtotal: base + discount,
+      discount,
+      iva: total - base,
+      total,
+      currency,
+      formaPago: CfdiService.FORMAS_PAGO[paymentMethod] || CfdiService.FORMAS_PAGO.card,
+      status: CfdiService.STATUSES.PENDING,
+      provider: this.provider?.name || null,
+      uuid: null,
+      xml: null,
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date(),
+      stampedAt: null,
+      emailedAt: null,
+    };
+
+    let inserted;
+    try {
+      inserted = await this.db.insert('cfdi_invoices', record);
+    } catch (error) {
+      if (error.code === 'DUPLICATE_KEY') {
+        return { record: await this.db.findOne('cfdi_invoices', { sessionId }), created: false };
+      }
+      throw error;
+    }
+
+    // El folio es el id consecutivo de la tabla
+    const folio = String(inserted.id);
+    await this.db.update('cfdi_invoices', { invoiceId: record.invoiceId }, { folio });
+
+    logger.info('CFDI invoice recorded', {
+      invoiceId: record.invoiceId,
+      sessionId,
+      rfc: receptor.rfc,
+      total,
+    });
+
+    return { record: { ...inserted, folio }, created: true };
+  }
+
+  /**
+   * XML del CFDI 4.0 de ingreso (sin sello: lo agrega el PAC)
+   */
+  buildXml(record, { issuedAt = new Date() } = {}) {
+    if (record.currency.toLowerCase() !== 'mxn') {
+      throw {
+        code: 'CFDI_CURRENCY_NOT_SUPPORTED',
+        message: `Solo se facturan pagos en MXN (${record.currency})`,
+        retryable: false,
+      };
+    }
+
+    const { receptor } = record;
+    const base = record.subtotal - record.discount;
+    const rate = this.ivaRate.toFixed(6);
+    const discountAttr = record.discount > 0 ? ` Descuento="${money(record.discount)}"` : '';
+    const traslado = `<cfdi:Traslado Base="${money(base)}" Impuesto="002" TipoFactor="Tasa" ` +
+      `TasaOCuota="${rate}" Importe="${money(record.iva)}"/>`;
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<cfdi:Comprobante xmlns:cfdi="${CFDI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ` +
+        `xsi:schemaLocation="${CFDI_NAMESPACE} ${CFDI_SCHEMA}" Version="4.0" Serie="${xml(record.serie)}" ` +
+        `Folio="${xml(record.folio)}" Fecha="${mexicoCityDate(issuedAt)}" FormaPago="${record.formaPago}" ` +
+        `SubTotal="${money(record.subtotal)}"${discountAttr} Moneda="MXN" Total="${money(record.total)}" ` +
+        `TipoDeComprobante="I" Exportacion="01" MetodoPago="PUE" LugarExpedicion="${xml(this.emisor.lugarExpedicion)}">`,
+      `<cfdi:Emisor Rfc="${xml(this.emisor.rfc)}" Nombre="${xml(this.emisor.nombre)}" ` +
+        `RegimenFiscal="${xml(this.emisor.regimenFiscal)}"/>`,
+      `<cfdi:Receptor Rfc="${xml(receptor.rfc)}" Nombre="${xml(receptor.nombre)}" ` +
+        `DomicilioFiscalReceptor="${xml(receptor.codigoPostal)}" RegimenFiscalReceptor="${xml(receptor.regimenFiscal)}" ` +
+        `UsoCFDI="${xml(receptor.usoCfdi)}"/>`,
+      '<cfdi:Conceptos>',
+      `<cfdi:Concepto ClaveProdServ="${xml(this.claveProdServ)}" Cantidad="1" ClaveUnidad="E48" Unidad="Servicio" ` +
+        `Descripcion="${xml(record.description)}" ValorUnitario="${money(record.subtotal)}" ` +
+        `Importe="${money(record.subtotal)}"${discountAttr} ObjetoImp="02">`,
+      `<cfdi:Impuestos><cfdi:Traslados>${traslado}</cfdi:Traslados></cfdi:Impuestos>`,
+      '</cfdi:Concepto>',
+      '</cfdi:Conceptos>',
+      `<cfdi:Impuestos TotalImpuestosTrasladados="${money(record.iva)}">`,
+      `<cfdi:Traslados>${traslado}</cfdi:Traslados>`,
+      '</cfdi:Impuestos>',
+      '</cfdi:Comprobante>',
+    ].join('\n');
+  }
+
+  /**
+   * Timbrar una factura pendiente o fallida con el PAC
+   * Devuelve la factura actualizada (status stamped, failed o rejected)
+   */
+  async stamp(record) {
+    const { STAMPED, FAILED, REJECTED } = CfdiService.STATUSES;
+    if (record.status === STAMPED || record.status === REJECTED) return record;
+
+    // Reservar el intento: dos procesos no deben timbrar la misma factura
+    const attempts = (record.attempts || 0) + 1;
+    const claim = await this.db.update(
+      'cfdi_invoices',
+      { invoiceId: record.invoiceId, status: record.status, attempts: record.attempts || 0 },
+      { attempts }
+    );
+
+    if (claim.modifiedCount === 0) {
+      logger.warn('CFDI invoice already being stamped', { invoiceId: record.invoiceId });
+      return this.getInvoice(record.invoiceId);
+    }
+
+    try {
+      const stamped = await this.provider.stamp(this.buildXml(record));
+      const changes = {
+        status: STAMPED,
+        provider: this.provider.name,
+        uuid: stamped.uuid,
+        xml: stamped.xml,
+        stampedAt: stamped.stampedAt || new Date(),
+        attempts,
+        lastError: null,
+      };
+
+      await this.db.update('cfdi_invoices', { invoiceId: record.invoiceId }, changes);
+      logger.info('CFDI invoice stamped', { invoiceId: record.invoiceId, uuid: stamped.uuid });
+
+      return { ...record, ...changes };
+    } catch (error) {
+      const changes = {
+        status: error.retryable === false ? REJECTED : FAILED,
+        attempts,
+        lastError: error.message || String(error),
+      };
+
+      await this.db.update('cfdi_invoices', { invoiceId: record.invoiceId }, changes);
+      logger.error('Error stamping CFDI invoice', {
+        invoiceId: record.invoiceId,
+        error: changes.lastError,
+        status: changes.status,
+      });
+
+      return { ...record, ...changes };
+    }
+  }
+
+  async markEmailed(invoiceId) {
+    await this.db.update('cfdi_invoices', { invoiceId }, { emailedAt: new Date() });
+  }
+
+  /**
+   * Facturas por reintentar: timbrado fallido, pendientes que se quedaron
+   * a medias (el proceso se detuvo) o timbradas sin enviar
+   */
+  async pendingRetries({ maxAttempts = 5, limit = 50, now = new Date() } = {}) {
+    const { STAMPED, FAILED, PENDING } = CfdiService.STATUSES;
+    const stalledBefore = new Date(now.getTime() - 10 * 60 * 1000);
+
+    const [failed, stalled, unsent] = await Promise.all([
+      this.db.find(
+        'cfdi_invoices',
+        { status: FAILED, attempts: { $lt: maxAttempts } },
+        { orderBy: { createdAt: 'asc' }, limit }
+      ),
+      this.db.find(
+        'cfdi_invoices',
+        { status: PENDING, createdAt: { $lt: stalledBefore }, attempts: { $lt: maxAttempts } },
+        { orderBy: { createdAt: 'asc' }, limit }
+      ),
+      this.db.find(
+        'cfdi_invoices',
+        { status: STAMPED, emailedAt: null },
+        { orderBy: { createdAt: 'asc' }, limit }
+      ),
+    ]);
+
+    return [...failed, ...stalled, ...unsent];
+  }
+
+  /**
+   * Lanza { code: 'INVOICE_NOT_FOUND' } si no existe
+   */
+  async getInvoice(invoiceId) {
+    const record = await this.db.findOne('cfdi_invoices', { invoiceId });
+
+    if (!record) {
+      throw { code: 'INVOICE_NOT_FOUND', message: 'Factura no encontrada' };
+    }
+
+    return record;
+  }
+
+  async listInvoices({ status = null, limit = 50 } = {}) {
+    return this.db.find(
+      'cfdi_invoices',
+      status ? { status } : {},
+      { orderBy: { createdAt: 'desc' }, limit }
+    );
+  }
+
+  /**
+   * Representación impresa del CFDI
+   */
+  renderPdf(record) {
+    const { receptor } = record;
+    const currency = record.currency.toUpperCase();
+
+    return createTextPdf([
+      { text: `Factura ${record.serie}-${record.folio}`, bold: true, size: 16 },
+      record.uuid ? `Folio fiscal (UUID): ${record.uuid}` : 'Sin timbrar',
+      `Fecha de certificación: ${record.stampedAt ? new Date(record.stampedAt).toISOString() : '-'}`,
+      '',
+      { text: 'Emisor', bold: true },
+      `${this.emisor.nombre} - RFC ${this.emisor.rfc}`,
+      `Régimen fiscal: ${this.emisor.regimenFiscal} ${CfdiService.REGIMENES_FISCALES[this.emisor.regimenFiscal] || ''}`,
+      `Lugar de expedición: ${this.emisor.lugarExpedicion}`,
+      '',
+      { text: 'Receptor', bold: true },
+      `${receptor.nombre} - RFC ${receptor.rfc}`,
+      `Régimen fiscal: ${receptor.regimenFiscal} ${CfdiService.REGIMENES_FISCALES[receptor.regimenFiscal] || ''}`,
+      `Uso del CFDI: ${receptor.usoCfdi} ${CfdiService.USOS_CFDI[receptor.usoCfdi] || ''}`,
+      `Código postal: ${receptor.codigoPostal}`,
+      '',
+      { text: 'Concepto', bold: true },
+      `${this.claveProdServ} E48 Servicio - ${record.description}`,
+      '',
+      `Subtotal: $${money(record.subtotal)} ${currency}`,
+      ...(record.discount > 0 ? [`Descuento: $${money(record.discount)} ${currency}`] : []),
+      `IVA ${this.ivaRate * 100}%: $${money(record.iva)} ${currency}`,
+      { text: `Total: $${money(record.total)} ${currency}`, bold: true },
+      '',
+      `Forma de pago: ${record.formaPago}   Método de pago: PUE (pago en una sola exhibición)`,
+      'Este documento es una representación impresa de un CFDI 4.0',
+    ]);
+  }
+
+  /**
+   * Facturas por estado
+   */
+  async getStats() {
+    const { STAMPED, FAILED, REJECTED, PENDING } = CfdiService.STATUSES;
+    const [stamped, failed, rejected, pending] = await Promise.all([
+      this.db.count('cfdi_invoices', { status: STAMPED }),
+      this.db.count('cfdi_invoices', { status: FAILED }),
+      this.db.count('cfdi_invoices', { status: REJECTED }),
+      this.db.count('cfdi_invoices', { status: PENDING }),
+    ]);
+
+    return { stamped, failed, rejected, pending };
+  }
+}
+
+function money(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+function xml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Fecha del CFDI: hora local del lugar de expedición, sin zona horaria
+ */
+function mexicoCityDate(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: 'America/Mexico_City',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date).map((part) => [part.type, part.value])
+  );
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+module.exports = CfdiService;
@@ -0,0 +1,180 @@
+/**
+ * SERVICIO DE COBROS
+ *
+ * Registro de cada cobro de Stripe (Payment Intent) y del acceso que pagó:
+ * - Compras: el código generado (o la compra de grupo) y su vigencia
+ * - Renovaciones: el código extendido y el periodo que se agregó
+ * - Facturas de suscripción: la suscripción, su código y el periodo de la
+ *   factura (la primera es la compra; las siguientes, renovaciones)
+ *
+ * Los reembolsos y las disputas encuentran los códigos de cualquier cobro
+ * con este registro; los códigos anteriores a él se buscan por el Payment
+ * Intent con el que se generaron. Cada reembolso suma su monto al cobro
+ * (refundedAmount), sin importar el método de pago.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const { logger } = require('../utils/logger');
+
+class ChargeService {
+  static KINDS = {
+    PURCHASE: 'purchase',
+    RENEWAL: 'renewal',
+  };
+
+  static STATUSES = {
+    PAID: 'paid',
+    PARTIALLY_REFUNDED: 'partially_refunded',
+    REFUNDED: 'refunded',
+  };
+
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Periodo de acceso que pagó un cobro (null si cubre toda la vigencia)
+   */
+  static periodOf(charge) {
+    return charge?.periodEnd
+      ? { start: new Date(charge.periodStart || charge.createdAt), end: new Date(charge.periodEnd) }
+      : null;
+  }
+
+  /**
+   * Registrar un cobro
+   * Un Payment Intent se registra una sola vez: un evento repetido
+   * devuelve el registro existente. Sin Payment Intent no hay nada que
+   * reembolsar y no se registra
+   */
+  async recordCharge(charge) {
+    if (!charge.paymentIntentId) return null;
+
+    const existing = await this.findCharge(charge.paymentIntentId);
+    if (existing) return existing;
+
+    const now = new Date();
+    const record = {
+      paymentIntentId: charge.paymentIntentId,
+      chargeId: charge.chargeId || null,
+      kind: charge.kind || ChargeService.KINDS.PURCHASE,
+      sessionId: charge.sessionId || null,
+      invoiceId: charge.invoiceId || null,
+      accessCode: charge.accessCode || null,
+      groupPurchaseId: charge.groupPurchaseId || null,
+      subscriptionId: charge.subscriptionId || null,
+      amount: charge.amount ?? null,
+      currency: charge.currency || null,
+      periodStart: charge.periodStart || null,
+      periodEnd: charge.periodEnd || null,
+      status: ChargeService.STATUSES.PAID,
+      refundedAmount: 0,
+      refundedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    try {
+      await this.db.insert('charges', record);
+    } catch (error) {
+      if (error.code === 'DUPLICATE_KEY') return this.findCharge(charge.paymentIntentId);
+      throw error;
+    }
+
+    logger.info('Charge recorded', {
+      paymentIntentId: record.paymentIntentId,
+      kind: record.kind,
+      accessCode: record.accessCode,
+      groupPurchaseId: record.groupPurchaseId,
+      subscriptionId: record.subscriptionId,
+    });
+
+    return record;
+  }
+
+  async findCharge(paymentIntentId) {
+    if (!paymentIntentId) return null;
+    return this.db.findOne('charges', { paymentIntentId });
+  }
+
+  /**
+   * Cobros de un código: los suyos, los de su compra de grupo y los de su
+   * suscripción, del más reciente al más antiguo
+   */
+  async listCharges(accessCode) {
+    const lookups = [{ accessCode: accessCode.code }];
+    if (accessCode.groupPurchaseId) lookups.push({ groupPurchaseId: accessCode.groupPurchaseId });
+    if (accessCode.stripeSubscriptionId) lookups.push({ subscriptionId: accessCode.stripeSubscriptionId });
+
+    const charges = new Map();
+    for (const where of lookups) {
+      for (const charge of await this.db.find('charges', where)) {
+        charges.set(charge.paymentIntentId, charge);
+      }
+    }
+
+    return [...charges.values()].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b.id - a.id);
+  }
+
+  /**
+   * Códigos que pagó un cobro (varios en compras de grupo)
+   */
+  async findAccessCodes(paymentIntentId) {
+    const charge = await this.findCharge(paymentIntentId);
+
+    if (charge?.groupPurchaseId) {
+      return this.db.find('access_codes', { groupPurchaseId: charge.groupPurchaseId });
+    }
+
+    if (charge?.accessCode) {
+      const accessCode = await this.db.findOne('access_codes', { code: charge.accessCode });
+      return accessCode ? [accessCode] : [];
+    }
+
+    // La primera factura puede llegar antes de que exista el código
+    if (charge?.subscriptionId) {
+      return this.db.find('access_codes', { stripeSubscriptionId: charge.subscriptionId });
+    }
+
+    // Códigos anteriores al registro de cobros
+    const codes = await this.db.find('access_codes', { stripePaymentIntentId: paymentIntentId });
+    if (codes.length > 0) return codes;
+
+    const payment = await this.db.findOne('payments', { paymentIntentId });
+    return payment?.sessionId
+      ? this.db.find('access_codes', { stripeSessionId: payment.sessionId })
+      : [];
+  }
+
+  /**
+   * Actualizar lo reembolsado del cobro con los reembolsos registrados
+   * (tabla refunds); se puede repetir sin sumar dos veces el mismo
+   * Devuelve el cobro actualizado o null si el cobro no está registrado
+   */
+  async recordRefund(paymentIntentId, { refundId }) {
+    const charge = await this.findCharge(paymentIntentId);
+    if (!charge) return null;
+
+    const refunds = await this.db.find('refunds', { paymentIntentId });
+    const refundedAmount = refunds.reduce((total, refund) => total + refund.amount, 0);
+    const now = new Date();
+    const changes = {
+      refundedAmount,
+      status: charge.amount && refundedAmount >= charge.amount
+        ? ChargeService.STATUSES.REFUNDED
+        : ChargeService.STATUSES.PARTIALLY_REFUNDED,
+      refundedAt: charge.refundedAt || now,
+      updatedAt: now,
+    };
+
+    await this.db.update('charges', { paymentIntentId }, changes);
+
+    logger.info('Charge refund recorded', { paymentIntentId, refundId, refundedAmount, status: changes.status });
+
+    return { ...charge, ...changes };
+  }
+}
+
+module.exports = ChargeService;
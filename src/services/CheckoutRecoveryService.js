@@ -0,0 +1,367 @@
+/**
+ * SERVICIO DE RECUPERACIÓN DE CHECKOUTS ABANDONADOS
+ *
+ * Cuando un checkout de Stripe vence sin pagarse (checkout.session.expired):
+ * - Se registra con lo necesario para crear un checkout nuevo
+ *   (checkout_recoveries)
+ * - Pasados CHECKOUT_RECOVERY_DELAY_MINUTES, la tarea programada le envía
+ *   al comprador el enlace de un checkout nuevo por el canal que eligió
+ * - Si paga con ese enlace la recuperación cuenta como recuperada; si el
+ *   checkout nuevo también vence, como perdida
+ *
+ * Bajas (notification_opt_outs): el comprador deja de recibir estos
+ * recordatorios con el enlace firmado del email o respondiendo BAJA por
+ * WhatsApp. Los avisos de una compra (códigos, recibos) se siguen enviando.
+ *
+ * Estados: pending → sending → sent → recovered | lost. Sin enviar:
+ * purchased (ya compró por otro lado), opted_out (se dio de baja),
+ * failed (no se pudo crear el checkout nuevo) o lost (muy antiguo).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Palabras con las que se pide la baja por WhatsApp
+const OPT_OUT_KEYWORDS = ['BAJA', 'STOP', 'ALTO', 'CANCELAR'];
+
+class CheckoutRecoveryService {
+  static STATUSES = {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    SENT: 'sent',
+    RECOVERED: 'recovered',
+    LOST: 'lost',
+    PURCHASED: 'purchased',
+    OPTED_OUT: 'opted_out',
+    FAILED: 'failed',
+  };
+
+  // Estados en los que la venta no se recuperó
+  static LOST_STATUSES = ['lost', 'opted_out', 'failed'];
+
+  static CHANNELS = ['email', 'whatsapp'];
+
+  constructor(database, { secret, appUrl, delayMinutes = 60, maxAgeHours = 72, batchSize = 100 } = {}) {
+    this.db = database;
+    this.appUrl = appUrl;
+    this.delayMs = delayMinutes * MINUTE;
+    this.maxAgeMs = maxAgeHours * HOUR;
+    this.batchSize = batchSize;
+
+    if (!secret) {
+      // Sin secreto fijo los enlaces de baja ya enviados dejan de valer al reiniciar
+      logger.warn('Checkout recovery signing secret not configured, using a random secret');
+    }
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Destino normalizado de una baja
+   * WhatsApp reporta los números de México con 521; se comparan los
+   * últimos 10 dígitos (el número nacional)
+   */
+  static normalizeDestination(channel, destination) {
+    const value = String(destination || '').trim();
+    return channel === 'whatsapp'
+      ? value.replace(/\D/g, '').slice(-10)
+      : value.toLowerCase();
+  }
+
+  static isOptOutMessage(text) {
+    return OPT_OUT_KEYWORDS.includes(String(text || '').trim().toUpperCase());
+  }
+
+  /**
+   * Registrar un checkout vencido (resultado de StripeServiceV2 con type
+   * 'checkout.expired')
+   * Devuelve { record, created }; sin email no hay a quién escribirle
+   */
+  async registerExpired(checkout) {
+    const { STATUSES } = CheckoutRecoveryService;
+    const metadata = checkout.metadata || {};
+    const existing = await this.db.findOne('checkout_recoveries', { sessionId: checkout.sessionId });
+    if (existing) return { record: existing, created: false };
+
+    // El checkout de una recuperación no se recupera otra vez
+    if (metadata.recoveredFrom) {
+      const original = await this.markLost(metadata.recoveredFrom, checkout.sessionId);
+      return { record: original, created: false };
+    }
+
+    const record = {
+      sessionId: checkout.sessionId,
+      email: checkout.customerEmail ? checkout.customerEmail.toLowerCase().trim() : null,
+      name: checkout.customerName || null,
+      phone: checkout.customerPhone || null,
+      deliveryMethod: metadata.delivery_method || 'email',
+      productId: metadata.productId || null,
+      productName: metadata.productName || null,
+      quantity: parseInt(metadata.quantity, 10) || 1,
+      amount: checkout.amount,
+      currency: checkout.currency,
+      paymentMethodTypes: checkout.paymentMethodTypes || ['card'],
+      metadata,
+      status: checkout.customerEmail ? STATUSES.PENDING : STATUSES.LOST,
+      reason: checkout.customerEmail ? null : 'no_email',
+      sessionCreatedAt: checkout.createdAt || null,
+      expiredAt: checkout.expiredAt || new Date(),
+      recoverySessionId: null,
+      recoveryUrl: null,
+      deliveries: null,
+      sentAt: null,
+      recoveredAt: null,
+      updatedAt: new Date(),
+    };
+
+    try {
+      const inserted = await this.db.insert('checkout_recoveries', record);
+      logger.info('Expired checkout registered', {
+        sessionId: record.sessionId,
+        email: record.email,
+        productId: record.productId,
+        status: record.status,
+      });
+      return { record: inserted, created: true };
+    } catch (error) {
+      if (error.code === 'DUPLICATE_KEY') {
+        return { record: await this.db.findOne('checkout_recoveries', { sessionId: checkout.sessionId }), created: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Checkouts vencidos a los que ya les toca el recordatorio
+   */
+  async dueRecoveries(now = new Date()) {
+    return this.db.find(
+      'checkout_recoveries',
+      {
+        status: CheckoutRecoveryService.STATUSES.PENDING,
+        expiredAt: { $lte: new Date(now.getTime() - this.delayMs) },
+      },
+      { orderBy: { expiredAt: 'asc' }, limit: this.batchSize }
+    );
+  }
+
+  isTooOld(record, now = new Date()) {
+    return now.getTime() - new Date(record.expiredAt).getTime() > this.maxAgeMs;
+  }
+
+  /**
+   * Reservar el envío de una recuperación
+   * Devuelve false si otra instancia ya la tomó
+   */
+  async claim(sessionId) {
+    const { PENDING, SENDING } = CheckoutRecoveryService.STATUSES;
+    const { modifiedCount } = await this.db.update(
+      'checkout_recoveries',
+      { sessionId, status: PENDING },
+      { status: SENDING, updatedAt: new Date() }
+    );
+    return modifiedCount > 0;
+  }
+
+  /**
+   * Cerrar una recuperación sin enviarla (purchased, opted_out, failed, lost)
+   */
+  async close(sessionId, status, reason = null) {
+    await this.db.update(
+      'checkout_recoveries',
+      { sessionId },
+      { status, reason, updatedAt: new Date() }
+    );
+    logger.info('Checkout recovery closed', { sessionId, status, reason });
+  }
+
+  async markSent(sessionId, { recoverySessionId, recoveryUrl, deliveries }) {
+    await this.db.update(
+      'checkout_recoveries',
+      { sessionId },
+      {
+        status: CheckoutRecoveryService.STATUSES.SENT,
+        recoverySessionId,
+        recoveryUrl,
+        deliveries,
+        sentAt: new Date(),
+        updatedAt: new Date(),
+      }
+    );
+  }
+
+  /**
+   * El comprador pagó el checkout de la recuperación
+   * Devuelve la recuperación o null si el checkout no venía de una
+   */
+  async markRecovered(originalSessionId, recoverySessionId) {
+    const { SENT, RECOVERED } = CheckoutRecoveryService.STATUSES;
+    const { modifiedCount } = await this.db.update(
+      'checkout_recoveries',
+      { sessionId: originalSessionId, status: SENT },
+      { status: RECOVERED, recoverySessionId, recoveredAt: new Date(), updatedAt: new Date() }
+    );
+
+    if (modifiedCount > 0) {
+      logger.info('Abandoned checkout recovered', { sessionId: originalSessionId, recoverySessionId });
+    }
+
+    return this.db.findOne('checkout_recoveries', { sessionId: originalSessionId });
+  }
+
+  /**
+   * El checkout de la recuperación también venció
+   */
+  async markLost(originalSessionId, recoverySessionId) {
+    const { SENT, LOST } = CheckoutRecoveryService.STATUSES;
+    await this.db.update(
+      'checkout_recoveries',
+      { sessionId: originalSessionId, status: SENT, recoverySessionId },
+      { status: LOST, reason: 'recovery_expired', updatedAt: new Date() }
+    );
+
+    return this.db.findOne('checkout_recoveries', { sessionId: originalSessionId });
+  }
+
+  /**
+   * ¿El comprador ya pagó el producto después de abandonar el checkout?
+   * Cuenta los pagos con recibo y los pagos OXXO/SPEI en espera
+   */
+  async hasPurchasedSince(record) {
+    const since = record.sessionCreatedAt || record.expiredAt;
+
+    const receipt = await this.db.findOne('receipts', {
+      email: record.email,
+      productId: record.productId,
+      createdAt: { $gte: since },
+    });
+    if (receipt) return true;
+
+    const pending = await this.db.findOne('payments', {
+      customerEmail: record.email,
+      productName: record.productName,
+      createdAt: { $gte: since },
+    });
+    return Boolean(pending);
+  }
+
+  // ==================== BAJAS ====================
+
+  async isOptedOut(channel, destination) {
+    const normalized = CheckoutRecoveryService.normalizeDestination(channel, destination);
+    if (!normalized) return false;
+
+    return Boolean(await this.db.findOne('notification_opt_outs', { optOutKey: `${channel}:${normalized}` }));
+  }
+
+  /**
+   * Dar de baja un email o teléfono de los recordatorios de compra
+   * Lanza { code: 'INVALID_OPT_OUT' } si el canal o el destino no son válidos
+   */
+  async optOut(channel, destination, source = 'admin') {
+    const normalized = CheckoutRecoveryService.normalizeDestination(channel, destination);
+
+    if (!CheckoutRecoveryService.CHANNELS.includes(channel) || !normalized) {
+      throw { code: 'INVALID_OPT_OUT', message: 'Indica channel (email o whatsapp) y destination' };
+    }
+
+    try {
+      await this.db.insert('notification_opt_outs', {
+        optOutKey: `${channel}:${normalized}`,
+        channel,
+        destination: normalized,
+        source,
+        createdAt: new Date(),
+      });
+      logger.info('Recovery notifications opt-out', { channel, destination: normalized, source });
+    } catch (error) {
+      if (error.code !== 'DUPLICATE_KEY') throw error;
+    }
+
+    return { channel, destination: normalized };
+  }
+
+  signature(email) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`opt-out.${CheckoutRecoveryService.normalizeDestination('email', email)}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Enlace firmado para darse de baja desde el email
+   */
+  optOutUrl(email) {
+    const params = new URLSearchParams({ email, signature: this.signature(email) });
+    return `${this.appUrl}/api/checkout-recovery/opt-out?${params}`;
+  }
+
+  /**
+   * Baja desde el enlace del email
+   * Lanza { code: 'INVALID_OPT_OUT_LINK' } si la firma no coincide
+   */
+  async optOutWithSignature(email, signature) {
+    const expected = Buffer.from(this.signature(email));
+    const received = Buffer.from(String(signature || ''));
+
+    if (!email || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw { code: 'INVALID_OPT_OUT_LINK', message: 'El enlace para darte de baja no es válido' };
+    }
+
+    return this.optOut('email', email, 'link');
+  }
+
+  // ==================== CONSULTAS ====================
+
+  async listRecoveries({ status = null, email = null, limit = 50 } = {}) {
+    const where = {};
+    if (status) where.status = status;
+    if (email) where.email = email.toLowerCase().trim();
+
+    return this.db.find('checkout_recoveries', where, { orderBy: { expiredAt: 'desc' }, limit });
+  }
+
+  /**
+   * Checkouts recuperados contra perdidos de los que vencieron entre
+   * `from` y `to`
+   */
+  async getStats({ from, to }) {
+    const { STATUSES, LOST_STATUSES } = CheckoutRecoveryService;
+    const records = await this.db.find('checkout_recoveries', { expiredAt: { $gte: from, $lt: to } });
+
+    const byStatus = Object.fromEntries(Object.values(STATUSES).map((status) => [status, 0]));
+    const recoveredAmount = {};
+
+    for (const record of records) {
+      byStatus[record.status] = (byStatus[record.status] || 0) + 1;
+
+      if (record.status === STATUSES.RECOVERED) {
+        recoveredAmount[record.currency] = (recoveredAmount[record.currency] || 0) + (record.amount || 0);
+      }
+    }
+
+    const recovered = byStatus[STATUSES.RECOVERED];
+    const lost = LOST_STATUSES.reduce((total, status) => total + byStatus[status], 0);
+
+    return {
+      from,
+      to,
+      expired: records.length,
+      sent: records.filter((record) => record.sentAt).length,
+      recovered,
+      lost,
+      // Ya compraron sin el recordatorio; no cuentan como recuperados ni perdidos
+      purchased: byStatus[STATUSES.PURCHASED],
+      recoveryRate: recovered + lost > 0 ? Math.round((recovered / (recovered + lost)) * 1000) / 10 : null,
+      recoveredAmount, // Centavos por moneda
+      byStatus,
+    };
+  }
+}
+
+module.exports = CheckoutRecoveryService;
@@ -0,0 +1,672 @@
+/**
+ * SERVICIO DE CUPONES DE DESCUENTO
+ *
+ * Cupones propios validados en el servidor antes de crear el checkout:
+ * - Porcentaje (`percent`, 1-100) o monto fijo en centavos (`fixed`)
+ * - Vigencia (startsAt / expiresAt), límite total de usos y por email
+ * - Restringidos a ciertos productos del catálogo (productIds)
+ * - Si Stripe está configurado, cada cupón se replica como Promotion Code
+ *   y el checkout lo aplica con `discounts`; si no, el checkout cobra el
+ *   precio ya descontado
+ *
+ * Cada checkout con cupón reserva un uso (reserve) antes de crearse; el
+ * límite total cuenta usos pagados más reservas, y la reserva se hace con
+ * compare-and-set para que checkouts simultáneos no lo rebasen; maxPerEmail
+ * se cuenta igual en coupon_email_uses (un contador por email). Al pagarse
+ * la compra la reserva pasa a uso (redeem, desde CheckoutHandler); si el
+ * checkout vence o el pago falla se libera (release) y el uso vuelve a
+ * quedar disponible. Las reservas sin resolver se liberan al vencer
+ * (tarea release-coupon-reservations).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { normalizeCurrency, minCharge } = require('../utils/money');
+
+const CODE_REGEX = /^[A-Z0-9_-]{3,32}$/;
+
+class CouponService {
+  static DISCOUNT_TYPES = ['percent', 'fixed'];
+
+  static RESERVATION_STATUSES = {
+    RESERVED: 'reserved',
+    REDEEMED: 'redeemed',
+    RELEASED: 'released',
+  };
+
+  // Un checkout de Stripe vence a las 24 horas
+  static RESERVATION_TTL_HOURS = 25;
+
+  constructor(database, { stripeService = null } = {}) {
+    this.db = database;
+    this.stripe = stripeService;
+  }
+
+  static normalizeCode(code) {
+    return String(code || '').toUpperCase().trim();
+  }
+
+  /**
+   * Descuento en centavos de un cupón sobre un precio
+   */
+  static discountFor(coupon, price) {
+    const discount = coupon.discountType === 'percent'
+      ? Math.round((price.amount * coupon.value) / 100)
+      : coupon.value;
+
+    return Math.min(discount, price.amount);
+  }
+
+  /**
+   * Datos de un cupón que se pueden mostrar al comprador
+   */
+  static toPublic(coupon) {
+    return {
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      value: coupon.value,
+      currency: coupon.currency,
+      expiresAt: coupon.expiresAt,
+    };
+  }
+
+  /**
+   * Crear un cupón
+   * Lanza { code: 'INVALID_COUPON' } si los datos no son válidos y
+   * { code: 'COUPON_EXISTS' } si el código ya está en uso
+   */
+  async createCoupon(data) {
+    const {
+      code,
+      description = null,
+      discountType,
+      value,
+      currency = 'mxn',
+      productIds = null,
+      maxRedemptions = null,
+      maxPerEmail = null,
+      startsAt = null,
+      expiresAt = null,
+    } = data;
+
+    const coupon = {
+      code: CouponService.normalizeCode(code),
+      description,
+      discountType,
+      value,
+      currency: discountType === 'fixed' ? (currency || 'mxn').toLowerCase() : null,
+      productIds: productIds && productIds.length > 0 ? [...new Set(productIds)] : null,
+      maxRedemptions,
+      maxPerEmail,
+      redemptionCount: 0,
+      reservedCount: 0,
+      startsAt: startsAt ? new Date(startsAt) : null,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      active: true,
+      stripeCouponId: null,
+      stripePromotionCodeId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    this.assertValid(coupon);
+
+    if (await this.db.findOne('coupons', { code: coupon.code })) {
+      throw { code: 'COUPON_EXISTS', message: `El cupón ${coupon.code} ya existe` };
+    }
+
+    // Sin Stripe (o si falla) el cupón funciona igual con el precio descontado
+    if (this.stripe) {
+      try {
+        const promotion = await this.stripe.createPromotionCode(coupon);
+        coupon.stripeCouponId = promotion.couponId;
+        coupon.stripePromotionCodeId = promotion.promotionCodeId;
+      } catch (error) {
+        logger.warn('Coupon created without Stripe promotion code', {
+          code: coupon.code,
+          error: error.message,
+        });
+      }
+    }
+
+    try {
+      await this.db.insert('coupons', coupon);
+    } catch (error) {
+      if (error.code === 'DUPLICATE_KEY') {
+        throw { code: 'COUPON_EXISTS', message: `El cupón ${coupon.code} ya existe` };
+      }
+      throw error;
+    }
+
+    logger.info('Coupon created', {
+      code: coupon.code,
+      discountType: coupon.discountType,
+      value: coupon.value,
+      stripePromotionCodeId: coupon.stripePromotionCodeId,
+    });
+
+    return coupon;
+  }
+
+  assertValid(coupon) {
+    const errors = [];
+
+    if (!CODE_REGEX.test(coupon.code)) {
+      errors.push('code debe tener de 3 a 32 letras, números, - o _');
+    }
+    if (!CouponService.DISCOUNT_TYPES.includes(coupon.discountType)) {
+      errors.push('discountType debe ser percent o fixed');
+    }
+    if (coupon.discountType === 'percent' && !(Number.isInteger(coupon.value) && coupon.value >= 1 && coupon.value <= 100)) {
+      errors.push('value debe ser un porcentaje entero de 1 a 100');
+    }
+    if (coupon.discountType === 'fixed' && !(Number.isInteger(coupon.value) && coupon.value > 0)) {
+      errors.push('value debe ser un monto en centavos mayor a 0');
+    }
+    if (coupon.discountType === 'fixed' && !normalizeCurrency(coupon.currency)) {
+      errors.push('currency debe ser una moneda en la que se vende (mxn o usd)');
+    }
+    for (const field of ['maxRedemptions', 'maxPerEmail']) {
+      if (coupon[field] !== null && !(Number.isInteger(coupon[field]) && coupon[field] > 0)) {
+        errors.push(`${field} debe ser un entero mayor a 0 o null`);
+      }
+    }
+    for (const field of ['startsAt', 'expiresAt']) {
+      if (coupon[field] && Number.isNaN(coupon[field].getTime())) {
+        errors.push(`${field} no es una fecha válida`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw { code: 'INVALID_COUPON', message: errors.join('; '), errors };
+    }
+  }
+
+  async getCoupon(code) {
+    return this.db.findOne('coupons', { code: CouponService.normalizeCode(code) });
+  }
+
+  async listCoupons() {
+    return this.db.find('coupons', {}, { orderBy: { createdAt: 'desc' } });
+  }
+
+  /**
+   * Desactivar un cupón (y su Promotion Code en Stripe)
+   */
+  async deactivateCoupon(code) {
+    const coupon = await this.getCoupon(code);
+
+    if (!coupon) {
+      throw { code: 'COUPON_NOT_FOUND', message: 'Cupón no encontrado' };
+    }
+
+    await this.db.update('coupons', { code: coupon.code }, { active: false, updatedAt: new Date() });
+
+    if (this.stripe && coupon.stripePromotionCodeId) {
+      try {
+        await this.stripe.deactivatePromotionCode(coupon.stripePromotionCodeId);
+      } catch (error) {
+        logger.error('Error deactivating Stripe promotion code', {
+          code: coupon.code,
+          promotionCodeId: coupon.stripePromotionCodeId,
+          error: error.message,
+        });
+      }
+    }
+
+    logger.info('Coupon deactivated', { code: coupon.code });
+
+    return { ...coupon, active: false };
+  }
+
+  /**
+   * Validar un cupón para una compra
+   * Devuelve { coupon, discountAmount, finalAmount, currency } (centavos)
+   * Lanza { code, message } con el motivo si no aplica
+   */
+  async validate({ code, email = null, product, now = new Date() }) {
+    const coupon = await this.getCoupon(code);
+    const reject = (reason, message) => {
+      throw { code: reason, message, couponCode: CouponService.normalizeCode(code) };
+    };
+
+    if (!coupon || !coupon.active) {
+      reject('COUPON_NOT_FOUND', 'El cupón no existe o ya no está disponible');
+    }
+    if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+      reject('COUPON_NOT_STARTED', 'El cupón todavía no está vigente');
+    }
+    if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) {
+      reject('COUPON_EXPIRED', 'El cupón ya venció');
+    }
+    if (coupon.productIds && !coupon.productIds.includes(product.id)) {
+      reject('COUPON_NOT_APPLICABLE', 'El cupón no aplica para este producto');
+    }
+    if (coupon.discountType === 'fixed' && coupon.currency !== product.price.currency) {
+      reject('COUPON_NOT_APPLICABLE', 'El cupón no aplica para la moneda de este producto');
+    }
+    if (CouponService.isExhausted(coupon)) {
+      reject('COUPON_EXHAUSTED', 'El cupón ya alcanzó su límite de usos');
+    }
+
+    if (coupon.maxPerEmail !== null && email) {
+      const where = { couponCode: coupon.code, email: email.toLowerCase().trim() };
+      const used = await this.db.count('coupon_redemptions', where)
+        + await this.db.count('coupon_reservations', { ...where, status: CouponService.RESERVATION_STATUSES.RESERVED });
+
+      if (used >= coupon.maxPerEmail) {
+        reject('COUPON_EMAIL_LIMIT', 'Ya usaste este cupón el máximo de veces permitido');
+      }
+    }
+
+    const discountAmount = CouponService.discountFor(coupon, product.price);
+    const finalAmount = product.price.amount - discountAmount;
+
+    // Sin Promotion Code el descuento se cobra como precio en línea,
+    // que Stripe rechaza por debajo del cargo mínimo
+    if (!coupon.stripePromotionCodeId && finalAmount < minCharge(product.price.currency)) {
+      reject('COUPON_NOT_APPLICABLE', 'El descuento deja el precio por debajo del mínimo permitido');
+    }
+
+    return {
+      coupon,
+      discountAmount,
+      finalAmount,
+      currency: product.price.currency,
+    };
+  }
+
+  /**
+   * Usos pagados más reservas contra el límite total
+   */
+  static isExhausted(coupon) {
+    return coupon.maxRedemptions !== null
+      && (coupon.redemptionCount || 0) + (coupon.reservedCount || 0) >= coupon.maxRedemptions;
+  }
+
+  /**
+   * Reservar un uso del cupón para un checkout que se va a crear
+   * Lanza COUPON_EXHAUSTED si otro checkout tomó el último uso desde que
+   * se validó y COUPON_EMAIL_LIMIT si el email ya no tiene usos. Si un
+   * paso falla se deshacen los anteriores. Devuelve { reservationId,
+   * couponCode, expiresAt }
+   */
+  async reserve({ code, email, now = new Date() }) {
+    const couponCode = CouponService.normalizeCode(code);
+    const coupon = await this.getCoupon(couponCode);
+
+    if (!coupon || !coupon.active) {
+      throw { code: 'COUPON_NOT_FOUND', message: 'El cupón no existe o ya no está disponible', couponCode };
+    }
+
+    const reservation = {
+      reservationId: `CR-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+      couponCode,
+      email: email.toLowerCase().trim(),
+      status: CouponService.RESERVATION_STATUSES.RESERVED,
+      expiresAt: new Date(now.getTime() + CouponService.RESERVATION_TTL_HOURS * 60 * 60 * 1000),
+      createdAt: now,
+      updatedAt: now,
+    };
+    const taken = { emailUse: false, reservation: false };
+
+    try {
+      if (coupon.maxPerEmail !== null) {
+        await this.takeEmailUse(coupon, reservation.email);
+        taken.emailUse = true;
+      }
+
+      await this.db.insert('coupon_reservations', reservation);
+      taken.reservation = true;
+
+      await this.takeReservedUse(couponCode, now);
+    } catch (error) {
+      await this.undoReservation(reservation, taken);
+      throw error;
+    }
+
+    return {
+      reservationId: reservation.reservationId,
+      couponCode,
+      expiresAt: reservation.expiresAt,
+    };
+  }
+
+  /**
+   * Contar una reserva en reservedCount con compare-and-set
+   */
+  async takeReservedUse(couponCode, now = new Date()) {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      const coupon = await this.getCoupon(couponCode);
+
+      if (!coupon || !coupon.active) {
+        throw { code: 'COUPON_NOT_FOUND', message: 'El cupón no existe o ya no está disponible', couponCode };
+      }
+      if (CouponService.isExhausted(coupon)) {
+        throw { code: 'COUPON_EXHAUSTED', message: 'El cupón ya alcanzó su límite de usos', couponCode };
+      }
+
+      // Solo si nadie usó ni reservó el cupón desde que se leyó
+      const where = coupon.maxRedemptions === null
+        ? { code: couponCode }
+        : { code: couponCode, redemptionCount: coupon.redemptionCount, reservedCount: coupon.reservedCount ?? null };
+      const result = await this.db.update(
+        'coupons',
+        where,
+        { updatedAt: now },
+        { increment: { reservedCount: 1 } }
+      );
+
+      if (result.modifiedCount > 0) return;
+    }
+
+    throw {
+      code: 'COUPON_RESERVATION_CONFLICT',
+      message: 'No se pudo reservar el cupón por cambios simultáneos',
+      couponCode,
+    };
+  }
+
+  static usageKey(couponCode, email) {
+    return `${couponCode}:${email.toLowerCase().trim()}`;
+  }
+
+  /**
+   * Tomar un uso de maxPerEmail con compare-and-set sobre el contador del
+   * email (coupon_email_uses)
+   * La primera reserva del email crea el contador con sus usos y reservas
+   * anteriores
+   */
+  async takeEmailUse(coupon, email) {
+    const usageKey = CouponService.usageKey(coupon.code, email);
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      const usage = await this.db.findOne('coupon_email_uses', { usageKey });
+
+      if (!usage) {
+        const where = { couponCode: coupon.code, email };
+        const uses = await this.db.count('coupon_redemptions', where)
+          + await this.db.count('coupon_reservations', { ...where, status: CouponService.RESERVATION_STATUSES.RESERVED });
+
+        try {
+          await this.db.insert('coupon_email_uses', {
+            usageKey,
+            couponCode: coupon.code,
+            email,
+            uses,
+            updatedAt: new Date(),
+          });
+        } catch (error) {
+          if (error.code !== 'DUPLICATE_KEY') throw error;
+        }
+        continue;
+      }
+
+      if (usage.uses >= coupon.maxPerEmail) {
+        throw {
+          code: 'COUPON_EMAIL_LIMIT',
+          message: 'Ya usaste este cupón el máximo de veces permitido',
+          couponCode: coupon.code,
+        };
+      }
+
+      const result = await this.db.update(
+        'coupon_email_uses',
+        { usageKey, uses: usage.uses },
+        { updatedAt: new Date() },
+        { increment: { uses: 1 } }
+      );
+
+      if (result.modifiedCount > 0) return;
+    }
+
+    throw {
+      code: 'COUPON_RESERVATION_CONFLICT',
+      message: 'No se pudo reservar el cupón por cambios simultáneos',
+      couponCode: coupon.code,
+    };
+  }
+
+  /**
+   * Devolver un uso al contador del email; no hace nada si el email no
+   * tiene contador (reservas anteriores a él)
+   */
+  async returnEmailUse(couponCode, email) {
+    await this.db.update(
+      'coupon_email_uses',
+      { usageKey: CouponService.usageKey(couponCode, email), uses: { $gt: 0 } },
+      { updatedAt: new Date() },
+      { increment: { uses: -1 } }
+    );
+  }
+
+  /**
+   * Deshacer los pasos de una reserva que no se completó
+   */
+  async undoReservation(reservation, taken) {
+    try {
+      if (taken.reservation) {
+        await this.db.update(
+          'coupon_reservations',
+          { reservationId: reservation.reservationId },
+          { status: CouponService.RESERVATION_STATUSES.RELEASED, updatedAt: new Date() }
+        );
+      }
+      if (taken.emailUse) {
+        await this.returnEmailUse(reservation.couponCode, reservation.email);
+      }
+    } catch (error) {
+      logger.error('Error undoing coupon reservation', {
+        reservationId: reservation.reservationId,
+        couponCode: reservation.couponCode,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Cerrar una reserva pendiente (redeemed o released); devuelve la
+   * reserva solo si este llamado la cerró
+   */
+  async transitionReservation(reservationId, to, changes = {}) {
+    const { RESERVED } = CouponService.RESERVATION_STATUSES;
+    const reservation = await this.db.findOne('coupon_reservations', { reservationId });
+    if (!reservation || reservation.status !== RESERVED) return null;
+
+    const result = await this.db.update(
+      'coupon_reservations',
+      { reservationId, status: RESERVED },
+      { ...changes, status: to, updatedAt: new Date() }
+    );
+
+    return result.modifiedCount > 0 ? reservation : null;
+  }
+
+  /**
+   * Liberar la reserva de un checkout que venció o cuyo pago falló
+   * Es idempotente: devuelve true solo la primera vez
+   */
+  async release(reservationId) {
+    const reservation = await this.transitionReservation(
+      reservationId,
+      CouponService.RESERVATION_STATUSES.RELEASED
+    );
+    if (!reservation) return false;
+
+    await this.db.update(
+      'coupons',
+      { code: reservation.couponCode },
+      { updatedAt: new Date() },
+      { increment: { reservedCount: -1 } }
+    );
+    await this.returnEmailUse(reservation.couponCode, reservation.email);
+
+    logger.info('Coupon reservation released', { reservationId, couponCode: reservation.couponCode });
+    return true;
+  }
+
+  /**
+   * Retener la reserva mientras se espera un pago OXXO/SPEI: ya no vence
+   * por tiempo y se libera cuando el pago falla o vence
+   */
+  async holdReservation(reservationId) {
+    const { RESERVED } = CouponService.RESERVATION_STATUSES;
+    const result = await this.db.update(
+      'coupon_reservations',
+      { reservationId, status: RESERVED },
+      { expiresAt: null, updatedAt: new Date() }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Liberar las reservas vencidas sin resolver (tarea periódica)
+   */
+  async releaseExpiredReservations(now = new Date()) {
+    const expired = await this.db.find('coupon_reservations', {
+      status: CouponService.RESERVATION_STATUSES.RESERVED,
+      expiresAt: { $lt: now },
+    });
+
+    let released = 0;
+    for (const reservation of expired) {
+      if (await this.release(reservation.reservationId)) released += 1;
+    }
+
+    return { expired: expired.length, released };
+  }
+
+  /**
+   * Registrar el uso de un cupón en una compra pagada
+   * Es idempotente por sesión de checkout (reintentos de webhooks). Con la
+   * reserva del checkout el uso ya estaba apartado; sin ella (checkouts
+   * anteriores a las reservas o reserva ya liberada) se cuenta con
+   * compare-and-set y, si el cupón ya estaba agotado, el uso se registra
+   * igual (la compra está pagada) marcado como overLimit.
+   */
+  async redeem({ code, email, sessionId, productId, discountAmount, currency, reservationId = null }) {
+    const couponCode = CouponService.normalizeCode(code);
+
+    try {
+      await this.db.insert('coupon_redemptions', {
+        couponCode,
+        email: email.toLowerCase().trim(),
+        sessionId,
+        productId,
+        discountAmount,
+        currency,
+        redeemedAt: new Date(),
+        overLimit: false,
+      });
+    } catch (error) {
+      if (error.code === 'DUPLICATE_KEY') {
+        return { couponCode, sessionId, duplicate: true };
+      }
+      throw error;
+    }
+
+    const reserved = reservationId
+      ? await this.transitionReservation(reservationId, CouponService.RESERVATION_STATUSES.REDEEMED)
+      : null;
+
+    if (reserved) {
+      await this.db.update(
+        'coupons',
+        { code: couponCode },
+        { updatedAt: new Date() },
+        { increment: { redemptionCount: 1, reservedCount: -1 } }
+      );
+
+      logger.info('Coupon redeemed', { couponCode, email, sessionId, discountAmount, reservationId });
+      return { couponCode, sessionId, duplicate: false, overLimit: false };
+    }
+
+    const overLimit = await this.countUnreservedRedemption(couponCode);
+    await this.db.update(
+      'coupon_email_uses',
+      { usageKey: CouponService.usageKey(couponCode, email) },
+      { updatedAt: new Date() },
+      { increment: { uses: 1 } }
+    );
+
+    if (overLimit) {
+      await this.db.update('coupon_redemptions', { sessionId }, { overLimit: true });
+      logger.warn('Coupon redeemed over its limit', { couponCode, email, sessionId, reservationId });
+    } else {
+      logger.info('Coupon redeemed', { couponCode, email, sessionId, discountAmount });
+    }
+
+    return { couponCode, sessionId, duplicate: false, overLimit };
+  }
+
+  /**
+   * Contar un uso sin reserva; devuelve true si el cupón ya estaba agotado
+   */
+  async countUnreservedRedemption(couponCode) {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      const coupon = await this.getCoupon(couponCode);
+      if (!coupon) return false;
+
+      const result = await this.db.update(
+        'coupons',
+        { code: couponCode, redemptionCount: coupon.redemptionCount },
+        { updatedAt: new Date() },
+        { increment: { redemptionCount: 1 } }
+      );
+
+      if (result.modifiedCount > 0) return CouponService.isExhausted(coupon);
+    }
+
+    throw {
+      code: 'COUPON_REDEMPTION_CONFLICT',
+      message: 'No se pudo contar el uso del cupón por cambios simultáneos',
+      couponCode,
+    };
+  }
+
+  /**
+   * Usos y descuento otorgado por cupón desde una fecha
+   */
+  async getStats(since = null) {
+    const [coupons, redemptions] = await Promise.all([
+      this.listCoupons(),
+      this.db.find('coupon_redemptions', since ? { redeemedAt: { $gte: since } } : {}),
+    ]);
+
+    const byCoupon = new Map(
+      coupons.map((coupon) => [coupon.code, {
+        code: coupon.code,
+        active: coupon.active,
+        redemptionCount: coupon.redemptionCount,
+        reservedCount: coupon.reservedCount || 0,
+        maxRedemptions: coupon.maxRedemptions,
+        redemptions: 0,
+        overLimit: 0,
+        discountTotal: {},
+      }])
+    );
+
+    for (const redemption of redemptions) {
+      const stats = byCoupon.get(redemption.couponCode);
+      if (!stats) continue;
+
+      stats.redemptions += 1;
+      if (redemption.overLimit) stats.overLimit += 1;
+      stats.discountTotal[redemption.currency] = (stats.discountTotal[redemption.currency] || 0)
+        + redemption.discountAmount;
+    }
+
+    return {
+      active: coupons.filter((coupon) => coupon.active).length,
+      redemptions: redemptions.length,
+      byCoupon: [...byCoupon.values()],
+    };
+  }
+}
+
+module.exports = CouponService;
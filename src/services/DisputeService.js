@@ -0,0 +1,341 @@
+/**
+ * SERVICIO DE DISPUTAS
+ *
+ * Contracargos de Stripe (charge.dispute.*) y su efecto en el acceso:
+ * - Mientras la disputa está abierta, los códigos del pago quedan en
+ *   estado `disputed` (el login y las sesiones los rechazan)
+ * - La evidencia se arma con los registros propios: datos de la compra y
+ *   del cobro disputado (charges: compra, renovación o factura y el
+ *   periodo que pagó), inicios de sesión (user_activity y sesiones) y
+ *   entregas del código por email y WhatsApp (email_logs, whatsapp_logs)
+ * - Al cerrarse, los códigos vuelven a su estado anterior si la disputa
+ *   se ganó (o la consulta se cerró sin contracargo) y se desactivan si
+ *   se perdió
+ *
+ * DisputeHandler recibe los webhooks, cierra las sesiones y envía la
+ * evidencia a Stripe. Las disputas de paymentController no se usan aquí.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const { logger } = require('../utils/logger');
+
+// Stripe limita cada campo de texto de la evidencia
+const MAX_EVIDENCE_TEXT = 20000;
+const MAX_LOG_ENTRIES = 100;
+
+class DisputeService {
+  static SUSPENDED_STATUS = 'disputed';
+
+  static OUTCOMES = {
+    RESTORED: 'restored',
+    REVOKED: 'revoked',
+  };
+
+  // Estados finales de una disputa en Stripe
+  static CLOSED_STATUSES = ['won', 'lost', 'warning_closed'];
+
+  constructor(database) {
+    this.db = database;
+  }
+
+  static isClosed(status) {
+    return DisputeService.CLOSED_STATUSES.includes(status);
+  }
+
+  /**
+   * Registrar una disputa o actualizar su estado
+   * Devuelve { record, created } (created = primera vez que se ve)
+   */
+  async recordDispute(dispute) {
+    const now = new Date();
+    const existing = await this.db.findOne('disputes', { disputeId: dispute.disputeId });
+
+    if (existing) {
+      const changes = { status: dispute.status, evidenceDueBy: dispute.evidenceDueBy, updatedAt: now };
+      await this.db.update('disputes', { disputeId: dispute.disputeId }, changes);
+      return { record: { ...existing, ...changes }, created: false };
+    }
+
+    const record = {
+      disputeId: dispute.disputeId,
+      chargeId: dispute.chargeId,
+      paymentIntentId: dispute.paymentIntentId,
+      amount: dispute.amount,
+      currency: dispute.currency,
+      reason: dispute.reason,
+      status: dispute.status,
+      evidenceDueBy: dispute.evidenceDueBy,
+      accessCodes: [],
+      codesSuspendedAt: null,
+      evidence: null,
+      evidenceSubmittedAt: null,
+      outcome: null,
+      createdAt: now,
+      updatedAt: now,
+      closedAt: null,
+    };
+
+    try {
+      await this.db.insert('disputes', record);
+    } catch (error) {
+      // Otro webhook de la misma disputa llegó al mismo tiempo
+      if (error.code === 'DUPLICATE_KEY') {
+        return { record: await this.db.findOne('disputes', { disputeId: dispute.disputeId }), created: false };
+      }
+      throw error;
+    }
+
+    logger.warn('Dispute recorded', {
+      disputeId: record.disputeId,
+      paymentIntentId: record.paymentIntentId,
+      amount: record.amount,
+      reason: record.reason,
+    });
+
+    return { record, created: true };
+  }
+
+  /**
+   * Suspender los códigos del pago disputado
+   * Se guardan todos los códigos del pago (para la evidencia) con su estado
+   * anterior; `suspended` indica los que esta disputa suspendió
+   * Cada código queda en la disputa al suspenderse; al repetirse (webhook
+   * reintentado) los que ya están ahí se conservan, para no perder su
+   * estado anterior (ya estarían en `disputed`)
+   */
+  async suspendCodes(disputeId, accessCodes) {
+    const record = await this.getDispute(disputeId);
+    const linked = [...(record.accessCodes || [])];
+
+    for (const accessCode of accessCodes) {
+      if (linked.some((item) => item.code === accessCode.code)) continue;
+
+      const result = await this.db.update(
+        'access_codes',
+        { code: accessCode.code, status: { $in: ['active', 'expired'] } },
+        { status: DisputeService.SUSPENDED_STATUS }
+      );
+
+      linked.push({
+        code: accessCode.code,
+        previousStatus: accessCode.status,
+        suspended: result.modifiedCount > 0,
+      });
+
+      await this.db.update('disputes', { disputeId }, { accessCodes: linked, updatedAt: new Date() });
+    }
+
+    logger.warn('Access codes suspended by dispute', {
+      disputeId,
+      codes: linked.filter((item) => item.suspended).map((item) => item.code),
+    });
+
+    return linked.filter((item) => item.suspended);
+  }
+
+  /**
+   * Marcar la suspensión como terminada (códigos, sesiones y evidencia)
+   */
+  async markCodesSuspended(disputeId) {
+    const now = new Date();
+    await this.db.update('disputes', { disputeId }, { codesSuspendedAt: now, updatedAt: now });
+  }
+
+  /**
+   * Cerrar la disputa y restaurar o desactivar sus códigos
+   * Devuelve null si ya estaba cerrada (webhook repetido)
+   */
+  async close(disputeId, status) {
+    const outcome = status === 'lost' ? DisputeService.OUTCOMES.REVOKED : DisputeService.OUTCOMES.RESTORED;
+    const now = new Date();
+
+    const result = await this.db.update(
+      'disputes',
+      { disputeId, closedAt: null },
+      { status, outcome, closedAt: now, updatedAt: now }
+    );
+
+    if (result.modifiedCount === 0) return null;
+
+    const record = await this.getDispute(disputeId);
+    const accessCodes = [];
+
+    for (const { code, previousStatus, suspended } of record.accessCodes || []) {
+      if (!suspended) continue;
+
+      const newStatus = outcome === DisputeService.OUTCOMES.REVOKED ? 'inactive' : previousStatus;
+
+      // Solo los que siguen suspendidos (un admin pudo cambiarlos mientras tanto)
+      const updated = await this.db.update(
+        'access_codes',
+        { code, status: DisputeService.SUSPENDED_STATUS },
+        { status: newStatus }
+      );
+
+      accessCodes.push({ code, status: updated.modifiedCount > 0 ? newStatus : null });
+    }
+
+    logger.info('Dispute closed', { disputeId, status, outcome, codes: accessCodes.map((item) => item.code) });
+
+    return { record: { ...record, status, outcome, closedAt: now }, outcome, accessCodes };
+  }
+
+  /**
+   * Lanza { code: 'DISPUTE_NOT_FOUND' } si no existe
+   */
+  async getDispute(disputeId) {
+    const record = await this.db.findOne('disputes', { disputeId });
+
+    if (!record) {
+      throw { code: 'DISPUTE_NOT_FOUND', message: 'Disputa no encontrada' };
+    }
+
+    return record;
+  }
+
+  async listDisputes({ open = null, limit = 50 } = {}) {
+    const where = open === null ? {} : { closedAt: open ? null : { $ne: null } };
+    return this.db.find('disputes', where, { orderBy: { createdAt: 'desc' }, limit });
+  }
+
+  /**
+   * Armar la evidencia de la disputa con los registros de sus códigos
+   * Devuelve los campos de evidencia de Stripe (solo texto) y la guarda
+   * como borrador en la disputa
+   */
+  async assembleEvidence(disputeId) {
+    const record = await this.getDispute(disputeId);
+    const codes = (record.accessCodes || []).map((item) => item.code);
+
+    if (codes.length === 0) {
+      logger.warn('Dispute without access codes for evidence', { disputeId });
+      return record.evidence;
+    }
+
+    const byCode = { code: { $in: codes } };
+    const byAccessCode = { accessCode: { $in: codes } };
+    const logOptions = { orderBy: { timestamp: 'asc' }, limit: MAX_LOG_ENTRIES };
+
+    const [charge, accessCodes, activity, sessions, emails, whatsapps] = await Promise.all([
+      record.paymentIntentId ? this.db.findOne('charges', { paymentIntentId: record.paymentIntentId }) : null,
+      this.db.find('access_codes', byCode, { orderBy: { createdAt: 'asc' } }),
+      this.db.find('user_activity', byAccessCode, logOptions),
+      this.db.find('sessions', byAccessCode, { orderBy: { issuedAt: 'asc' }, limit: MAX_LOG_ENTRIES }),
+      this.db.find('email_logs', byAccessCode, logOptions),
+      this.db.find('whatsapp_logs', byAccessCode, logOptions),
+    ]);
+
+    // Los códigos se pudieron borrar después de registrar la disputa
+    if (accessCodes.length === 0) {
+      logger.warn('Dispute access codes not found for evidence', { disputeId, codes });
+      return record.evidence;
+    }
+
+    const buyer = accessCodes[0];
+    const purchase = [
+      `Producto: ${buyer.productName || buyer.productId}`,
+      `Fecha de compra: ${iso(buyer.createdAt)}`,
+      `Códigos de acceso entregados: ${accessCodes.map((item) => item.code).join(', ')}`,
+      `Vigencia: hasta ${iso(buyer.expiresAt)}`,
+      `Checkout de Stripe: ${buyer.stripeSessionId || '-'}`,
+      `Payment Intent: ${record.paymentIntentId || '-'}`,
+      ...(charge ? describeCharge(charge) : []),
+      `Inicios de sesión registrados: ${accessCodes.reduce((total, item) => total + (item.loginCount || 0), 0)}`,
+      `Último inicio de sesión: ${iso(latest(accessCodes.map((item) => item.lastLogin)))}`,
+    ];
+
+    const logins = [
+      ...activity.map((item) =>
+        `${iso(item.timestamp)} ${item.activityType} ${item.accessCode} IP ${item.ipAddress || '-'} ${item.userAgent || ''}`),
+      ...sessions.map((item) =>
+        `${iso(item.issuedAt)} sesión ${item.accessCode} IP ${item.ipAddress || '-'} ` +
+        `${item.deviceName || item.userAgent || ''} (última actividad ${iso(item.lastSeenAt)})`),
+    ];
+
+    const deliveries = [
+      ...emails.map((item) =>
+        `${iso(item.timestamp)} email a ${item.email} (${item.accessCode}): ${item.status}` +
+        `${item.statusUpdatedAt ? ` (actualizado ${iso(item.statusUpdatedAt)})` : ''}`),
+      ...whatsapps.map((item) =>
+        `${iso(item.timestamp)} WhatsApp a ${item.phone} (${item.accessCode}): ${item.status}` +
+        `${item.statusUpdatedAt ? ` (actualizado ${iso(item.statusUpdatedAt)})` : ''}`),
+    ];
+
+    const evidence = {
+      customer_name: buyer.name || undefined,
+      customer_email_address: buyer.email,
+      product_description: truncate(
+        `Acceso digital a ${buyer.productName || buyer.productId} con código de acceso personal ` +
+        'entregado por email o WhatsApp al completar el pago.'
+      ),
+      service_date: iso(charge?.periodStart || buyer.createdAt).slice(0, 10),
+      access_activity_log: truncate(logins.length > 0 ? logins.join('\n') : 'Sin inicios de sesión registrados'),
+      uncategorized_text: truncate([
+        'DATOS DE LA COMPRA',
+        ...purchase,
+        '',
+        'ENTREGA DEL CÓDIGO DE ACCESO',
+        ...(deliveries.length > 0 ? deliveries : ['Sin envíos registrados']),
+      ].join('\n')),
+    };
+
+    await this.db.update('disputes', { disputeId }, { evidence, updatedAt: new Date() });
+
+    return evidence;
+  }
+
+  /**
+   * Guardar la evidencia enviada a Stripe (como borrador o definitiva)
+   */
+  async saveEvidence(disputeId, { evidence, status, submitted }) {
+    const now = new Date();
+    const changes = { evidence, status, updatedAt: now, ...(submitted ? { evidenceSubmittedAt: now } : {}) };
+    await this.db.update('disputes', { disputeId }, changes);
+    return changes;
+  }
+
+  /**
+   * Disputas abiertas y resultados de las cerradas desde una fecha
+   */
+  async getStats(since = null) {
+    const { RESTORED, REVOKED } = DisputeService.OUTCOMES;
+    const closedSince = since ? { closedAt: { $gte: since } } : { closedAt: { $ne: null } };
+
+    const [open, won, lost] = await Promise.all([
+      this.db.count('disputes', { closedAt: null }),
+      this.db.count('disputes', { ...closedSince, outcome: RESTORED }),
+      this.db.count('disputes', { ...closedSince, outcome: REVOKED }),
+    ]);
+
+    return { open, won, lost };
+  }
+}
+
+/**
+ * Líneas de la evidencia con el cobro disputado (renovaciones y facturas
+ * de suscripción pagan un periodo, no la compra original)
+ */
+function describeCharge(charge) {
+  const kind = charge.kind === 'renewal' ? 'renovación del acceso' : 'compra del acceso';
+  return [
+    `Cobro disputado: ${kind}${charge.invoiceId ? ` (factura de suscripción ${charge.invoiceId})` : ''}`,
+    ...(charge.periodEnd ? [`Periodo pagado: ${iso(charge.periodStart)} a ${iso(charge.periodEnd)}`] : []),
+  ];
+}
+
+function iso(value) {
+  return value ? new Date(value).toISOString() : '-';
+}
+
+function latest(dates) {
+  const times = dates.filter(Boolean).map((value) => new Date(value).getTime());
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+function truncate(text) {
+  return text.length > MAX_EVIDENCE_TEXT ? `${text.slice(0, MAX_EVIDENCE_TEXT - 3)}...` : text;
+}
+
+module.exports = DisputeService;
@@ -14,6 +14,7 @@
 
 const postmark = require('postmark');
 const { logger } = require('../utils/logger');
+const { formatMoney, toMinorUnits } = require('../utils/money');
 
 class EmailService {
   constructor(serverToken, fromEmail) {
@@ -25,7 +26,19 @@ class EmailService {
    * Generar plantilla HTML para código de acceso
    */
   generateAccessCodeTemplate(data) {
-    const { name, accessCode, expiresAt, productName, amount } = data;
+    const {
+      name,
+      accessCode,
+      expiresAt,
+      productName,
+      amount,
+      currency = 'mxn',
+      couponCode = null,
+      discountAmount = 0,
+    } = data;
+    // access_codes guarda unidades, no centavos
+    const paid = formatMoney(toMinorUnits(amount, currency), currency);
+    const discount = formatMoney(toMinorUnits(discountAmount, currency), currency);
 
     return `
 <!DOCTYPE html>
@@ -167,7 +180,8 @@ class EmailService {
 
       <div class="product-info">
         <p><strong>📦 Producto:</strong> ${productName}</p>
-        <p><strong>💰 Monto pagado:</strong> $${amount} MXN</p>
+        <p><strong>💰 Monto pagado:</strong> ${paid}</p>
+        ${couponCode ? `<p><strong>🏷️ Cupón ${couponCode}:</strong> -${discount}</p>` : ''}
       </div>
 
       <div class="access-code-box">
@@ -226,9 +240,14 @@ class EmailService {
       accessCode,
       expiresAt,
       productName,
-      amount,
+      amount, // Unidades (pesos o dólares), como en access_codes
+      currency = 'mxn',
+      couponCode = null,
+      discountAmount = 0, // Unidades, como amount
       paymentId,
     } = data;
+    const paid = formatMoney(toMinorUnits(amount, currency), currency);
+    const discount = formatMoney(toMinorUnits(discountAmount, currency), currency);
 
     try {
       const htmlBody = this.generateAccessCodeTemplate({
@@ -237,6 +256,9 @@ class EmailService {
         expiresAt,
         productName,
         amount,
+        currency,
+        couponCode,
+        discountAmount,
       });
 
       const result = await this.client.sendEmail({
@@ -250,7 +272,7 @@ Hola ${name || 'Estudiante'},
 Tu código de acceso: ${accessCode}
 
 Producto: ${productName}
-Monto: $${amount} MXN
+Monto: ${paid}${couponCode ? `\nCupón ${couponCode}: -${discount}` : ''}
 Expira: ${new Date(expiresAt).toLocaleString('es-MX')}
 
 Accede aquí: ${process.env.BASE_URL}
@@ -296,9 +318,27 @@ SkillsCert
 
   /**
    * Enviar confirmación de pago
+   * Con `receipt` ({ filename, content }) adjunta el recibo en PDF; con
+   * `receiptUrl` incluye el enlace para descargarlo después
    */
   async sendPaymentConfirmation(data) {
-    const { to, name, amount, currency, paymentId, productName } = data;
+    const {
+      to,
+      name,
+      amount,
+      currency,
+      paymentId,
+      productName,
+      couponCode = null,
+      discountAmount = 0,
+      paymentMethod = null,
+      expiresAt = null,
+      receiptUrl = null,
+      receipt = null,
+    } = data;
+    const expires = expiresAt ? new Date(expiresAt).toLocaleDateString('es-MX') : null;
+    const paid = formatMoney(amount, currency);
+    const discount = formatMoney(discountAmount, currency);
 
     try {
       const result = await this.client.sendEmail({
@@ -311,10 +351,14 @@ SkillsCert
           <p>Tu pago ha sido procesado exitosamente.</p>
           <ul>
             <li><strong>Producto:</strong> ${productName}</li>
-            <li><strong>Monto:</strong> $${amount / 100} ${currency.toUpperCase()}</li>
+            <li><strong>Monto:</strong> ${paid}</li>
+            ${couponCode ? `<li><strong>Cupón ${couponCode}:</strong> -${discount}</li>` : ''}
+            ${paymentMethod ? `<li><strong>Método de pago:</strong> ${paymentMethod}</li>` : ''}
             <li><strong>ID de Pago:</strong> ${paymentId}</li>
+            ${expires ? `<li><strong>Acceso vigente hasta:</strong> ${expires}</li>` : ''}
           </ul>
-          <p>Recibirás tu código de acceso en breve.</p>
+          ${receiptUrl ? `<p>Adjuntamos tu recibo en PDF. También puedes <a href="${receiptUrl}">descargarlo aquí</a>.</p>` : ''}
+          <p>Conserva este correo como comprobante de tu compra.</p>
         `,
         TextBody: `
 Pago Confirmado
@@ -323,12 +367,19 @@ Hola ${name},
 Tu pago ha sido procesado exitosamente.
 
 Producto: ${productName}
-Monto: $${amount / 100} ${currency.toUpperCase()}
-ID de Pago: ${paymentId}
-
-Recibirás tu código de acceso en breve.
+Monto: ${paid}${couponCode ? `\nCupón ${couponCode}: -${discount}` : ''}${paymentMethod ? `\nMétodo de pago: ${paymentMethod}` : ''}
+ID de Pago: ${paymentId}${expires ? `\nAcceso vigente hasta: ${expires}` : ''}
+${receiptUrl ? `\nRecibo: ${receiptUrl}\n` : ''}
+Conserva este correo como comprobante de tu compra.
         `.trim(),
         Tag: 'payment-confirmation',
+        ...(receipt
+          ? {
+            Attachments: [
+              { Name: receipt.filename, Content: receipt.content.toString('base64'), ContentType: 'application/pdf' },
+            ],
+          }
+          : {}),
         Metadata: {
           paymentId,
           productName,
@@ -354,6 +405,685 @@ Recibirás tu código de acceso en breve.
     }
   }
 
+  /**
+   * Enviar instrucciones de pago diferido (voucher OXXO o datos SPEI)
+   * El código de acceso se envía hasta que Stripe confirme el pago
+   */
+  async sendPaymentInstructions(data) {
+    const { to, name, productName, instructions } = data;
+    const amount = formatMoney(instructions.amount, instructions.currency);
+    const expires = instructions.expiresAt
+      ? new Date(instructions.expiresAt).toLocaleString('es-MX')
+      : null;
+
+    const details = instructions.method === 'oxxo'
+      ? [
+        ['Paga en cualquier tienda OXXO con la referencia', instructions.reference],
+        ['Monto', amount],
+        ['Fecha límite', expires],
+        ['Voucher', instructions.voucherUrl],
+      ]
+      : [
+        ['Banco', instructions.bankName],
+        ['CLABE', instructions.clabe],
+        ['Referencia', instructions.reference],
+        ['Monto', amount],
+        ['Instrucciones', instructions.instructionsUrl],
+      ];
+    const rows = details.filter(([, value]) => value);
+    const title = instructions.method === 'oxxo' ? 'Paga en OXXO' : 'Paga por transferencia SPEI';
+
+    try {
+      const result = await this.client.sendEmail({
+        From: this.fromEmail,
+        To: to,
+        Subject: `🧾 ${title} - ${productName}`,
+        HtmlBody: `
+          <h2>${title}</h2>
+          <p>Hola ${name || 'Estudiante'},</p>
+          <p>Tu pedido de <strong>${productName}</strong> está reservado. Completa el pago:</p>
+          <ul>
+            ${rows.map(([label, value]) => `<li><strong>${label}:</strong> ${value}</li>`).join('\n            ')}
+          </ul>
+          <p>En cuanto se confirme tu pago te enviaremos tu código de acceso.</p>
+        `,
+        TextBody: `
+${title}
+
+Hola ${name || 'Estudiante'},
+Tu pedido de ${productName} está reservado. Completa el pago:
+
+${rows.map(([label, value]) => `${label}: ${value}`).join('\n')}
+
+En cuanto se confirme tu pago te enviaremos tu código de acceso.
+        `.trim(),
+        MessageStream: 'outbound',
+        Tag: 'payment-instructions',
+        Metadata: {
+          paymentMethod: instructions.method,
+          reference: instructions.reference,
+          productName,
+        },
+      });
+
+      logger.info('Payment instructions email sent', {
+        to,
+        messageId: result.MessageID,
+        paymentMethod: instructions.method,
+      });
+
+      return {
+        success: true,
+        messageId: result.MessageID,
+        to,
+      };
+    } catch (error) {
+      logger.error('Error sending payment instructions', {
+        to,
+        error: error.message,
+      });
+
+      throw {
+        code: 'EMAIL_SEND_ERROR',
+        message: 'Error al enviar el correo electrónico',
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Avisar que un pago diferido falló o que el voucher venció
+   */
+  async sendPaymentFailed(data) {
+    const { to, name, productName, expired = false, retryUrl } = data;
+    const reason = expired
+      ? 'La referencia de pago venció sin que recibiéramos el pago.'
+      : 'No pudimos confirmar tu pago.';
+
+    try {
+      const result = await this.client.sendEmail({
+        From: this.fromEmail,
+        To: to,
+        Subject: `⚠️ Tu pago no se completó - ${productName}`,
+        HtmlBody: `
+          <h2>Pago no completado</h2>
+          <p>Hola ${name || 'Estudiante'},</p>
+          <p>${reason}</p>
+          <p>Puedes intentarlo de nuevo aquí: <a href="${retryUrl}">${retryUrl}</a></p>
+          <p>Si ya pagaste, responde a este correo con tu comprobante.</p>
+        `,
+        TextBody: `
+Pago no completado
+
+Hola ${name || 'Estudiante'},
+${reason}
+
+Puedes intentarlo de nuevo aquí: ${retryUrl}
+Si ya pagaste, responde a este correo con tu comprobante.
+        `.trim(),
+        MessageStream: 'outbound',
+        Tag: expired ? 'payment-expired' : 'payment-failed',
+      });
+
+      logger.info('Payment failed email sent', {
+        to,
+        messageId: result.MessageID,
+        expired,
+      });
+
+      return {
+        success: true,
+        messageId: result.MessageID,
+      };
+    } catch (error) {
+      logger.error('Error sending payment failed email', {
+        to,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Recordar que el código está por vencer, con el enlace para renovarlo
+   */
+  async sendRenewalReminder(data) {
+    const { to, name, productName, accessCode, expiresAt, daysLeft, renewUrl } = data;
+    const expiresOn = new Date(expiresAt).toLocaleDateString('es-MX', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+
+    try {
+      const result = await this.client.sendEmail({
+        From: this.fromEmail,
+        To: to,
+        Subject: `⏰ Tu acceso vence en ${daysLeft} ${daysLeft === 1 ? 'día' : 'días'} - ${productName}`,
+        HtmlBody: `
+          <h2>Tu acceso está por vencer</h2>
+          <p>Hola ${name || 'Estudiante'},</p>
+          <p>Tu código <strong>${accessCode}</strong> de ${productName} vence el ${expiresOn}.</p>
+          <p>Renueva para seguir usando la plataforma con el mismo código y sin perder tu trabajo guardado:</p>
+          <p><a href="${renewUrl}">Renovar mi acceso</a></p>
+        `,
+        TextBody: `
+Tu acceso está por vencer
+
+Hola ${name || 'Estudiante'},
+Tu código ${accessCode} de ${productName} vence el ${expiresOn}.
+
+Renueva para seguir usando la plataforma con el mismo código y sin perder tu trabajo guardado:
+${renewUrl}
+        `.trim(),
+        MessageStream: 'outbound',
+        Tag: 'renewal-reminder',
+        Metadata: {
+          accessCode,
+          daysLeft: String(daysLeft),
+        },
+      });
+
+      logger.info('Renewal reminder email sent', {
+        to,
+        messageId: result.MessageID,
+        accessCode,
+        daysLeft,
+      });
+
+      return {
+        success: true,
+        messageId: result.MessageID,
+      };
+    } catch (error) {
+      logger.error('Error sending renewal reminder email', {
+        to,
+        accessCode,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Confirmar una renovación con la nueva vigencia
+   */
+  async sendRenewalConfirmation(data) {
+    const { to, name, productName, accessCode, expiresAt } = data;
+    const expiresOn = new Date(expiresAt).toLocaleDateString('es-MX', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+
+    try {
+      const result = await this.client.sendEmail({
+        From: this.fromEmail,
+        To: to,
+        Subject: `✅ Acceso renovado - ${productName}`,
+        HtmlBody: `
+          <h2>Acceso renovado</h2>
+          <p>Hola ${name || 'Estudiante'},</p>
+          <p>Tu código <strong>${accessCode}</strong> ahora es válido hasta el ${expiresOn}.</p>
+          <p>Sigue usando el mismo código; tu trabajo guardado se conserva.</p>
+        `,
+        TextBody: `
+Acceso renovado
+
+Hola ${name || 'Estudiante'},
+Tu código ${accessCode} ahora es válido hasta el ${expiresOn}.
+Sigue usando el mismo código; tu trabajo guardado se conserva.
+        `.trim(),
+        MessageStream: 'outbound',
+        Tag: 'renewal-confirmation',
+        Metadata: {
+          accessCode,
+        },
+      });
+
+      logger.info('Renewal confirmation email sent', {
+        to,
+        messageId: result.MessageID,
+        accessCode,
+      });
+
+      return {
+        success: true,
+        messageId: result.MessageID,
+      };
+    } catch (error) {
+      logger.error('Error sending renewal confirmation email', {
+        to,
+        accessCode,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Avisar que no se pudo cobrar la suscripción
+   * El acceso sigue hasta graceEndsAt; el enlace lleva a la cuenta, donde
+   * se actualiza la tarjeta en el portal de Stripe
+   */
+  async sendSubscriptionPaymentFailed(data) {
+    const { to, name, productName, accessCode, graceEndsAt, accountUrl } = data;
+    const graceEndsOn = new Date(graceEndsAt).toLocaleDateString('es-MX', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+
+    try {
+      const result = await this.client.sendEmail({
+        From: this.fromEmail,
+        To: to,
+        Subject: `⚠️ No pudimos cobrar tu suscripción - ${productName}`,
+        HtmlBody: `
+          <h2>No pudimos cobrar tu suscripción</h2>
+          <p>Hola ${name || 'Estudiante'},</p>
+          <p>El cargo de tu suscripción a ${productName} fue rechazado. Tu código <strong>${accessCode}</strong> sigue activo hasta el ${graceEndsOn}.</p>
+          <p>Actualiza tu método de pago para no perder el acceso: <a href="${accountUrl}">${accountUrl}</a></p>
+        `,
+        TextBody: `
+No pudimos cobrar tu suscripción
+
+Hola ${name || 'Estudiante'},
+El cargo de tu suscripción a ${productName} fue rechazado. Tu código ${accessCode} sigue activo hasta el ${graceEndsOn}.
+
+Actualiza tu método de pago para no perder el acceso: ${accountUrl}
+        `.trim(),
+        MessageStream: 'outbound',
+        Tag: 'subscription-payment-failed',
+        Metadata: {
+          accessCode,
+        },
+      });
+
+      logger.info('Subscription payment failed email sent', {
+        to,
+        messageId: result.MessageID,
+        accessCode,
+      });
+
+      return {
+        success: true,
+        messageId: result.MessageID,
+      };
+    } catch (error) {
+      logger.error('Error sending subscription payment failed email', {
+        to,
+        accessCode,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Avisar que la suscripción terminó y el código se suspendió
+   */
+  async sendSubscriptionCanceled(data) {
+    const { to, name, productName, accessCode, subscribeUrl } = data;
+
+    try {
+      const result = await this.client.sendEmail({
+        From: this.fromEmail,
+        To: to,
+        Subject: `Tu suscripción terminó - ${productName}`,
+        HtmlBody: `
+          <h2>Tu suscripción terminó</h2>
+          <p>Hola ${name || 'Estudiante'},</p>
+          <p>Tu suscripción a ${productName} se canceló y el código <strong>${accessCode}</strong> ya no da acceso a la plataforma.</p>
+          <p>Puedes suscribirte de nuevo cuando quieras: <a href="${subscribeUrl}">${subscribeUrl}</a></p>
+        `,
+        TextBody: `
+Tu suscripción terminó
+
+Hola ${name || 'Estudiante'},
+Tu suscripción a ${productName} se canceló y el código ${accessCode} ya no da acceso a la plataforma.
+
+Puedes suscribirte de nuevo cuando quieras: ${subscribeUrl}
+        `.trim(),
+        MessageStream: 'outbound',
+        Tag: 'subscription-canceled',
+        Metadata: {
+          accessCode,
+        },
+      });
+
+      logger.info('Subscription canceled email sent', {
+        to,
+        messageId: result.MessageID,
+        accessCode,
+      });
+
+      return {
+        success: true,
+        messageId: result.MessageID,
+      };
+    } catch (error) {
+      logger.error('Error sending subscription canceled email', {
+        to,
+        accessCode,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Avisar de un reembolso y de lo que pasa con el acceso
+   */
+  async sendRefundNotification(data) {
+    const { to, name, productName, accessCode, amount, currency, accessAction, expiresAt } = data;
+    const refunded = formatMoney(amount, currency);
+    const access = {
+      deactivate: `El código ${accessCode} ya no da acceso a la plataforma.`,
+      shorten: `El código ${accessCode} ahora es válido hasta el ${new Date(expiresAt).toLocaleDateString('es-MX')}.`,
+    }[accessAction] || `Tu código ${accessCode} sigue activo.`;
+
+    try {
+      const result = await this.client.sendEmail({
+        From: this.fromEmail,
+        To: to,
+        Subject: `Reembolso procesado - ${productName}`,
+        HtmlBody: `
+          <h2>Reembolso procesado</h2>
+          <p>Hola ${name || 'Estudiante'},</p>
+          <p>Reembolsamos <strong>${refunded}</strong> de tu compra de ${productName}. Según tu banco, puede tardar de 5 a 10 días hábiles en reflejarse.</p>
+          <p>${access}</p>
+        `,
+        TextBody: `
+Reembolso procesado
+
+Hola ${name || 'Estudiante'},
+Reembolsamos ${refunded} de tu compra de ${productName}. Según tu banco, puede tardar de 5 a 10 días hábiles en reflejarse.
+${access}
+        `.trim(),
+        MessageStream: 'outbound',
+        Tag: 'refund',
+        Metadata: {
+          accessCode,
+          accessAction,
+        },
+      });
+
+      logger.info('Refund email sent', {
+        to,
+        messageId: result.MessageID,
+        accessCode,
+        amount,
+      });
+
+      return {
+        success: true,
+        messageId: result.MessageID,
+      };
+    } catch (error) {
+      logger.error('Error sending refund email', {
+        to,
+        accessCode,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Enviar la factura CFDI (XML timbrado y PDF) al comprador
+   */
+  async sendInvoice(data) {
+    const { to, name, productName, serie, folio, uuid, rfc, total, currency, xml, pdf } = data;
+    const fileName = `${serie}-${folio}_${rfc}`;
+    const amount = formatMoney(total, currency);
+
+    try {
+      const result = await this.client.sendEmail({
+        From: this.fromEmail,
+        To: to,
+        Subject: `🧾 Tu factura ${serie}-${folio} - SkillsCert`,
+        HtmlBody: `
+          <h2>Factura electrónica</h2>
+          <p>Hola ${name || 'Estudiante'},</p>
+          <p>Adjuntamos la factura de tu compra de ${productName} (XML y PDF).</p>
+          <ul>
+            <li><strong>Folio:</strong> ${serie}-${folio}</li>
+            <li><strong>Folio fiscal (UUID):</strong> ${uuid}</li>
+            <li><strong>RFC receptor:</strong> ${rfc}</li>
+            <li><strong>Total:</strong> ${amount}</li>
+          </ul>
+        `,
+        TextBody: `
+Factura electrónica
+
+Hola ${name || 'Estudiante'},
+Adjuntamos la factura de tu compra de ${productName} (XML y PDF).
+
+Folio: ${serie}-${folio}
+Folio fiscal (UUID): ${uuid}
+RFC receptor: ${rfc}
+Total: ${amount}
+        `.trim(),
+        MessageStream: 'outbound',
+        Tag: 'cfdi-invoice',
+        Attachments: [
+          { Name: `${fileName}.xml`, Content: Buffer.from(xml, 'utf8').toString('base64'), ContentType: 'application/xml' },
+          { Name: `${fileName}.pdf`, Content: pdf.toString('base64'), ContentType: 'application/pdf' },
+        ],
+        Metadata: {
+          uuid,
+          folio: `${serie}-${folio}`,
+        },
+      });
+
+      logger.info('Invoice email sent', {
+        to,
+        messageId: result.MessageID,
+        uuid,
+      });
+
+      return {
+        success: true,
+        messageId: result.MessageID,
+      };
+    } catch (error) {
+      logger.error('Error sending invoice email', {
+        to,
+        uuid,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Enviar al comprador de una compra de grupo el enlace para asignar
+   * sus lugares
+   */
+  async sendGroupPurchase(data) {
+    const { to, name, productName, quantity, purchaseId, manageUrl } = data;
+
+    try {
+      const result = await this.client.sendEmail({
+        From: this.fromEmail,
+        To: to,
+        Subject: `🎓 Tus ${quantity} lugares de ${productName}`,
+        HtmlBody: `
+          <h2>Compra de grupo confirmada</h2>
+          <p>Hola ${name || 'Cliente'},</p>
+          <p>Tu pago de <strong>${quantity} lugares</strong> de ${productName} fue confirmado
+          (compra ${purchaseId}).</p>
+          <p>Asigna cada lugar al email de un instructor; le enviaremos su código de acceso:</p>
+          <p><a href="${manageUrl}">Administrar mis lugares</a></p>
+          <p>Guarda este correo: el enlace es personal y te da acceso a la administración.</p>
+        `,
+        TextBody: `
+Compra de grupo confirmada
+
+Hola ${name || 'Cliente'},
+Tu pago de ${quantity} lugares de ${productName} fue confirmado (compra ${purchaseId}).
+
+Asigna cada lugar al email de un instructor; le enviaremos su código de acceso:
+${manageUrl}
+
+Guarda este correo: el enlace es personal y te da acceso a la administración.
+        `.trim(),
+        MessageStream: 'outbound',
+        Tag: 'group-purchase',
+        Metadata: {
+          purchaseId,
+          productName,
+        },
+      });
+
+      logger.info('Group purchase email sent', {
+        to,
+        messageId: result.MessageID,
+        purchaseId,
+      });
+
+      return {
+        success: true,
+        messageId: result.MessageID,
+      };
+    } catch (error) {
+      logger.error('Error sending group purchase email', {
+        to,
+        purchaseId,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Enviar el código de una prueba gratis con el enlace para comprar el
+   * acceso completo
+   */
+  async sendTrialCode(data) {
+    const { to, name, accessCode, expiresAt, modules, upgradeUrl } = data;
+    const expiresOn = new Date(expiresAt).toLocaleDateString('es-MX', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+
+    try {
+      const result = await this.client.sendEmail({
+        From: this.fromEmail,
+        To: to,
+        Subject: '🎓 Tu prueba gratis de SkillsCert',
+        HtmlBody: `
+          <h2>Tu prueba gratis está lista</h2>
+          <p>Hola ${name || 'Instructor'},</p>
+          <p>Tu código de prueba es <strong>${accessCode}</strong>. Entra con él y tu email
+          hasta el ${expiresOn}.</p>
+          <p>Incluye: ${modules.join(', ')}. Los documentos llevan marca de agua.</p>
+          <p>Cuando quieras el acceso completo, cómpralo con el mismo código y conserva lo que avanzaste:</p>
+          <p><a href="${upgradeUrl}">Comprar el acceso completo</a></p>
+        `,
+        TextBody: `
+Tu prueba gratis está lista
+
+Hola ${name || 'Instructor'},
+Tu código de prueba es ${accessCode}. Entra con él y tu email hasta el ${expiresOn}.
+
+Incluye: ${modules.join(', ')}. Los documentos llevan marca de agua.
+
+Cuando quieras el acceso completo, cómpralo con el mismo código y conserva lo que avanzaste:
+${upgradeUrl}
+        `.trim(),
+        MessageStream: 'outbound',
+        Tag: 'trial-code',
+        Metadata: {
+          accessCode,
+        },
+      });
+
+      logger.info('Trial code email sent', {
+        to,
+        messageId: result.MessageID,
+        accessCode,
+      });
+
+      return {
+        success: true,
+        messageId: result.MessageID,
+      };
+    } catch (error) {
+      logger.error('Error sending trial code email', {
+        to,
+        accessCode,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Enviar el enlace de un checkout nuevo a quien no terminó su compra
+   * optOutUrl da de baja el email de estos recordatorios
+   */
+  async sendCheckoutRecovery(data) {
+    const { to, name, productName, amount, currency, checkoutUrl, optOutUrl } = data;
+    const total = formatMoney(amount, currency);
+
+    try {
+      const result = await this.client.sendEmail({
+        From: this.fromEmail,
+        To: to,
+        Subject: `🛒 Tu compra de ${productName} sigue pendiente`,
+        HtmlBody: `
+          <h2>Tu compra quedó pendiente</h2>
+          <p>Hola ${name || 'Cliente'},</p>
+          <p>No terminaste tu compra de <strong>${productName}</strong> (${total}).
+          Te dejamos un enlace nuevo para completarla:</p>
+          <p><a href="${checkoutUrl}">Completar mi compra</a></p>
+          <p>Si ya no te interesa, ignora este correo.</p>
+          <p style="font-size: 12px; color: #999;">
+            <a href="${optOutUrl}">No quiero recibir estos recordatorios</a>
+          </p>
+        `,
+        TextBody: `
+Tu compra quedó pendiente
+
+Hola ${name || 'Cliente'},
+No terminaste tu compra de ${productName} (${total}). Te dejamos un enlace nuevo para completarla:
+${checkoutUrl}
+
+Si ya no te interesa, ignora este correo.
+
+No quiero recibir estos recordatorios: ${optOutUrl}
+        `.trim(),
+        Headers: [{ Name: 'List-Unsubscribe', Value: `<${optOutUrl}>` }],
+        MessageStream: 'outbound',
+        Tag: 'checkout-recovery',
+        Metadata: {
+          productName,
+        },
+      });
+
+      logger.info('Checkout recovery email sent', {
+        to,
+        messageId: result.MessageID,
+        productName,
+      });
+
+      return {
+        success: true,
+        messageId: result.MessageID,
+      };
+    } catch (error) {
+      logger.error('Error sending checkout recovery email', {
+        to,
+        productName,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Enviar notificación de error
    */
@@ -0,0 +1,162 @@
+/**
+ * SERVICIO DE CUMPLIMIENTO DE PEDIDOS
+ *
+ * Punto de entrada de los eventos de Stripe (webhook, reprocesamiento):
+ * - Procesa cada evento una sola vez (StripeEventService)
+ * - Lo traduce con StripeServiceV2.processEvent
+ * - Lo despacha al manejador de su familia (src/handlers):
+ *   checkouts pagados (CheckoutHandler), pagos diferidos OXXO / SPEI
+ *   (DeferredPaymentHandler), suscripciones (SubscriptionHandler),
+ *   reembolsos (RefundHandler), disputas (DisputeHandler) y checkouts
+ *   abandonados (CheckoutRecoveryHandler)
+ * - Depósitos (payout.*): se guardan con los movimientos que incluyen
+ *   (PayoutService)
+ *
+ * Las tareas programadas y las rutas usan directamente los manejadores.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const PaymentStateService = require('./PaymentStateService');
+const { logger } = require('../utils/logger');
+
+class FulfillmentService {
+  constructor({
+    stripeService,
+    stripeEventService,
+    payoutService = null,
+    checkoutHandler,
+    deferredPaymentHandler,
+    subscriptionHandler,
+    refundHandler,
+    disputeHandler,
+    checkoutRecoveryHandler = null,
+  }) {
+    this.stripe = stripeService;
+    this.events = stripeEventService;
+    this.payouts = payoutService;
+    this.checkouts = checkoutHandler;
+    this.deferredPayments = deferredPaymentHandler;
+    this.subscriptions = subscriptionHandler;
+    this.refunds = refundHandler;
+    this.disputes = disputeHandler;
+    this.recoveries = checkoutRecoveryHandler;
+  }
+
+  /**
+   * Procesar un evento de Stripe ya verificado
+   * Los eventos repetidos (reintentos de Stripe) no se vuelven a procesar
+   */
+  async handleStripeEvent(event) {
+    const claim = await this.events.claim(event);
+
+    if (!claim.claimed) {
+      logger.info('Duplicate Stripe event skipped', {
+        eventId: event.id,
+        type: event.type,
+        reason: claim.reason,
+      });
+      return { type: event.type, handled: false, duplicate: true, reason: claim.reason };
+    }
+
+    try {
+      const result = await this.dispatchStripeEvent(event);
+      await this.events.markProcessed(event.id);
+      return result;
+    } catch (error) {
+      await this.events.markFailed(event.id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Volver a procesar un evento fallido guardado en la bitácora
+   */
+  async reprocessStripeEvent(eventId) {
+    const record = await this.events.getEvent(eventId);
+
+    if (!record) {
+      throw { code: 'EVENT_NOT_FOUND', message: `Evento no encontrado: ${eventId}` };
+    }
+
+    if (record.status === 'processed') {
+      throw { code: 'EVENT_ALREADY_PROCESSED', message: `El evento ${eventId} ya fue procesado` };
+    }
+
+    if (!record.payload) {
+      throw { code: 'EVENT_WITHOUT_PAYLOAD', message: `El evento ${eventId} no tiene payload guardado` };
+    }
+
+    logger.info('Reprocessing Stripe event', { eventId, attempts: record.attempts });
+    return this.handleStripeEvent(record.payload);
+  }
+
+  /**
+   * Ejecutar la lógica de negocio de un evento
+   */
+  async dispatchStripeEvent(event) {
+    const result = await this.stripe.processEvent(event);
+
+    switch (result.type) {
+      case 'checkout.completed': {
+        if (result.isPending) {
+          const pendingPayment = await this.deferredPayments.registerPendingPayment(result);
+          return { ...result, pendingPayment };
+        }
+        const fulfillment = await this.checkouts.fulfillCheckout(result, { eventId: event.id });
+        return { ...result, fulfillment };
+      }
+
+      case 'checkout.async_payment_succeeded':
+      case 'payment.succeeded': {
+        const fulfillment = await this.deferredPayments.fulfillDeferredPayment(result, { eventId: event.id });
+        return { ...result, fulfillment };
+      }
+
+      case 'checkout.async_payment_failed':
+      case 'payment.failed':
+        return { ...result, payment: await this.deferredPayments.failDeferredPayment(result) };
+
+      case 'payment.canceled':
+        return {
+          ...result,
+          payment: await this.deferredPayments.failDeferredPayment(result, PaymentStateService.STATES.CANCELED),
+        };
+
+      case 'invoice.paid':
+        return { ...result, subscription: await this.subscriptions.renewSubscription(result) };
+
+      case 'invoice.payment_failed':
+        return { ...result, subscription: await this.subscriptions.handleSubscriptionPaymentFailed(result) };
+
+      case 'subscription.deleted':
+        return { ...result, subscription: await this.subscriptions.cancelSubscription(result) };
+
+      case 'charge.refunded':
+        return { ...result, refunds: await this.refunds.handleChargeRefunded(result) };
+
+      case 'dispute.created':
+      case 'dispute.updated':
+      case 'dispute.closed':
+        return { ...result, dispute: await this.disputes.handleDispute(result) };
+
+      case 'payout.updated':
+        return this.payouts
+          ? { ...result, payout: await this.payouts.syncPayout(result.payoutId) }
+          : result;
+
+      case 'checkout.expired': {
+        const couponReleased = await this.checkouts.releaseCoupon(result.metadata || {});
+        return this.recoveries
+          ? { ...result, couponReleased, recovery: await this.recoveries.registerExpired(result) }
+          : { ...result, couponReleased };
+      }
+
+      default:
+        return result;
+    }
+  }
+}
+
+module.exports = FulfillmentService;
@@ -0,0 +1,280 @@
+/**
+ * SERVICIO DE COMPRAS DE GRUPO
+ *
+ * Empresas de capacitación que compran el generador para varios
+ * instructores en un solo pago:
+ * - Al confirmarse el pago se generan N códigos (lugares) con
+ *   AccessCodeService.createUniqueCode, todos a nombre del comprador
+ * - El comprador administra sus lugares con un enlace que lleva un token
+ *   (solo se guarda su hash) y asigna cada lugar al email de un instructor
+ * - Un lugar se puede reasignar mientras nadie haya iniciado sesión con
+ *   él; el primer login lo marca como canjeado
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { fromMinorUnits } = require('../utils/money');
+
+class GroupPurchaseService {
+  constructor(database, accessCodeService) {
+    this.db = database;
+    this.accessCodes = accessCodeService;
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  static generatePurchaseId() {
+    return `GP-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Estado de un lugar para el comprador
+   */
+  static describeSeat(accessCode) {
+    return {
+      code: accessCode.code,
+      seatNumber: accessCode.seatNumber,
+      email: accessCode.assignedAt ? accessCode.email : null,
+      name: accessCode.assignedAt ? accessCode.name : null,
+      assignedAt: accessCode.assignedAt,
+      redeemed: accessCode.loginCount > 0,
+      lastLogin: accessCode.lastLogin,
+      status: accessCode.status,
+      expiresAt: accessCode.expiresAt,
+    };
+  }
+
+  static toPublic(purchase) {
+    return {
+      purchaseId: purchase.purchaseId,
+      buyerEmail: purchase.buyerEmail,
+      buyerName: purchase.buyerName,
+      productId: purchase.productId,
+      productName: purchase.productName,
+      quantity: purchase.quantity,
+      createdAt: purchase.createdAt,
+    };
+  }
+
+  /**
+   * Registrar la compra de un checkout con quantity > 1
+   * Devuelve { purchase, managementToken, completed }
+   *
+   * Si la compra ya existe (reintento de webhook) y no se completó, el
+   * token se renueva para volver a enviar el enlace
+   */
+  async createPurchase({ sessionId, buyerEmail, buyerName, product, quantity, amount, currency }) {
+    const managementToken = crypto.randomBytes(24).toString('base64url');
+    const existing = await this.db.findOne('group_purchases', { sessionId });
+
+    if (existing) {
+      if (existing.completedAt) {
+        return { purchase: existing, managementToken: null, completed: true };
+      }
+
+      await this.db.update(
+        'group_purchases',
+        { purchaseId: existing.purchaseId },
+        { managementTokenHash: GroupPurchaseService.hashToken(managementToken) }
+      );
+      return { purchase: existing, managementToken, completed: false };
+    }
+
+    const purchase = {
+      purchaseId: GroupPurchaseService.generatePurchaseId(),
+      sessionId,
+      buyerEmail,
+      buyerName,
+      productId: product.id,
+      productName: product.name,
+      quantity,
+      amount,
+      currency,
+      managementTokenHash: GroupPurchaseService.hashToken(managementToken),
+      createdAt: new Date(),
+      completedAt: null,
+    };
+
+    await this.db.insert('group_purchases', purchase);
+
+    logger.info('Group purchase created', {
+      purchaseId: purchase.purchaseId,
+      sessionId,
+      buyerEmail,
+      quantity,
+    });
+
+    return { purchase, managementToken, completed: false };
+  }
+
+  /**
+   * Generar los lugares que falten de una compra
+   * Un reintento después de un fallo parcial continúa donde se quedó
+   */
+  async issueSeats(purchase, {
+    expiresAt,
+    modules,
+    phone = null,
+    deliveryMethod = 'email',
+    eventId = null,
+    paymentIntentId = null,
+  }) {
+    const existing = await this.db.count('access_codes', { groupPurchaseId: purchase.purchaseId });
+    const seats = [];
+
+    for (let seatNumber = existing + 1; seatNumber <= purchase.quantity; seatNumber++) {
+      const code = await this.accessCodes.createUniqueCode();
+
+      seats.push(await this.accessCodes.saveAccessCode({
+        code,
+        userId: purchase.buyerEmail,
+        email: purchase.buyerEmail,
+        name: purchase.buyerName,
+        phone,
+        deliveryMethod,
+        productId: purchase.productId,
+        productName: purchase.productName,
+        paymentId: purchase.sessionId,
+        stripeSessionId: purchase.sessionId,
+        stripeEventId: eventId,
+        stripePaymentIntentId: paymentIntentId,
+        // Precio por lugar, en unidades como los demás códigos
+        amount: fromMinorUnits(purchase.amount / purchase.quantity, purchase.currency),
+        currency: purchase.currency,
+        groupPurchaseId: purchase.purchaseId,
+        seatNumber,
+        expiresAt,
+        modules,
+      }));
+    }
+
+    logger.info('Group purchase seats issued', {
+      purchaseId: purchase.purchaseId,
+      issued: seats.length,
+      quantity: purchase.quantity,
+    });
+
+    return seats;
+  }
+
+  async markCompleted(purchaseId) {
+    await this.db.update('group_purchases', { purchaseId }, { completedAt: new Date() });
+  }
+
+  /**
+   * Nuevo token de administración (el anterior deja de servir)
+   */
+  async rotateToken(purchaseId) {
+    const purchase = await this.getPurchase(purchaseId);
+
+    if (!purchase) {
+      throw { code: 'GROUP_NOT_FOUND', message: 'Compra de grupo no encontrada' };
+    }
+
+    const managementToken = crypto.randomBytes(24).toString('base64url');
+    await this.db.update(
+      'group_purchases',
+      { purchaseId },
+      { managementTokenHash: GroupPurchaseService.hashToken(managementToken) }
+    );
+
+    return { purchase, managementToken };
+  }
+
+  async getPurchase(purchaseId) {
+    return this.db.findOne('group_purchases', { purchaseId });
+  }
+
+  async findBySessionId(sessionId) {
+    return this.db.findOne('group_purchases', { sessionId });
+  }
+
+  /**
+   * Compra a la que da acceso un token de administración
+   * Lanza { code: 'GROUP_NOT_FOUND' } si el token no corresponde
+   */
+  async authenticate(purchaseId, token) {
+    const purchase = token ? await this.getPurchase(purchaseId) : null;
+    const expected = Buffer.from(purchase?.managementTokenHash || '', 'hex');
+    const received = Buffer.from(GroupPurchaseService.hashToken(token), 'hex');
+
+    // Misma respuesta si la compra no existe o el token no coincide
+    if (!purchase || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw { code: 'GROUP_NOT_FOUND', message: 'Compra no encontrada o enlace inválido' };
+    }
+
+    return purchase;
+  }
+
+  async listSeats(purchaseId) {
+    return this.db.find(
+      'access_codes',
+      { groupPurchaseId: purchaseId },
+      { orderBy: { seatNumber: 'asc' } }
+    );
+  }
+
+  /**
+   * Asignar un lugar a una persona
+   * El login pide el email, así que el código pasa a ese email
+   * Lanza SEAT_NOT_FOUND o SEAT_ALREADY_REDEEMED
+   */
+  async assignSeat(purchaseId, code, { email, name = null }) {
+    const seat = await this.db.findOne('access_codes', { code, groupPurchaseId: purchaseId });
+
+    if (!seat) {
+      throw { code: 'SEAT_NOT_FOUND', message: 'Lugar no encontrado en esta compra' };
+    }
+
+    const changes = {
+      email,
+      userId: email,
+      name: name || seat.name,
+      assignedAt: new Date(),
+    };
+
+    // Solo mientras nadie haya iniciado sesión con el código
+    const result = await this.db.update(
+      'access_codes',
+      { code, groupPurchaseId: purchaseId, loginCount: 0 },
+      changes
+    );
+
+    if (result.modifiedCount === 0) {
+      throw {
+        code: 'SEAT_ALREADY_REDEEMED',
+        message: 'Este lugar ya se usó y no se puede reasignar',
+      };
+    }
+
+    logger.info('Group purchase seat assigned', {
+      purchaseId,
+      code,
+      seatNumber: seat.seatNumber,
+      email,
+    });
+
+    return { ...seat, ...changes };
+  }
+
+  /**
+   * Resumen de compras de grupo y lugares
+   */
+  async getStats() {
+    const [purchases, seats, assigned, redeemed] = await Promise.all([
+      this.db.count('group_purchases'),
+      this.db.count('access_codes', { groupPurchaseId: { $ne: null } }),
+      this.db.count('access_codes', { groupPurchaseId: { $ne: null }, assignedAt: { $ne: null } }),
+      this.db.count('access_codes', { groupPurchaseId: { $ne: null }, loginCount: { $gt: 0 } }),
+    ]);
+
+    return { purchases, seats, assigned, redeemed };
+  }
+}
+
+module.exports = GroupPurchaseService;
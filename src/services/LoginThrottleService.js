@@ -0,0 +1,278 @@
+/**
+ * SERVICIO DE LÍMITE DE INTENTOS DE LOGIN
+ *
+ * Frena los ataques de fuerza bruta contra el login con código, con la
+ * misma idea que createRateLimiter de paymentController pero guardando
+ * los contadores en la tabla login_attempts para que sobrevivan reinicios
+ * y se compartan entre instancias:
+ * - Contadores independientes por email y por IP
+ * - Cada intento se reserva (reserve) antes de validar el código, así las
+ *   peticiones simultáneas no pueden pasar todas antes de contarse
+ * - Al llegar al máximo de fallos dentro de la ventana, la clave queda
+ *   bloqueada; cada bloqueo consecutivo dura el doble que el anterior
+ * - Un login exitoso borra el contador del email y devuelve el intento
+ *   reservado a la IP
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const { logger } = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * MINUTE;
+// Reintentos de una reserva que perdió la carrera con otra petición
+const MAX_RESERVE_RETRIES = 5;
+
+class LoginThrottleService {
+  constructor(database, {
+    maxAttemptsPerEmail = 5,
+    maxAttemptsPerIp = 20,
+    windowMinutes = 15,
+    lockoutMinutes = 15,
+  } = {}) {
+    this.db = database;
+    this.limits = {
+      email: maxAttemptsPerEmail,
+      ip: maxAttemptsPerIp,
+    };
+    this.windowMs = windowMinutes * MINUTE;
+    this.lockoutMs = lockoutMinutes * MINUTE;
+  }
+
+  /**
+   * Claves de contador para un intento
+   */
+  static keysFor({ email, ip }) {
+    return [
+      email ? `email:${email}` : null,
+      ip ? `ip:${ip}` : null,
+    ].filter(Boolean);
+  }
+
+  maxAttemptsFor(key) {
+    return key.startsWith('ip:') ? this.limits.ip : this.limits.email;
+  }
+
+  /**
+   * Duración del bloqueo número `lockouts` (0, 1, 2...): 15, 30, 60 min...
+   */
+  lockoutDuration(lockouts) {
+    return Math.min(this.lockoutMs * 2 ** lockouts, MAX_LOCKOUT_MS);
+  }
+
+  /**
+   * ¿Se permite intentar con estas claves?
+   * Devuelve { allowed, retryAfterSeconds, lockedUntil }
+   */
+  async check(keys) {
+    const now = Date.now();
+    const rows = await this.db.find('login_attempts', { throttleKey: { $in: keys } });
+
+    const lockedUntil = rows
+      .map((row) => (row.lockedUntil ? new Date(row.lockedUntil).getTime() : 0))
+      .reduce((latest, time) => Math.max(latest, time), 0);
+
+    if (lockedUntil > now) {
+      return {
+        allowed: false,
+        retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000),
+        lockedUntil: new Date(lockedUntil),
+      };
+    }
+
+    return { allowed: true, retryAfterSeconds: 0, lockedUntil: null };
+  }
+
+  /**
+   * Reservar un intento en cada clave antes de validar el código
+   * El intento se cuenta con un incremento condicional en la base de
+   * datos: de N peticiones simultáneas solo pasan las que caben en el
+   * máximo, aunque ninguna haya terminado de validar.
+   * Devuelve { allowed, retryAfterSeconds, lockedUntil }
+   */
+  async reserve(keys) {
+    const reserved = [];
+
+    for (const key of keys) {
+      const result = await this.reserveKey(key);
+
+      if (!result.allowed) {
+        for (const reservedKey of reserved) {
+          await this.release(reservedKey);
+        }
+        return result;
+      }
+
+      reserved.push(key);
+    }
+
+    return { allowed: true, retryAfterSeconds: 0, lockedUntil: null };
+  }
+
+  async reserveKey(key) {
+    const max = this.maxAttemptsFor(key);
+
+    for (let attempt = 0; attempt < MAX_RESERVE_RETRIES; attempt++) {
+      const now = new Date();
+      const row = await this.findOrCreate(key, now);
+      const lockedUntil = row.lockedUntil ? new Date(row.lockedUntil) : null;
+
+      if (lockedUntil && lockedUntil > now) {
+        return LoginThrottleService.lockedResult(lockedUntil, now);
+      }
+
+      // Las condiciones sobre windowStartedAt hacen que solo una petición
+      // reinicie la ventana o aplique el bloqueo; las demás vuelven a leer
+      if (now - new Date(row.windowStartedAt) > this.windowMs) {
+        const { modifiedCount } = await this.db.update(
+          'login_attempts',
+          { throttleKey: key, windowStartedAt: row.windowStartedAt },
+          { failures: 1, windowStartedAt: now, lastFailureAt: now }
+        );
+        if (modifiedCount > 0) return { allowed: true };
+        continue;
+      }
+
+      if (row.failures < max) {
+        const { modifiedCount } = await this.db.update(
+          'login_attempts',
+          { throttleKey: key, windowStartedAt: row.windowStartedAt, failures: { $lt: max } },
+          { lastFailureAt: now },
+          { increment: { failures: 1 } }
+        );
+        if (modifiedCount > 0) return { allowed: true };
+        continue;
+      }
+
+      // Ya no quedan intentos en la ventana
+      await this.lock(key, row, now);
+    }
+
+    const row = await this.db.findOne('login_attempts', { throttleKey: key });
+    const lockedUntil = row?.lockedUntil ? new Date(row.lockedUntil) : new Date(Date.now() + this.lockoutMs);
+    return LoginThrottleService.lockedResult(lockedUntil, new Date());
+  }
+
+  async findOrCreate(key, now) {
+    try {
+      await this.db.insert('login_attempts', {
+        throttleKey: key,
+        failures: 0,
+        lockouts: 0,
+        windowStartedAt: now,
+        lastFailureAt: now,
+        lockedUntil: null,
+      });
+    } catch (error) {
+      if (error.code !== 'DUPLICATE_KEY') throw error;
+    }
+
+    // Se relee para comparar contra el valor guardado (MySQL trunca los ms)
+    return this.db.findOne('login_attempts', { throttleKey: key });
+  }
+
+  static lockedResult(lockedUntil, now) {
+    return {
+      allowed: false,
+      retryAfterSeconds: Math.max(1, Math.ceil((lockedUntil - now) / 1000)),
+      lockedUntil,
+    };
+  }
+
+  /**
+   * Bloquear una clave; cada bloqueo consecutivo dura el doble
+   */
+  async lock(key, row, now) {
+    const lockedUntil = new Date(now.getTime() + this.lockoutDuration(row.lockouts));
+
+    const { modifiedCount } = await this.db.update(
+      'login_attempts',
+      { throttleKey: key, windowStartedAt: row.windowStartedAt, lockouts: row.lockouts },
+      {
+        failures: 0,
+        windowStartedAt: now,
+        lastFailureAt: now,
+        lockedUntil,
+      },
+      { increment: { lockouts: 1 } }
+    );
+
+    if (modifiedCount > 0) {
+      logger.warn('Login locked after too many failed attempts', {
+        key,
+        lockouts: row.lockouts + 1,
+        lockedUntil,
+      });
+    }
+  }
+
+  /**
+   * El intento reservado falló: si agotó los intentos de la ventana,
+   * bloquear la clave
+   * Devuelve el resultado de check() después de contarlo
+   */
+  async recordFailure(keys) {
+    const now = new Date();
+
+    for (const key of keys) {
+      const row = await this.db.findOne('login_attempts', { throttleKey: key });
+
+      if (row && row.failures >= this.maxAttemptsFor(key) && !(row.lockedUntil && new Date(row.lockedUntil) > now)) {
+        await this.lock(key, row, now);
+      }
+    }
+
+    return this.check(keys);
+  }
+
+  /**
+   * El intento reservado fue exitoso: se borra el contador del email y se
+   * devuelve el intento a las demás claves (la IP sigue contando fallos)
+   */
+  async recordSuccess(keys) {
+    for (const key of keys) {
+      if (key.startsWith('email:')) {
+        await this.reset(key);
+      } else {
+        await this.release(key);
+      }
+    }
+  }
+
+  /**
+   * Devolver un intento reservado
+   */
+  async release(key) {
+    await this.db.update(
+      'login_attempts',
+      { throttleKey: key, failures: { $gt: 0 } },
+      {},
+      { increment: { failures: -1 } }
+    );
+  }
+
+  /**
+   * Borrar el contador de una clave (login exitoso)
+   */
+  async reset(key) {
+    await this.db.delete('login_attempts', { throttleKey: key });
+  }
+
+  /**
+   * Borrar contadores sin fallos en las últimas 24 horas y sin bloqueo vigente
+   * Al borrarse, el siguiente bloqueo vuelve a durar lo mínimo
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - MAX_LOCKOUT_MS);
+
+    const [unlocked, expired] = await Promise.all([
+      this.db.delete('login_attempts', { lastFailureAt: { $lt: cutoff }, lockedUntil: null }),
+      this.db.delete('login_attempts', { lastFailureAt: { $lt: cutoff }, lockedUntil: { $lt: now } }),
+    ]);
+
+    return unlocked.deletedCount + expired.deletedCount;
+  }
+}
+
+module.exports = LoginThrottleService;
@@ -7,6 +7,7 @@
  * - succeeded: Pago confirmado
  * - failed: Pago fallido
  * - canceled: Pago cancelado
+ * - refunded / partially_refunded: Reembolsado (ver RefundService)
  * 
  * @version 1.0.0
  * @author Roberto Azpiri García
@@ -29,6 +30,8 @@ class PaymentStateService {
     FAILED: 'failed',            // Fallido
     CANCELED: 'canceled',        // Cancelado
     EXPIRED: 'expired',          // Expirado (OXXO después de 3 días)
+    REFUNDED: 'refunded',        // Reembolsado completo
+    PARTIALLY_REFUNDED: 'partially_refunded',
   };
 
   /**
@@ -46,6 +49,9 @@ class PaymentStateService {
       paymentMethod,
       productName,
       priceId,
+      couponCode = null,
+      discountAmount = 0,
+      expiresAt = null, // Fecha límite del voucher si Stripe la reporta
       metadata = {},
     } = data;
 
@@ -64,13 +70,15 @@ class PaymentStateService {
         paymentMethod, // 'oxxo', 'customer_balance', 'card'
         productName,
         priceId,
+        couponCode,
+        discountAmount,
         status: PaymentStateService.STATES.PENDING,
         
         // Timestamps
         createdAt: new Date(),
         updatedAt: new Date(),
         paidAt: null,
-        expiresAt: this.calculateExpiration(paymentMethod),
+        expiresAt: expiresAt || this.calculateExpiration(paymentMethod),
         
         // Metadatos
         metadata,
@@ -95,9 +103,7 @@ class PaymentStateService {
         ],
       };
 
-      const result = await this.db
-        .collection('payments')
-        .insertOne(paymentRecord);
+      const saved = await this.db.insert('payments', paymentRecord);
 
       logger.info('Pending payment created', {
         sessionId,
@@ -107,10 +113,7 @@ class PaymentStateService {
         amount,
       });
 
-      return {
-        ...paymentRecord,
-        _id: result.insertedId,
-      };
+      return saved;
     } catch (error) {
       logger.error('Error creating pending payment', {
         sessionId,
@@ -122,23 +125,38 @@ class PaymentStateService {
 
   /**
    * Actualizar estado de pago
+   * options.fromStatuses: solo cambia si el estado actual es uno de estos;
+   * si no (o si otro proceso lo cambió antes) devuelve null
    */
-  async updatePaymentStatus(paymentIntentId, newStatus, reason = '') {
+  async updatePaymentStatus(paymentIntentId, newStatus, reason = '', options = {}) {
+    const { fromStatuses = null } = options;
+
     try {
       if (!this.db) {
         throw new Error('Database not connected');
       }
 
+      const payment = await this.db.findOne('payments', { paymentIntentId });
+
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      if (fromStatuses && !fromStatuses.includes(payment.status)) {
+        return null;
+      }
+
       const updateData = {
         status: newStatus,
         updatedAt: new Date(),
-        $push: {
-          statusHistory: {
+        statusHistory: [
+          ...(payment.statusHistory || []),
+          {
             status: newStatus,
             timestamp: new Date(),
             reason,
           },
-        },
+        ],
       };
 
       // Si el pago fue exitoso, registrar cuándo se pagó
@@ -146,24 +164,24 @@ class PaymentStateService {
         updateData.paidAt = new Date();
       }
 
-      const result = await this.db.collection('payments').findOneAndUpdate(
-        { paymentIntentId },
-        { $set: updateData },
-        { returnDocument: 'after' }
+      const result = await this.db.update(
+        'payments',
+        { id: payment.id, status: payment.status },
+        updateData
       );
 
-      if (!result.value) {
-        throw new Error('Payment not found');
+      if (result.modifiedCount === 0) {
+        return null;
       }
 
       logger.info('Payment status updated', {
         paymentIntentId,
-        oldStatus: result.value.status,
+        oldStatus: payment.status,
         newStatus,
         reason,
       });
 
-      return result.value;
+      return { ...payment, ...updateData };
     } catch (error) {
       logger.error('Error updating payment status', {
         paymentIntentId,
@@ -183,16 +201,15 @@ class PaymentStateService {
         throw new Error('Database not connected');
       }
 
-      const result = await this.db.collection('payments').updateOne(
-        { paymentIntentId },
+      const result = await this.db.update(
+        'payments',
+        { paymentIntentId, orderCompleted: false },
         {
-          $set: {
-            orderCompleted: true,
-            accessCodeGenerated: true,
-            accessCode,
-            completedAt: new Date(),
-            updatedAt: new Date(),
-          },
+          orderCompleted: true,
+          accessCodeGenerated: true,
+          accessCode,
+          completedAt: new Date(),
+          updatedAt: new Date(),
         }
       );
 
@@ -215,6 +232,46 @@ class PaymentStateService {
     }
   }
 
+  /**
+   * Sumar un reembolso al pago (centavos)
+   * Devuelve null si el pago no es de los registrados aquí (tarjeta)
+   */
+  async recordRefund(paymentIntentId, { refundId, amount }) {
+    const payment = await this.getPayment(paymentIntentId);
+
+    if (!payment) {
+      return null;
+    }
+
+    // Reembolso que ya se sumó (se reintentó su aplicación)
+    const reason = `Reembolso ${refundId}`;
+    if ((payment.statusHistory || []).some((entry) => entry.reason === reason)) {
+      return payment;
+    }
+
+    const refundedAmount = (payment.refundedAmount || 0) + amount;
+    const status = refundedAmount >= payment.amount
+      ? PaymentStateService.STATES.REFUNDED
+      : PaymentStateService.STATES.PARTIALLY_REFUNDED;
+
+    const updateData = {
+      status,
+      refundedAmount,
+      refundedAt: new Date(),
+      updatedAt: new Date(),
+      statusHistory: [
+        ...(payment.statusHistory || []),
+        { status, timestamp: new Date(), reason },
+      ],
+    };
+
+    await this.db.update('payments', { id: payment.id }, updateData);
+
+    logger.info('Payment refund recorded', { paymentIntentId, refundId, refundedAmount, status });
+
+    return { ...payment, ...updateData };
+  }
+
   /**
    * Registrar envío de notificación
    */
@@ -225,16 +282,24 @@ class PaymentStateService {
       }
 
       const updateField = success
-        ? `notificationsSent.${notificationType}Success`
-        : `notificationsSent.${notificationType}Pending`;
+        ? `${notificationType}Success`
+        : `${notificationType}Pending`;
 
-      await this.db.collection('payments').updateOne(
-        { paymentIntentId },
+      const payment = await this.db.findOne('payments', { paymentIntentId });
+
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      await this.db.update(
+        'payments',
+        { id: payment.id },
         {
-          $set: {
+          notificationsSent: {
+            ...payment.notificationsSent,
             [updateField]: true,
-            updatedAt: new Date(),
           },
+          updatedAt: new Date(),
         }
       );
 
@@ -262,9 +327,7 @@ class PaymentStateService {
         throw new Error('Database not connected');
       }
 
-      const payment = await this.db
-        .collection('payments')
-        .findOne({ paymentIntentId });
+      const payment = await this.db.findOne('payments', { paymentIntentId });
 
       return payment;
     } catch (error) {
@@ -290,11 +353,9 @@ class PaymentStateService {
         ...filters,
       };
 
-      const payments = await this.db
-        .collection('payments')
-        .find(query)
-        .sort({ createdAt: -1 })
-        .toArray();
+      const payments = await this.db.find('payments', query, {
+        orderBy: { createdAt: 'desc' },
+      });
 
       return payments;
     } catch (error) {
@@ -316,13 +377,10 @@ class PaymentStateService {
 
       const now = new Date();
 
-      const payments = await this.db
-        .collection('payments')
-        .find({
-          status: PaymentStateService.STATES.PENDING,
-          expiresAt: { $lt: now },
-        })
-        .toArray();
+      const payments = await this.db.find('payments', {
+        status: PaymentStateService.STATES.PENDING,
+        expiresAt: { $lt: now },
+      });
 
       return payments;
     } catch (error) {
@@ -344,35 +402,36 @@ class PaymentStateService {
       }
 
       const now = new Date();
+      const expiredPayments = await this.getExpiredPayments();
 
-      const result = await this.db.collection('payments').updateMany(
-        {
-          status: PaymentStateService.STATES.PENDING,
-          expiresAt: { $lt: now },
-        },
-        {
-          $set: {
+      for (const payment of expiredPayments) {
+        await this.db.update(
+          'payments',
+          { id: payment.id, status: PaymentStateService.STATES.PENDING },
+          {
             status: PaymentStateService.STATES.EXPIRED,
             updatedAt: now,
-          },
-          $push: {
-            statusHistory: {
-              status: PaymentStateService.STATES.EXPIRED,
-              timestamp: now,
-              reason: 'Pago no recibido antes de la fecha de expiración',
-            },
-          },
-        }
-      );
+            statusHistory: [
+              ...(payment.statusHistory || []),
+              {
+                status: PaymentStateService.STATES.EXPIRED,
+                timestamp: now,
+                reason: 'Pago no recibido antes de la fecha de expiración',
+              },
+            ],
+          }
+        );
+      }
 
-      if (result.modifiedCount > 0) {
+      if (expiredPayments.length > 0) {
         logger.info('Expired payments marked', {
-          count: result.modifiedCount,
+          count: expiredPayments.length,
         });
       }
 
       return {
-        expiredCount: result.modifiedCount,
+        expiredCount: expiredPayments.length,
+        payments: expiredPayments,
       };
     } catch (error) {
       logger.error('Error marking expired payments', {
@@ -414,32 +473,34 @@ class PaymentStateService {
         throw new Error('Database not connected');
       }
 
-      const dateFilter = {
+      const payments = await this.db.find('payments', {
         createdAt: {
           $gte: new Date(startDate),
           $lte: new Date(endDate),
         },
-      };
+      });
 
-      const stats = await this.db
-        .collection('payments')
-        .aggregate([
-          { $match: dateFilter },
-          {
-            $group: {
-              _id: {
-                paymentMethod: '$paymentMethod',
-                status: '$status',
-              },
-              count: { $sum: 1 },
-              totalAmount: { $sum: '$amount' },
-            },
-          },
-          { $sort: { '_id.paymentMethod': 1, '_id.status': 1 } },
-        ])
-        .toArray();
+      // Agrupar por método y estado
+      const groups = new Map();
+      for (const payment of payments) {
+        const key = `${payment.paymentMethod}:${payment.status}`;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            _id: { paymentMethod: payment.paymentMethod, status: payment.status },
+            count: 0,
+            totalAmount: 0,
+          });
+        }
+        const group = groups.get(key);
+        group.count += 1;
+        group.totalAmount += payment.amount || 0;
+      }
 
-      return stats;
+      return [...groups.values()].sort(
+        (a, b) =>
+          String(a._id.paymentMethod).localeCompare(String(b._id.paymentMethod)) ||
+          String(a._id.status).localeCompare(String(b._id.status))
+      );
     } catch (error) {
       logger.error('Error getting payment stats', {
         error: error.message,
@@ -0,0 +1,261 @@
+/**
+ * SERVICIO DE DEPÓSITOS (PAYOUTS) DE STRIPE
+ *
+ * Reemplaza para los pagos de Stripe el SettlementService de
+ * paymentController (que sumaba transacciones en memoria):
+ * - Guarda cada depósito de Stripe (payouts) y los movimientos de saldo
+ *   que incluye (payout_transactions): cobros, reembolsos y ajustes, con
+ *   la comisión de Stripe y el neto de cada uno
+ * - Relaciona cada movimiento con su compra (código, email y producto)
+ *   por el Payment Intent, usando los recibos o los códigos de acceso
+ * - Reporte por depósito en CSV para contabilidad
+ *
+ * Los depósitos se sincronizan con los eventos payout.* del webhook o a
+ * mano por rango de fechas. Solo los depósitos automáticos detallan sus
+ * movimientos en Stripe.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const { logger } = require('../utils/logger');
+const StripeServiceV2 = require('./StripeServiceV2');
+const { CURRENCIES, fromMinorUnits } = require('../utils/money');
+
+// Estados en los que Stripe ya asignó los movimientos al depósito
+const SETTLED_STATUSES = ['in_transit', 'paid'];
+
+const CSV_COLUMNS = [
+  ['deposito', (tx, payout) => payout.payoutId],
+  ['fecha_deposito', (tx, payout) => isoDate(payout.arrivalDate)],
+  ['movimiento', (tx) => tx.balanceTransactionId],
+  ['tipo', (tx) => tx.type],
+  ['fecha', (tx) => isoDate(tx.createdAt)],
+  ['payment_intent', (tx) => tx.paymentIntentId],
+  ['codigo', (tx) => tx.accessCode],
+  ['email', (tx) => tx.email],
+  ['producto', (tx) => tx.productName],
+  ['moneda', (tx) => (tx.currency || '').toUpperCase()],
+  ['bruto', (tx) => money(tx.amount, tx.currency)],
+  ['comision', (tx) => money(tx.fee, tx.currency)],
+  ['neto', (tx) => money(tx.net, tx.currency)],
+  ['descripcion', (tx) => tx.description],
+];
+
+class PayoutService {
+  constructor(database, { stripeService }) {
+    this.db = database;
+    this.stripe = stripeService;
+  }
+
+  /**
+   * Traer de Stripe un depósito y sus movimientos
+   * Se puede repetir: actualiza el depósito y mueve los movimientos que
+   * Stripe reasignó (p. ej. después de un depósito fallido)
+   */
+  async syncPayout(payoutId) {
+    const payout = StripeServiceV2.describePayout(await this.stripe.getPayout(payoutId));
+    let record = await this.savePayout(payout);
+
+    if (!payout.automatic || !SETTLED_STATUSES.includes(payout.status)) {
+      return record;
+    }
+
+    const transactions = (await this.stripe.listPayoutTransactions(payoutId))
+      .filter((transaction) => transaction.type !== 'payout');
+
+    for (const transaction of transactions) {
+      await this.saveTransaction(payoutId, transaction);
+    }
+
+    const totals = {
+      grossAmount: sum(transactions, 'amount'),
+      feeAmount: sum(transactions, 'fee'),
+      netAmount: sum(transactions, 'net'),
+      transactionCount: transactions.length,
+      syncedAt: new Date(),
+    };
+    await this.db.update('payouts', { payoutId }, totals);
+    record = { ...record, ...totals };
+
+    logger.info('Payout synced', { payoutId, status: payout.status, transactions: transactions.length });
+
+    return record;
+  }
+
+  /**
+   * Sincronizar los depósitos creados entre `from` y `to`
+   */
+  async syncPayouts({ from, to }) {
+    const payouts = await this.stripe.listPayouts({ from, to });
+    let transactions = 0;
+
+    for (const payout of payouts) {
+      const record = await this.syncPayout(payout.id);
+      transactions += record.transactionCount || 0;
+    }
+
+    return { payouts: payouts.length, transactions };
+  }
+
+  async savePayout(payout) {
+    const changes = {
+      amount: payout.amount,
+      currency: payout.currency,
+      status: payout.status,
+      automatic: payout.automatic,
+      arrivalDate: payout.arrivalDate,
+      failureMessage: payout.failureMessage,
+    };
+
+    const existing = await this.db.findOne('payouts', { payoutId: payout.payoutId });
+    if (existing) {
+      await this.db.update('payouts', { payoutId: payout.payoutId }, changes);
+      return { ...existing, ...changes };
+    }
+
+    try {
+      return await this.db.insert('payouts', {
+        payoutId: payout.payoutId,
+        ...changes,
+        grossAmount: null,
+        feeAmount: null,
+        netAmount: null,
+        transactionCount: null,
+        createdAt: payout.createdAt || new Date(),
+        syncedAt: null,
+      });
+    } catch (error) {
+      // Webhook y sincronización manual al mismo tiempo
+      if (error.code === 'DUPLICATE_KEY') {
+        await this.db.update('payouts', { payoutId: payout.payoutId }, changes);
+        return this.db.findOne('payouts', { payoutId: payout.payoutId });
+      }
+      throw error;
+    }
+  }
+
+  async saveTransaction(payoutId, transaction) {
+    const balanceTransactionId = transaction.id;
+    const existing = await this.db.findOne('payout_transactions', { balanceTransactionId });
+
+    if (existing) {
+      if (existing.payoutId !== payoutId) {
+        await this.db.update('payout_transactions', { balanceTransactionId }, { payoutId });
+      }
+      return;
+    }
+
+    const source = transaction.source && typeof transaction.source === 'object' ? transaction.source : null;
+    const paymentIntentId = typeof source?.payment_intent === 'string'
+      ? source.payment_intent
+      : source?.payment_intent?.id || null;
+    const sale = paymentIntentId ? await this.findSale(paymentIntentId) : null;
+
+    try {
+      await this.db.insert('payout_transactions', {
+        balanceTransactionId,
+        payoutId,
+        type: transaction.type,
+        sourceId: source?.id || transaction.source || null,
+        paymentIntentId,
+        accessCode: sale?.accessCode || null,
+        email: sale?.email || null,
+        productName: sale?.productName || null,
+        amount: transaction.amount,
+        fee: transaction.fee,
+        net: transaction.net,
+        currency: transaction.currency,
+        description: transaction.description || null,
+        createdAt: transaction.created ? new Date(transaction.created * 1000) : null,
+      });
+    } catch (error) {
+      if (error.code !== 'DUPLICATE_KEY') throw error;
+    }
+  }
+
+  /**
+   * Compra de un Payment Intent: el recibo tiene el producto tal como se
+   * cobró; los códigos anteriores a los recibos se buscan directamente
+   */
+  async findSale(paymentIntentId) {
+    const receipt = await this.db.findOne('receipts', { paymentIntentId });
+    const accessCode = await this.db.findOne('access_codes', { stripePaymentIntentId: paymentIntentId });
+
+    if (!receipt && !accessCode) return null;
+
+    return {
+      accessCode: accessCode?.groupPurchaseId || accessCode?.code || receipt?.accessCode || null,
+      email: receipt?.email || accessCode?.email || null,
+      productName: receipt?.productName || accessCode?.productName || null,
+    };
+  }
+
+  async listPayouts({ status = null, limit = 50 } = {}) {
+    return this.db.find(
+      'payouts',
+      status ? { status } : {},
+      { orderBy: { arrivalDate: 'desc' }, limit }
+    );
+  }
+
+  /**
+   * Depósito con sus movimientos
+   * Lanza { code: 'PAYOUT_NOT_FOUND' } si no se ha sincronizado
+   */
+  async getPayout(payoutId) {
+    const payout = await this.db.findOne('payouts', { payoutId });
+
+    if (!payout) {
+      throw { code: 'PAYOUT_NOT_FOUND', message: 'Depósito no encontrado; sincronízalo primero' };
+    }
+
+    const transactions = await this.db.find(
+      'payout_transactions',
+      { payoutId },
+      { orderBy: { createdAt: 'asc' } }
+    );
+
+    return { ...payout, transactions };
+  }
+
+  /**
+   * Depósitos en los que cayó una venta (cobro y, si hubo, reembolsos)
+   */
+  async findTransactions({ paymentIntentId = null, accessCode = null }) {
+    const where = paymentIntentId ? { paymentIntentId } : { accessCode: accessCode.toUpperCase().trim() };
+    return this.db.find('payout_transactions', where, { orderBy: { createdAt: 'asc' } });
+  }
+
+  /**
+   * Reporte del depósito en CSV (montos en unidades, no centavos)
+   */
+  static toCsv(payout) {
+    const rows = [
+      CSV_COLUMNS.map(([header]) => header),
+      ...payout.transactions.map((transaction) => CSV_COLUMNS.map(([, value]) => value(transaction, payout))),
+    ];
+
+    return `${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+  }
+}
+
+function sum(items, field) {
+  return items.reduce((total, item) => total + (item[field] || 0), 0);
+}
+
+function money(amount, currency) {
+  if (amount === null || amount === undefined) return '';
+  return fromMinorUnits(amount, currency).toFixed(CURRENCIES[currency]?.decimals ?? 2);
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : '';
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = PayoutService;
@@ -0,0 +1,258 @@
+/**
+ * SERVICIO DE CATÁLOGO DE PRODUCTOS
+ *
+ * Consulta el catálogo de src/catalog/products.js:
+ * - Resuelve el producto de una compra (por id o por Price de Stripe)
+ * - Arma la línea de Stripe Checkout de cada producto
+ * - Elige la moneda de la compra (la que pide el comprador, la de su país
+ *   o la moneda base del producto) y el precio en esa moneda
+ * - Calcula la vigencia y los módulos que otorga el código de acceso
+ * - Resuelve los módulos habilitados (entitlements) de un código o sesión;
+ *   `modules: null` (códigos anteriores al catálogo) habilita todos
+ * - Define la prueba gratis (TRIAL) y el producto que la convierte en pagada
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const { PRODUCTS, MODULES, ALL_MODULES, TRIAL } = require('../catalog/products');
+const { normalizeCurrency, currencyForCountry } = require('../utils/money');
+
+class ProductCatalogService {
+  constructor(config, products = PRODUCTS, trial = TRIAL) {
+    this.defaultProductId = config.DEFAULT_PRODUCT_ID;
+    this.defaultAccessDays = config.CODE_EXPIRATION_DAYS;
+
+    const priceIds = {
+      ...(config.STRIPE_PRICE_ID ? { [config.DEFAULT_PRODUCT_ID]: config.STRIPE_PRICE_ID } : {}),
+      ...config.STRIPE_PRICE_IDS,
+    };
+
+    this.products = new Map(
+      products.map((product) => [
+        product.id,
+        {
+          ...product,
+          accessDays: product.accessDays || this.defaultAccessDays,
+          prices: { [product.price.currency]: product.price.amount, ...product.prices },
+          stripePriceId: priceIds[product.id] || null,
+        },
+      ])
+    );
+
+    if (!this.products.has(this.defaultProductId)) {
+      throw new Error(`DEFAULT_PRODUCT_ID desconocido: ${this.defaultProductId}`);
+    }
+
+    this.trial = { ...trial, accessDays: config.TRIAL_DAYS || trial.accessDays };
+  }
+
+  /**
+   * Datos de un producto que se pueden publicar
+   */
+  static toPublic(product) {
+    return {
+      id: product.id,
+      kind: product.kind,
+      name: product.name,
+      description: product.description,
+      price: product.price,
+      prices: Object.entries(product.prices).map(([currency, amount]) => ({ amount, currency })),
+      accessDays: product.accessDays,
+      modules: product.modules.map((id) => ({ id, name: MODULES[id]?.name || id })),
+      groupPurchase: Boolean(product.groupPurchase),
+      interval: product.interval || null,
+    };
+  }
+
+  /**
+   * Módulos habilitados de un código o sesión
+   */
+  static resolveModules(modules) {
+    return Array.isArray(modules) ? modules.filter((id) => MODULES[id]) : [...ALL_MODULES];
+  }
+
+  static hasModule(modules, moduleId) {
+    return ProductCatalogService.resolveModules(modules).includes(moduleId);
+  }
+
+  /**
+   * Módulo que protege una página (null si la página no es de un módulo)
+   */
+  static moduleForPage(pathname) {
+    return Object.keys(MODULES).find((id) => MODULES[id].page === pathname) || null;
+  }
+
+  /**
+   * Verificar una lista de módulos antes de guardarla
+   * Lanza { code: 'INVALID_MODULES', invalid } si alguno no existe
+   */
+  static assertModules(modules) {
+    const invalid = Array.isArray(modules)
+      ? modules.filter((id) => !MODULES[id])
+      : ['(se esperaba una lista)'];
+
+    if (invalid.length > 0) {
+      throw {
+        code: 'INVALID_MODULES',
+        message: `Módulos desconocidos: ${invalid.join(', ')}`,
+        invalid,
+        available: ALL_MODULES,
+      };
+    }
+  }
+
+  listProducts() {
+    return [...this.products.values()];
+  }
+
+  getProduct(productId) {
+    return this.products.get(productId) || null;
+  }
+
+  getDefaultProduct() {
+    return this.products.get(this.defaultProductId);
+  }
+
+  /**
+   * Producto de una compra según la metadata del checkout
+   * Las compras anteriores al catálogo (sin productId) son del producto por defecto
+   */
+  productFor(metadata = {}) {
+    return this.getProduct(metadata.productId) || this.getDefaultProduct();
+  }
+
+  /**
+   * Producto que extiende un código existente (kind: 'renewal')
+   */
+  getRenewalProduct() {
+    return this.listProducts().find((product) => product.kind === 'renewal') || null;
+  }
+
+  /**
+   * Prueba gratis (no es un producto a la venta)
+   */
+  getTrial() {
+    return this.trial;
+  }
+
+  /**
+   * Producto que se compra para convertir una prueba en acceso pagado
+   */
+  getTrialUpgradeProduct() {
+    return this.getProduct(this.trial.upgradeProductId) || this.getDefaultProduct();
+  }
+
+  findByStripePriceId(priceId) {
+    return this.listProducts().find((product) => product.stripePriceId === priceId) || null;
+  }
+
+  /**
+   * Producto de una compra: por productId, por priceId (clientes
+   * anteriores al catálogo) o el producto por defecto
+   * Lanza { code: 'PRODUCT_NOT_FOUND' } si no existe
+   */
+  resolve({ productId = null, priceId = null } = {}) {
+    const product = productId
+      ? this.getProduct(productId)
+      : priceId
+        ? this.findByStripePriceId(priceId)
+        : this.getDefaultProduct();
+
+    if (!product) {
+      throw {
+        code: 'PRODUCT_NOT_FOUND',
+        message: 'El producto solicitado no existe',
+        productId,
+        priceId,
+      };
+    }
+
+    return product;
+  }
+
+  /**
+   * Moneda de una compra: la que pide el comprador; si no pide ninguna,
+   * la de su país si el producto tiene precio en ella; si no, la moneda
+   * base del producto
+   * Lanza { code: 'CURRENCY_NOT_AVAILABLE' } si el producto no se vende
+   * en la moneda pedida
+   */
+  selectCurrency(product, { currency = null, country = null } = {}) {
+    if (currency) {
+      const requested = normalizeCurrency(currency);
+
+      if (!requested || !product.prices[requested]) {
+        throw {
+          code: 'CURRENCY_NOT_AVAILABLE',
+          message: `El producto no se vende en ${String(currency).toUpperCase()}`,
+          available: Object.keys(product.prices),
+        };
+      }
+
+      return requested;
+    }
+
+    const local = currencyForCountry(country);
+    return local && product.prices[local] ? local : product.price.currency;
+  }
+
+  /**
+   * Producto con el precio en otra moneda
+   * Los Price de Stripe (STRIPE_PRICE_IDS) son de la moneda base; en otra
+   * moneda se cobra con price_data
+   */
+  priceIn(product, currency) {
+    if (currency === product.price.currency) return product;
+
+    const selected = this.selectCurrency(product, { currency });
+    return {
+      ...product,
+      price: { amount: product.prices[selected], currency: selected },
+      stripePriceId: null,
+    };
+  }
+
+  /**
+   * Parámetros de precio para StripeServiceV2.createCheckoutSession
+   *
+   * Las suscripciones llevan `interval` en priceData (precio recurrente)
+   *
+   * Con cupón (resultado de CouponService.validate): si el cupón tiene
+   * Promotion Code, Stripe aplica el descuento; si no, se cobra el precio
+   * descontado en línea
+   */
+  checkoutPrice(product, discount = null) {
+    const promotionCodeId = discount?.coupon.stripePromotionCodeId || null;
+
+    if (discount && !promotionCodeId) {
+      return {
+        priceId: null,
+        priceData: {
+          name: `${product.name} (cupón ${discount.coupon.code})`,
+          description: product.description,
+          unitAmount: discount.finalAmount,
+          currency: product.price.currency,
+        },
+      };
+    }
+
+    if (product.stripePriceId) {
+      return { priceId: product.stripePriceId, priceData: null, promotionCodeId };
+    }
+
+    return {
+      priceId: null,
+      priceData: {
+        name: product.name,
+        description: product.description,
+        unitAmount: product.price.amount,
+        currency: product.price.currency,
+        interval: product.interval || null,
+      },
+      promotionCodeId,
+    };
+  }
+}
+
+module.exports = ProductCatalogService;
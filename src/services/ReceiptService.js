@@ -0,0 +1,204 @@
+/**
+ * SERVICIO DE RECIBOS DE PAGO
+ *
+ * Recibo en PDF de cada pago completado (checkout o cobro de suscripción):
+ * - Registra un recibo por pago (tabla receipts) con el producto, el
+ *   monto, el método de pago, la referencia de Stripe y la vigencia del
+ *   código al momento del pago
+ * - Genera el PDF al descargarlo; no se guarda el archivo
+ * - Enlaces firmados con HMAC-SHA256 que vencen a los RECEIPT_URL_TTL_DAYS,
+ *   para descargar el recibo sin sesión (p. ej. desde el email)
+ *
+ * A diferencia de la factura CFDI, el recibo no tiene validez fiscal; se
+ * emite para todos los pagos, pidan factura o no.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { createTextPdf } = require('../utils/pdf');
+const { formatMoney } = require('../utils/money');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class ReceiptService {
+  static PAYMENT_METHODS = {
+    card: 'Tarjeta de crédito o débito',
+    oxxo: 'Efectivo en OXXO',
+    customer_balance: 'Transferencia SPEI',
+  };
+
+  constructor(database, { secret, appUrl, urlTtlDays = 365 } = {}) {
+    this.db = database;
+    this.appUrl = appUrl;
+    this.urlTtlMs = urlTtlDays * DAY;
+
+    if (!secret) {
+      // Sin secreto fijo los enlaces ya enviados dejan de valer al reiniciar
+      logger.warn('Receipt signing secret not configured, using a random secret');
+    }
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Registrar el recibo de un pago (uno por referencia de Stripe)
+   * Devuelve { record, created }; si ya existía devuelve el registrado
+   */
+  async createReceipt({
+    reference,
+    paymentIntentId = null,
+    email,
+    name = null,
+    productId = null,
+    productName,
+    quantity = 1,
+    amount,
+    discountAmount = 0,
+    couponCode = null,
+    currency,
+    paymentMethod = 'card',
+    accessCode = null,
+    expiresAt = null,
+  }) {
+    const existing = await this.db.findOne('receipts', { reference });
+    if (existing) return { record: existing, created: false };
+
+    const record = {
+      receiptId: crypto.randomUUID(),
+      reference,
+      paymentIntentId,
+      email,
+      name,
+      productId,
+      productName,
+      quantity,
+      amount,
+      discountAmount,
+      couponCode,
+      currency,
+      paymentMethod,
+      accessCode,
+      expiresAt,
+      createdAt: new Date(),
+      emailedAt: null,
+    };
+
+    try {
+      const inserted = await this.db.insert('receipts', record);
+      logger.info('Receipt recorded', { receiptId: record.receiptId, reference, amount });
+      return { record: inserted, created: true };
+    } catch (error) {
+      if (error.code === 'DUPLICATE_KEY') {
+        return { record: await this.db.findOne('receipts', { reference }), created: false };
+      }
+      throw error;
+    }
+  }
+
+  async markEmailed(receiptId) {
+    await this.db.update('receipts', { receiptId }, { emailedAt: new Date() });
+  }
+
+  signature(receiptId, expires) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${receiptId}.${expires}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Enlace firmado para descargar el PDF del recibo
+   */
+  signedUrl(receiptId, { now = new Date() } = {}) {
+    const expires = Math.floor((now.getTime() + this.urlTtlMs) / 1000);
+    const params = new URLSearchParams({
+      expires: String(expires),
+      signature: this.signature(receiptId, expires),
+    });
+
+    return `${this.appUrl}/api/receipts/${receiptId}/pdf?${params}`;
+  }
+
+  /**
+   * Recibo al que da acceso un enlace firmado
+   * Lanza { code: 'INVALID_RECEIPT_LINK' } si la firma no coincide o venció
+   */
+  async getSignedReceipt(receiptId, { expires, signature }, { now = new Date() } = {}) {
+    const expected = Buffer.from(this.signature(receiptId, expires));
+    const received = Buffer.from(String(signature || ''));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw { code: 'INVALID_RECEIPT_LINK', message: 'El enlace del recibo no es válido' };
+    }
+
+    if (!(parseInt(expires, 10) * 1000 > now.getTime())) {
+      throw { code: 'RECEIPT_LINK_EXPIRED', message: 'El enlace del recibo venció' };
+    }
+
+    return this.getReceipt(receiptId);
+  }
+
+  async getReceipt(receiptId) {
+    const record = await this.db.findOne('receipts', { receiptId });
+
+    if (!record) {
+      throw { code: 'RECEIPT_NOT_FOUND', message: 'Recibo no encontrado' };
+    }
+
+    return record;
+  }
+
+  /**
+   * Recibos por email o por código, con su enlace vigente
+   */
+  async listReceipts({ email = null, accessCode = null, limit = 50 } = {}) {
+    const where = {};
+    if (email) where.email = email.toLowerCase().trim();
+    if (accessCode) where.accessCode = accessCode.toUpperCase().trim();
+
+    const receipts = await this.db.find('receipts', where, { orderBy: { createdAt: 'desc' }, limit });
+    return receipts.map((receipt) => ({ ...receipt, url: this.signedUrl(receipt.receiptId) }));
+  }
+
+  /**
+   * Nombre del archivo del recibo
+   */
+  static filename(record) {
+    return `recibo-${String(record.id).padStart(6, '0')}.pdf`;
+  }
+
+  renderPdf(record) {
+    const paidAt = new Date(record.createdAt).toLocaleString('es-MX', { timeZone: 'America/Mexico_City' });
+    const product = record.quantity > 1
+      ? `${record.productName} (${record.quantity} lugares)`
+      : record.productName;
+
+    return createTextPdf([
+      { text: 'SkillsCert - Recibo de pago', bold: true, size: 16 },
+      `Folio: ${String(record.id).padStart(6, '0')}`,
+      `Fecha: ${paidAt}`,
+      '',
+      { text: 'Cliente', bold: true },
+      record.name ? `${record.name} <${record.email}>` : record.email,
+      '',
+      { text: 'Compra', bold: true },
+      `Producto: ${product}`,
+      ...(record.discountAmount > 0
+        ? [`Descuento${record.couponCode ? ` (cupón ${record.couponCode})` : ''}: -${formatMoney(record.discountAmount, record.currency)}`]
+        : []),
+      { text: `Total pagado: ${formatMoney(record.amount, record.currency)}`, bold: true },
+      `Método de pago: ${ReceiptService.PAYMENT_METHODS[record.paymentMethod] || record.paymentMethod}`,
+      `Referencia de Stripe: ${record.paymentIntentId || record.reference}`,
+      '',
+      { text: 'Acceso', bold: true },
+      ...(record.accessCode ? [`Código: ${record.accessCode}`] : []),
+      `Vigente hasta: ${record.expiresAt ? new Date(record.expiresAt).toLocaleDateString('es-MX') : '-'}`,
+      '',
+      'Este recibo no es un comprobante fiscal. Si necesitas factura, solicítala al comprar.',
+    ]);
+  }
+}
+
+module.exports = ReceiptService;
@@ -0,0 +1,223 @@
+/**
+ * SERVICIO DE CONCILIACIÓN CON STRIPE
+ *
+ * Compara lo que Stripe cobró en un rango de fechas con lo que quedó en
+ * la base de datos:
+ * - paid_without_code: checkout pagado sin código, compra de grupo ni
+ *   renovación aplicada (p. ej. se perdió el webhook)
+ * - code_without_payment: código generado por un checkout que Stripe no
+ *   reporta como pagado, o sin referencia de Stripe (salvo las pruebas
+ *   gratis, que no se pagan)
+ * - amount_mismatch: el monto o la moneda guardados no coinciden con lo
+ *   que Stripe cobró
+ * - refund_not_reflected: reembolso de Stripe que no está en la tabla refunds
+ *
+ * Solo reporta; ReconciliationHandler.reconcilePayments puede emitir los
+ * códigos que faltan.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const { logger } = require('../utils/logger');
+const { toMinorUnits } = require('../utils/money');
+
+const PAID_STATUSES = ['paid', 'no_payment_required'];
+
+class ReconciliationService {
+  static ISSUES = {
+    PAID_WITHOUT_CODE: 'paid_without_code',
+    CODE_WITHOUT_PAYMENT: 'code_without_payment',
+    AMOUNT_MISMATCH: 'amount_mismatch',
+    REFUND_NOT_REFLECTED: 'refund_not_reflected',
+  };
+
+  constructor(database, { stripeService }) {
+    this.db = database;
+    this.stripe = stripeService;
+  }
+
+  static isPaid(session) {
+    return session.status === 'complete' && PAID_STATUSES.includes(session.payment_status);
+  }
+
+  /**
+   * Conciliar los cobros de Stripe creados entre `from` y `to`
+   */
+  async reconcile({ from, to }) {
+    const range = { from, to };
+    const [sessions, paymentIntents, refunds] = await Promise.all([
+      this.stripe.listCheckoutSessions(range),
+      this.stripe.listPaymentIntents(range),
+      this.stripe.listRefundsCreated(range),
+    ]);
+
+    const intents = new Map(paymentIntents.map((intent) => [intent.id, intent]));
+    const paidSessions = sessions.filter(ReconciliationService.isPaid);
+    const issues = [];
+
+    for (const session of paidSessions) {
+      issues.push(...await this.checkSession(session, intents.get(session.payment_intent)));
+    }
+
+    const paidSessionIds = new Set(paidSessions.map((session) => session.id));
+    const codes = await this.db.find('access_codes', { createdAt: { $gte: from, $lt: to } });
+    issues.push(...await this.checkCodes(codes, paidSessionIds));
+
+    for (const refund of refunds) {
+      if (refund.status === 'failed' || refund.status === 'canceled') continue;
+
+      const local = await this.db.findOne('refunds', { refundId: refund.id });
+      if (!local) {
+        issues.push({
+          type: ReconciliationService.ISSUES.REFUND_NOT_REFLECTED,
+          refundId: refund.id,
+          paymentIntentId: refund.payment_intent || null,
+          amount: refund.amount,
+          currency: refund.currency,
+          status: refund.status,
+        });
+      }
+    }
+
+    const summary = Object.fromEntries(
+      Object.values(ReconciliationService.ISSUES).map((type) => [
+        type,
+        issues.filter((issue) => issue.type === type).length,
+      ])
+    );
+
+    const details = { from, to, sessions: paidSessions.length, refunds: refunds.length, ...summary };
+    if (issues.length > 0) {
+      logger.warn('Stripe reconciliation found issues', details);
+    } else {
+      logger.info('Stripe reconciliation finished', details);
+    }
+
+    return {
+      from,
+      to,
+      checked: {
+        sessions: paidSessions.length,
+        paymentIntents: paymentIntents.length,
+        refunds: refunds.length,
+        accessCodes: codes.length,
+      },
+      summary,
+      issues,
+    };
+  }
+
+  /**
+   * Buscar lo que generó un checkout pagado y comparar el monto
+   */
+  async checkSession(session, paymentIntent = null) {
+    const { ISSUES } = ReconciliationService;
+    const metadata = session.metadata || {};
+    const stripeAmount = paymentIntent?.amount_received ?? session.amount_total;
+    const base = {
+      sessionId: session.id,
+      paymentIntentId: session.payment_intent || null,
+      email: session.customer_details?.email || session.customer_email || null,
+    };
+
+    // Renovación: el código ya existía, se busca la extensión aplicada
+    if (metadata.renewCode) {
+      const extension = await this.db.findOne('access_code_history', {
+        eventType: 'access_code_extended',
+        paymentId: session.id,
+      });
+      return extension
+        ? []
+        : [{
+          type: ISSUES.PAID_WITHOUT_CODE,
+          ...base,
+          amount: stripeAmount,
+          currency: session.currency,
+          renewCode: metadata.renewCode,
+        }];
+    }
+
+    let local = null;
+    if ((parseInt(metadata.quantity, 10) || 1) > 1) {
+      const purchase = await this.db.findOne('group_purchases', { sessionId: session.id });
+      if (purchase?.completedAt) {
+        local = { reference: purchase.purchaseId, amount: purchase.amount, currency: purchase.currency };
+      }
+    } else {
+      const accessCode = await this.db.findOne('access_codes', { stripeSessionId: session.id });
+      if (accessCode) {
+        // access_codes guarda unidades; Stripe reporta centavos
+        local = {
+          reference: accessCode.code,
+          amount: toMinorUnits(accessCode.amount, accessCode.currency),
+          currency: accessCode.currency,
+        };
+      }
+    }
+
+    if (!local) {
+      return [{ type: ISSUES.PAID_WITHOUT_CODE, ...base, amount: stripeAmount, currency: session.currency }];
+    }
+
+    const sameCurrency = (local.currency || '').toLowerCase() === (session.currency || '').toLowerCase();
+    if (local.amount !== stripeAmount || !sameCurrency) {
+      return [{
+        type: ISSUES.AMOUNT_MISMATCH,
+        ...base,
+        reference: local.reference,
+        stripeAmount,
+        stripeCurrency: session.currency,
+        localAmount: local.amount,
+        localCurrency: local.currency,
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Códigos generados en el rango cuyo checkout no aparece como pagado
+   * Un checkout creado antes del rango (p. ej. OXXO pagado días después)
+   * se consulta en Stripe antes de reportarlo
+   */
+  async checkCodes(codes, paidSessionIds) {
+    const { ISSUES } = ReconciliationService;
+    const issues = [];
+    const checked = new Set();
+
+    for (const accessCode of codes) {
+      const sessionId = accessCode.stripeSessionId;
+      if (accessCode.trial) continue;
+
+      if (!sessionId) {
+        issues.push({
+          type: ISSUES.CODE_WITHOUT_PAYMENT,
+          code: accessCode.code,
+          email: accessCode.email,
+          reason: 'no_stripe_reference',
+        });
+        continue;
+      }
+
+      // Los lugares de una compra de grupo comparten el checkout
+      if (paidSessionIds.has(sessionId) || checked.has(sessionId)) continue;
+      checked.add(sessionId);
+
+      const session = await this.stripe.getCheckoutSession(sessionId);
+      if (!session || !ReconciliationService.isPaid(session)) {
+        issues.push({
+          type: ISSUES.CODE_WITHOUT_PAYMENT,
+          code: accessCode.groupPurchaseId || accessCode.code,
+          email: accessCode.email,
+          sessionId,
+          reason: session ? `session_${session.payment_status}` : 'session_not_found',
+        });
+      }
+    }
+
+    return issues;
+  }
+}
+
+module.exports = ReconciliationService;
@@ -0,0 +1,241 @@
+/**
+ * SERVICIO DE REEMBOLSOS
+ *
+ * Registro de los reembolsos de Stripe y del efecto en el acceso:
+ * - Cada reembolso (re_...) se registra una sola vez en `refunds`, venga
+ *   del admin (POST /api/admin/refunds) o de charge.refunded (reembolsos
+ *   hechos desde el dashboard de Stripe)
+ * - Reembolso total de una compra: el código se desactiva. Parcial, o de
+ *   una renovación (checkout de renovación o factura de suscripción): se
+ *   quita la misma proporción del periodo que pagó ese cobro. El admin
+ *   puede elegir otra acción (`accessAction`)
+ * - Los códigos se encuentran con el registro de cobros (ChargeService);
+ *   en compras de grupo el reembolso aplica a todos los lugares
+ *
+ * RefundHandler aplica la acción, cierra las sesiones y avisa al
+ * comprador.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const ChargeService = require('./ChargeService');
+const { logger } = require('../utils/logger');
+
+class RefundService {
+  static ACCESS_ACTIONS = {
+    DEACTIVATE: 'deactivate',
+    SHORTEN: 'shorten',
+    KEEP: 'keep',
+  };
+
+  // Una aplicación que no terminó en este tiempo (proceso detenido) se retoma
+  static APPLY_LEASE_MINUTES = 5;
+
+  constructor(database, { stripeService = null, chargeService = null } = {}) {
+    this.db = database;
+    this.stripe = stripeService;
+    this.charges = chargeService;
+  }
+
+  /**
+   * Payment Intent a reembolsar a partir de un código o del propio id
+   * Por código se reembolsa su cobro más reciente que no esté reembolsado
+   * por completo (la última renovación o factura de suscripción); para
+   * otro cobro se indica su Payment Intent
+   * Lanza CODE_NOT_FOUND o PAYMENT_NOT_FOUND
+   */
+  async resolvePaymentIntent({ code = null, paymentIntentId = null }) {
+    if (paymentIntentId) return paymentIntentId;
+
+    const accessCode = await this.db.findOne('access_codes', {
+      code: String(code || '').toUpperCase().trim(),
+    });
+
+    if (!accessCode) {
+      throw { code: 'CODE_NOT_FOUND', message: 'Código no encontrado' };
+    }
+
+    const charges = this.charges ? await this.charges.listCharges(accessCode) : [];
+    const refundable = charges.find((charge) => charge.status !== ChargeService.STATUSES.REFUNDED);
+
+    if (refundable) {
+      return refundable.paymentIntentId;
+    }
+
+    if (accessCode.stripePaymentIntentId) {
+      return accessCode.stripePaymentIntentId;
+    }
+
+    // OXXO / SPEI: el pago diferido guarda su Payment Intent
+    const payment = accessCode.stripeSessionId
+      ? await this.db.findOne('payments', { sessionId: accessCode.stripeSessionId })
+      : null;
+
+    const resolved = payment?.paymentIntentId
+      || (accessCode.stripeSessionId && this.stripe
+        ? await this.stripe.getCheckoutPaymentIntent(accessCode.stripeSessionId)
+        : null);
+
+    if (!resolved) {
+      throw {
+        code: 'PAYMENT_NOT_FOUND',
+        message: 'No se encontró el pago de Stripe de este código',
+      };
+    }
+
+    // Códigos anteriores a los reembolsos: se guarda el Payment Intent para
+    // que el reembolso (y su webhook) encuentre todos los códigos del pago
+    await this.db.update(
+      'access_codes',
+      { stripeSessionId: accessCode.stripeSessionId, stripePaymentIntentId: null },
+      { stripePaymentIntentId: resolved }
+    );
+
+    return resolved;
+  }
+
+  /**
+   * Registrar un reembolso de Stripe y reservar su aplicación
+   * Devuelve { record, duplicate }. duplicate = false también cuando el
+   * reembolso ya estaba registrado pero su aplicación no terminó (falló o
+   * se detuvo): quien lo recibe debe aplicarlo y llamar a markApplied, o a
+   * releaseApplication si falla
+   * La acción sobre el acceso se decide con lo ya reembolsado del mismo
+   * pago y el tipo de cobro (`charge`, del registro de cobros): el
+   * reembolso total de una renovación solo quita el periodo que pagó
+   */
+  async recordRefund(refund, { source, requestedBy = null, charge = null }) {
+    const { DEACTIVATE, SHORTEN, KEEP } = RefundService.ACCESS_ACTIONS;
+    const existing = await this.db.findOne('refunds', { refundId: refund.refundId });
+
+    if (existing) {
+      return this.resumeApplication(existing);
+    }
+
+    const previous = await this.db.find('refunds', { paymentIntentId: refund.paymentIntentId });
+    const refundedTotal = previous.reduce((total, item) => total + item.amount, 0) + refund.amount;
+
+    let accessAction = refund.metadata?.accessAction;
+    if (!Object.values(RefundService.ACCESS_ACTIONS).includes(accessAction)) {
+      const renewal = charge?.kind === ChargeService.KINDS.RENEWAL;
+      accessAction = !refund.chargeAmount
+        ? KEEP
+        : refundedTotal >= refund.chargeAmount && !renewal ? DEACTIVATE : SHORTEN;
+    }
+
+    const record = {
+      refundId: refund.refundId,
+      paymentIntentId: refund.paymentIntentId,
+      chargeId: refund.chargeId,
+      accessCodes: [],
+      amount: refund.amount,
+      currency: refund.currency,
+      chargeAmount: refund.chargeAmount,
+      reason: refund.reason,
+      status: refund.status,
+      source,
+      accessAction,
+      requestedBy: requestedBy || refund.metadata?.requestedBy || null,
+      createdAt: new Date(),
+      appliedAt: null,
+      applyingAt: new Date(),
+    };
+
+    try {
+      await this.db.insert('refunds', record);
+    } catch (error) {
+      // Otro webhook del mismo reembolso lo está aplicando
+      if (error.code === 'DUPLICATE_KEY') {
+        return { record: await this.db.findOne('refunds', { refundId: refund.refundId }), duplicate: true };
+      }
+      throw error;
+    }
+
+    logger.info('Refund recorded', {
+      refundId: record.refundId,
+      paymentIntentId: record.paymentIntentId,
+      amount: record.amount,
+      source,
+      accessAction,
+    });
+
+    return { record, duplicate: false };
+  }
+
+  /**
+   * Retomar un reembolso registrado cuya aplicación no terminó
+   * Solo una instancia lo retoma a la vez
+   */
+  async resumeApplication(record) {
+    if (record.appliedAt) {
+      return { record, duplicate: true };
+    }
+
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - RefundService.APPLY_LEASE_MINUTES * 60 * 1000);
+
+    for (const applyingAt of [null, { $lt: staleBefore }]) {
+      const result = await this.db.update(
+        'refunds',
+        { refundId: record.refundId, appliedAt: null, applyingAt },
+        { applyingAt: now }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.warn('Resuming refund application', { refundId: record.refundId });
+        return { record: { ...record, applyingAt: now }, duplicate: false };
+      }
+    }
+
+    return { record, duplicate: true };
+  }
+
+  /**
+   * Guardar lo aplicado hasta ahora ([{ code, action, expiresAt }]); al
+   * retomar, los códigos que ya están aquí no se vuelven a tocar
+   */
+  async setAccessCodes(refundId, accessCodes) {
+    await this.db.update('refunds', { refundId }, { accessCodes });
+  }
+
+  async markApplied(refundId) {
+    await this.db.update('refunds', { refundId }, { appliedAt: new Date(), applyingAt: null });
+  }
+
+  /**
+   * Liberar un reembolso cuya aplicación falló para que el reintento del
+   * webhook lo retome
+   */
+  async releaseApplication(refundId) {
+    await this.db.update('refunds', { refundId, appliedAt: null }, { applyingAt: null });
+  }
+
+  async listRefunds({ paymentIntentId = null, limit = 50 } = {}) {
+    return this.db.find(
+      'refunds',
+      paymentIntentId ? { paymentIntentId } : {},
+      { orderBy: { createdAt: 'desc' }, limit }
+    );
+  }
+
+  /**
+   * Reembolsos y monto reembolsado por moneda desde una fecha
+   */
+  async getStats(since = null) {
+    const refunds = await this.db.find('refunds', since ? { createdAt: { $gte: since } } : {});
+    const amountByCurrency = {};
+
+    for (const refund of refunds) {
+      amountByCurrency[refund.currency] = (amountByCurrency[refund.currency] || 0) + refund.amount;
+    }
+
+    return {
+      count: refunds.length,
+      amountByCurrency,
+      fromDashboard: refunds.filter((refund) => refund.source === 'stripe').length,
+    };
+  }
+}
+
+module.exports = RefundService;
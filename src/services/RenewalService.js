@@ -0,0 +1,154 @@
+/**
+ * SERVICIO DE RENOVACIONES
+ *
+ * Renovar un código extiende su vigencia en lugar de vender uno nuevo, así
+ * el usuario conserva su trabajo guardado:
+ * - Verifica que el código se pueda renovar antes de crear el checkout
+ *   (código y email deben coincidir, como en el login)
+ * - Elige los recordatorios de vencimiento pendientes (14 y 3 días antes
+ *   por defecto) y registra cada envío una sola vez por vigencia: al
+ *   renovar, la nueva fecha vuelve a generar sus recordatorios
+ *
+ * La extensión la aplica RenewalHandler cuando se paga el producto de
+ * renovación del catálogo (kind: 'renewal'). Los códigos de prueba gratis
+ * no se renuevan ni reciben recordatorios: se convierten comprando el acceso
+ * (TrialService).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const { logger } = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class RenewalService {
+  static RENEWABLE_STATUSES = ['active', 'expired'];
+
+  constructor(database, { reminderDays = [14, 3], batchSize = 200 } = {}) {
+    this.db = database;
+    this.reminderDays = [...reminderDays].sort((a, b) => a - b);
+    this.batchSize = batchSize;
+  }
+
+  static reminderKey(code, daysBefore, expiresAt) {
+    return `${code}:${daysBefore}:${new Date(expiresAt).toISOString()}`;
+  }
+
+  /**
+   * Código que se va a renovar
+   * Lanza CODE_NOT_FOUND si no existe con ese email, CODE_INACTIVE si un
+   * administrador lo desactivó y CODE_SUSPENDED si está suspendido o en
+   * disputa (el pago de la renovación no le devolvería el acceso)
+   */
+  async assertRenewable(code, email) {
+    const accessCode = await this.db.findOne('access_codes', {
+      code: String(code || '').toUpperCase().trim(),
+      email: String(email || '').toLowerCase().trim(),
+    });
+
+    if (!accessCode) {
+      throw { code: 'CODE_NOT_FOUND', message: 'No encontramos ese código con ese email' };
+    }
+
+    if (accessCode.status === 'inactive') {
+      throw { code: 'CODE_INACTIVE', message: 'Este código está inactivo y no se puede renovar' };
+    }
+
+    if (!RenewalService.RENEWABLE_STATUSES.includes(accessCode.status)) {
+      throw {
+        code: 'CODE_SUSPENDED',
+        message: 'Este código está suspendido y no se puede renovar; contacta a soporte',
+        status: accessCode.status,
+      };
+    }
+
+    if (accessCode.trial) {
+      throw {
+        code: 'TRIAL_NOT_RENEWABLE',
+        message: 'Los códigos de prueba no se renuevan; compra el acceso completo con el mismo código',
+      };
+    }
+
+    return accessCode;
+  }
+
+  /**
+   * Códigos que necesitan recordatorio ahora
+   * A cada código le toca el umbral más cercano a su vencimiento: un código
+   * al que le quedan 2 días recibe el de 3 días, no también el de 14
+   * Devuelve [{ accessCode, daysBefore, daysLeft }]
+   */
+  async dueReminders(now = new Date()) {
+    if (this.reminderDays.length === 0) return [];
+
+    const maxDays = this.reminderDays[this.reminderDays.length - 1];
+    const candidates = await this.db.find(
+      'access_codes',
+      {
+        status: 'active',
+        expiresAt: { $gt: now, $lte: new Date(now.getTime() + maxDays * DAY) },
+      },
+      { orderBy: { expiresAt: 'asc' }, limit: this.batchSize }
+    );
+
+    const due = [];
+
+    for (const accessCode of candidates) {
+      // Lugares de grupo sin asignar: el código sigue a nombre del comprador
+      if (accessCode.groupPurchaseId && !accessCode.assignedAt) continue;
+      if (accessCode.trial) continue;
+
+      const daysLeft = Math.ceil((new Date(accessCode.expiresAt) - now) / DAY);
+      const daysBefore = this.reminderDays.find((days) => daysLeft <= days);
+
+      const sent = await this.db.findOne('renewal_reminders', {
+        reminderKey: RenewalService.reminderKey(accessCode.code, daysBefore, accessCode.expiresAt),
+      });
+
+      if (!sent) {
+        due.push({ accessCode, daysBefore, daysLeft });
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Reservar el envío de un recordatorio
+   * Devuelve false si otra instancia ya lo envió
+   */
+  async claimReminder(accessCode, daysBefore) {
+    try {
+      await this.db.insert('renewal_reminders', {
+        reminderKey: RenewalService.reminderKey(accessCode.code, daysBefore, accessCode.expiresAt),
+        accessCode: accessCode.code,
+        daysBefore,
+        expiresAt: accessCode.expiresAt,
+        sentAt: new Date(),
+        deliveries: null,
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 'DUPLICATE_KEY') return false;
+      throw error;
+    }
+  }
+
+  async recordReminderDeliveries(accessCode, daysBefore, deliveries) {
+    try {
+      await this.db.update(
+        'renewal_reminders',
+        { reminderKey: RenewalService.reminderKey(accessCode.code, daysBefore, accessCode.expiresAt) },
+        { deliveries }
+      );
+    } catch (error) {
+      logger.error('Error recording renewal reminder deliveries', {
+        code: accessCode.code,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = RenewalService;
@@ -0,0 +1,240 @@
+/**
+ * SERVICIO DE TAREAS PROGRAMADAS
+ *
+ * Ejecuta periódicamente las tareas de mantenimiento (ver src/jobs):
+ * - Cada tarea corre con un candado en job_locks para que, con varias
+ *   instancias de la app, solo una la ejecute a la vez
+ * - Las tareas que limpian memoria del propio proceso (`lock: false`)
+ *   corren en todas las instancias
+ * - Cada ejecución queda registrada en job_runs con su duración y resultado
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+class SchedulerService {
+  static STATUS = {
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+  };
+
+  // Duración máxima de un candado si la instancia se cae sin liberarlo
+  static DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+  constructor(database, jobs = []) {
+    this.db = database;
+    this.jobs = new Map();
+    this.timers = [];
+    this.running = new Set();
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+    jobs.forEach((job) => this.register(job));
+  }
+
+  /**
+   * Registrar una tarea
+   * job: { name, description, intervalMs, lock = true, lockTtlMs, run: async () => resultado }
+   */
+  register(job) {
+    if (!job.name || typeof job.run !== 'function') {
+      throw new Error('Una tarea necesita name y run()');
+    }
+
+    this.jobs.set(job.name, {
+      lock: true,
+      lockTtlMs: SchedulerService.DEFAULT_LOCK_TTL_MS,
+      ...job,
+    });
+  }
+
+  listJobs() {
+    return [...this.jobs.values()].map(({ name, description, intervalMs, lock }) => ({
+      name,
+      description,
+      intervalMs,
+      lock,
+    }));
+  }
+
+  /**
+   * Programar todas las tareas con su intervalo
+   */
+  start() {
+    if (this.timers.length > 0) return;
+
+    for (const job of this.jobs.values()) {
+      if (!job.intervalMs) continue;
+
+      const timer = setInterval(() => {
+        this.runJob(job.name).catch((error) => {
+          logger.error('Scheduled job crashed', { job: job.name, error: error.message });
+        });
+      }, job.intervalMs);
+
+      // No mantener vivo el proceso solo por el scheduler
+      timer.unref();
+      this.timers.push(timer);
+    }
+
+    logger.info('Scheduler started', {
+      instanceId: this.instanceId,
+      jobs: [...this.jobs.keys()],
+    });
+  }
+
+  stop() {
+    this.timers.forEach((timer) => clearInterval(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Ejecutar una tarea una vez
+   * Devuelve { job, status, durationMs, result | error | reason }
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+
+    if (!job) {
+      throw { code: 'JOB_NOT_FOUND', message: `Tarea desconocida: ${name}` };
+    }
+
+    if (this.running.has(name)) {
+      return { job: name, status: SchedulerService.STATUS.SKIPPED, reason: 'already_running' };
+    }
+
+    this.running.add(name);
+
+    try {
+      if (job.lock && !(await this.acquireLock(name, job.lockTtlMs))) {
+        logger.debug('Job skipped, locked by another instance', { job: name });
+        return { job: name, status: SchedulerService.STATUS.SKIPPED, reason: 'locked' };
+      }
+
+      const startedAt = new Date();
+      let status = SchedulerService.STATUS.SUCCEEDED;
+      let result = null;
+      let errorMessage = null;
+
+      try {
+        result = await job.run();
+      } catch (error) {
+        status = SchedulerService.STATUS.FAILED;
+        errorMessage = error.message || String(error);
+        logger.error('Job failed', { job: name, error: errorMessage });
+      } finally {
+        if (job.lock) {
+          await this.releaseLock(name);
+        }
+      }
+
+      const finishedAt = new Date();
+      const run = {
+        job: name,
+        status,
+        durationMs: finishedAt - startedAt,
+        ...(errorMessage ? { error: errorMessage } : { result }),
+      };
+
+      await this.recordRun({ ...run, startedAt, finishedAt });
+
+      logger.info('Job finished', run);
+      return run;
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  /**
+   * Ejecutar todas las tareas una vez, en orden
+   */
+  async runAll() {
+    const runs = [];
+    for (const name of this.jobs.keys()) {
+      runs.push(await this.runJob(name));
+    }
+    return runs;
+  }
+
+  /**
+   * Tomar el candado de una tarea
+   * Gana quien lo inserta primero o quien lo encuentra vencido
+   */
+  async acquireLock(name, ttlMs) {
+    const now = new Date();
+    const lock = {
+      owner: this.instanceId,
+      acquiredAt: now,
+      lockedUntil: new Date(now.getTime() + ttlMs),
+    };
+
+    try {
+      await this.db.insert('job_locks', { name, ...lock });
+      return true;
+    } catch (error) {
+      if (error.code !== 'DUPLICATE_KEY') throw error;
+    }
+
+    const result = await this.db.update(
+      'job_locks',
+      { name, lockedUntil: { $lt: now } },
+      lock
+    );
+
+    return result.modifiedCount === 1;
+  }
+
+  async releaseLock(name) {
+    try {
+      await this.db.delete('job_locks', { name, owner: this.instanceId });
+    } catch (error) {
+      // El candado vence solo; no ocultar el resultado de la tarea
+      logger.error('Error releasing job lock', { job: name, error: error.message });
+    }
+  }
+
+  /**
+   * Guardar una ejecución en job_runs
+   */
+  async recordRun(run) {
+    try {
+      await this.db.insert('job_runs', {
+        jobName: run.job,
+        instanceId: this.instanceId,
+        status: run.status,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        durationMs: run.durationMs,
+        result: run.result ?? null,
+        error: run.error || null,
+      });
+    } catch (error) {
+      logger.error('Error recording job run', { job: run.job, error: error.message });
+    }
+  }
+
+  /**
+   * Últimas ejecuciones, opcionalmente de una tarea
+   */
+  async getRecentRuns({ jobName = null, limit = 20 } = {}) {
+    return this.db.find('job_runs', jobName ? { jobName } : {}, {
+      orderBy: { startedAt: 'desc' },
+      limit,
+    });
+  }
+
+  /**
+   * Borrar ejecuciones más antiguas que `days`
+   */
+  async purgeRuns(days = 30) {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const { deletedCount } = await this.db.delete('job_runs', { startedAt: { $lt: cutoff } });
+    return deletedCount;
+  }
+}
+
+module.exports = SchedulerService;
@@ -0,0 +1,504 @@
+/**
+ * SERVICIO DE SESIONES
+ *
+ * Emite y verifica los tokens de sesión del login con código:
+ * - Tokens JWT firmados con HMAC-SHA256 (SESSION_SECRET); no contienen
+ *   el código de acceso, solo el email y el id de la sesión
+ * - Cada token vence a las SESSION_TOKEN_TTL_HOURS o al expirar el código,
+ *   lo que ocurra primero; refresh() emite uno nuevo para la misma sesión
+ *   mientras el token no lleve vencido más de SESSION_REFRESH_WINDOW_HOURS
+ * - Cada sesión queda en la tabla sessions para poder revocarla (p. ej. al
+ *   desactivar el código) sin esperar a que venza el token
+ * - Cada código admite MAX_DEVICES_PER_CODE dispositivos con sesión activa
+ *   (o su propio `maxDevices`); volver a entrar desde el mismo dispositivo
+ *   reemplaza su sesión anterior en lugar de ocupar otro lugar
+ * - La sesión guarda los módulos del código para validar cada página sin
+ *   consultar el código; syncCodeModules() los actualiza tras un upgrade
+ * - También guarda los flags del código (prueba gratis, marca de agua);
+ *   syncCodeFlags() los quita al convertir la prueba en acceso pagado
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+// No actualizar lastSeenAt en cada validación
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+class SessionService {
+  static REVOKE_REASONS = {
+    LOGOUT: 'logout',
+    CODE_DEACTIVATED: 'code_deactivated',
+    REPLACED: 'replaced',
+    SIGNED_OUT_BY_OWNER: 'signed_out_by_owner',
+    ADMIN: 'admin',
+    SUBSCRIPTION_CANCELED: 'subscription_canceled',
+    REFUNDED: 'refunded',
+    DISPUTED: 'disputed',
+    DEVICE_LIMIT: 'device_limit',
+  };
+
+  constructor(database, { secret, tokenTtlHours = 24, refreshWindowHours = 168, maxDevicesPerCode = 2 } = {}) {
+    this.db = database;
+    this.tokenTtlMs = tokenTtlHours * HOUR;
+    this.refreshWindowMs = refreshWindowHours * HOUR;
+    this.maxDevicesPerCode = maxDevicesPerCode;
+
+    if (!secret) {
+      // Sin secreto fijo los tokens dejan de valer al reiniciar el servidor
+      logger.warn('SESSION_SECRET not configured, using a random secret');
+    }
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Huella del dispositivo: el id que guarda el navegador más su user agent
+   */
+  static fingerprint(deviceId, userAgent) {
+    return crypto
+      .createHash('sha256')
+      .update(`${deviceId || ''}|${userAgent || ''}`)
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  /**
+   * Nombre legible del dispositivo a partir del user agent
+   */
+  static describeUserAgent(userAgent = '') {
+    const ua = userAgent || '';
+    const browser = [
+      [/Edg\//, 'Edge'],
+      [/OPR\//, 'Opera'],
+      [/Firefox\//, 'Firefox'],
+      [/Chrome\//, 'Chrome'],
+      [/Safari\//, 'Safari'],
+    ].find(([pattern]) => pattern.test(ua))?.[1] || 'Navegador';
+    const system = [
+      [/Android/, 'Android'],
+      [/iPhone/, 'iPhone'],
+      [/iPad/, 'iPad'],
+      [/Windows/, 'Windows'],
+      [/Mac OS X|Macintosh/, 'Mac'],
+      [/Linux/, 'Linux'],
+    ].find(([pattern]) => pattern.test(ua))?.[1] || 'dispositivo desconocido';
+
+    return `${browser} en ${system}`;
+  }
+
+  /**
+   * Datos de una sesión que se pueden mostrar al comprador
+   */
+  static describeSession(session, currentSessionId = null) {
+    return {
+      sessionId: session.sessionId,
+      deviceName: session.deviceName,
+      ipAddress: session.ipAddress,
+      issuedAt: session.issuedAt,
+      lastSeenAt: session.lastSeenAt,
+      current: session.sessionId === currentSessionId,
+    };
+  }
+
+  /**
+   * Límite de dispositivos de un código (0 = sin límite)
+   */
+  deviceLimitFor(accessCode) {
+    return accessCode.maxDevices ?? this.maxDevicesPerCode;
+  }
+
+  /**
+   * Firmar un payload como JWT (HS256)
+   */
+  sign(payload) {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify(payload));
+    const signature = crypto
+      .createHmac('sha256', this.secret)
+      .update(`${header}.${body}`)
+      .digest('base64url');
+
+    return `${header}.${body}.${signature}`;
+  }
+
+  /**
+   * Verificar la firma de un token y devolver su payload
+   * Lanza { code: 'INVALID_TOKEN' } si el token fue alterado
+   */
+  decode(token) {
+    const parts = String(token).split('.');
+    const invalid = { code: 'INVALID_TOKEN', message: 'Token inválido' };
+
+    if (parts.length !== 3) throw invalid;
+
+    const [header, body, signature] = parts;
+    const expected = crypto
+      .createHmac('sha256', this.secret)
+      .update(`${header}.${body}`)
+      .digest('base64url');
+
+    if (!safeEqual(signature, expected)) throw invalid;
+
+    try {
+      const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf-8'));
+      if (alg !== 'HS256') throw invalid;
+      return JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+    } catch (error) {
+      throw invalid;
+    }
+  }
+
+  /**
+   * Token para una sesión: vence con el TTL o con el código
+   */
+  issueToken(session) {
+    const now = Date.now();
+    const exp = Math.min(now + this.tokenTtlMs, new Date(session.expiresAt).getTime());
+
+    return {
+      token: this.sign({
+        sub: session.email,
+        sid: session.sessionId,
+        iat: Math.floor(now / 1000),
+        exp: Math.floor(exp / 1000),
+      }),
+      tokenExpiresAt: new Date(exp),
+    };
+  }
+
+  /**
+   * Crear una sesión para un código ya validado
+   * Devuelve { token, tokenExpiresAt, session }
+   * Lanza { code: 'DEVICE_LIMIT_REACHED', devices } si el código ya está
+   * abierto en el máximo de dispositivos
+   * Dos logins simultáneos pueden pasar la verificación a la vez: después
+   * de insertar se vuelve a contar y, si el código quedó sobre el límite,
+   * la sesión nueva se revoca (se quedan los dispositivos que entraron antes)
+   */
+  async createSession(accessCode, { ipAddress = null, userAgent = null, deviceId = null } = {}) {
+    if (!this.db) {
+      throw new Error('Database not connected');
+    }
+
+    const fingerprint = SessionService.fingerprint(deviceId, userAgent);
+    const active = await this.listActiveSessions(accessCode.code);
+    const sameDevice = active.filter((session) => session.deviceId === fingerprint);
+    const otherDevices = new Set(
+      active
+        .filter((session) => session.deviceId !== fingerprint)
+        .map((session) => session.deviceId)
+    );
+
+    const limit = this.deviceLimitFor(accessCode);
+
+    if (limit > 0 && otherDevices.size >= limit) {
+      throw this.deviceLimitError(accessCode.code, limit, active);
+    }
+
+    for (const session of sameDevice) {
+      await this.revokeSession(session.sessionId, SessionService.REVOKE_REASONS.REPLACED);
+    }
+
+    const now = new Date();
+    const session = await this.db.insert('sessions', {
+      sessionId: crypto.randomUUID(),
+      accessCode: accessCode.code,
+      email: accessCode.email,
+      ipAddress,
+      userAgent,
+      deviceId: fingerprint,
+      deviceName: SessionService.describeUserAgent(userAgent),
+      modules: accessCode.modules ?? null,
+      flags: accessCode.flags ?? null,
+      issuedAt: now,
+      lastSeenAt: now,
+      expiresAt: accessCode.expiresAt,
+      revokedAt: null,
+      revokedReason: null,
+    });
+
+    if (limit > 0) {
+      const current = await this.listActiveSessions(accessCode.code);
+
+      if (!SessionService.admittedDevices(current, limit).has(fingerprint)) {
+        await this.revokeSession(session.sessionId, SessionService.REVOKE_REASONS.DEVICE_LIMIT);
+        throw this.deviceLimitError(
+          accessCode.code,
+          limit,
+          current.filter((item) => item.sessionId !== session.sessionId)
+        );
+      }
+    }
+
+    logger.info('Session created', { sessionId: session.sessionId, email: session.email });
+
+    return { ...this.issueToken(session), session };
+  }
+
+  /**
+   * Dispositivos que caben en el límite: los primeros en iniciar sesión
+   */
+  static admittedDevices(sessions, limit) {
+    const ordered = [...sessions].sort(
+      (a, b) => new Date(a.issuedAt) - new Date(b.issuedAt) || a.id - b.id
+    );
+    const admitted = new Set();
+
+    for (const session of ordered) {
+      if (admitted.size >= limit) break;
+      admitted.add(session.deviceId);
+    }
+
+    return admitted;
+  }
+
+  deviceLimitError(code, limit, sessions) {
+    logger.warn('Device limit reached', { code, limit });
+    return {
+      code: 'DEVICE_LIMIT_REACHED',
+      message: `Este código ya está abierto en ${limit} dispositivo(s). Cierra la sesión en alguno para continuar.`,
+      limit,
+      devices: sessions.map((session) => SessionService.describeSession(session)),
+    };
+  }
+
+  /**
+   * Sesiones vigentes de un código, la más reciente primero
+   */
+  async listActiveSessions(code) {
+    return this.db.find(
+      'sessions',
+      { accessCode: code, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { orderBy: { lastSeenAt: 'desc' } }
+    );
+  }
+
+  /**
+   * Registrar actividad de la sesión (como máximo cada 5 minutos)
+   */
+  async touch(session) {
+    const now = new Date();
+
+    if (session.lastSeenAt && now - new Date(session.lastSeenAt) < TOUCH_INTERVAL_MS) {
+      return;
+    }
+
+    await this.db.update('sessions', { sessionId: session.sessionId }, { lastSeenAt: now });
+  }
+
+  /**
+   * Verificar un token: firma, expiración y que la sesión no esté revocada
+   * Devuelve { valid: true, session, claims } o { valid: false, reason, message }
+   * Con `allowExpired` acepta tokens vencidos de sesiones vigentes (refresh)
+   */
+  async verify(token, { allowExpired = false } = {}) {
+    let claims;
+
+    try {
+      claims = this.decode(token);
+    } catch (error) {
+      return { valid: false, reason: 'INVALID_TOKEN', message: 'Token inválido' };
+    }
+
+    const now = Date.now();
+
+    if (!allowExpired && (!claims.exp || claims.exp * 1000 <= now)) {
+      return { valid: false, reason: 'TOKEN_EXPIRED', message: 'La sesión expiró' };
+    }
+
+    const session = await this.db.findOne('sessions', { sessionId: claims.sid });
+
+    if (!session) {
+      return { valid: false, reason: 'SESSION_NOT_FOUND', message: 'Sesión no encontrada' };
+    }
+
+    if (session.revokedAt) {
+      return {
+        valid: false,
+        reason: 'SESSION_REVOKED',
+        message: 'La sesión fue cerrada',
+        revokedReason: session.revokedReason,
+      };
+    }
+
+    if (session.expiresAt && new Date(session.expiresAt).getTime() <= now) {
+      return { valid: false, reason: 'TOKEN_EXPIRED', message: 'La sesión expiró' };
+    }
+
+    return { valid: true, session, claims };
+  }
+
+  /**
+   * Emitir un token nuevo para la sesión de `token`
+   * Solo acepta tokens vencidos hace menos de `refreshWindowMs`: un token
+   * viejo (p. ej. filtrado) no sirve para mantener la sesión abierta.
+   * Vuelve a validar el código: si fue desactivado, revoca la sesión;
+   * si fue renovado, la sesión toma la nueva vigencia
+   */
+  async refresh(token, accessCodeService) {
+    const verification = await this.verify(token, { allowExpired: true });
+
+    if (!verification.valid) {
+      return verification;
+    }
+
+    const { session, claims } = verification;
+
+    if (!claims.exp || claims.exp * 1000 + this.refreshWindowMs <= Date.now()) {
+      logger.warn('Refresh rejected for token outside the refresh window', { sessionId: session.sessionId });
+      return {
+        valid: false,
+        reason: 'REFRESH_WINDOW_EXPIRED',
+        message: 'La sesión expiró, vuelve a iniciar sesión',
+      };
+    }
+
+    const validation = await accessCodeService.validateCode(session.accessCode, session.email);
+
+    if (!validation.valid) {
+      if (validation.reason === 'CODE_INACTIVE') {
+        await this.revokeSession(session.sessionId, SessionService.REVOKE_REASONS.CODE_DEACTIVATED);
+      }
+      return { valid: false, reason: validation.reason, message: validation.message };
+    }
+
+    const refreshed = {
+      ...session,
+      expiresAt: validation.accessCode.expiresAt,
+      modules: validation.accessCode.modules ?? null,
+      flags: validation.accessCode.flags ?? null,
+      lastSeenAt: new Date(),
+    };
+
+    await this.db.update(
+      'sessions',
+      { sessionId: session.sessionId },
+      {
+        expiresAt: refreshed.expiresAt,
+        modules: refreshed.modules,
+        flags: refreshed.flags,
+        lastSeenAt: refreshed.lastSeenAt,
+      }
+    );
+
+    return { valid: true, session: refreshed, ...this.issueToken(refreshed) };
+  }
+
+  /**
+   * Copiar los módulos de un código a sus sesiones abiertas
+   */
+  async syncCodeModules(code, modules) {
+    const result = await this.db.update(
+      'sessions',
+      { accessCode: code, revokedAt: null },
+      { modules }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Copiar los flags de un código a sus sesiones abiertas
+   */
+  async syncCodeFlags(code, flags) {
+    const result = await this.db.update(
+      'sessions',
+      { accessCode: code, revokedAt: null },
+      { flags }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Copiar la nueva vigencia de un código renovado a sus sesiones abiertas
+   */
+  async syncCodeExpiration(code, expiresAt) {
+    const result = await this.db.update(
+      'sessions',
+      { accessCode: code, revokedAt: null },
+      { expiresAt }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revocar una sesión
+   */
+  async revokeSession(sessionId, reason = SessionService.REVOKE_REASONS.LOGOUT) {
+    const result = await this.db.update(
+      'sessions',
+      { sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info('Session revoked', { sessionId, reason });
+    }
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revocar una sesión solo si pertenece al código indicado
+   * (el comprador cerrando otro de sus dispositivos)
+   */
+  async revokeCodeSession(code, sessionId, reason = SessionService.REVOKE_REASONS.SIGNED_OUT_BY_OWNER) {
+    const result = await this.db.update(
+      'sessions',
+      { sessionId, accessCode: code, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info('Session revoked', { sessionId, reason });
+    }
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revocar todas las sesiones abiertas con un código
+   */
+  async revokeCodeSessions(code, reason = SessionService.REVOKE_REASONS.CODE_DEACTIVATED) {
+    const result = await this.db.update(
+      'sessions',
+      { accessCode: code, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    logger.info('Access code sessions revoked', { code, reason, count: result.modifiedCount });
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Borrar sesiones vencidas o revocadas hace más de `days`
+   */
+  async purgeExpired(days = 30) {
+    const cutoff = new Date(Date.now() - days * 24 * HOUR);
+
+    const [expired, revoked] = await Promise.all([
+      this.db.delete('sessions', { expiresAt: { $lt: cutoff } }),
+      this.db.delete('sessions', { revokedAt: { $lt: cutoff } }),
+    ]);
+
+    return expired.deletedCount + revoked.deletedCount;
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,187 @@
+/**
+ * SERVICIO DE BITÁCORA DE EVENTOS DE STRIPE
+ *
+ * Garantiza que cada evento del webhook se procese una sola vez:
+ * - claim(): reserva el event.id de forma atómica (clave única en
+ *   stripe_events o actualización condicionada sobre el estado anterior)
+ * - markProcessed() / markFailed(): guardan el resultado y el error
+ * - Los eventos fallidos se pueden reclamar otra vez (reintento de Stripe
+ *   o `npm run stripe:events -- reprocess`)
+ *
+ * Estados: processing → processed | failed
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const { logger } = require('../utils/logger');
+
+class StripeEventService {
+  static STATES = {
+    RECEIVED: 'received',
+    PROCESSING: 'processing',
+    PROCESSED: 'processed',
+    FAILED: 'failed',
+  };
+
+  // Un evento que sigue en 'processing' después de este tiempo se
+  // considera abandonado (el proceso se cayó) y se puede reclamar
+  static PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Resumen de un evento para consultarlo sin abrir el payload
+   */
+  static summarize(event) {
+    const object = event.data?.object || {};
+
+    return {
+      eventId: event.id,
+      eventType: event.type,
+      objectId: object.id || null,
+      customerEmail:
+        object.customer_details?.email || object.customer_email || object.receipt_email || null,
+      amount: object.amount_total ?? object.amount ?? null,
+      currency: object.currency || null,
+    };
+  }
+
+  /**
+   * Reservar un evento para procesarlo
+   * Devuelve { claimed: true, record } o { claimed: false, reason, record }
+   * reason: 'already_processed' | 'in_progress'
+   */
+  async claim(event) {
+    if (!this.db) {
+      throw new Error('Database not connected');
+    }
+
+    const now = new Date();
+
+    try {
+      const record = await this.db.insert('stripe_events', {
+        ...StripeEventService.summarize(event),
+        status: StripeEventService.STATES.PROCESSING,
+        attempts: 1,
+        lastError: null,
+        payload: event,
+        receivedAt: now,
+        lockedAt: now,
+        processedAt: null,
+      });
+
+      return { claimed: true, record };
+    } catch (error) {
+      if (error.code !== 'DUPLICATE_KEY') throw error;
+    }
+
+    // El evento ya estaba registrado
+    const existing = await this.getEvent(event.id);
+
+    if (existing.status === StripeEventService.STATES.PROCESSED) {
+      return { claimed: false, reason: 'already_processed', record: existing };
+    }
+
+    if (
+      existing.status === StripeEventService.STATES.PROCESSING &&
+      existing.lockedAt &&
+      now - new Date(existing.lockedAt) < StripeEventService.PROCESSING_TIMEOUT_MS
+    ) {
+      return { claimed: false, reason: 'in_progress', record: existing };
+    }
+
+    // Reintento de un evento fallido o abandonado: solo gana quien
+    // encuentre el registro en el mismo estado en que lo leyó
+    const result = await this.db.update(
+      'stripe_events',
+      {
+        eventId: event.id,
+        status: existing.status,
+        attempts: existing.attempts,
+      },
+      {
+        status: StripeEventService.STATES.PROCESSING,
+        lockedAt: now,
+        payload: existing.payload || event,
+      },
+      { increment: { attempts: 1 } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return { claimed: false, reason: 'in_progress', record: await this.getEvent(event.id) };
+    }
+
+    logger.info('Stripe event reclaimed', {
+      eventId: event.id,
+      previousStatus: existing.status,
+      attempt: existing.attempts + 1,
+    });
+
+    return { claimed: true, record: await this.getEvent(event.id) };
+  }
+
+  /**
+   * Marcar un evento como procesado
+   */
+  async markProcessed(eventId) {
+    await this.db.update(
+      'stripe_events',
+      { eventId },
+      {
+        status: StripeEventService.STATES.PROCESSED,
+        processedAt: new Date(),
+        lastError: null,
+      }
+    );
+  }
+
+  /**
+   * Marcar un evento como fallido guardando el error
+   */
+  async markFailed(eventId, error) {
+    const message = error?.message || String(error);
+
+    await this.db.update(
+      'stripe_events',
+      { eventId },
+      {
+        status: StripeEventService.STATES.FAILED,
+        lastError: error?.code ? `${error.code}: ${message}` : message,
+      }
+    );
+
+    logger.warn('Stripe event marked as failed', { eventId, error: message });
+  }
+
+  /**
+   * Obtener un evento de la bitácora
+   */
+  async getEvent(eventId) {
+    if (!this.db) {
+      throw new Error('Database not connected');
+    }
+
+    return this.db.findOne('stripe_events', { eventId });
+  }
+
+  /**
+   * Listar eventos, opcionalmente por estado
+   */
+  async listEvents({ status = null, limit = 50 } = {}) {
+    if (!this.db) {
+      throw new Error('Database not connected');
+    }
+
+    const where = status ? { status } : {};
+
+    return this.db.find('stripe_events', where, {
+      orderBy: { receivedAt: 'desc' },
+      limit,
+    });
+  }
+}
+
+module.exports = StripeEventService;
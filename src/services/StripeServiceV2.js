@@ -78,23 +78,59 @@ class StripeServiceV2 {
   async createCheckoutSession(data) {
     const {
       priceId,
+      priceData = null, // Alternativa a priceId: { name, description, unitAmount, currency, interval }
       successUrl,
       cancelUrl,
       customerEmail,
+      quantity = 1, // Compras de grupo: un código por unidad
+      promotionCodeId = null, // Cupón replicado en Stripe (CouponService)
       metadata = {},
       mode = 'payment',
       paymentMethodTypes = ['card', 'oxxo', 'customer_balance'], // Métodos soportados
+      locale = 'es', // 'auto' = idioma del navegador del comprador
     } = data;
 
     try {
-      // Validar price_id
-      const priceInfo = await this.validatePriceId(priceId);
+      let priceInfo;
+      let lineItem;
+
+      if (priceId) {
+        // Validar price_id
+        priceInfo = await this.validatePriceId(priceId);
+
+        if (!priceInfo.active) {
+          throw {
+            code: 'INACTIVE_PRICE',
+            message: 'El precio configurado no está activo',
+            priceId,
+          };
+        }
+
+        lineItem = { price: priceId, quantity };
+      } else if (priceData) {
+        priceInfo = {
+          active: true,
+          currency: priceData.currency,
+          amount: priceData.unitAmount,
+        };
 
-      if (!priceInfo.active) {
+        lineItem = {
+          price_data: {
+            currency: priceData.currency,
+            product_data: {
+              name: priceData.name,
+              description: priceData.description,
+            },
+            unit_amount: priceData.unitAmount,
+            // Suscripciones: precio recurrente (month / year)
+            ...(priceData.interval ? { recurring: { interval: priceData.interval } } : {}),
+          },
+          quantity,
+        };
+      } else {
         throw {
-          code: 'INACTIVE_PRICE',
-          message: 'El precio configurado no está activo',
-          priceId,
+          code: 'INVALID_PRICE_ID',
+          message: 'Se requiere un priceId o priceData para crear la sesión',
         };
       }
 
@@ -102,12 +138,7 @@ class StripeServiceV2 {
       const sessionConfig = {
         mode,
         payment_method_types: paymentMethodTypes,
-        line_items: [
-          {
-            price: priceId,
-            quantity: 1,
-          },
-        ],
+        line_items: [lineItem],
         success_url: successUrl,
         cancel_url: cancelUrl,
         customer_email: customerEmail,
@@ -116,16 +147,22 @@ class StripeServiceV2 {
           priceId,
           createdAt: new Date().toISOString(),
         },
-        // Configuración para OXXO
-        payment_method_options: {
-          oxxo: {
-            expires_after_days: 3, // Voucher expira en 3 días
-          },
-        },
+        payment_method_options: {},
         // Importante: Configurar idioma para OXXO
-        locale: 'es',
+        locale,
       };
 
+      // Configuración para OXXO
+      if (paymentMethodTypes.includes('oxxo')) {
+        sessionConfig.payment_method_options.oxxo = {
+          expires_after_days: 3, // Voucher expira en 3 días
+        };
+      }
+
+      if (promotionCodeId) {
+        sessionConfig.discounts = [{ promotion_code: promotionCodeId }];
+      }
+
       // Para transferencias bancarias, agregar configuración adicional
       if (paymentMethodTypes.includes('customer_balance')) {
         sessionConfig.payment_method_options.customer_balance = {
@@ -134,6 +171,8 @@ class StripeServiceV2 {
             type: 'mx_bank_transfer', // Para México
           },
         };
+        // Stripe exige un Customer para asignar la CLABE
+        sessionConfig.customer_creation = 'always';
       }
 
       const session = await this.stripe.checkout.sessions.create(sessionConfig);
@@ -144,6 +183,8 @@ class StripeServiceV2 {
         customerEmail,
         paymentMethodTypes,
         amount: priceInfo.amount,
+        quantity,
+        promotionCodeId,
       });
 
       return {
@@ -172,13 +213,38 @@ class StripeServiceV2 {
    * CRÍTICO: Maneja eventos de pago diferido
    */
   async handleWebhook(rawBody, signature, webhookSecret) {
+    const event = this.constructEvent(rawBody, signature, webhookSecret);
+    return await this.processEvent(event);
+  }
+
+  /**
+   * Verificar la firma del webhook y construir el evento
+   */
+  constructEvent(rawBody, signature, webhookSecret) {
     try {
-      const event = this.stripe.webhooks.constructEvent(
+      return this.stripe.webhooks.constructEvent(
         rawBody,
         signature,
         webhookSecret
       );
+    } catch (error) {
+      logger.warn('Invalid webhook signature', {
+        error: error.message,
+      });
 
+      throw {
+        code: 'INVALID_SIGNATURE',
+        message: 'Firma de webhook inválida',
+        originalError: error.message,
+      };
+    }
+  }
+
+  /**
+   * Despachar un evento ya verificado a su manejador
+   */
+  async processEvent(event) {
+    try {
       logger.info('Webhook received', {
         type: event.type,
         eventId: event.id,
@@ -189,6 +255,17 @@ class StripeServiceV2 {
         case 'checkout.session.completed':
           return await this.handleCheckoutComplete(event.data.object);
 
+        // OXXO / SPEI: el pago diferido se confirmó o falló (incluye voucher vencido)
+        case 'checkout.session.async_payment_succeeded':
+          return await this.handleAsyncPayment(event.data.object, true);
+
+        case 'checkout.session.async_payment_failed':
+          return await this.handleAsyncPayment(event.data.object, false);
+
+        // Checkout abandonado: venció sin completarse
+        case 'checkout.session.expired':
+          return await this.handleCheckoutExpired(event.data.object);
+
         // IMPORTANTE: Pago confirmado (para OXXO y transferencias)
         case 'payment_intent.succeeded':
           return await this.handlePaymentSuccess(event.data.object);
@@ -208,6 +285,32 @@ class StripeServiceV2 {
         case 'payment_intent.canceled':
           return await this.handlePaymentCanceled(event.data.object);
 
+        // Suscripciones: cobro de cada periodo y cancelación
+        case 'invoice.paid':
+          return await this.handleInvoice(event.data.object, true);
+
+        case 'invoice.payment_failed':
+          return await this.handleInvoice(event.data.object, false);
+
+        case 'customer.subscription.deleted':
+          return await this.handleSubscriptionDeleted(event.data.object);
+
+        // Reembolsos (desde el admin o desde el dashboard de Stripe)
+        case 'charge.refunded':
+          return await this.handleChargeRefunded(event.data.object);
+
+        // Disputas (contracargos)
+        case 'charge.dispute.created':
+        case 'charge.dispute.updated':
+        case 'charge.dispute.closed':
+          return await this.handleDispute(event.data.object, event.type.split('.').pop());
+
+        // Depósitos a la cuenta bancaria
+        case 'payout.paid':
+        case 'payout.failed':
+        case 'payout.canceled':
+          return await this.handlePayout(event.data.object);
+
         default:
           logger.info('Unhandled webhook event', { type: event.type });
           return { received: true, handled: false };
@@ -239,21 +342,9 @@ class StripeServiceV2 {
         paymentMethod: session.payment_method_types,
       });
 
-      // CRÍTICO: Verificar estado del pago
-      const isPaid = session.payment_status === 'paid';
-      const isPending = session.payment_status === 'unpaid';
-
       return {
         type: 'checkout.completed',
-        sessionId: session.id,
-        customerEmail: session.customer_email,
-        amount: session.amount_total,
-        currency: session.currency,
-        metadata: session.metadata,
-        paymentStatus: session.payment_status,
-        isPaid, // true solo si el pago fue instantáneo (tarjeta)
-        isPending, // true para OXXO y transferencias
-        paymentMethodTypes: session.payment_method_types,
+        ...this.describeCheckoutSession(session),
       };
     } catch (error) {
       logger.error('Error handling checkout complete', { error: error.message });
@@ -261,6 +352,398 @@ class StripeServiceV2 {
     }
   }
 
+  /**
+   * Manejar el resultado de un pago diferido (OXXO, transferencia)
+   * Stripe manda async_payment_failed también cuando vence el voucher
+   */
+  async handleAsyncPayment(session, succeeded) {
+    logger.info(succeeded ? 'Async payment succeeded' : 'Async payment failed', {
+      sessionId: session.id,
+      paymentIntentId: session.payment_intent,
+    });
+
+    return {
+      type: succeeded ? 'checkout.async_payment_succeeded' : 'checkout.async_payment_failed',
+      ...this.describeCheckoutSession(session),
+    };
+  }
+
+  /**
+   * Manejar un checkout que venció sin completarse (por defecto a las 24 h)
+   */
+  async handleCheckoutExpired(session) {
+    logger.info('Checkout expired', {
+      sessionId: session.id,
+      customerEmail: session.customer_details?.email || session.customer_email,
+    });
+
+    return {
+      type: 'checkout.expired',
+      ...this.describeCheckoutSession(session),
+      createdAt: session.created ? new Date(session.created * 1000) : null,
+      expiredAt: session.expires_at ? new Date(session.expires_at * 1000) : new Date(),
+    };
+  }
+
+  /**
+   * Datos comunes de una sesión de checkout
+   */
+  describeCheckoutSession(session) {
+    // CRÍTICO: Verificar estado del pago
+    const isPaid = session.payment_status === 'paid' || session.payment_status === 'no_payment_required';
+    const isPending = session.payment_status === 'unpaid';
+
+    return {
+      sessionId: session.id,
+      paymentIntentId: session.payment_intent || null,
+      customerEmail: session.customer_details?.email || session.customer_email,
+      customerName: session.customer_details?.name || session.metadata?.nombre,
+      customerPhone: session.customer_details?.phone || session.metadata?.telefono,
+      amount: session.amount_total,
+      currency: session.currency,
+      discountAmount: session.total_details?.amount_discount ?? null,
+      mode: session.mode || 'payment',
+      subscriptionId: session.subscription || null,
+      customerId: session.customer || null,
+      metadata: session.metadata,
+      paymentStatus: session.payment_status,
+      isPaid, // true solo si el pago fue instantáneo (tarjeta)
+      isPending, // true para OXXO y transferencias
+      paymentMethodTypes: session.payment_method_types,
+    };
+  }
+
+  /**
+   * Factura de una suscripción (pagada o con cobro fallido)
+   * El periodo que paga la factura viene en sus líneas; invoice.period_end
+   * es el cierre del periodo anterior
+   */
+  async handleInvoice(invoice, paid) {
+    const line = invoice.lines?.data?.[0];
+    const periodStart = line?.period?.start || invoice.period_start;
+    const periodEnd = line?.period?.end || invoice.period_end;
+
+    logger.info(paid ? 'Invoice paid' : 'Invoice payment failed', {
+      invoiceId: invoice.id,
+      subscriptionId: invoice.subscription,
+      billingReason: invoice.billing_reason,
+      attemptCount: invoice.attempt_count,
+    });
+
+    return {
+      type: paid ? 'invoice.paid' : 'invoice.payment_failed',
+      invoiceId: invoice.id,
+      // Versiones recientes de la API lo mueven a parent.subscription_details
+      subscriptionId: invoice.subscription || invoice.parent?.subscription_details?.subscription || null,
+      customerId: invoice.customer,
+      customerEmail: invoice.customer_email,
+      billingReason: invoice.billing_reason,
+      // Cobro de la factura (reembolsos y disputas); versiones recientes de
+      // la API lo mueven a payments
+      paymentIntentId: invoice.payment_intent
+        || invoice.payments?.data?.[0]?.payment?.payment_intent
+        || null,
+      chargeId: invoice.charge || null,
+      amount: paid ? invoice.amount_paid : invoice.amount_due,
+      currency: invoice.currency,
+      periodStart: periodStart ? new Date(periodStart * 1000) : null,
+      periodEnd: periodEnd ? new Date(periodEnd * 1000) : null,
+      attemptCount: invoice.attempt_count,
+      nextPaymentAttempt: invoice.next_payment_attempt
+        ? new Date(invoice.next_payment_attempt * 1000)
+        : null,
+    };
+  }
+
+  /**
+   * Suscripción terminada (cancelada o sin pago después de los reintentos)
+   */
+  async handleSubscriptionDeleted(subscription) {
+    logger.info('Subscription deleted', {
+      subscriptionId: subscription.id,
+      customerId: subscription.customer,
+      cancellationReason: subscription.cancellation_details?.reason,
+    });
+
+    return {
+      type: 'subscription.deleted',
+      subscriptionId: subscription.id,
+      customerId: subscription.customer,
+      endedAt: subscription.ended_at ? new Date(subscription.ended_at * 1000) : new Date(),
+      cancellationReason: subscription.cancellation_details?.reason || null,
+    };
+  }
+
+  /**
+   * Cargo reembolsado (total o parcialmente)
+   * `refunds` es null si el evento no los incluye (versiones recientes de
+   * la API); en ese caso se consultan con listRefunds
+   */
+  async handleChargeRefunded(charge) {
+    logger.info('Charge refunded', {
+      chargeId: charge.id,
+      paymentIntentId: charge.payment_intent,
+      amountRefunded: charge.amount_refunded,
+    });
+
+    return {
+      type: 'charge.refunded',
+      chargeId: charge.id,
+      paymentIntentId: charge.payment_intent || null,
+      amount: charge.amount,
+      amountRefunded: charge.amount_refunded,
+      currency: charge.currency,
+      refunds: charge.refunds?.data
+        ? charge.refunds.data.map((refund) => StripeServiceV2.describeRefund(refund, charge))
+        : null,
+    };
+  }
+
+  static describeRefund(refund, charge = null) {
+    return {
+      refundId: refund.id,
+      paymentIntentId: refund.payment_intent || charge?.payment_intent || null,
+      chargeId: charge?.id || refund.charge || null,
+      amount: refund.amount,
+      currency: refund.currency,
+      chargeAmount: charge?.amount ?? null,
+      status: refund.status,
+      reason: refund.metadata?.reason || refund.reason || null,
+      metadata: refund.metadata || {},
+    };
+  }
+
+  /**
+   * Reembolsar un pago (total si no se indica amount, en centavos)
+   */
+  async createRefund({ paymentIntentId, amount = null, reason = null, metadata = {} }) {
+    try {
+      const refund = await this.stripe.refunds.create({
+        payment_intent: paymentIntentId,
+        ...(amount ? { amount } : {}),
+        // Stripe solo acepta sus motivos; el texto libre va en metadata
+        reason: 'requested_by_customer',
+        metadata: { ...metadata, ...(reason ? { reason } : {}) },
+        expand: ['charge'],
+      });
+
+      logger.info('Refund created', {
+        refundId: refund.id,
+        paymentIntentId,
+        amount: refund.amount,
+        status: refund.status,
+      });
+
+      return StripeServiceV2.describeRefund(refund, refund.charge);
+    } catch (error) {
+      logger.error('Error creating refund', { paymentIntentId, error: error.message });
+
+      throw {
+        code: error.code || 'REFUND_ERROR',
+        message: error.message || 'Error al crear el reembolso',
+        stripeError: true,
+      };
+    }
+  }
+
+  /**
+   * Disputa creada, actualizada o cerrada (`stage`: created | updated | closed)
+   */
+  async handleDispute(dispute, stage) {
+    logger.warn(`Charge dispute ${stage}`, {
+      disputeId: dispute.id,
+      chargeId: dispute.charge,
+      reason: dispute.reason,
+      status: dispute.status,
+    });
+
+    return {
+      type: `dispute.${stage}`,
+      ...StripeServiceV2.describeDispute(dispute),
+    };
+  }
+
+  static describeDispute(dispute) {
+    const dueBy = dispute.evidence_details?.due_by;
+
+    return {
+      disputeId: dispute.id,
+      chargeId: typeof dispute.charge === 'string' ? dispute.charge : dispute.charge?.id || null,
+      paymentIntentId: typeof dispute.payment_intent === 'string'
+        ? dispute.payment_intent
+        : dispute.payment_intent?.id || null,
+      amount: dispute.amount,
+      currency: dispute.currency,
+      reason: dispute.reason,
+      status: dispute.status,
+      evidenceDueBy: dueBy ? new Date(dueBy * 1000) : null,
+    };
+  }
+
+  /**
+   * Depósito pagado, fallido o cancelado
+   */
+  async handlePayout(payout) {
+    logger.info('Payout updated', {
+      payoutId: payout.id,
+      status: payout.status,
+      amount: payout.amount,
+    });
+
+    return {
+      type: 'payout.updated',
+      ...StripeServiceV2.describePayout(payout),
+    };
+  }
+
+  static describePayout(payout) {
+    return {
+      payoutId: payout.id,
+      amount: payout.amount,
+      currency: payout.currency,
+      status: payout.status,
+      automatic: payout.automatic !== false,
+      arrivalDate: payout.arrival_date ? new Date(payout.arrival_date * 1000) : null,
+      createdAt: payout.created ? new Date(payout.created * 1000) : null,
+      failureMessage: payout.failure_message || null,
+    };
+  }
+
+  async listPayouts(range) {
+    return this.listAllPages(
+      (params) => this.stripe.payouts.list(params),
+      { created: StripeServiceV2.createdBetween(range) }
+    );
+  }
+
+  async getPayout(payoutId) {
+    return this.stripe.payouts.retrieve(payoutId);
+  }
+
+  /**
+   * Movimientos de saldo incluidos en un depósito automático, con su
+   * origen (cargo, reembolso, disputa) para llegar al Payment Intent
+   */
+  async listPayoutTransactions(payoutId) {
+    return this.listAllPages(
+      (params) => this.stripe.balanceTransactions.list(params),
+      { payout: payoutId, expand: ['data.source'] }
+    );
+  }
+
+  /**
+   * Enviar la evidencia de una disputa
+   * Con submit = false Stripe solo la guarda (se puede editar en el dashboard)
+   */
+  async submitDisputeEvidence(disputeId, evidence, { submit = true } = {}) {
+    try {
+      const dispute = await this.stripe.disputes.update(disputeId, { evidence, submit });
+
+      logger.info('Dispute evidence sent', { disputeId, submit, status: dispute.status });
+
+      return StripeServiceV2.describeDispute(dispute);
+    } catch (error) {
+      logger.error('Error sending dispute evidence', { disputeId, error: error.message });
+
+      throw {
+        code: error.code || 'DISPUTE_ERROR',
+        message: error.message || 'Error al enviar la evidencia',
+        stripeError: true,
+      };
+    }
+  }
+
+  async listRefunds(chargeId) {
+    const refunds = await this.stripe.refunds.list({ charge: chargeId, limit: 100 });
+    return refunds.data;
+  }
+
+  /**
+   * Todas las páginas de un listado de Stripe (conciliación)
+   */
+  async listAllPages(list, params) {
+    const items = [];
+    let startingAfter = null;
+
+    do {
+      const page = await list({
+        ...params,
+        limit: 100,
+        ...(startingAfter ? { starting_after: startingAfter } : {}),
+      });
+      items.push(...page.data);
+      startingAfter = page.has_more && page.data.length > 0 ? page.data[page.data.length - 1].id : null;
+    } while (startingAfter);
+
+    return items;
+  }
+
+  static createdBetween({ from, to }) {
+    return {
+      gte: Math.floor(from.getTime() / 1000),
+      lt: Math.floor(to.getTime() / 1000),
+    };
+  }
+
+  /**
+   * Sesiones de checkout creadas en un rango de fechas
+   */
+  async listCheckoutSessions(range) {
+    return this.listAllPages(
+      (params) => this.stripe.checkout.sessions.list(params),
+      { created: StripeServiceV2.createdBetween(range) }
+    );
+  }
+
+  async listPaymentIntents(range) {
+    return this.listAllPages(
+      (params) => this.stripe.paymentIntents.list(params),
+      { created: StripeServiceV2.createdBetween(range) }
+    );
+  }
+
+  async listRefundsCreated(range) {
+    return this.listAllPages(
+      (params) => this.stripe.refunds.list(params),
+      { created: StripeServiceV2.createdBetween(range) }
+    );
+  }
+
+  /**
+   * Sesión de checkout por id; null si Stripe no la encuentra
+   */
+  async getCheckoutSession(sessionId) {
+    try {
+      return await this.stripe.checkout.sessions.retrieve(sessionId);
+    } catch (error) {
+      if (error.code === 'resource_missing') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Payment Intent de una sesión de checkout (códigos anteriores a
+   * access_codes.stripePaymentIntentId)
+   */
+  async getCheckoutPaymentIntent(sessionId) {
+    const session = await this.stripe.checkout.sessions.retrieve(sessionId);
+    return session.payment_intent || null;
+  }
+
+  /**
+   * Sesión del portal de clientes de Stripe (tarjeta, facturas, cancelación)
+   */
+  async createPortalSession({ customerId, returnUrl }) {
+    const session = await this.stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl,
+    });
+
+    logger.info('Customer portal session created', { customerId });
+
+    return { url: session.url };
+  }
+
   /**
    * Manejar Payment Intent creado
    * Se dispara cuando se genera un voucher de OXXO o instrucciones de transferencia
@@ -405,6 +888,98 @@ class StripeServiceV2 {
     }
   }
 
+  /**
+   * Obtener las instrucciones de pago de un Payment Intent diferido
+   * - OXXO: número de referencia y URL del voucher
+   * - SPEI: CLABE, banco y referencia de la transferencia
+   */
+  async getPaymentInstructions(paymentIntentId) {
+    const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
+    return StripeServiceV2.extractPaymentInstructions(paymentIntent);
+  }
+
+  /**
+   * Normalizar next_action de un Payment Intent
+   */
+  static extractPaymentInstructions(paymentIntent) {
+    const nextAction = paymentIntent.next_action || {};
+
+    if (nextAction.oxxo_display_details) {
+      const oxxo = nextAction.oxxo_display_details;
+
+      return {
+        method: 'oxxo',
+        reference: oxxo.number,
+        voucherUrl: oxxo.hosted_voucher_url,
+        expiresAt: oxxo.expires_after ? new Date(oxxo.expires_after * 1000) : null,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+      };
+    }
+
+    if (nextAction.display_bank_transfer_instructions) {
+      const transfer = nextAction.display_bank_transfer_instructions;
+      const spei = (transfer.financial_addresses || []).find((address) => address.spei)?.spei || {};
+
+      return {
+        method: 'customer_balance',
+        reference: transfer.reference,
+        clabe: spei.clabe,
+        bankName: spei.bank_name,
+        instructionsUrl: transfer.hosted_instructions_url,
+        expiresAt: null,
+        amount: transfer.amount_remaining ?? paymentIntent.amount,
+        currency: transfer.currency || paymentIntent.currency,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Replicar un cupón (CouponService) como Coupon + Promotion Code de Stripe
+   * El comprador no escribe el código en Stripe: el checkout lo aplica
+   */
+  async createPromotionCode(coupon) {
+    try {
+      const stripeCoupon = await this.stripe.coupons.create({
+        name: coupon.description || coupon.code,
+        duration: 'once',
+        ...(coupon.discountType === 'percent'
+          ? { percent_off: coupon.value }
+          : { amount_off: coupon.value, currency: coupon.currency }),
+        ...(coupon.maxRedemptions ? { max_redemptions: coupon.maxRedemptions } : {}),
+        ...(coupon.expiresAt ? { redeem_by: Math.floor(new Date(coupon.expiresAt).getTime() / 1000) } : {}),
+        metadata: { couponCode: coupon.code },
+      });
+
+      const promotionCode = await this.stripe.promotionCodes.create({
+        coupon: stripeCoupon.id,
+        code: coupon.code,
+        metadata: { couponCode: coupon.code },
+      });
+
+      logger.info('Stripe promotion code created', {
+        couponCode: coupon.code,
+        couponId: stripeCoupon.id,
+        promotionCodeId: promotionCode.id,
+      });
+
+      return { couponId: stripeCoupon.id, promotionCodeId: promotionCode.id };
+    } catch (error) {
+      logger.error('Error creating Stripe promotion code', {
+        couponCode: coupon.code,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  async deactivatePromotionCode(promotionCodeId) {
+    await this.stripe.promotionCodes.update(promotionCodeId, { active: false });
+    logger.info('Stripe promotion code deactivated', { promotionCodeId });
+  }
+
   /**
    * Obtener todos los precios activos
    */
@@ -0,0 +1,179 @@
+/**
+ * SERVICIO DE SUSCRIPCIONES
+ *
+ * Los productos de suscripción (kind: 'subscription') se cobran cada mes o
+ * cada año con Stripe Billing; el código de acceso sigue activo mientras
+ * la suscripción esté pagada:
+ * - invoice.paid: la vigencia pasa al fin del periodo pagado más
+ *   `graceDays` (margen para los reintentos de cobro de Stripe)
+ * - invoice.payment_failed: la suscripción queda `past_due`; el código
+ *   sigue activo hasta el fin de su vigencia (periodo de gracia)
+ * - customer.subscription.deleted: el código se suspende
+ *
+ * SubscriptionHandler aplica estos cambios desde los webhooks; el código
+ * se genera al completarse el checkout, como en cualquier compra.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const { logger } = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class SubscriptionService {
+  static STATUSES = {
+    ACTIVE: 'active',
+    PAST_DUE: 'past_due',
+    CANCELED: 'canceled',
+  };
+
+  constructor(database, { graceDays = 3 } = {}) {
+    this.db = database;
+    this.graceDays = graceDays;
+  }
+
+  async findBySubscriptionId(subscriptionId) {
+    if (!subscriptionId) return null;
+    return this.db.findOne('access_codes', { stripeSubscriptionId: subscriptionId });
+  }
+
+  /**
+   * Extender la vigencia con una factura pagada
+   * La vigencia nunca se acorta (facturas repetidas o fuera de orden)
+   * Devuelve null si la suscripción no tiene código todavía
+   */
+  async applyPaidInvoice({ subscriptionId, periodEnd, now = new Date() }) {
+    const accessCode = await this.findBySubscriptionId(subscriptionId);
+    if (!accessCode) return null;
+
+    const previousExpiresAt = accessCode.expiresAt ? new Date(accessCode.expiresAt) : null;
+    const paidUntil = new Date(new Date(periodEnd || now).getTime() + this.graceDays * DAY);
+    const expiresAt = previousExpiresAt && previousExpiresAt > paidUntil ? previousExpiresAt : paidUntil;
+
+    const changes = {
+      expiresAt,
+      subscriptionStatus: SubscriptionService.STATUSES.ACTIVE,
+      // Un código que expiró mientras Stripe reintentaba el cobro se reactiva
+      ...(accessCode.status === 'expired' ? { status: 'active' } : {}),
+    };
+
+    const result = await this.db.update(
+      'access_codes',
+      { code: accessCode.code, status: { $in: ['active', 'expired'] } },
+      changes
+    );
+
+    // Códigos desactivados por un administrador o ya suspendidos
+    if (result.modifiedCount === 0) {
+      logger.warn('Subscription invoice for inactive access code', {
+        code: accessCode.code,
+        subscriptionId,
+        status: accessCode.status,
+      });
+      return { accessCode, previousExpiresAt, expiresAt: previousExpiresAt, extended: false };
+    }
+
+    const extended = !previousExpiresAt || expiresAt > previousExpiresAt;
+
+    logger.info('Subscription invoice applied', {
+      code: accessCode.code,
+      subscriptionId,
+      previousExpiresAt,
+      expiresAt,
+      extended,
+    });
+
+    return { accessCode: { ...accessCode, ...changes }, previousExpiresAt, expiresAt, extended };
+  }
+
+  /**
+   * Marcar la suscripción con cobro fallido
+   * El acceso sigue hasta el fin de la vigencia actual (periodo de gracia)
+   */
+  async markPastDue({ subscriptionId }) {
+    const accessCode = await this.findBySubscriptionId(subscriptionId);
+    if (!accessCode) return null;
+
+    await this.db.update(
+      'access_codes',
+      { code: accessCode.code },
+      { subscriptionStatus: SubscriptionService.STATUSES.PAST_DUE }
+    );
+
+    logger.warn('Subscription payment failed', {
+      code: accessCode.code,
+      subscriptionId,
+      graceEndsAt: accessCode.expiresAt,
+    });
+
+    return {
+      accessCode: { ...accessCode, subscriptionStatus: SubscriptionService.STATUSES.PAST_DUE },
+      graceEndsAt: accessCode.expiresAt,
+    };
+  }
+
+  /**
+   * Suspender el código de una suscripción terminada
+   * Devuelve { accessCode, suspended } (suspended = false si ya lo estaba)
+   */
+  async cancel({ subscriptionId }) {
+    const accessCode = await this.findBySubscriptionId(subscriptionId);
+    if (!accessCode) return null;
+
+    const result = await this.db.update(
+      'access_codes',
+      { code: accessCode.code, status: { $in: ['active', 'expired'] } },
+      { status: 'suspended', subscriptionStatus: SubscriptionService.STATUSES.CANCELED }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info('Subscription access suspended', { code: accessCode.code, subscriptionId });
+    }
+
+    return {
+      accessCode: {
+        ...accessCode,
+        status: result.modifiedCount > 0 ? 'suspended' : accessCode.status,
+        subscriptionStatus: SubscriptionService.STATUSES.CANCELED,
+      },
+      suspended: result.modifiedCount > 0,
+    };
+  }
+
+  /**
+   * Suscripción de un código para la página de la cuenta
+   * Lanza { code: 'NO_SUBSCRIPTION' } si el código no es de suscripción
+   */
+  async getSubscription(code) {
+    const accessCode = await this.db.findOne('access_codes', { code });
+
+    if (!accessCode || !accessCode.stripeSubscriptionId) {
+      throw { code: 'NO_SUBSCRIPTION', message: 'Este código no tiene una suscripción' };
+    }
+
+    return {
+      code: accessCode.code,
+      productName: accessCode.productName,
+      status: accessCode.subscriptionStatus,
+      expiresAt: accessCode.expiresAt,
+      stripeCustomerId: accessCode.stripeCustomerId,
+    };
+  }
+
+  /**
+   * Códigos de suscripción por estado
+   */
+  async getStats() {
+    const { ACTIVE, PAST_DUE, CANCELED } = SubscriptionService.STATUSES;
+    const [active, pastDue, canceled] = await Promise.all([
+      this.db.count('access_codes', { subscriptionStatus: ACTIVE }),
+      this.db.count('access_codes', { subscriptionStatus: PAST_DUE }),
+      this.db.count('access_codes', { subscriptionStatus: CANCELED }),
+    ]);
+
+    return { active, pastDue, canceled };
+  }
+}
+
+module.exports = SubscriptionService;
@@ -0,0 +1,208 @@
+/**
+ * SERVICIO DE PRUEBAS GRATIS
+ *
+ * Códigos de prueba para que un instructor conozca la plataforma antes de
+ * pagar:
+ * - Se emiten con AccessCodeService: vigencia corta (TRIAL_DAYS), solo los
+ *   módulos de la prueba y flags que aplica el navegador (marca de agua)
+ * - Una prueba por email y una por teléfono (trial_claims); quien ya tiene
+ *   un código de acceso no pide prueba
+ * - El enlace firmado de "comprar el acceso completo" crea el checkout del
+ *   producto de upgrade para el mismo código, sin pedir datos otra vez
+ *
+ * La conversión a código pagado la aplica TrialHandler cuando se paga
+ * un checkout con metadata.upgradeCode (AccessCodeService.convertTrial).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+class TrialService {
+  constructor(database, accessCodeService, { trial, secret, appUrl } = {}) {
+    this.db = database;
+    this.accessCodes = accessCodeService;
+    this.trial = trial;
+    this.appUrl = appUrl;
+
+    if (!secret) {
+      // Sin secreto fijo los enlaces de upgrade ya enviados dejan de valer al reiniciar
+      logger.warn('Trial signing secret not configured, using a random secret');
+    }
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Claves con las que se limita a una prueba por persona
+   * El teléfono se compara por sus últimos 10 dígitos (número nacional)
+   */
+  static claimKeys({ email, phone = null }) {
+    const keys = [`email:${String(email).toLowerCase().trim()}`];
+    const digits = String(phone || '').replace(/\D/g, '');
+
+    if (digits.length >= 10) {
+      keys.push(`phone:${digits.slice(-10)}`);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Quitar las claves reservadas de una prueba que no se emitió
+   */
+  async releaseClaims(claimKeys) {
+    for (const claimKey of claimKeys) {
+      await this.db.delete('trial_claims', { claimKey });
+    }
+  }
+
+  /**
+   * Emitir el código de prueba
+   * Lanza { code: 'TRIAL_ALREADY_USED' } si el email o el teléfono ya
+   * tuvieron una prueba, { code: 'ALREADY_CUSTOMER' } si el email ya
+   * tiene un código de acceso y { code: 'INVALID_PHONE' } si el teléfono
+   * no tiene 10 dígitos (sin ellos no se limitaría la prueba por teléfono)
+   */
+  async issueTrial({ email, name = null, phone = null, deliveryMethod = 'email' }) {
+    const normalizedEmail = email.toLowerCase().trim();
+
+    if (phone && String(phone).replace(/\D/g, '').length < 10) {
+      throw { code: 'INVALID_PHONE', message: 'El teléfono debe tener al menos 10 dígitos' };
+    }
+
+    if (await this.db.findOne('access_codes', { email: normalizedEmail, trial: { $ne: true } })) {
+      throw {
+        code: 'ALREADY_CUSTOMER',
+        message: 'Este email ya tiene un código de acceso; inicia sesión con él',
+      };
+    }
+
+    const code = await this.accessCodes.createUniqueCode();
+    const keys = TrialService.claimKeys({ email: normalizedEmail, phone });
+    const claimed = [];
+
+    try {
+      for (const claimKey of keys) {
+        await this.db.insert('trial_claims', { claimKey, accessCode: code, createdAt: new Date() });
+        claimed.push(claimKey);
+      }
+    } catch (error) {
+      // El email pudo reservarse antes de que fallara el teléfono
+      await this.releaseClaims(claimed);
+
+      if (error.code === 'DUPLICATE_KEY') {
+        logger.warn('Trial already used', { email: normalizedEmail });
+        throw {
+          code: 'TRIAL_ALREADY_USED',
+          message: 'Ya usaste tu prueba gratis con este email o teléfono',
+        };
+      }
+      throw error;
+    }
+
+    let accessCode;
+    try {
+      accessCode = await this.accessCodes.saveAccessCode({
+        code,
+        userId: normalizedEmail,
+        email: normalizedEmail,
+        name: name || 'Instructor',
+        phone,
+        deliveryMethod,
+        productId: this.trial.id,
+        productName: this.trial.name,
+        paymentId: null,
+        amount: 0,
+        currency: null,
+        expiresAt: this.accessCodes.calculateExpiration(this.trial.accessDays),
+        modules: this.trial.modules,
+        trial: true,
+        flags: this.trial.flags,
+      });
+    } catch (error) {
+      // Sin código la prueba no se usó; el email y el teléfono pueden pedirla otra vez
+      await this.releaseClaims(claimed);
+      throw error;
+    }
+
+    logger.info('Trial access code issued', { code, email: normalizedEmail });
+
+    return accessCode;
+  }
+
+  /**
+   * Código de prueba que se va a convertir en pagado
+   * Lanza CODE_NOT_FOUND si no existe con ese email, NOT_A_TRIAL si ya se
+   * pagó y CODE_INACTIVE si un administrador lo desactivó
+   */
+  async assertUpgradable(code, email = null) {
+    const where = { code: String(code || '').toUpperCase().trim() };
+    if (email !== null) where.email = String(email).toLowerCase().trim();
+
+    const accessCode = await this.db.findOne('access_codes', where);
+
+    if (!accessCode) {
+      throw { code: 'CODE_NOT_FOUND', message: 'No encontramos ese código con ese email' };
+    }
+
+    if (!accessCode.trial) {
+      throw { code: 'NOT_A_TRIAL', message: 'Este código ya tiene el acceso completo' };
+    }
+
+    if (accessCode.status === 'inactive') {
+      throw { code: 'CODE_INACTIVE', message: 'Este código está inactivo' };
+    }
+
+    return accessCode;
+  }
+
+  signature(code) {
+    return crypto.createHmac('sha256', this.secret).update(`upgrade.${code}`).digest('base64url');
+  }
+
+  /**
+   * Enlace firmado para comprar el acceso completo con un clic
+   * No vence: también sirve después de que termina la prueba
+   */
+  upgradeUrl(code) {
+    const params = new URLSearchParams({ code, signature: this.signature(code) });
+    return `${this.appUrl}/api/trials/upgrade?${params}`;
+  }
+
+  /**
+   * Código de prueba de un enlace de upgrade
+   * Lanza { code: 'INVALID_UPGRADE_LINK' } si la firma no coincide
+   */
+  async verifyUpgradeLink({ code, signature }) {
+    const expected = Buffer.from(this.signature(String(code || '')));
+    const received = Buffer.from(String(signature || ''));
+
+    if (!code || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw { code: 'INVALID_UPGRADE_LINK', message: 'El enlace no es válido' };
+    }
+
+    return this.assertUpgradable(code);
+  }
+
+  /**
+   * Pruebas emitidas desde `since` y cuántas se convirtieron en pagadas
+   * (al convertirse, el código deja de ser de prueba y queda upgradedAt)
+   */
+  async getStats(since) {
+    const [pending, upgraded] = await Promise.all([
+      this.db.count('access_codes', { trial: true, createdAt: { $gte: since } }),
+      this.db.count('access_codes', { upgradedAt: { $ne: null }, createdAt: { $gte: since } }),
+    ]);
+    const issued = pending + upgraded;
+
+    return {
+      issued,
+      upgraded,
+      conversionRate: issued > 0 ? Math.round((upgraded / issued) * 1000) / 10 : null,
+    };
+  }
+}
+
+module.exports = TrialService;
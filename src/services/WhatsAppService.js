@@ -14,6 +14,7 @@
 
 const axios = require('axios');
 const { logger } = require('../utils/logger');
+const { formatMoney, toMinorUnits } = require('../utils/money');
 
 class WhatsAppService {
   constructor(phoneNumberId, accessToken) {
@@ -71,9 +72,10 @@ class WhatsAppService {
 
   /**
    * Enviar código de acceso por WhatsApp
+   * `amount` en unidades (pesos o dólares), como en access_codes
    */
   async sendAccessCode(data) {
-    const { to, name, accessCode, expiresAt, productName, amount } = data;
+    const { to, name, accessCode, expiresAt, productName, amount, currency = 'mxn' } = data;
 
     const message = `
 🎓 *SkillsCert - Código de Acceso*
@@ -85,7 +87,7 @@ Tu pago ha sido procesado exitosamente. Aquí está tu código de acceso:
 🔑 *Código:* ${accessCode}
 
 📦 *Producto:* ${productName}
-💰 *Monto:* $${amount} MXN
+💰 *Monto:* ${formatMoney(toMinorUnits(amount, currency), currency)}
 
 ⏰ *Válido hasta:* ${new Date(expiresAt).toLocaleDateString('es-MX', {
       weekday: 'long',
@@ -234,10 +236,10 @@ _SkillsCert_
   }
 
   /**
-   * Enviar confirmación de pago
+   * Enviar confirmación de pago (`amount` en centavos)
    */
   async sendPaymentConfirmation(data) {
-    const { to, name, amount, productName, paymentId } = data;
+    const { to, name, amount, currency, productName, paymentId } = data;
 
     const message = `
 ✅ *Pago Confirmado - SkillsCert*
@@ -247,12 +249,205 @@ Hola ${name},
 Tu pago ha sido procesado exitosamente.
 
 📦 *Producto:* ${productName}
-💰 *Monto:* $${amount} MXN
+💰 *Monto:* ${formatMoney(amount, currency)}
 🔖 *ID de Pago:* ${paymentId}
 
 Recibirás tu código de acceso en breve.
 
 Gracias por tu compra.
+_SkillsCert_
+    `.trim();
+
+    return await this.sendTextMessage(to, message);
+  }
+
+  /**
+   * Enviar instrucciones de pago diferido (OXXO o SPEI)
+   */
+  async sendPaymentInstructions(data) {
+    const { to, name, productName, instructions } = data;
+    const amount = formatMoney(instructions.amount, instructions.currency);
+
+    const details = instructions.method === 'oxxo'
+      ? `🏪 *Paga en OXXO*
+
+🔢 *Referencia:* ${instructions.reference}
+💰 *Monto:* ${amount}
+⏰ *Fecha límite:* ${instructions.expiresAt ? new Date(instructions.expiresAt).toLocaleString('es-MX') : 'ver voucher'}
+🧾 *Voucher:* ${instructions.voucherUrl}`
+      : `🏦 *Paga por transferencia SPEI*
+
+🏛️ *Banco:* ${instructions.bankName}
+🔢 *CLABE:* ${instructions.clabe}
+🔖 *Referencia:* ${instructions.reference}
+💰 *Monto:* ${amount}`;
+
+    const message = `
+🎓 *SkillsCert - ${productName}*
+
+Hola ${name || 'Estudiante'},
+
+Tu pedido está reservado. Completa tu pago:
+
+${details}
+
+En cuanto se confirme tu pago te enviaremos tu código de acceso.
+_SkillsCert_
+    `.trim();
+
+    return await this.sendTextMessage(to, message);
+  }
+
+  /**
+   * Recordar que el código está por vencer
+   */
+  async sendRenewalReminder(data) {
+    const { to, name, productName, accessCode, expiresAt, daysLeft, renewUrl } = data;
+
+    const message = `
+⏰ *SkillsCert - Tu acceso está por vencer*
+
+Hola ${name || 'Estudiante'},
+
+Tu código *${accessCode}* de ${productName} vence en ${daysLeft} ${daysLeft === 1 ? 'día' : 'días'} (${new Date(expiresAt).toLocaleDateString('es-MX')}).
+
+Renueva con el mismo código y conserva tu trabajo guardado:
+${renewUrl}
+
+_SkillsCert_
+    `.trim();
+
+    return await this.sendTextMessage(to, message);
+  }
+
+  /**
+   * Confirmar una renovación
+   */
+  async sendRenewalConfirmation(data) {
+    const { to, name, accessCode, expiresAt } = data;
+
+    const message = `
+✅ *SkillsCert - Acceso renovado*
+
+Hola ${name || 'Estudiante'},
+
+Tu código *${accessCode}* ahora es válido hasta el ${new Date(expiresAt).toLocaleDateString('es-MX')}.
+Sigue usando el mismo código; tu trabajo guardado se conserva.
+
+_SkillsCert_
+    `.trim();
+
+    return await this.sendTextMessage(to, message);
+  }
+
+  /**
+   * Avisar que no se pudo cobrar la suscripción
+   */
+  async sendSubscriptionPaymentFailed(data) {
+    const { to, name, productName, accessCode, graceEndsAt, accountUrl } = data;
+
+    const message = `
+⚠️ *SkillsCert - No pudimos cobrar tu suscripción*
+
+Hola ${name || 'Estudiante'},
+
+El cargo de tu suscripción a ${productName} fue rechazado. Tu código *${accessCode}* sigue activo hasta el ${new Date(graceEndsAt).toLocaleDateString('es-MX')}.
+
+Actualiza tu método de pago para no perder el acceso:
+${accountUrl}
+
+_SkillsCert_
+    `.trim();
+
+    return await this.sendTextMessage(to, message);
+  }
+
+  /**
+   * Avisar que la suscripción terminó
+   */
+  async sendSubscriptionCanceled(data) {
+    const { to, name, productName, accessCode, subscribeUrl } = data;
+
+    const message = `
+*SkillsCert - Tu suscripción terminó*
+
+Hola ${name || 'Estudiante'},
+
+Tu suscripción a ${productName} se canceló y el código *${accessCode}* ya no da acceso a la plataforma.
+
+Puedes suscribirte de nuevo cuando quieras:
+${subscribeUrl}
+
+_SkillsCert_
+    `.trim();
+
+    return await this.sendTextMessage(to, message);
+  }
+
+  /**
+   * Avisar de un reembolso
+   */
+  async sendRefundNotification(data) {
+    const { to, name, productName, accessCode, amount, currency, accessAction, expiresAt } = data;
+    const access = {
+      deactivate: `El código *${accessCode}* ya no da acceso a la plataforma.`,
+      shorten: `El código *${accessCode}* ahora es válido hasta el ${new Date(expiresAt).toLocaleDateString('es-MX')}.`,
+    }[accessAction] || `Tu código *${accessCode}* sigue activo.`;
+
+    const message = `
+*SkillsCert - Reembolso procesado*
+
+Hola ${name || 'Estudiante'},
+
+Reembolsamos *${formatMoney(amount, currency)}* de tu compra de ${productName}.
+${access}
+
+_SkillsCert_
+    `.trim();
+
+    return await this.sendTextMessage(to, message);
+  }
+
+  /**
+   * Enviar el código de una prueba gratis
+   */
+  async sendTrialCode(data) {
+    const { to, name, accessCode, expiresAt, modules, upgradeUrl } = data;
+
+    const message = `
+🎓 *SkillsCert - Tu prueba gratis*
+
+Hola ${name || 'Instructor'},
+
+Tu código de prueba: *${accessCode}*
+Válido hasta el ${new Date(expiresAt).toLocaleDateString('es-MX')}.
+Incluye: ${modules.join(', ')} (con marca de agua).
+
+Compra el acceso completo con el mismo código:
+${upgradeUrl}
+
+_SkillsCert_
+    `.trim();
+
+    return await this.sendTextMessage(to, message);
+  }
+
+  /**
+   * Enviar el enlace de un checkout nuevo a quien no terminó su compra
+   */
+  async sendCheckoutRecovery(data) {
+    const { to, name, productName, amount, currency, checkoutUrl } = data;
+
+    const message = `
+🛒 *SkillsCert - Tu compra sigue pendiente*
+
+Hola ${name || 'Cliente'},
+
+No terminaste tu compra de ${productName} (*${formatMoney(amount, currency)}*). Complétala aquí:
+${checkoutUrl}
+
+Responde BAJA si no quieres recibir estos recordatorios.
+
 _SkillsCert_
     `.trim();
 
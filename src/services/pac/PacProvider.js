@@ -0,0 +1,31 @@
+/**
+ * INTERFAZ DE PROVEEDOR DE CERTIFICACIÓN (PAC)
+ *
+ * Contrato para timbrar facturas CFDI 4.0 con un PAC autorizado por el SAT.
+ * CfdiService arma el XML sin sello; el proveedor lo sella con el CSD del
+ * emisor (cargado en el portal del PAC) y lo timbra.
+ *
+ * Para agregar un PAC: extender esta clase y registrarlo en pac/index.js.
+ * Los errores se lanzan como { code, message, retryable }: con
+ * retryable = false (datos del receptor rechazados por el SAT) la factura
+ * no se vuelve a intentar sola.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+class PacProvider {
+  get name() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Sellar y timbrar un CFDI
+   * Devuelve { uuid, xml (timbrado), stampedAt }
+   */
+  async stamp(xml) {
+    throw new Error(`${this.constructor.name}.stamp not implemented`);
+  }
+}
+
+module.exports = PacProvider;
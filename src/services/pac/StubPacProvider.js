@@ -0,0 +1,50 @@
+/**
+ * PAC LOCAL DE PRUEBAS
+ *
+ * Agrega al XML un TimbreFiscalDigital con UUID aleatorio y sellos de
+ * prueba, sin llamar al SAT. Los CFDI que genera NO tienen validez fiscal.
+ *
+ * `failWith` permite simular un rechazo del PAC ({ code, message, retryable }).
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const crypto = require('crypto');
+const PacProvider = require('./PacProvider');
+
+const TFD_NAMESPACE = 'http://www.sat.gob.mx/TimbreFiscalDigital';
+const TFD_SCHEMA = 'http://www.sat.gob.mx/sitio_internet/cfd/TimbreFiscalDigital/TimbreFiscalDigitalv11.xsd';
+
+class StubPacProvider extends PacProvider {
+  constructor({ failWith = null } = {}) {
+    super();
+    this.failWith = failWith;
+  }
+
+  get name() {
+    return 'stub';
+  }
+
+  async stamp(xml) {
+    if (this.failWith) {
+      throw { retryable: true, ...this.failWith };
+    }
+
+    const uuid = crypto.randomUUID().toUpperCase();
+    const stampedAt = new Date();
+
+    const timbre = `<tfd:TimbreFiscalDigital xmlns:tfd="${TFD_NAMESPACE}" ` +
+      `xsi:schemaLocation="${TFD_NAMESPACE} ${TFD_SCHEMA}" Version="1.1" UUID="${uuid}" ` +
+      `FechaTimbrado="${stampedAt.toISOString().slice(0, 19)}" RfcProvCertif="AAA010101AAA" ` +
+      'SelloCFD="PRUEBA" NoCertificadoSAT="00000000000000000000" SelloSAT="PRUEBA"/>';
+
+    return {
+      uuid,
+      xml: xml.replace('</cfdi:Comprobante>', `<cfdi:Complemento>${timbre}</cfdi:Complemento></cfdi:Comprobante>`),
+      stampedAt,
+    };
+  }
+}
+
+module.exports = StubPacProvider;
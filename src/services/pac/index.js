@@ -0,0 +1,34 @@
+/**
+ * SELECCIÓN DE PAC
+ *
+ * CFDI_PAC_PROVIDER=stub (único disponible por ahora; los CFDI del stub
+ * no tienen validez fiscal)
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const PacProvider = require('./PacProvider');
+const StubPacProvider = require('./StubPacProvider');
+const { logger } = require('../../utils/logger');
+
+function createPacProvider(config) {
+  const provider = config.CFDI_PAC_PROVIDER || 'stub';
+
+  switch (provider) {
+    case 'stub':
+      if (config.NODE_ENV === 'production' && config.CFDI_EMISOR_RFC) {
+        logger.warn('Using stub PAC provider in production: invoices have no fiscal validity');
+      }
+      return new StubPacProvider();
+
+    default:
+      throw new Error(`CFDI_PAC_PROVIDER desconocido: ${provider}`);
+  }
+}
+
+module.exports = {
+  PacProvider,
+  StubPacProvider,
+  createPacProvider,
+};
@@ -77,6 +77,22 @@ if (process.env.NODE_ENV !== 'production') {
   );
 }
 
+// Tabla donde se guarda cada tipo de notificación y campo del destinatario
+const NOTIFICATION_TABLES = {
+  email: { table: 'email_logs', destinationField: 'email' },
+  whatsapp: { table: 'whatsapp_logs', destinationField: 'phone' },
+};
+
+// Tablas que forman el historial de un usuario
+const HISTORY_TABLES = [
+  { table: 'payment_history', eventType: 'payment' },
+  { table: 'error_history', eventType: 'payment_error' },
+  { table: 'email_logs', eventType: 'notification', notificationType: 'email' },
+  { table: 'whatsapp_logs', eventType: 'notification', notificationType: 'whatsapp' },
+  // Generación y extensiones (renovaciones) de códigos
+  { table: 'access_code_history', eventType: 'access_code_generated', eventTypes: ['access_code_extended'] },
+];
+
 /**
  * Modelo de datos para historial en base de datos
  */
@@ -110,7 +126,7 @@ class LogHistoryService {
 
       // Guardar en base de datos
       if (this.db) {
-        await this.db.collection('paymentHistory').insertOne(logEntry);
+        await this.db.insert('payment_history', logEntry);
       }
 
       return logEntry;
@@ -142,7 +158,7 @@ class LogHistoryService {
       logger.error('Payment error', errorLog);
 
       if (this.db) {
-        await this.db.collection('errorHistory').insertOne(errorLog);
+        await this.db.insert('error_history', errorLog);
       }
 
       return errorLog;
@@ -171,7 +187,19 @@ class LogHistoryService {
       logger.info('Notification sent', notificationLog);
 
       if (this.db) {
-        await this.db.collection('notificationHistory').insertOne(notificationLog);
+        const target = NOTIFICATION_TABLES[notificationLog.notificationType];
+        if (target) {
+          await this.db.insert(target.table, {
+            userId: notificationLog.userId,
+            [target.destinationField]: notificationLog.destination,
+            accessCode: notificationLog.metadata.accessCode,
+            status: notificationLog.status,
+            messageId: notificationLog.messageId,
+            errorMessage: notificationLog.metadata.error,
+            metadata: notificationLog.metadata,
+            timestamp: notificationLog.timestamp,
+          });
+        }
       }
 
       return notificationLog;
@@ -181,6 +209,27 @@ class LogHistoryService {
     }
   }
 
+  /**
+   * Actualiza el estado de entrega de una notificación
+   * (p. ej. 'delivered' o 'read' reportados por el webhook de WhatsApp)
+   */
+  async updateNotificationStatus(messageId, status) {
+    try {
+      logger.info('Notification status updated', { messageId, status });
+
+      if (this.db) {
+        for (const { table } of Object.values(NOTIFICATION_TABLES)) {
+          await this.db.update(table, { messageId }, { status, statusUpdatedAt: new Date() });
+        }
+      }
+
+      return { messageId, status };
+    } catch (error) {
+      logger.error('Error updating notification status', { error: error.message, messageId });
+      throw error;
+    }
+  }
+
   /**
    * Registra código de acceso generado
    */
@@ -200,7 +249,7 @@ class LogHistoryService {
       logger.info('Access code generated', accessLog);
 
       if (this.db) {
-        await this.db.collection('accessCodeHistory').insertOne(accessLog);
+        await this.db.insert('access_code_history', accessLog);
       }
 
       return accessLog;
@@ -210,6 +259,63 @@ class LogHistoryService {
     }
   }
 
+  /**
+   * Registra la extensión de un código (renovación)
+   */
+  async logAccessCodeExtension(data) {
+    const extensionLog = {
+      eventType: 'access_code_extended',
+      timestamp: new Date(),
+      userId: data.userId,
+      email: data.email,
+      accessCode: data.accessCode,
+      previousExpiresAt: data.previousExpiresAt,
+      expiresAt: data.expiresAt,
+      productId: data.productId,
+      paymentId: data.paymentId,
+    };
+
+    try {
+      logger.info('Access code extended', extensionLog);
+
+      if (this.db) {
+        await this.db.insert('access_code_history', extensionLog);
+      }
+
+      return extensionLog;
+    } catch (error) {
+      logger.error('Error logging access code extension', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Registra una acción del usuario (inicio de sesión, etc.)
+   * Es la bitácora de acceso que se envía como evidencia en las disputas
+   */
+  async logUserActivity(data) {
+    const activityLog = {
+      email: data.email,
+      accessCode: data.accessCode,
+      activityType: data.activityType,
+      description: data.description || null,
+      ipAddress: data.ipAddress || null,
+      userAgent: data.userAgent || null,
+      timestamp: new Date(),
+    };
+
+    try {
+      if (this.db) {
+        await this.db.insert('user_activity', activityLog);
+      }
+
+      return activityLog;
+    } catch (error) {
+      logger.error('Error logging user activity', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Obtiene historial de eventos para un usuario
    */
@@ -229,34 +335,33 @@ class LogHistoryService {
 
       const query = { userId };
 
-      if (eventType) {
-        query.eventType = eventType;
-      }
-
       if (startDate || endDate) {
         query.timestamp = {};
         if (startDate) query.timestamp.$gte = new Date(startDate);
         if (endDate) query.timestamp.$lte = new Date(endDate);
       }
 
-      // Buscar en todas las colecciones relevantes
-      const collections = [
-        'paymentHistory',
-        'errorHistory',
-        'notificationHistory',
-        'accessCodeHistory',
-      ];
-
+      // Buscar en todas las tablas relevantes
       const results = [];
-      for (const collectionName of collections) {
-        const docs = await this.db
-          .collection(collectionName)
-          .find(query)
-          .sort({ timestamp: -1 })
-          .limit(limit)
-          .skip(skip)
-          .toArray();
-        results.push(...docs);
+      for (const source of HISTORY_TABLES) {
+        const sourceTypes = [source.eventType, ...(source.eventTypes || [])];
+        if (eventType && !sourceTypes.includes(eventType)) continue;
+
+        const sourceQuery = eventType && source.eventTypes ? { ...query, eventType } : query;
+        const rows = await this.db.find(source.table, sourceQuery, {
+          orderBy: { timestamp: 'desc' },
+          limit,
+          offset: skip,
+        });
+
+        for (const row of rows) {
+          const entry = { ...row, eventType: row.eventType || source.eventType };
+          if (source.notificationType) {
+            entry.notificationType = source.notificationType;
+            entry.destination = row.email || row.phone;
+          }
+          results.push(entry);
+        }
       }
 
       // Ordenar por timestamp descendente
@@ -286,28 +391,25 @@ class LogHistoryService {
       };
 
       // Pagos exitosos
-      const successfulPayments = await this.db
-        .collection('paymentHistory')
-        .countDocuments({ ...dateFilter, status: 'succeeded' });
+      const successfulPayments = await this.db.count('payment_history', {
+        ...dateFilter,
+        status: 'succeeded',
+      });
 
       // Errores de pago
-      const failedPayments = await this.db
-        .collection('errorHistory')
-        .countDocuments({ ...dateFilter, eventType: 'payment_error' });
+      const failedPayments = await this.db.count('error_history', {
+        ...dateFilter,
+        eventType: 'payment_error',
+      });
 
       // Notificaciones enviadas
-      const emailsSent = await this.db
-        .collection('notificationHistory')
-        .countDocuments({ ...dateFilter, notificationType: 'email', status: 'success' });
-
-      const whatsappSent = await this.db
-        .collection('notificationHistory')
-        .countDocuments({ ...dateFilter, notificationType: 'whatsapp', status: 'success' });
+      // (cuentan también las que después pasaron a 'delivered' o 'read')
+      const sentFilter = { ...dateFilter, status: { $ne: 'failed' } };
+      const emailsSent = await this.db.count('email_logs', sentFilter);
+      const whatsappSent = await this.db.count('whatsapp_logs', sentFilter);
 
       // Códigos generados
-      const codesGenerated = await this.db
-        .collection('accessCodeHistory')
-        .countDocuments(dateFilter);
+      const codesGenerated = await this.db.count('access_code_history', dateFilter);
 
       const totalTransactions = successfulPayments + failedPayments;
       const successRate = totalTransactions > 0 
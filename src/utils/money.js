@@ -0,0 +1,123 @@
+/**
+ * MONEDAS Y MONTOS
+ *
+ * Monedas en las que se vende y cómo se manejan sus montos:
+ * - Stripe y la base de datos guardan unidades mínimas (centavos), salvo
+ *   access_codes, que guarda unidades (pesos o dólares)
+ * - decimals indica cuántas unidades mínimas tiene una unidad; no todas
+ *   las monedas de Stripe tienen dos decimales
+ * - minCharge es el cargo mínimo de Stripe en la moneda
+ * - paymentMethods son los métodos de pago que Stripe acepta en la moneda
+ *   (OXXO y SPEI solo cobran en pesos)
+ * - countries son los países que compran en la moneda; el resto del mundo
+ *   compra en INTERNATIONAL_CURRENCY
+ *
+ * formatMoney da el texto de un monto en la moneda cobrada para emails,
+ * WhatsApp y PDFs: "$1,499.00 MXN", "$49.00 USD".
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const CURRENCIES = {
+  mxn: {
+    code: 'MXN',
+    symbol: '$',
+    decimals: 2,
+    minCharge: 1000,
+    paymentMethods: ['card', 'oxxo', 'customer_balance'],
+    countries: ['MX'],
+  },
+  usd: {
+    code: 'USD',
+    symbol: '$',
+    decimals: 2,
+    minCharge: 50,
+    paymentMethods: ['card'],
+    countries: ['US'],
+  },
+};
+
+const INTERNATIONAL_CURRENCY = 'usd';
+
+// Idioma de los textos; los montos se escriben con sus separadores
+const DEFAULT_LOCALE = 'es-MX';
+
+/**
+ * Código de moneda en minúsculas, como lo usa Stripe
+ * Devuelve null si no es una moneda en la que se vende
+ */
+function normalizeCurrency(currency) {
+  const code = String(currency || '').toLowerCase().trim();
+  return CURRENCIES[code] ? code : null;
+}
+
+function currencyInfo(currency) {
+  const code = String(currency || '').toLowerCase().trim();
+
+  // Una moneda desconocida (p. ej. un movimiento antiguo) se muestra con
+  // dos decimales y su código
+  return CURRENCIES[code] || { code: code.toUpperCase(), symbol: '', decimals: 2, minCharge: 0, paymentMethods: [], countries: [] };
+}
+
+/**
+ * Unidades (999.5) a unidades mínimas (99950)
+ */
+function toMinorUnits(amount, currency) {
+  return Math.round(Number(amount) * 10 ** currencyInfo(currency).decimals);
+}
+
+/**
+ * Unidades mínimas (99950) a unidades (999.5)
+ */
+function fromMinorUnits(amount, currency) {
+  return Number(amount) / 10 ** currencyInfo(currency).decimals;
+}
+
+/**
+ * Texto de un monto en unidades mínimas: "$1,499.00 MXN"
+ */
+function formatMoney(amount, currency, { locale = DEFAULT_LOCALE } = {}) {
+  const { code, symbol, decimals } = currencyInfo(currency);
+  const number = new Intl.NumberFormat(locale, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  }).format(Math.abs(fromMinorUnits(amount, currency)));
+
+  return `${amount < 0 ? '-' : ''}${symbol}${number} ${code}`;
+}
+
+function minCharge(currency) {
+  return currencyInfo(currency).minCharge;
+}
+
+/**
+ * Métodos de pago de la lista que Stripe acepta en la moneda
+ */
+function paymentMethodsFor(currency, paymentMethodTypes) {
+  const supported = currencyInfo(currency).paymentMethods;
+  return paymentMethodTypes.filter((type) => supported.includes(type));
+}
+
+/**
+ * Moneda de un país (ISO 3166-1 alfa-2); null si no se conoce el país
+ */
+function currencyForCountry(country) {
+  const code = String(country || '').toUpperCase().trim();
+  if (!/^[A-Z]{2}$/.test(code) || code === 'XX') return null;
+
+  return Object.keys(CURRENCIES).find((currency) => CURRENCIES[currency].countries.includes(code))
+    || INTERNATIONAL_CURRENCY;
+}
+
+module.exports = {
+  CURRENCIES,
+  INTERNATIONAL_CURRENCY,
+  normalizeCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+  minCharge,
+  paymentMethodsFor,
+  currencyForCountry,
+};
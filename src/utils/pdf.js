@@ -0,0 +1,99 @@
+/**
+ * PDF DE TEXTO
+ *
+ * Genera PDFs sencillos (texto en Helvetica, carta) sin dependencias, para
+ * representaciones impresas como la de las facturas CFDI.
+ *
+ * Cada línea es un texto o { text, bold, size }; una línea vacía deja un
+ * espacio. Las páginas se agregan solas cuando se llena una.
+ *
+ * @version 1.0.0
+ * @author Roberto Azpiri García
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const DEFAULT_SIZE = 10;
+
+/**
+ * Texto para un string de PDF: Helvetica con WinAnsiEncoding cubre los
+ * acentos y la ñ (latin1); lo demás se reemplaza por '?'
+ */
+function encodeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+function paginate(lines) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const line of lines) {
+    const item = typeof line === 'string' ? { text: line } : line;
+    const size = item.size || DEFAULT_SIZE;
+    const height = size * 1.4;
+
+    if (y - height < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+
+    y -= height;
+    if (item.text) {
+      pages[pages.length - 1].push({ ...item, size, y });
+    }
+  }
+
+  return pages;
+}
+
+function createTextPdf(lines) {
+  const pages = paginate(lines);
+  const objects = [];
+  const fontRegular = 3;
+  const fontBold = 4;
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[fontRegular] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[fontBold] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+  const pageRefs = [];
+  pages.forEach((items, index) => {
+    const pageObject = 5 + index * 2;
+    const contentObject = pageObject + 1;
+    const stream = items
+      .map((item) =>
+        `BT /${item.bold ? 'F2' : 'F1'} ${item.size} Tf ${MARGIN} ${item.y.toFixed(2)} Td (${encodeText(item.text)}) Tj ET`)
+      .join('\n');
+
+    pageRefs.push(`${pageObject} 0 R`);
+    objects[pageObject] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${fontRegular} 0 R /F2 ${fontBold} 0 R >> >> /Contents ${contentObject} 0 R >>`;
+    objects[contentObject] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  objects[2] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pages.length} >>`;
+
+  let body = '%PDF-1.4\n';
+  const offsets = [];
+
+  for (let number = 1; number < objects.length; number++) {
+    offsets[number] = Buffer.byteLength(body, 'latin1');
+    body += `${number} 0 obj\n${objects[number]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let number = 1; number < objects.length; number++) {
+    body += `${String(offsets[number]).padStart(10, '0')} 00000 n \n`;
+  }
+  body += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+}
+
+module.exports = { createTextPdf };
@@ -0,0 +1,135 @@
+/**
+ * Migraciones
+ *
+ * Se aplican sobre SQLite en memoria: el resultado debe coincidir con
+ * schema.js, todas deben poder revertirse y dos instancias no deben
+ * aplicarlas a la vez.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestRepository, ADAPTERS } = require('../helpers/repository');
+const MigrationRunner = require('../../src/db/MigrationRunner');
+const { TABLES, toColumnName } = require('../../src/db/schema');
+
+describe('MigrationRunner', { skip: !ADAPTERS.includes('sqlite') && 'better-sqlite3 no está instalado' }, () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await createTestRepository('sqlite');
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  it('crea todas las tablas y columnas de schema.js', async () => {
+    for (const [table, { columns }] of Object.entries(TABLES)) {
+      assert.ok(await db.hasTable(table), `falta la tabla ${table}`);
+
+      const { rows } = await db.execute(`PRAGMA table_info(${db.quote(table)})`);
+      const existing = rows.map((row) => row.name);
+
+      for (const field of Object.keys(columns)) {
+        assert.ok(existing.includes(toColumnName(field)), `falta ${table}.${field}`);
+      }
+    }
+  });
+
+  it('no deja migraciones pendientes', async () => {
+    const runner = new MigrationRunner(db);
+    assert.deepEqual(await runner.migrate(), []);
+    assert.ok((await runner.status()).every((migration) => migration.applied));
+  });
+
+  it('revierte todas las migraciones y las vuelve a aplicar', async () => {
+    const runner = new MigrationRunner(db);
+    const total = runner.loadMigrations().length;
+
+    assert.equal((await runner.rollback(total)).length, total);
+    assert.equal(await db.hasTable('access_codes'), false);
+    assert.equal((await runner.migrate()).length, total);
+  });
+
+  it('dos instancias que migran a la vez aplican cada migración una sola vez', async () => {
+    const total = new MigrationRunner(db).loadMigrations().length;
+    await new MigrationRunner(db).rollback(total);
+
+    const results = await Promise.all([
+      new MigrationRunner(db, { lockRetryMs: 5 }).migrate(),
+      new MigrationRunner(db, { lockRetryMs: 5 }).migrate(),
+    ]);
+
+    assert.deepEqual(results.map((done) => done.length).sort((a, b) => a - b), [0, total]);
+    assert.equal(await db.count('schema_migrations'), total);
+    assert.equal(await db.count('schema_migrations_lock'), 0);
+  });
+
+  it('espera el candado de otra instancia y se rinde al vencer la espera', async () => {
+    const holder = new MigrationRunner(db);
+    await holder.acquireLock();
+
+    await assert.rejects(
+      new MigrationRunner(db, { lockTimeoutMs: 20, lockRetryMs: 5 }).migrate(),
+      { code: 'LOCK_TIMEOUT' }
+    );
+
+    await holder.releaseLock();
+    assert.deepEqual(await new MigrationRunner(db).migrate(), []);
+  });
+
+  it('toma el candado vencido de una instancia que se cayó', async () => {
+    await new MigrationRunner(db, { lockTtlMs: -1000 }).acquireLock();
+
+    assert.deepEqual(await new MigrationRunner(db, { lockTimeoutMs: 0 }).migrate(), []);
+    assert.equal(await db.count('schema_migrations_lock'), 0);
+  });
+});
+
+describe('MySqlRepository.withLock', () => {
+  const MySqlRepository = require('../../src/db/MySqlRepository');
+
+  // Pool simulado: registra las consultas de la conexión
+  const fakePool = (acquired) => {
+    const pool = { queries: [], released: 0 };
+    pool.getConnection = async () => ({
+      query: async (sql, params) => {
+        pool.queries.push({ sql, params });
+        return [[{ acquired }]];
+      },
+      release: () => {
+        pool.released += 1;
+      },
+    });
+    return pool;
+  };
+
+  it('toma GET_LOCK en una conexión y lo suelta al terminar', async () => {
+    const pool = fakePool(1);
+    const db = new MySqlRepository({ pool });
+
+    const result = await db.withLock('schema_migrations', async () => 'migrado', { timeoutMs: 30000 });
+
+    assert.equal(result, 'migrado');
+    assert.match(pool.queries[0].sql, /GET_LOCK\(CONCAT\(DATABASE\(\), '\.', \?\), \?\)/);
+    assert.deepEqual(pool.queries[0].params, ['schema_migrations', 30]);
+    assert.match(pool.queries[1].sql, /RELEASE_LOCK/);
+    assert.equal(pool.released, 1);
+  });
+
+  it('lanza LOCK_TIMEOUT sin ejecutar nada si no obtiene el candado', async () => {
+    const pool = fakePool(0);
+    const db = new MySqlRepository({ pool });
+    let ran = false;
+
+    await assert.rejects(
+      db.withLock('schema_migrations', async () => {
+        ran = true;
+      }),
+      { code: 'LOCK_TIMEOUT' }
+    );
+
+    assert.equal(ran, false);
+    assert.equal(pool.released, 1);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Contrato de Repository
+ *
+ * Las mismas pruebas corren contra cada adaptador que funciona sin
+ * servidor (memoria y SQLite); MySQL comparte la traducción a SQL de
+ * SqlRepository con SQLite.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestRepository, ADAPTERS } = require('../helpers/repository');
+
+for (const driver of ADAPTERS) {
+  describe(`Repository (${driver})`, () => {
+    let db;
+
+    beforeEach(async () => {
+      db = await createTestRepository(driver);
+    });
+
+    afterEach(async () => {
+      await db.close();
+    });
+
+    it('insert devuelve el registro con id', async () => {
+      const first = await db.insert('access_codes', { code: 'AAA', status: 'active' });
+      const second = await db.insert('access_codes', { code: 'BBB', status: 'active' });
+
+      assert.equal(first.code, 'AAA');
+      assert.ok(Number.isInteger(first.id));
+      assert.notEqual(first.id, second.id);
+    });
+
+    it('conserva fechas, JSON, booleanos y decimales', async () => {
+      const expiresAt = new Date('2027-01-17T10:00:00.000Z');
+      await db.insert('access_codes', {
+        code: 'AAA',
+        status: 'active',
+        expiresAt,
+        modules: ['m1', 'm2'],
+        metadata: { source: 'test' },
+        trial: true,
+        amount: 999.5,
+      });
+
+      const row = await db.findOne('access_codes', { code: 'AAA' });
+      assert.ok(row.expiresAt instanceof Date);
+      assert.equal(row.expiresAt.getTime(), expiresAt.getTime());
+      assert.deepEqual(row.modules, ['m1', 'm2']);
+      assert.deepEqual(row.metadata, { source: 'test' });
+      assert.equal(row.trial, true);
+      assert.equal(row.amount, 999.5);
+    });
+
+    it('findOne devuelve null si no hay coincidencias', async () => {
+      assert.equal(await db.findOne('access_codes', { code: 'NOPE' }), null);
+    });
+
+    it('null en where equivale a IS NULL', async () => {
+      await db.insert('access_codes', { code: 'AAA', email: 'a@example.com' });
+      await db.insert('access_codes', { code: 'BBB' });
+
+      const rows = await db.find('access_codes', { email: null });
+      assert.deepEqual(rows.map((row) => row.code), ['BBB']);
+    });
+
+    it('soporta $lt, $lte, $gt, $gte, $ne y $in', async () => {
+      await db.insert('access_codes', { code: 'A', status: 'active', loginCount: 1 });
+      await db.insert('access_codes', { code: 'B', status: 'expired', loginCount: 2 });
+      await db.insert('access_codes', { code: 'C', status: 'revoked', loginCount: 3 });
+      await db.insert('access_codes', { code: 'D', loginCount: 4 });
+
+      const codes = async (where) =>
+        (await db.find('access_codes', where, { orderBy: { code: 'asc' } })).map((row) => row.code);
+
+      assert.deepEqual(await codes({ loginCount: { $lt: 2 } }), ['A']);
+      assert.deepEqual(await codes({ loginCount: { $lte: 2 } }), ['A', 'B']);
+      assert.deepEqual(await codes({ loginCount: { $gt: 2 } }), ['C', 'D']);
+      assert.deepEqual(await codes({ loginCount: { $gte: 2, $lt: 4 } }), ['B', 'C']);
+      assert.deepEqual(await codes({ status: { $ne: 'active' } }), ['B', 'C', 'D']);
+      assert.deepEqual(await codes({ status: { $ne: null } }), ['A', 'B', 'C']);
+      assert.deepEqual(await codes({ status: { $in: ['active', 'revoked'] } }), ['A', 'C']);
+      assert.deepEqual(await codes({ status: { $in: [] } }), []);
+    });
+
+    it('compara fechas con operadores', async () => {
+      await db.insert('access_codes', { code: 'OLD', expiresAt: new Date('2020-01-01T00:00:00Z') });
+      await db.insert('access_codes', { code: 'NEW', expiresAt: new Date('2030-01-01T00:00:00Z') });
+
+      const rows = await db.find('access_codes', { expiresAt: { $lt: new Date('2025-01-01T00:00:00Z') } });
+      assert.deepEqual(rows.map((row) => row.code), ['OLD']);
+    });
+
+    it('ordena, limita y desplaza', async () => {
+      for (const code of ['C', 'A', 'B']) {
+        await db.insert('access_codes', { code });
+      }
+
+      const rows = await db.find('access_codes', {}, { orderBy: { code: 'desc' }, limit: 2, offset: 1 });
+      assert.deepEqual(rows.map((row) => row.code), ['B', 'A']);
+    });
+
+    it('update aplica cambios e incrementos solo a las filas que cumplen where', async () => {
+      await db.insert('access_codes', { code: 'A', status: 'active', loginCount: 1 });
+      await db.insert('access_codes', { code: 'B', status: 'active' });
+      await db.insert('access_codes', { code: 'C', status: 'revoked', loginCount: 5 });
+
+      const result = await db.update(
+        'access_codes',
+        { status: 'active' },
+        { lastLogin: new Date('2026-01-01T00:00:00Z') },
+        { increment: { loginCount: 2 } }
+      );
+
+      assert.equal(result.modifiedCount, 2);
+      const rows = await db.find('access_codes', {}, { orderBy: { code: 'asc' } });
+      assert.deepEqual(rows.map((row) => row.loginCount), [3, 2, 5]);
+      assert.equal(rows[2].lastLogin ?? null, null);
+    });
+
+    it('update condicional sirve como compare-and-set', async () => {
+      await db.insert('coupons', { code: 'PROMO', redemptionCount: 0, maxRedemptions: 1 });
+
+      const first = await db.update('coupons', { code: 'PROMO', redemptionCount: 0 }, {}, { increment: { redemptionCount: 1 } });
+      const second = await db.update('coupons', { code: 'PROMO', redemptionCount: 0 }, {}, { increment: { redemptionCount: 1 } });
+
+      assert.equal(first.modifiedCount, 1);
+      assert.equal(second.modifiedCount, 0);
+    });
+
+    it('lanza DUPLICATE_KEY al violar una clave única', async () => {
+      await db.insert('access_codes', { code: 'AAA' });
+      await db.insert('access_codes', { code: 'BBB' });
+
+      await assert.rejects(db.insert('access_codes', { code: 'AAA' }), { code: 'DUPLICATE_KEY' });
+      await assert.rejects(db.update('access_codes', { code: 'BBB' }, { code: 'AAA' }), { code: 'DUPLICATE_KEY' });
+    });
+
+    it('count y delete', async () => {
+      await db.insert('access_codes', { code: 'A', status: 'active' });
+      await db.insert('access_codes', { code: 'B', status: 'revoked' });
+      await db.insert('access_codes', { code: 'C', status: 'revoked' });
+
+      assert.equal(await db.count('access_codes'), 3);
+      assert.equal(await db.count('access_codes', { status: 'revoked' }), 2);
+
+      const result = await db.delete('access_codes', { status: 'revoked' });
+      assert.equal(result.deletedCount, 2);
+      assert.equal(await db.count('access_codes'), 1);
+    });
+  });
+}
@@ -0,0 +1,74 @@
+/**
+ * Aplicación para pruebas HTTP
+ *
+ * Levanta createApp() en un puerto libre con base de datos en memoria y
+ * sin servicios externos (Stripe, Postmark, WhatsApp).
+ */
+
+const CONFIG = require('../../src/config');
+const { createContainer } = require('../../src/container');
+const { createApp } = require('../../src/app');
+const { createTestRepository } = require('./repository');
+const { createFakeStripe } = require('./stripe');
+
+const TEST_CONFIG = {
+  ...CONFIG,
+  NODE_ENV: 'test',
+  DB_DRIVER: 'memory',
+  STRIPE_SECRET_KEY: null,
+  STRIPE_WEBHOOK_SECRET: null,
+  POSTMARK_SERVER_TOKEN: null,
+  WHATSAPP_TOKEN: null,
+  SESSION_SECRET: 'test-session-secret',
+  TRIAL_SIGNING_SECRET: 'test-trial-secret',
+  RECEIPT_SIGNING_SECRET: 'test-receipt-secret',
+  CHECKOUT_RECOVERY_SIGNING_SECRET: 'test-recovery-secret',
+  SCHEDULER_ENABLED: false,
+  ADMIN_API_KEY: 'test-admin-key',
+};
+
+/**
+ * Contenedor con base de datos en memoria, Stripe simulado y sin
+ * canales de envío
+ */
+async function createTestContainer(overrides = {}) {
+  const config = { ...TEST_CONFIG, ...overrides.config };
+  const database = overrides.database || (await createTestRepository('memory'));
+
+  return createContainer({ stripeService: createFakeStripe(), ...overrides, config, database });
+}
+
+async function startTestApp(overrides = {}) {
+  const config = { ...TEST_CONFIG, ...overrides.config };
+  const database = overrides.database || (await createTestRepository('memory'));
+  const container = createContainer({ ...overrides, config, database });
+  const server = createApp(container).listen(0);
+
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    container,
+    baseUrl,
+    request(path, options = {}) {
+      const { json, headers = {}, ...rest } = options;
+      return fetch(`${baseUrl}${path}`, {
+        redirect: 'manual',
+        ...rest,
+        headers: json === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: json === undefined ? rest.body : JSON.stringify(json),
+        method: rest.method || (json === undefined ? 'GET' : 'POST'),
+      });
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  TEST_CONFIG,
+  createTestContainer,
+  startTestApp,
+};
@@ -0,0 +1,40 @@
+/**
+ * Repositorios para pruebas
+ *
+ * Crea un adaptador vacío y listo para usar. SQLite corre en memoria con
+ * todas las migraciones aplicadas; si better-sqlite3 no está instalado
+ * (es dependencia opcional) solo se prueba el adaptador en memoria.
+ */
+
+const { MemoryRepository } = require('../../src/db');
+const { logger } = require('../../src/utils/logger');
+
+// Las pruebas no escriben en logs/ ni en la consola
+logger.silent = true;
+
+function sqliteAvailable() {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const ADAPTERS = sqliteAvailable() ? ['memory', 'sqlite'] : ['memory'];
+
+async function createTestRepository(driver = 'memory') {
+  if (driver === 'sqlite') {
+    const SqliteRepository = require('../../src/db/SqliteRepository');
+    const db = new SqliteRepository({ filename: ':memory:' });
+    await db.initialize();
+    return db;
+  }
+
+  return new MemoryRepository();
+}
+
+module.exports = {
+  ADAPTERS,
+  createTestRepository,
+};
@@ -0,0 +1,167 @@
+/**
+ * Stripe para pruebas
+ *
+ * `createFakeStripe` es un StripeServiceV2 real (processEvent, describe*)
+ * con las llamadas a la API reemplazadas por respuestas locales. Los
+ * constructores de eventos arman el objeto mínimo que lee processEvent.
+ */
+
+const StripeServiceV2 = require('../../src/services/StripeServiceV2');
+
+let sequence = 0;
+const nextId = (prefix) => `${prefix}_test_${++sequence}`;
+const unix = (date = new Date()) => Math.floor(date.getTime() / 1000);
+
+function createFakeStripe() {
+  const stripe = new StripeServiceV2('sk_test_fake');
+  stripe.refunds = [];
+  stripe.checkoutSessions = [];
+
+  stripe.createCheckoutSession = async (data) => {
+    const sessionId = nextId('cs');
+    stripe.checkoutSessions.push({ sessionId, ...data });
+    return { sessionId, url: `https://checkout.stripe.test/${sessionId}` };
+  };
+  stripe.getPaymentInstructions = async () => ({
+    method: 'oxxo',
+    expiresAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+    reference: '12345678',
+  });
+  stripe.createRefund = async ({ paymentIntentId, amount, metadata = {} }) => {
+    const refund = stripe.refunds.find((item) => item.paymentIntentId === paymentIntentId);
+    const chargeAmount = refund?.chargeAmount ?? stripe.chargeAmounts?.[paymentIntentId] ?? amount;
+    return {
+      refundId: nextId('re'),
+      paymentIntentId,
+      chargeId: nextId('ch'),
+      amount: amount ?? chargeAmount,
+      currency: 'mxn',
+      chargeAmount,
+      status: 'succeeded',
+      reason: null,
+      metadata,
+    };
+  };
+  stripe.listRefunds = async () => [];
+  stripe.getCheckoutPaymentIntent = async () => null;
+  stripe.createPromotionCode = async () => ({ couponId: nextId('co'), promotionCodeId: nextId('promo') });
+  stripe.deactivatePromotionCode = async () => {};
+
+  return stripe;
+}
+
+function event(type, object) {
+  return { id: nextId('evt'), type, data: { object } };
+}
+
+/**
+ * checkout.session.completed (por defecto pagado con tarjeta)
+ */
+function checkoutCompleted({
+  sessionId = nextId('cs'),
+  paymentIntentId = nextId('pi'),
+  email = 'alumno@example.com',
+  amount = 99900,
+  currency = 'mxn',
+  paymentStatus = 'paid',
+  paymentMethodTypes = ['card'],
+  mode = 'payment',
+  subscriptionId = null,
+  customerId = null,
+  discountAmount = 0,
+  metadata = {},
+} = {}) {
+  return event('checkout.session.completed', {
+    id: sessionId,
+    payment_intent: mode === 'subscription' ? null : paymentIntentId,
+    customer_details: { email, name: 'Alumno Prueba', phone: null },
+    amount_total: amount,
+    currency,
+    total_details: { amount_discount: discountAmount },
+    mode,
+    subscription: subscriptionId,
+    customer: customerId,
+    payment_status: paymentStatus,
+    payment_method_types: paymentMethodTypes,
+    metadata: { delivery_method: 'email', ...metadata },
+  });
+}
+
+function asyncPaymentSucceeded(completed) {
+  return event('checkout.session.async_payment_succeeded', {
+    ...completed.data.object,
+    payment_status: 'paid',
+  });
+}
+
+function invoicePaid({
+  subscriptionId,
+  invoiceId = nextId('in'),
+  paymentIntentId = nextId('pi'),
+  chargeId = nextId('ch'),
+  amount = 19900,
+  currency = 'mxn',
+  billingReason = 'subscription_cycle',
+  periodStart = new Date(),
+  periodEnd = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000),
+}) {
+  return event('invoice.paid', {
+    id: invoiceId,
+    subscription: subscriptionId,
+    customer: 'cus_test',
+    customer_email: 'alumno@example.com',
+    billing_reason: billingReason,
+    amount_paid: amount,
+    amount_due: amount,
+    currency,
+    payment_intent: paymentIntentId,
+    charge: chargeId,
+    attempt_count: 1,
+    lines: { data: [{ period: { start: unix(periodStart), end: unix(periodEnd) } }] },
+  });
+}
+
+function chargeRefunded({ paymentIntentId, amount, refundAmount = amount, currency = 'mxn', refundId = nextId('re') }) {
+  const chargeId = nextId('ch');
+  return event('charge.refunded', {
+    id: chargeId,
+    payment_intent: paymentIntentId,
+    amount,
+    amount_refunded: refundAmount,
+    currency,
+    refunds: {
+      data: [{
+        id: refundId,
+        payment_intent: paymentIntentId,
+        amount: refundAmount,
+        currency,
+        status: 'succeeded',
+        metadata: {},
+      }],
+    },
+  });
+}
+
+function dispute(stage, { disputeId = nextId('dp'), paymentIntentId, amount, status = 'needs_response' }) {
+  return event(`charge.dispute.${stage}`, {
+    id: disputeId,
+    charge: nextId('ch'),
+    payment_intent: paymentIntentId,
+    amount,
+    currency: 'mxn',
+    reason: 'fraudulent',
+    status,
+    evidence_details: { due_by: unix(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)) },
+  });
+}
+
+module.exports = {
+  createFakeStripe,
+  nextId,
+  event,
+  checkoutCompleted,
+  asyncPaymentSucceeded,
+  invoicePaid,
+  chargeRefunded,
+  dispute,
+};
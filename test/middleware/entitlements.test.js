@@ -0,0 +1,78 @@
+/**
+ * Módulos de un código de acceso: páginas protegidas, validación de
+ * sesión y upgrade desde el admin sin volver a iniciar sesión
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('Módulos del código de acceso', () => {
+  let app;
+  let cookie;
+  let token;
+
+  before(async () => {
+    app = await startTestApp();
+    await app.container.accessCodeService.saveAccessCode({
+      code: 'MODU-LOEV-AL12',
+      email: 'alumno@example.com',
+      productId: 'modulo-evaluaciones',
+      productName: 'SkillsCert - Módulo de Evaluaciones',
+      amount: 39900,
+      currency: 'mxn',
+      modules: ['carta_descriptiva', 'evaluaciones'],
+    });
+
+    const login = await app.request('/api/login', {
+      json: { email: 'alumno@example.com', code: 'MODU-LOEV-AL12' },
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+    token = (await login.json()).token;
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('entrega las páginas de los módulos incluidos', async () => {
+    const response = await app.request('/evaluaciones.html', { headers: { cookie } });
+    assert.equal(response.status, 200);
+  });
+
+  it('responde 403 en la página de un módulo no incluido', async () => {
+    const response = await app.request('/manuales.html', { headers: { cookie } });
+    assert.equal(response.status, 403);
+  });
+
+  it('la validación de sesión rechaza un módulo no incluido', async () => {
+    const response = await app.request('/api/validate-session', { json: { token, module: 'auditoria' } });
+    const body = await response.json();
+
+    assert.equal(response.status, 403);
+    assert.equal(body.code, 'MODULE_NOT_INCLUDED');
+    assert.deepEqual(body.modules, ['carta_descriptiva', 'evaluaciones']);
+  });
+
+  it('el admin rechaza módulos desconocidos', async () => {
+    const response = await app.request('/api/admin/codes/MODU-LOEV-AL12/modules', {
+      headers: { 'x-admin-key': 'test-admin-key' },
+      json: { modules: ['no-existe'] },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'INVALID_MODULES');
+  });
+
+  it('un upgrade del admin habilita el módulo en la sesión abierta', async () => {
+    const upgrade = await app.request('/api/admin/codes/MODU-LOEV-AL12/modules', {
+      headers: { 'x-admin-key': 'test-admin-key' },
+      json: { modules: ['manuales'] },
+    });
+    assert.equal(upgrade.status, 200);
+    assert.deepEqual((await upgrade.json()).data.modules, ['carta_descriptiva', 'evaluaciones', 'manuales']);
+
+    const response = await app.request('/manuales.html', { headers: { cookie } });
+    assert.equal(response.status, 200);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Páginas protegidas (src/middleware/requireSession.js)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('Páginas de la plataforma', () => {
+  let app;
+  let cookie;
+
+  before(async () => {
+    app = await startTestApp();
+    await app.container.accessCodeService.saveAccessCode({
+      code: 'ABCD-EFGH-JKLM',
+      email: 'alumno@example.com',
+      productName: 'EC0301',
+      amount: 999,
+      currency: 'mxn',
+    });
+
+    const login = await app.request('/api/login', {
+      json: { email: 'alumno@example.com', code: 'ABCD-EFGH-JKLM' },
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  for (const path of [
+    '/evaluaciones.html',
+    '//evaluaciones.html',
+    '/./evaluaciones.html',
+    '/foo/../evaluaciones.html',
+    '/%65valuaciones.html',
+    '/Carta%20descriptiva%20ec0301%20pro.html',
+  ]) {
+    it(`redirige ${path} a login sin sesión`, async () => {
+      const response = await app.request(path);
+      assert.equal(response.status, 302);
+      assert.match(response.headers.get('location'), /^\/login\.html\?/);
+    });
+  }
+
+  it('no sirve las páginas protegidas desde la carpeta pública', async () => {
+    const response = await app.request('/platform/evaluaciones.html');
+    assert.equal(response.status, 404);
+  });
+
+  it('entrega la página con sesión válida', async () => {
+    for (const path of ['/evaluaciones.html', '//evaluaciones.html', '/Carta%20descriptiva%20ec0301%20pro.html']) {
+      const response = await app.request(path, { headers: { cookie } });
+      assert.equal(response.status, 200, path);
+      assert.match(response.headers.get('content-type'), /text\/html/);
+    }
+  });
+
+  it('las páginas públicas no requieren sesión', async () => {
+    const response = await app.request('/login.html');
+    assert.equal(response.status, 200);
+  });
+});
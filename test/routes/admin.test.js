@@ -0,0 +1,44 @@
+/**
+ * Prueba de entrega del admin (GET /api/admin/test-envio)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('Prueba de entrega', () => {
+  let app;
+
+  const testEnvio = (query) => app.request(`/api/admin/test-envio?${new URLSearchParams(query)}`, {
+    headers: { 'x-admin-key': 'test-admin-key' },
+  });
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('responde 400 sin email o nombre', async () => {
+    const response = await testEnvio({ email: 'admin@example.com' });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('responde 500 si la entrega lanza un error', async () => {
+    const { notificationHandler } = app.container;
+    const deliver = notificationHandler.deliverAccessCode;
+    notificationHandler.deliverAccessCode = async () => {
+      throw new Error('Postmark no disponible');
+    };
+
+    const response = await testEnvio({ email: 'admin@example.com', nombre: 'Admin' });
+    notificationHandler.deliverAccessCode = deliver;
+
+    assert.equal(response.status, 500);
+    assert.deepEqual(await response.json(), { success: false, message: 'Postmark no disponible' });
+    assert.equal((await app.request('/health')).status, 200);
+  });
+});
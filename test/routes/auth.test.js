@@ -0,0 +1,56 @@
+/**
+ * Rutas de login (src/routes/auth.js)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('POST /api/login', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+    await app.container.accessCodeService.saveAccessCode({
+      code: 'ABCD-EFGH-JKLM',
+      email: 'alumno@example.com',
+      name: 'Alumno',
+      productName: 'EC0301',
+      amount: 999,
+      currency: 'mxn',
+    });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  for (const [label, body] of [
+    ['email numérico', { email: 1, code: 'ABC' }],
+    ['código en objeto', { email: 'alumno@example.com', code: { $ne: null } }],
+    ['deviceId numérico', { email: 'alumno@example.com', code: 'ABC', deviceId: 5 }],
+  ]) {
+    it(`responde 400 con ${label}`, async () => {
+      const response = await app.request('/api/login', { json: body });
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).success, false);
+    });
+  }
+
+  it('el servidor sigue atendiendo después de un body inválido', async () => {
+    await app.request('/api/login', { json: { email: 1, code: 'ABC' } });
+    const response = await app.request('/health');
+    assert.equal(response.status, 200);
+  });
+
+  it('inicia sesión con email y código válidos', async () => {
+    const response = await app.request('/api/login', {
+      json: { email: ' Alumno@Example.com ', code: 'abcd-efgh-jklm' },
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.success, true);
+    assert.ok(body.token);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * POST /api/create-checkout: cada checkout con cupón reserva un uso y
+ * las renovaciones solo se venden para códigos activos o vencidos
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+const { createFakeStripe } = require('../helpers/stripe');
+
+describe('POST /api/create-checkout con cupón', () => {
+  let app;
+  let stripe;
+
+  const checkout = (email) => app.request('/api/create-checkout', {
+    json: { email, nombre: 'Alumno', couponCode: 'ULTIMO' },
+  });
+
+  beforeEach(async () => {
+    stripe = createFakeStripe();
+    app = await startTestApp({ stripeService: stripe });
+    await app.container.couponService.createCoupon({
+      code: 'ULTIMO',
+      discountType: 'percent',
+      value: 10,
+      maxRedemptions: 1,
+    });
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  it('el último uso queda reservado para el primer checkout', async () => {
+    const first = await checkout('a@example.com');
+    const second = await checkout('b@example.com');
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 400);
+    assert.equal((await second.json()).code, 'COUPON_EXHAUSTED');
+
+    const { metadata } = stripe.checkoutSessions[0];
+    const reservation = await app.container.database.findOne('coupon_reservations', {
+      reservationId: metadata.couponReservationId,
+    });
+    assert.equal(reservation.status, 'reserved');
+    assert.equal(reservation.email, 'a@example.com');
+  });
+
+  it('libera la reserva si Stripe no crea el checkout', async () => {
+    stripe.createCheckoutSession = async () => {
+      throw { code: 'CHECKOUT_ERROR', message: 'Stripe no disponible' };
+    };
+
+    const failed = await checkout('a@example.com');
+    assert.equal(failed.status, 500);
+
+    const coupon = await app.container.couponService.getCoupon('ULTIMO');
+    assert.equal(coupon.reservedCount, 0);
+    assert.equal(await app.container.database.count('coupon_reservations', { status: 'released' }), 1);
+  });
+});
+
+describe('POST /api/create-checkout de renovación', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp({ stripeService: createFakeStripe() });
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  it('rechaza renovar un código en disputa', async () => {
+    await app.container.database.insert('access_codes', {
+      code: 'DISP-UTAD-O123',
+      email: 'alumno@example.com',
+      status: 'disputed',
+      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    });
+
+    const response = await app.request('/api/create-checkout', {
+      json: { email: 'alumno@example.com', productId: 'renovacion-anual', renewCode: 'DISP-UTAD-O123' },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'CODE_SUSPENDED');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Cupones: alta desde el admin y validación en el checkout
+ * (POST /api/admin/coupons, POST /api/coupons/validate)
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('Cupones', () => {
+  let app;
+
+  const admin = { 'x-admin-key': 'test-admin-key' };
+
+  const createCoupon = (json) => app.request('/api/admin/coupons', {
+    json: { code: 'PROMO10', discountType: 'percent', value: 10, ...json },
+    headers: admin,
+  });
+
+  const validate = (json) => app.request('/api/coupons/validate', {
+    json: { couponCode: 'PROMO10', productId: 'modulo-manuales', ...json },
+  });
+
+  beforeEach(async () => {
+    app = await startTestApp();
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  it('crea un cupón restringido a productos del catálogo', async () => {
+    const response = await createCoupon({ productIds: ['modulo-manuales'] });
+
+    assert.equal(response.status, 201);
+    assert.deepEqual((await response.json()).data.productIds, ['modulo-manuales']);
+  });
+
+  for (const productIds of ['modulo-manuales', { id: 'modulo-manuales' }, 5]) {
+    it(`responde 400 si productIds no es una lista (${JSON.stringify(productIds)})`, async () => {
+      const response = await createCoupon({ productIds });
+
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).code, 'INVALID_COUPON');
+      assert.equal(await app.container.database.count('coupons'), 0);
+    });
+  }
+
+  it('responde 400 con productos desconocidos', async () => {
+    const response = await createCoupon({ productIds: ['no-existe'] });
+
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).message, /no-existe/);
+  });
+
+  it('valida el cupón y devuelve el precio con descuento', async () => {
+    await createCoupon();
+
+    const response = await validate({ email: 'alumno@example.com' });
+    const { data } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.originalAmount, 39900);
+    assert.equal(data.discountAmount, 3990);
+    assert.equal(data.finalAmount, 35910);
+  });
+
+  for (const [field, json] of [
+    ['couponCode', { couponCode: ['PROMO10'] }],
+    ['couponCode', { couponCode: { $ne: null } }],
+    ['email', { email: { $ne: null } }],
+    ['email', { email: 5 }],
+  ]) {
+    it(`responde 400 si ${field} no es texto (${JSON.stringify(json[field])})`, async () => {
+      await createCoupon();
+
+      const response = await validate(json);
+
+      assert.equal(response.status, 400);
+      assert.match((await response.json()).error, new RegExp(field));
+    });
+  }
+});
@@ -0,0 +1,105 @@
+/**
+ * Administración de una compra de grupo con el token del comprador:
+ * lista de lugares, asignación y canje por lugar
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+const { createFakeStripe } = require('../helpers/stripe');
+
+describe('Compras de grupo', () => {
+  let app;
+  let purchaseId;
+  let seats;
+  let headers;
+
+  beforeEach(async () => {
+    app = await startTestApp({ stripeService: createFakeStripe() });
+    const { groupPurchaseService, productCatalogService } = app.container;
+
+    const { purchase, managementToken } = await groupPurchaseService.createPurchase({
+      sessionId: 'cs_test_grupo',
+      buyerEmail: 'compras@empresa.com',
+      buyerName: 'Empresa',
+      product: productCatalogService.getProduct('ec0301-generador'),
+      quantity: 3,
+      amount: 299700,
+      currency: 'mxn',
+    });
+    seats = await groupPurchaseService.issueSeats(purchase, {
+      expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+      modules: null,
+    });
+    purchaseId = purchase.purchaseId;
+    headers = { authorization: `Bearer ${managementToken}` };
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  const assign = (code, email) => app.request(`/api/group-purchases/${purchaseId}/seats/${code}/assign`, {
+    headers,
+    json: { email, name: 'Instructor' },
+  });
+
+  it('responde 404 sin el token del comprador', async () => {
+    const response = await app.request(`/api/group-purchases/${purchaseId}`, {
+      headers: { authorization: 'Bearer otro-token' },
+    });
+
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).code, 'GROUP_NOT_FOUND');
+  });
+
+  it('lista un lugar por código, sin asignar', async () => {
+    const response = await app.request(`/api/group-purchases/${purchaseId}`, { headers });
+    const { data } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.quantity, 3);
+    assert.deepEqual(data.seats.map((seat) => seat.seatNumber), [1, 2, 3]);
+    assert.ok(data.seats.every((seat) => seat.email === null && !seat.redeemed));
+  });
+
+  it('un reintento no genera lugares de más', async () => {
+    const { groupPurchaseService } = app.container;
+    const purchase = await groupPurchaseService.getPurchase(purchaseId);
+
+    const issued = await groupPurchaseService.issueSeats(purchase, { expiresAt: new Date(), modules: null });
+
+    assert.equal(issued.length, 0);
+    assert.equal(new Set(seats.map((seat) => seat.code)).size, 3);
+  });
+
+  it('asigna un lugar y lo marca canjeado al primer login', async () => {
+    const response = await assign(seats[0].code, 'Instructor@Empresa.com');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).data.seat.email, 'instructor@empresa.com');
+
+    const login = await app.request('/api/login', {
+      json: { email: 'instructor@empresa.com', code: seats[0].code },
+    });
+    assert.equal(login.status, 200);
+
+    const { data } = await (await app.request(`/api/group-purchases/${purchaseId}`, { headers })).json();
+    assert.equal(data.seats[0].redeemed, true);
+    assert.equal(data.seats[1].redeemed, false);
+  });
+
+  it('no reasigna un lugar canjeado', async () => {
+    await assign(seats[0].code, 'instructor@empresa.com');
+    await app.request('/api/login', { json: { email: 'instructor@empresa.com', code: seats[0].code } });
+
+    const response = await assign(seats[0].code, 'otro@empresa.com');
+
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).code, 'SEAT_ALREADY_REDEEMED');
+  });
+
+  it('valida el email y el lugar', async () => {
+    assert.equal((await assign(seats[0].code, 'no-es-email')).status, 400);
+    assert.equal((await assign('XXXX-XXXX-XXXX', 'instructor@empresa.com')).status, 404);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Depósitos de Stripe: movimientos de cada depósito con su venta,
+ * comisión y neto, y el reporte en CSV del admin
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+const stripeEvents = require('../helpers/stripe');
+
+const unix = (date) => Math.floor(date.getTime() / 1000);
+
+describe('Depósitos de Stripe', () => {
+  let app;
+  let stripe;
+  let accessCode;
+  let paymentIntentId;
+
+  const admin = { 'x-admin-key': 'test-admin-key' };
+
+  const payout = (id, overrides = {}) => ({
+    id,
+    amount: 86410,
+    currency: 'mxn',
+    status: 'paid',
+    automatic: true,
+    arrival_date: unix(new Date('2026-03-02T00:00:00Z')),
+    created: unix(new Date('2026-03-01T00:00:00Z')),
+    ...overrides,
+  });
+
+  beforeEach(async () => {
+    stripe = stripeEvents.createFakeStripe();
+    app = await startTestApp({ stripeService: stripe });
+
+    const purchase = stripeEvents.checkoutCompleted({ amount: 99900 });
+    const { fulfillment } = await app.container.fulfillmentService.handleStripeEvent(purchase);
+    accessCode = fulfillment.accessCode;
+    paymentIntentId = purchase.data.object.payment_intent;
+
+    stripe.payouts = { po_test_marzo: payout('po_test_marzo') };
+    stripe.getPayout = async (id) => stripe.payouts[id];
+    stripe.listPayoutTransactions = async () => [
+      {
+        id: 'txn_test_cobro',
+        type: 'charge',
+        source: { id: 'ch_test_cobro', payment_intent: paymentIntentId },
+        amount: 99900,
+        fee: 3490,
+        net: 96410,
+        currency: 'mxn',
+        description: 'Generador EC0301, pago con tarjeta',
+        created: unix(new Date('2026-02-27T00:00:00Z')),
+      },
+      {
+        id: 'txn_test_reembolso',
+        type: 'refund',
+        source: { id: 're_test_parcial', payment_intent: paymentIntentId },
+        amount: -10000,
+        fee: 0,
+        net: -10000,
+        currency: 'mxn',
+        description: null,
+        created: unix(new Date('2026-02-28T00:00:00Z')),
+      },
+      { id: 'txn_test_deposito', type: 'payout', amount: -86410, fee: 0, net: -86410, currency: 'mxn' },
+    ];
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  const payoutPaid = (id = 'po_test_marzo') =>
+    app.container.fulfillmentService.handleStripeEvent(stripeEvents.event('payout.paid', stripe.payouts[id]));
+
+  it('guarda el depósito con sus movimientos y la venta de cada uno', async () => {
+    await payoutPaid();
+
+    const response = await app.request('/api/admin/payouts/po_test_marzo', { headers: admin });
+    const { data } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.grossAmount, 89900);
+    assert.equal(data.feeAmount, 3490);
+    assert.equal(data.netAmount, 86410);
+    assert.deepEqual(data.transactions.map((transaction) => transaction.type), ['charge', 'refund']);
+    assert.ok(data.transactions.every((transaction) => transaction.accessCode === accessCode));
+  });
+
+  it('un evento repetido no duplica los movimientos', async () => {
+    await payoutPaid();
+    await app.container.fulfillmentService.handleStripeEvent(
+      stripeEvents.event('payout.updated', stripe.payouts.po_test_marzo)
+    );
+
+    assert.equal(await app.container.database.count('payout_transactions'), 2);
+  });
+
+  it('los depósitos manuales no detallan movimientos', async () => {
+    stripe.payouts.po_test_manual = payout('po_test_manual', { automatic: false });
+
+    await payoutPaid('po_test_manual');
+
+    const { data } = await (await app.request('/api/admin/payouts/po_test_manual', { headers: admin })).json();
+    assert.equal(data.transactions.length, 0);
+    assert.equal(data.syncedAt, null);
+  });
+
+  it('exporta el depósito en CSV con montos en pesos', async () => {
+    await payoutPaid();
+
+    const response = await app.request('/api/admin/payouts/po_test_marzo/csv', { headers: admin });
+    const lines = (await response.text()).trim().split('\r\n');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /deposito-po_test_marzo\.csv/);
+    assert.equal(lines[0], 'deposito,fecha_deposito,movimiento,tipo,fecha,payment_intent,codigo,email,producto,moneda,bruto,comision,neto,descripcion');
+    assert.equal(lines.length, 3);
+    assert.ok(lines[1].startsWith(`po_test_marzo,2026-03-02,txn_test_cobro,charge,2026-02-27,${paymentIntentId},${accessCode},`));
+    assert.ok(lines[1].endsWith(',MXN,999.00,34.90,964.10,"Generador EC0301, pago con tarjeta"'));
+    assert.ok(lines[2].endsWith(',MXN,-100.00,0.00,-100.00,'));
+  });
+
+  it('busca los depósitos de una venta por código', async () => {
+    await payoutPaid();
+
+    const response = await app.request(`/api/admin/payouts/transactions?code=${accessCode.toLowerCase()}`, {
+      headers: admin,
+    });
+
+    assert.equal((await response.json()).data.length, 2);
+  });
+
+  it('responde 404 con un depósito no sincronizado', async () => {
+    const response = await app.request('/api/admin/payouts/po_test_otro/csv', { headers: admin });
+
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).code, 'PAYOUT_NOT_FOUND');
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Catálogo: GET /api/products y el producto de cada checkout
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+const { createFakeStripe } = require('../helpers/stripe');
+
+describe('Catálogo de productos', () => {
+  let app;
+  let stripe;
+
+  before(async () => {
+    stripe = createFakeStripe();
+    app = await startTestApp({ stripeService: stripe });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('GET /api/products lista los productos con precio, vigencia y módulos', async () => {
+    const response = await app.request('/api/products');
+    const body = await response.json();
+    const evaluaciones = body.data.find((product) => product.id === 'modulo-evaluaciones');
+
+    assert.equal(response.status, 200);
+    assert.equal(body.defaultProductId, 'ec0301-generador');
+    assert.deepEqual(evaluaciones.price, { amount: 39900, currency: 'mxn' });
+    assert.equal(evaluaciones.accessDays, 90);
+    assert.deepEqual(evaluaciones.modules.map((module) => module.id), ['carta_descriptiva', 'evaluaciones']);
+  });
+
+  it('GET /api/products?currency=usd devuelve el precio en dólares', async () => {
+    const body = await (await app.request('/api/products?currency=usd')).json();
+    const generador = body.data.find((product) => product.id === 'ec0301-generador');
+
+    assert.deepEqual(generador.price, { amount: 5900, currency: 'usd' });
+  });
+
+  it('GET /api/products/:id responde 404 si el producto no existe', async () => {
+    const response = await app.request('/api/products/no-existe');
+
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).code, 'PRODUCT_NOT_FOUND');
+  });
+
+  it('GET /api/products/:id responde 400 en una moneda que el producto no tiene', async () => {
+    const response = await app.request('/api/products/modulo-manuales?currency=eur');
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'CURRENCY_NOT_AVAILABLE');
+  });
+
+  it('el checkout cobra el precio del producto y lo guarda en la metadata', async () => {
+    const response = await app.request('/api/create-checkout', {
+      json: { email: 'alumno@example.com', nombre: 'Alumno', productId: 'modulo-manuales' },
+    });
+    const session = stripe.checkoutSessions.at(-1);
+
+    assert.equal(response.status, 200);
+    assert.equal(session.metadata.productId, 'modulo-manuales');
+    assert.equal(session.priceData.unitAmount, 39900);
+  });
+
+  it('el checkout de un producto desconocido responde 400', async () => {
+    const response = await app.request('/api/create-checkout', {
+      json: { email: 'alumno@example.com', nombre: 'Alumno', productId: 'no-existe' },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'PRODUCT_NOT_FOUND');
+  });
+});
+
+describe('Moneda del checkout', () => {
+  let app;
+  let stripe;
+
+  const checkout = (json, headers) => app.request('/api/create-checkout', {
+    json: { email: 'alumno@example.com', nombre: 'Alumno', productId: 'modulo-manuales', ...json },
+    headers,
+  });
+
+  before(async () => {
+    stripe = createFakeStripe();
+    app = await startTestApp({
+      stripeService: stripe,
+      config: { GEO_COUNTRY_HEADER: 'cf-ipcountry', PAYMENT_METHOD_TYPES: ['card', 'oxxo'] },
+    });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('cobra en dólares según el país del proxy y solo con tarjeta', async () => {
+    const response = await checkout({}, { 'cf-ipcountry': 'US' });
+    const session = stripe.checkoutSessions.at(-1);
+
+    assert.equal(response.status, 200);
+    assert.equal(session.priceData.currency, 'usd');
+    assert.equal(session.priceData.unitAmount, 2400);
+    assert.deepEqual(session.paymentMethodTypes, ['card']);
+  });
+
+  it('la moneda que pide el comprador tiene prioridad sobre su país', async () => {
+    await checkout({ currency: 'MXN' }, { 'cf-ipcountry': 'US' });
+    const session = stripe.checkoutSessions.at(-1);
+
+    assert.equal(session.priceData.currency, 'mxn');
+    assert.equal(session.priceData.unitAmount, 39900);
+    assert.deepEqual(session.paymentMethodTypes, ['card', 'oxxo']);
+  });
+
+  it('sin moneda ni país cobra en la moneda base del producto', async () => {
+    await checkout({});
+
+    assert.equal(stripe.checkoutSessions.at(-1).priceData.currency, 'mxn');
+  });
+
+  it('responde 400 en una moneda que el producto no tiene', async () => {
+    const response = await checkout({ currency: 'eur' });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'CURRENCY_NOT_AVAILABLE');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Recibo en PDF de cada pago y su enlace firmado
+ * (GET /api/receipts/:receiptId/pdf)
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createTestContainer } = require('../helpers/app');
+const stripeEvents = require('../helpers/stripe');
+
+describe('Recibos de pago', () => {
+  let app;
+  let purchase;
+  let receipt;
+
+  // Ruta del enlace firmado (sin APP_URL)
+  const pathOf = (url) => url.slice(url.indexOf('/api/receipts/'));
+
+  beforeEach(async () => {
+    app = await startTestApp({ stripeService: stripeEvents.createFakeStripe() });
+    purchase = stripeEvents.checkoutCompleted({ amount: 39900, metadata: { productId: 'modulo-manuales' } });
+    await app.container.fulfillmentService.handleStripeEvent(purchase);
+    receipt = await app.container.database.findOne('receipts', { reference: purchase.data.object.id });
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  it('registra un recibo por pago con la vigencia del código', async () => {
+    const accessCode = await app.container.database.findOne('access_codes', {
+      stripeSessionId: purchase.data.object.id,
+    });
+
+    await app.container.fulfillmentService.handleStripeEvent({ ...purchase, id: `${purchase.id}_retry` });
+
+    assert.equal(receipt.amount, 39900);
+    assert.equal(receipt.productId, 'modulo-manuales');
+    assert.equal(receipt.paymentIntentId, purchase.data.object.payment_intent);
+    assert.equal(receipt.accessCode, accessCode.code);
+    assert.deepEqual(receipt.expiresAt, accessCode.expiresAt);
+    assert.equal(await app.container.database.count('receipts'), 1);
+  });
+
+  it('descarga el PDF con el enlace firmado', async () => {
+    const response = await app.request(pathOf(app.container.receiptService.signedUrl(receipt.receiptId)));
+    const pdf = Buffer.from(await response.arrayBuffer()).toString('latin1');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /application\/pdf/);
+    assert.match(pdf, /^%PDF-1\.4/);
+    assert.ok(pdf.includes('Producto: SkillsCert - Módulo de Manuales'));
+    assert.ok(pdf.includes(`Referencia de Stripe: ${purchase.data.object.payment_intent}`));
+  });
+
+  it('el recibo de un pago en dólares muestra el total en dólares', async () => {
+    const usd = stripeEvents.checkoutCompleted({
+      amount: 2400,
+      currency: 'usd',
+      metadata: { productId: 'modulo-manuales' },
+    });
+    await app.container.fulfillmentService.handleStripeEvent(usd);
+    const record = await app.container.database.findOne('receipts', { reference: usd.data.object.id });
+
+    const response = await app.request(pathOf(app.container.receiptService.signedUrl(record.receiptId)));
+    const pdf = Buffer.from(await response.arrayBuffer()).toString('latin1');
+
+    assert.equal(record.currency, 'usd');
+    assert.ok(pdf.includes('Total pagado: $24.00 USD'));
+  });
+
+  it('rechaza una firma alterada', async () => {
+    const url = app.container.receiptService.signedUrl(receipt.receiptId);
+    const response = await app.request(pathOf(url).replace(/signature=[^&]+/, 'signature=alterada'));
+
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, 'INVALID_RECEIPT_LINK');
+  });
+
+  it('rechaza un enlace vencido', async () => {
+    const issuedAt = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000);
+    const url = app.container.receiptService.signedUrl(receipt.receiptId, { now: issuedAt });
+
+    const response = await app.request(pathOf(url));
+
+    assert.equal(response.status, 410);
+    assert.equal((await response.json()).code, 'RECEIPT_LINK_EXPIRED');
+  });
+
+  it('el enlace de un recibo no sirve para otro', async () => {
+    const url = app.container.receiptService.signedUrl(receipt.receiptId);
+    const response = await app.request(pathOf(url).replace(receipt.receiptId, 'otro-recibo'));
+
+    assert.equal(response.status, 403);
+  });
+
+  it('adjunta el PDF a la confirmación de pago una sola vez', async () => {
+    const sent = [];
+    const container = await createTestContainer({
+      emailService: {
+        sendAccessCode: async () => ({ success: true }),
+        sendPaymentConfirmation: async (data) => {
+          sent.push(data);
+          return { success: true };
+        },
+      },
+    });
+    const event = stripeEvents.checkoutCompleted();
+
+    await container.fulfillmentService.handleStripeEvent(event);
+    await container.fulfillmentService.handleStripeEvent({ ...event, id: `${event.id}_retry` });
+
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].receipt.filename, /^recibo-\d{6}\.pdf$/);
+    assert.match(sent[0].receipt.content.toString('latin1'), /^%PDF-/);
+    assert.match(sent[0].receiptUrl, /\/api\/receipts\/.+\/pdf\?expires=\d+&signature=/);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * GET /api/subscription y POST /api/subscription/portal con la sesión
+ * del código de una suscripción
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+const stripeEvents = require('../helpers/stripe');
+
+describe('Suscripción del código', () => {
+  let app;
+  let stripe;
+  let code;
+
+  const login = async (accessCode) => {
+    const response = await app.request('/api/login', { json: { email: 'alumno@example.com', code: accessCode } });
+    return { authorization: `Bearer ${(await response.json()).token}` };
+  };
+
+  beforeEach(async () => {
+    stripe = stripeEvents.createFakeStripe();
+    stripe.portalSessions = [];
+    stripe.createPortalSession = async ({ customerId, returnUrl }) => {
+      stripe.portalSessions.push({ customerId, returnUrl });
+      return { url: `https://billing.stripe.test/${customerId}` };
+    };
+    app = await startTestApp({ stripeService: stripe });
+
+    const checkout = await app.container.fulfillmentService.handleStripeEvent(stripeEvents.checkoutCompleted({
+      mode: 'subscription',
+      subscriptionId: 'sub_cuenta',
+      customerId: 'cus_cuenta',
+      metadata: { productId: 'suscripcion-mensual' },
+    }));
+    code = checkout.fulfillment.accessCode;
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  it('devuelve el estado de la suscripción sin el cliente de Stripe', async () => {
+    const response = await app.request('/api/subscription', { headers: await login(code) });
+    const { data } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.code, code);
+    assert.equal(data.status, 'active');
+    assert.equal(data.stripeCustomerId, undefined);
+  });
+
+  it('crea el enlace al portal de clientes de Stripe', async () => {
+    const response = await app.request('/api/subscription/portal', { headers: await login(code), json: {} });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).data.url, 'https://billing.stripe.test/cus_cuenta');
+    assert.equal(stripe.portalSessions[0].customerId, 'cus_cuenta');
+  });
+
+  it('responde 404 con un código que no es de suscripción', async () => {
+    const purchase = await app.container.fulfillmentService.handleStripeEvent(stripeEvents.checkoutCompleted());
+
+    const response = await app.request('/api/subscription', { headers: await login(purchase.fulfillment.accessCode) });
+
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).code, 'NO_SUBSCRIPTION');
+  });
+
+  it('requiere sesión y la pierde al cancelarse la suscripción', async () => {
+    const headers = await login(code);
+    assert.equal((await app.request('/api/subscription')).status, 401);
+
+    await app.container.fulfillmentService.handleStripeEvent(stripeEvents.event('customer.subscription.deleted', {
+      id: 'sub_cuenta',
+      customer: 'cus_cuenta',
+    }));
+
+    const response = await app.request('/api/subscription', { headers });
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).code, 'SESSION_REVOKED');
+  });
+});
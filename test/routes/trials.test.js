@@ -0,0 +1,66 @@
+/**
+ * Validación de los datos del comprador en POST /api/trials y
+ * POST /api/create-checkout, y reservas de la prueba gratis
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('Datos del comprador', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  for (const path of ['/api/trials', '/api/create-checkout']) {
+    for (const [label, body] of [
+      ['nombre numérico', { email: 'alumno@example.com', nombre: 123 }],
+      ['teléfono numérico', { email: 'alumno@example.com', telefono: 5512345678, deliveryMethod: 'whatsapp' }],
+      ['email en arreglo', { email: ['alumno@example.com'] }],
+    ]) {
+      it(`${path} responde 400 con ${label}`, async () => {
+        const response = await app.request(path, { json: body });
+        assert.equal(response.status, 400);
+      });
+    }
+  }
+
+  it('/api/trials responde 400 con un teléfono de menos de 10 dígitos', async () => {
+    const response = await app.request('/api/trials', {
+      json: { email: 'corto@example.com', telefono: '55-1234', deliveryMethod: 'both' },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'INVALID_PHONE');
+    assert.equal(await app.container.database.count('trial_claims'), 0);
+  });
+
+  it('si el código de prueba no se guarda, el email y el teléfono pueden pedirla otra vez', async () => {
+    const { accessCodeService } = app.container;
+    const save = accessCodeService.saveAccessCode;
+    accessCodeService.saveAccessCode = async () => {
+      throw new Error('Base de datos no disponible');
+    };
+    const body = { email: 'reintento@example.com', telefono: '+52 55 1234 5678' };
+
+    const failed = await app.request('/api/trials', { json: body });
+    accessCodeService.saveAccessCode = save;
+    const retried = await app.request('/api/trials', { json: body });
+
+    assert.equal(failed.status, 500);
+    assert.equal(retried.status, 201);
+    assert.equal(await app.container.database.count('trial_claims'), 2);
+  });
+
+  it('el servidor sigue atendiendo después de un body inválido', async () => {
+    await app.request('/api/trials', { json: { email: 'alumno@example.com', nombre: 1 } });
+    const response = await app.request('/health');
+    assert.equal(response.status, 200);
+  });
+});
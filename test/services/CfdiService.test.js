@@ -0,0 +1,143 @@
+/**
+ * CfdiService: datos fiscales, desglose de IVA, XML y timbrado
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestRepository } = require('../helpers/repository');
+const CfdiService = require('../../src/services/CfdiService');
+const { StubPacProvider } = require('../../src/services/pac');
+
+const EMISOR = {
+  rfc: 'SCE200101AB1',
+  nombre: 'SKILLSCERT',
+  regimenFiscal: '601',
+  lugarExpedicion: '06600',
+};
+
+const RECEPTOR = {
+  rfc: 'XAXX010101000',
+  nombre: 'EMPRESA DE CAPACITACION',
+  regimenFiscal: '601',
+  usoCfdi: 'G03',
+  codigoPostal: '01000',
+};
+
+describe('CfdiService', () => {
+  let db;
+  let cfdi;
+
+  const createInvoice = (overrides = {}) => cfdi.createInvoice({
+    sessionId: 'cs_test_factura',
+    email: 'compras@empresa.com',
+    receptor: RECEPTOR,
+    description: 'SkillsCert - Generador EC0301',
+    total: 99900,
+    currency: 'mxn',
+    ...overrides,
+  });
+
+  beforeEach(async () => {
+    db = await createTestRepository();
+    cfdi = new CfdiService(db, { provider: new StubPacProvider(), emisor: EMISOR });
+  });
+
+  describe('validateReceptor', () => {
+    it('normaliza RFC, razón social y uso de CFDI', () => {
+      const receptor = CfdiService.validateReceptor({
+        rfc: 'xaxx-010101 000',
+        razonSocial: '  Empresa   de capacitación ',
+        regimenFiscal: '601',
+        usoCfdi: 'g03',
+        codigoPostal: '01000',
+      });
+
+      assert.equal(receptor.rfc, 'XAXX010101000');
+      assert.equal(receptor.nombre, 'EMPRESA DE CAPACITACIÓN');
+      assert.equal(receptor.usoCfdi, 'G03');
+    });
+
+    for (const [field, data] of [
+      ['rfc', { ...RECEPTOR, rfc: 'NO-ES-RFC' }],
+      ['razonSocial', { ...RECEPTOR, nombre: ' ' }],
+      ['regimenFiscal', { ...RECEPTOR, regimenFiscal: '999' }],
+      ['usoCfdi', { ...RECEPTOR, usoCfdi: 'X01' }],
+      ['codigoPostal', { ...RECEPTOR, codigoPostal: '1000' }],
+    ]) {
+      it(`rechaza ${field} inválido`, () => {
+        assert.throws(() => CfdiService.validateReceptor(data), { code: 'INVALID_FISCAL_DATA', field });
+      });
+    }
+
+    it('los datos viajan en la metadata del checkout', () => {
+      assert.deepEqual(CfdiService.fromMetadata(CfdiService.toMetadata(RECEPTOR)), RECEPTOR);
+      assert.equal(CfdiService.fromMetadata({}), null);
+    });
+  });
+
+  it('desglosa el IVA del total cobrado', async () => {
+    const { record } = await createInvoice();
+
+    assert.equal(record.subtotal, 86121);
+    assert.equal(record.iva, 13779);
+    assert.equal(record.subtotal - record.discount + record.iva, record.total);
+    assert.equal(record.folio, '1');
+  });
+
+  it('con descuento, SubTotal - Descuento + IVA = Total', async () => {
+    const { record } = await createInvoice({ total: 89910, discountAmount: 9990 });
+
+    assert.equal(record.discount, 8612);
+    assert.equal(record.subtotal - record.discount + record.iva, 89910);
+  });
+
+  it('registra una sola factura por checkout', async () => {
+    const first = await createInvoice();
+    const second = await createInvoice();
+
+    assert.equal(first.created, true);
+    assert.equal(second.created, false);
+    assert.equal(second.record.invoiceId, first.record.invoiceId);
+    assert.equal(await db.count('cfdi_invoices'), 1);
+  });
+
+  it('arma el XML del CFDI 4.0 con el desglose de IVA', async () => {
+    const { record } = await createInvoice();
+    const xml = cfdi.buildXml(record);
+
+    assert.match(xml, /Version="4\.0"/);
+    assert.match(xml, /SubTotal="861\.21" Moneda="MXN" Total="999\.00"/);
+    assert.match(xml, /<cfdi:Receptor Rfc="XAXX010101000" Nombre="EMPRESA DE CAPACITACION"/);
+    assert.match(xml, /TasaOCuota="0\.160000" Importe="137\.79"/);
+  });
+
+  it('no factura pagos en otra moneda', async () => {
+    const { record } = await createInvoice({ currency: 'usd', total: 5900 });
+
+    assert.throws(() => cfdi.buildXml(record), { code: 'CFDI_CURRENCY_NOT_SUPPORTED' });
+  });
+
+  it('timbra con el PAC y guarda el UUID y el XML timbrado', async () => {
+    const { record } = await createInvoice();
+    const stamped = await cfdi.stamp(record);
+    const saved = await cfdi.getInvoice(record.invoiceId);
+
+    assert.equal(stamped.status, 'stamped');
+    assert.equal(saved.uuid, stamped.uuid);
+    assert.match(saved.xml, /TimbreFiscalDigital/);
+    assert.match(cfdi.renderPdf(saved).toString('latin1'), /^%PDF-/);
+  });
+
+  it('un fallo del PAC queda para reintentar; un rechazo no', async () => {
+    cfdi.provider = new StubPacProvider({ failWith: { message: 'PAC no disponible' } });
+    const failed = await cfdi.stamp((await createInvoice()).record);
+
+    cfdi.provider = new StubPacProvider({ failWith: { message: 'RFC no registrado', retryable: false } });
+    const rejected = await cfdi.stamp((await createInvoice({ sessionId: 'cs_test_rechazada' })).record);
+
+    const due = await cfdi.pendingRetries();
+    assert.equal(failed.status, 'failed');
+    assert.equal(rejected.status, 'rejected');
+    assert.deepEqual(due.map((item) => item.invoiceId), [failed.invoiceId]);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Checkouts abandonados: registro del checkout vencido, recordatorio con
+ * un checkout nuevo, bajas y recuperados contra perdidos
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContainer } = require('../helpers/app');
+const stripeEvents = require('../helpers/stripe');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Recuperación de checkouts abandonados', () => {
+  let container;
+  let stripe;
+  let sent;
+
+  // checkout.session.completed con los campos de un checkout vencido
+  const expired = (options = {}) => {
+    const { data } = stripeEvents.checkoutCompleted({ paymentStatus: 'unpaid', ...options });
+    return stripeEvents.event('checkout.session.expired', {
+      ...data.object,
+      status: 'expired',
+      created: Math.floor((Date.now() - 25 * HOUR) / 1000),
+      expires_at: Math.floor(Date.now() / 1000),
+    });
+  };
+
+  const recovery = (sessionId) => container.database.findOne('checkout_recoveries', { sessionId });
+
+  const sendDue = (hoursFromNow = 2) =>
+    container.checkoutRecoveryHandler.sendCheckoutRecoveries(new Date(Date.now() + hoursFromNow * HOUR));
+
+  beforeEach(async () => {
+    sent = [];
+    stripe = stripeEvents.createFakeStripe();
+    // Email simulado: registra cada envío
+    const emailService = new Proxy({}, {
+      get: (target, method) => (method === 'then' ? undefined : async (data) => {
+        sent.push({ method, data });
+        return { success: true, messageId: `msg_${sent.length}` };
+      }),
+    });
+    container = await createTestContainer({ stripeService: stripe, emailService });
+  });
+
+  it('registra el checkout vencido una sola vez', async () => {
+    const event = expired({ metadata: { productId: 'modulo-manuales', productName: 'Manuales' } });
+
+    await container.fulfillmentService.handleStripeEvent(event);
+    await container.fulfillmentService.handleStripeEvent({ ...event, id: `${event.id}_retry` });
+    const record = await recovery(event.data.object.id);
+
+    assert.equal(record.status, 'pending');
+    assert.equal(record.email, 'alumno@example.com');
+    assert.equal(record.productId, 'modulo-manuales');
+    assert.equal(await container.database.count('checkout_recoveries'), 1);
+  });
+
+  it('sin email el checkout vencido se da por perdido', async () => {
+    const event = expired();
+    event.data.object.customer_details = null;
+
+    await container.fulfillmentService.handleStripeEvent(event);
+    const record = await recovery(event.data.object.id);
+
+    assert.equal(record.status, 'lost');
+    assert.equal(record.reason, 'no_email');
+  });
+
+  it('pasado el tiempo de espera envía el enlace de un checkout nuevo', async () => {
+    const event = expired({ metadata: { productId: 'modulo-manuales' } });
+    await container.fulfillmentService.handleStripeEvent(event);
+
+    const early = await sendDue(0);
+    const summary = await sendDue();
+    const record = await recovery(event.data.object.id);
+    const session = stripe.checkoutSessions.at(-1);
+    const email = sent.find((item) => item.method === 'sendCheckoutRecovery');
+
+    assert.equal(early.due, 0);
+    assert.equal(summary.sent, 1);
+    assert.equal(record.status, 'sent');
+    assert.equal(record.recoverySessionId, session.sessionId);
+    assert.equal(session.metadata.recoveredFrom, event.data.object.id);
+    assert.equal(session.priceData.unitAmount, 39900);
+    assert.equal(email.data.checkoutUrl, record.recoveryUrl);
+    assert.match(email.data.optOutUrl, /\/api\/checkout-recovery\/opt-out\?email=.+&signature=/);
+    assert.equal((await sendDue()).due, 0);
+  });
+
+  it('pagar el checkout nuevo cuenta la venta como recuperada', async () => {
+    const event = expired({ metadata: { productId: 'modulo-manuales' } });
+    await container.fulfillmentService.handleStripeEvent(event);
+    await sendDue();
+    const session = stripe.checkoutSessions.at(-1);
+
+    await container.fulfillmentService.handleStripeEvent(stripeEvents.checkoutCompleted({
+      sessionId: session.sessionId,
+      amount: 39900,
+      metadata: session.metadata,
+    }));
+    const stats = await container.checkoutRecoveryService.getStats({
+      from: new Date(Date.now() - HOUR),
+      to: new Date(Date.now() + HOUR),
+    });
+
+    assert.equal((await recovery(event.data.object.id)).status, 'recovered');
+    assert.equal(stats.recovered, 1);
+    assert.equal(stats.lost, 0);
+    assert.equal(stats.recoveryRate, 100);
+    assert.deepEqual(stats.recoveredAmount, { mxn: 99900 });
+  });
+
+  it('si el checkout nuevo también vence, la venta queda perdida', async () => {
+    const event = expired({ metadata: { productId: 'modulo-manuales' } });
+    await container.fulfillmentService.handleStripeEvent(event);
+    await sendDue();
+    const session = stripe.checkoutSessions.at(-1);
+
+    await container.fulfillmentService.handleStripeEvent(expired({
+      sessionId: session.sessionId,
+      metadata: session.metadata,
+    }));
+    const record = await recovery(event.data.object.id);
+
+    assert.equal(record.status, 'lost');
+    assert.equal(record.reason, 'recovery_expired');
+    assert.equal(await container.database.count('checkout_recoveries'), 1);
+  });
+
+  it('no escribe a quien se dio de baja con el enlace del email', async () => {
+    const event = expired();
+    await container.fulfillmentService.handleStripeEvent(event);
+    const url = new URL(container.checkoutRecoveryService.optOutUrl('Alumno@Example.com'));
+
+    await assert.rejects(
+      container.checkoutRecoveryService.optOutWithSignature('otro@example.com', url.searchParams.get('signature')),
+      { code: 'INVALID_OPT_OUT_LINK' }
+    );
+    await container.checkoutRecoveryService.optOutWithSignature(
+      url.searchParams.get('email'),
+      url.searchParams.get('signature')
+    );
+    const summary = await sendDue();
+
+    assert.equal(summary.opted_out, 1);
+    assert.equal((await recovery(event.data.object.id)).status, 'opted_out');
+    assert.equal(sent.filter((item) => item.method === 'sendCheckoutRecovery').length, 0);
+    assert.equal(stripe.checkoutSessions.length, 0);
+  });
+
+  it('no escribe a quien ya compró el producto por otro lado', async () => {
+    const event = expired({ metadata: { productId: 'modulo-manuales' } });
+    await container.fulfillmentService.handleStripeEvent(event);
+    await container.fulfillmentService.handleStripeEvent(
+      stripeEvents.checkoutCompleted({ amount: 39900, metadata: { productId: 'modulo-manuales' } })
+    );
+
+    const summary = await sendDue();
+
+    assert.equal(summary.purchased, 1);
+    assert.equal((await recovery(event.data.object.id)).status, 'purchased');
+  });
+
+  it('un checkout vencido hace demasiado tiempo ya no se recupera', async () => {
+    const event = expired();
+    await container.fulfillmentService.handleStripeEvent(event);
+
+    const summary = await sendDue(100);
+    const record = await recovery(event.data.object.id);
+
+    assert.equal(summary.lost, 1);
+    assert.equal(record.reason, 'too_old');
+    assert.equal(stripe.checkoutSessions.length, 0);
+  });
+});
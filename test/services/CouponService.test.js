@@ -0,0 +1,161 @@
+/**
+ * CouponService: reservas, límite total de usos y límite por email
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CouponService = require('../../src/services/CouponService');
+const { createTestRepository, ADAPTERS } = require('../helpers/repository');
+
+const HOUR = 60 * 60 * 1000;
+
+for (const driver of ADAPTERS) {
+  describe(`CouponService (${driver})`, () => {
+    let db;
+    let coupons;
+
+    const redeem = (sessionId, reservationId = null) => coupons.redeem({
+      code: 'PROMO',
+      email: 'alumno@example.com',
+      sessionId,
+      productId: 'ec0301-generador',
+      discountAmount: 10000,
+      currency: 'mxn',
+      reservationId,
+    });
+
+    beforeEach(async () => {
+      db = await createTestRepository(driver);
+      coupons = new CouponService(db);
+      await coupons.createCoupon({ code: 'PROMO', discountType: 'percent', value: 10, maxRedemptions: 2 });
+    });
+
+    afterEach(async () => {
+      await db.close();
+    });
+
+    it('las reservas cuentan para el límite total', async () => {
+      await coupons.reserve({ code: 'PROMO', email: 'a@example.com' });
+      await coupons.reserve({ code: 'PROMO', email: 'b@example.com' });
+
+      await assert.rejects(coupons.reserve({ code: 'PROMO', email: 'c@example.com' }), {
+        code: 'COUPON_EXHAUSTED',
+        couponCode: 'PROMO',
+      });
+      assert.equal(CouponService.isExhausted(await coupons.getCoupon('PROMO')), true);
+    });
+
+    it('reservas simultáneas no rebasan el límite', async () => {
+      const results = await Promise.allSettled(
+        Array.from({ length: 6 }, (_, i) => coupons.reserve({ code: 'PROMO', email: `u${i}@example.com` }))
+      );
+
+      assert.equal(results.filter((result) => result.status === 'fulfilled').length, 2);
+      assert.equal((await coupons.getCoupon('PROMO')).reservedCount, 2);
+      assert.equal(await db.count('coupon_reservations', { status: 'reserved' }), 2);
+    });
+
+    it('liberar una reserva devuelve el uso una sola vez', async () => {
+      const first = await coupons.reserve({ code: 'PROMO', email: 'a@example.com' });
+      await coupons.reserve({ code: 'PROMO', email: 'b@example.com' });
+
+      assert.equal(await coupons.release(first.reservationId), true);
+      assert.equal(await coupons.release(first.reservationId), false);
+      assert.equal((await coupons.getCoupon('PROMO')).reservedCount, 1);
+
+      await coupons.reserve({ code: 'PROMO', email: 'c@example.com' });
+    });
+
+    it('redeem convierte la reserva en uso', async () => {
+      const reservation = await coupons.reserve({ code: 'PROMO', email: 'alumno@example.com' });
+
+      const result = await redeem('cs_1', reservation.reservationId);
+      const repeated = await redeem('cs_1', reservation.reservationId);
+
+      const coupon = await coupons.getCoupon('PROMO');
+      assert.equal(result.overLimit, false);
+      assert.equal(repeated.duplicate, true);
+      assert.equal(coupon.redemptionCount, 1);
+      assert.equal(coupon.reservedCount, 0);
+      assert.equal((await db.findOne('coupon_reservations', { reservationId: reservation.reservationId })).status, 'redeemed');
+      assert.equal(await coupons.release(reservation.reservationId), false);
+    });
+
+    it('un uso pagado sin reserva con el cupón agotado se registra como overLimit', async () => {
+      await coupons.reserve({ code: 'PROMO', email: 'a@example.com' });
+      await coupons.reserve({ code: 'PROMO', email: 'b@example.com' });
+
+      const result = await redeem('cs_legacy');
+
+      assert.equal(result.overLimit, true);
+      assert.equal((await coupons.getCoupon('PROMO')).redemptionCount, 1);
+      assert.equal((await db.findOne('coupon_redemptions', { sessionId: 'cs_legacy' })).overLimit, true);
+
+      const stats = await coupons.getStats();
+      assert.equal(stats.byCoupon[0].overLimit, 1);
+    });
+
+    it('libera las reservas vencidas salvo las retenidas por un pago pendiente', async () => {
+      const expired = await coupons.reserve({ code: 'PROMO', email: 'a@example.com' });
+      const held = await coupons.reserve({ code: 'PROMO', email: 'b@example.com' });
+      await coupons.holdReservation(held.reservationId);
+
+      const later = new Date(Date.now() + (CouponService.RESERVATION_TTL_HOURS + 1) * HOUR);
+      const result = await coupons.releaseExpiredReservations(later);
+
+      assert.deepEqual(result, { expired: 1, released: 1 });
+      assert.equal((await db.findOne('coupon_reservations', { reservationId: expired.reservationId })).status, 'released');
+      assert.equal((await db.findOne('coupon_reservations', { reservationId: held.reservationId })).status, 'reserved');
+    });
+
+    it('el límite por email cuenta las reservas abiertas', async () => {
+      await db.update('coupons', { code: 'PROMO' }, { maxPerEmail: 1, maxRedemptions: null });
+      await coupons.reserve({ code: 'PROMO', email: 'alumno@example.com' });
+
+      const product = { id: 'ec0301-generador', price: { amount: 99900, currency: 'mxn' } };
+      await assert.rejects(
+        coupons.validate({ code: 'PROMO', email: 'alumno@example.com', product }),
+        { code: 'COUPON_EMAIL_LIMIT' }
+      );
+    });
+
+    it('checkouts simultáneos del mismo email no rebasan el límite por email', async () => {
+      await db.update('coupons', { code: 'PROMO' }, { maxPerEmail: 2, maxRedemptions: null });
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 5 }, () => coupons.reserve({ code: 'PROMO', email: 'Alumno@example.com' }))
+      );
+
+      assert.equal(results.filter((result) => result.status === 'fulfilled').length, 2);
+      assert.equal(await db.count('coupon_reservations', { status: 'reserved' }), 2);
+      assert.equal((await coupons.getCoupon('PROMO')).reservedCount, 2);
+    });
+
+    it('liberar una reserva devuelve el uso del email', async () => {
+      await db.update('coupons', { code: 'PROMO' }, { maxPerEmail: 1 });
+      const first = await coupons.reserve({ code: 'PROMO', email: 'alumno@example.com' });
+      await assert.rejects(coupons.reserve({ code: 'PROMO', email: 'alumno@example.com' }), { code: 'COUPON_EMAIL_LIMIT' });
+
+      await coupons.release(first.reservationId);
+
+      await coupons.reserve({ code: 'PROMO', email: 'alumno@example.com' });
+      assert.equal((await coupons.getCoupon('PROMO')).reservedCount, 1);
+    });
+
+    it('si la reserva no se puede guardar no deja usos tomados', async () => {
+      await db.update('coupons', { code: 'PROMO' }, { maxPerEmail: 1 });
+      const insert = db.insert.bind(db);
+      db.insert = async (table, doc) => {
+        if (table === 'coupon_reservations') throw new Error('Base de datos no disponible');
+        return insert(table, doc);
+      };
+
+      await assert.rejects(coupons.reserve({ code: 'PROMO', email: 'alumno@example.com' }), /no disponible/);
+      db.insert = insert;
+
+      assert.equal(await db.count('coupon_reservations', { status: 'reserved' }), 0);
+      assert.equal((await coupons.getCoupon('PROMO')).reservedCount, 0);
+      await coupons.reserve({ code: 'PROMO', email: 'alumno@example.com' });
+    });
+  });
+}
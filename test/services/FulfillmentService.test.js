@@ -0,0 +1,612 @@
+/**
+ * Eventos de Stripe de punta a punta
+ *
+ * Cada prueba manda eventos a FulfillmentService.handleStripeEvent con el
+ * contenedor completo (base de datos en memoria y Stripe simulado) y
+ * revisa lo que queda guardado.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContainer } = require('../helpers/app');
+const stripeEvents = require('../helpers/stripe');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('FulfillmentService', () => {
+  let container;
+  let db;
+  let handle;
+
+  beforeEach(async () => {
+    container = await createTestContainer();
+    db = container.database;
+    handle = (event) => container.fulfillmentService.handleStripeEvent(event);
+  });
+
+  describe('checkout pagado con tarjeta', () => {
+    it('genera el código del producto comprado una sola vez', async () => {
+      const event = stripeEvents.checkoutCompleted({ metadata: { productId: 'modulo-evaluaciones' } });
+
+      const result = await handle(event);
+      const accessCode = await db.findOne('access_codes', { code: result.fulfillment.accessCode });
+
+      assert.equal(accessCode.email, 'alumno@example.com');
+      assert.equal(accessCode.productId, 'modulo-evaluaciones');
+      assert.equal(accessCode.stripePaymentIntentId, event.data.object.payment_intent);
+      assert.ok(Math.abs(new Date(accessCode.expiresAt) - Date.now() - 90 * DAY) < 60 * 1000);
+
+      const repeated = await handle(event);
+      assert.equal(repeated.duplicate, true);
+      assert.equal(await db.count('access_codes'), 1);
+    });
+
+    it('un evento nuevo de la misma sesión no genera otro código', async () => {
+      const event = stripeEvents.checkoutCompleted();
+      const retry = { ...event, id: `${event.id}_retry` };
+
+      const first = await handle(event);
+      const second = await handle(retry);
+
+      assert.equal(second.fulfillment.existing, true);
+      assert.equal(second.fulfillment.accessCode, first.fulfillment.accessCode);
+      assert.equal(await db.count('access_codes'), 1);
+    });
+
+    it('cuenta el cupón usado', async () => {
+      await container.couponService.createCoupon({ code: 'PROMO10', discountType: 'percent', value: 10 });
+
+      await handle(stripeEvents.checkoutCompleted({
+        discountAmount: 10000,
+        metadata: { couponCode: 'PROMO10', discountAmount: '10000' },
+      }));
+
+      const coupon = await db.findOne('coupons', { code: 'PROMO10' });
+      assert.equal(coupon.redemptionCount, 1);
+      assert.equal(await db.count('coupon_redemptions', { couponCode: 'PROMO10' }), 1);
+    });
+
+    it('convierte la reserva del cupón en uso', async () => {
+      await container.couponService.createCoupon({ code: 'UNO', discountType: 'percent', value: 10, maxRedemptions: 1 });
+      const { reservationId } = await container.couponService.reserve({ code: 'UNO', email: 'alumno@example.com' });
+
+      await handle(stripeEvents.checkoutCompleted({
+        metadata: { couponCode: 'UNO', discountAmount: '9990', couponReservationId: reservationId },
+      }));
+
+      const coupon = await db.findOne('coupons', { code: 'UNO' });
+      const reservation = await db.findOne('coupon_reservations', { reservationId });
+      assert.equal(coupon.redemptionCount, 1);
+      assert.equal(coupon.reservedCount, 0);
+      assert.equal(reservation.status, 'redeemed');
+    });
+  });
+
+  describe('pagos diferidos (OXXO)', () => {
+    it('registra el pago pendiente y genera el código al confirmarse', async () => {
+      const completed = stripeEvents.checkoutCompleted({ paymentStatus: 'unpaid', paymentMethodTypes: ['oxxo'] });
+      const paymentIntentId = completed.data.object.payment_intent;
+
+      const pending = await handle(completed);
+      assert.equal(pending.pendingPayment.status, 'pending');
+      assert.equal(await db.count('access_codes'), 0);
+
+      const succeeded = await handle(stripeEvents.asyncPaymentSucceeded(completed));
+      const payment = await container.paymentStateService.getPayment(paymentIntentId);
+
+      assert.ok(succeeded.fulfillment.accessCode);
+      assert.equal(payment.status, 'succeeded');
+      assert.equal(payment.orderCompleted, true);
+      assert.equal(payment.accessCode, succeeded.fulfillment.accessCode);
+    });
+
+    it('marca el pago como fallido', async () => {
+      const completed = stripeEvents.checkoutCompleted({ paymentStatus: 'unpaid', paymentMethodTypes: ['oxxo'] });
+      await handle(completed);
+
+      const failed = await handle(stripeEvents.event('checkout.session.async_payment_failed', completed.data.object));
+
+      assert.equal(failed.payment.status, 'failed');
+      assert.equal(await db.count('access_codes'), 0);
+    });
+
+    it('conserva la reserva del cupón mientras el pago está pendiente y la libera si falla', async () => {
+      await container.couponService.createCoupon({ code: 'OXXO1', discountType: 'percent', value: 10, maxRedemptions: 1 });
+      const { reservationId } = await container.couponService.reserve({ code: 'OXXO1', email: 'alumno@example.com' });
+      const completed = stripeEvents.checkoutCompleted({
+        paymentStatus: 'unpaid',
+        paymentMethodTypes: ['oxxo'],
+        metadata: { couponCode: 'OXXO1', discountAmount: '9990', couponReservationId: reservationId },
+      });
+
+      await handle(completed);
+      const held = await db.findOne('coupon_reservations', { reservationId });
+      assert.equal(held.status, 'reserved');
+      assert.equal(held.expiresAt, null);
+
+      await handle(stripeEvents.event('checkout.session.async_payment_failed', completed.data.object));
+
+      const coupon = await db.findOne('coupons', { code: 'OXXO1' });
+      assert.equal((await db.findOne('coupon_reservations', { reservationId })).status, 'released');
+      assert.equal(coupon.reservedCount, 0);
+    });
+  });
+
+  describe('renovaciones', () => {
+    it('extiende el código existente', async () => {
+      const purchase = await handle(stripeEvents.checkoutCompleted({ metadata: { productId: 'modulo-evaluaciones' } }));
+      const code = purchase.fulfillment.accessCode;
+      const before = await db.findOne('access_codes', { code });
+
+      const renewal = await handle(stripeEvents.checkoutCompleted({
+        metadata: { productId: 'renovacion-anual', renewCode: code },
+      }));
+
+      const after = await db.findOne('access_codes', { code });
+      assert.equal(renewal.fulfillment.renewed, true);
+      assert.equal(new Date(after.expiresAt) - new Date(before.expiresAt), 365 * DAY);
+      assert.equal(await db.count('access_codes'), 1);
+    });
+
+    it('un evento repetido de una renovación anterior no vuelve a extender el código', async () => {
+      const purchase = await handle(stripeEvents.checkoutCompleted());
+      const code = purchase.fulfillment.accessCode;
+      const first = stripeEvents.checkoutCompleted({ metadata: { productId: 'renovacion-anual', renewCode: code } });
+
+      await handle(first);
+      await handle(stripeEvents.checkoutCompleted({ metadata: { productId: 'renovacion-anual', renewCode: code } }));
+      const renewed = await db.findOne('access_codes', { code });
+
+      const replay = await handle({ ...first, id: `${first.id}_replay` });
+
+      assert.equal(replay.fulfillment.existing, true);
+      assert.deepEqual((await db.findOne('access_codes', { code })).expiresAt, renewed.expiresAt);
+      assert.equal(await db.count('code_renewals', { accessCode: code }), 2);
+    });
+
+    it('extiende un código que entró en disputa después del checkout sin reactivarlo', async () => {
+      const purchase = stripeEvents.checkoutCompleted();
+      const { fulfillment } = await handle(purchase);
+      const code = fulfillment.accessCode;
+      const before = await db.findOne('access_codes', { code });
+
+      await handle(stripeEvents.dispute('created', {
+        paymentIntentId: purchase.data.object.payment_intent,
+        amount: 99900,
+      }));
+      const renewal = await handle(stripeEvents.checkoutCompleted({
+        metadata: { productId: 'renovacion-anual', renewCode: code },
+      }));
+
+      const after = await db.findOne('access_codes', { code });
+      assert.equal(renewal.fulfillment.renewed, true);
+      assert.equal(after.status, 'disputed');
+      assert.equal(new Date(after.expiresAt) - new Date(before.expiresAt), 365 * DAY);
+    });
+  });
+
+  describe('suscripciones', () => {
+    it('genera el código en el checkout y lo extiende con cada factura pagada', async () => {
+      const checkout = await handle(stripeEvents.checkoutCompleted({
+        mode: 'subscription',
+        subscriptionId: 'sub_test',
+        customerId: 'cus_test',
+        metadata: { productId: 'suscripcion-mensual' },
+      }));
+      const code = checkout.fulfillment.accessCode;
+
+      const periodEnd = new Date(Date.now() + 62 * DAY);
+      const invoice = await handle(stripeEvents.invoicePaid({ subscriptionId: 'sub_test', periodEnd }));
+
+      const accessCode = await db.findOne('access_codes', { code });
+      assert.equal(invoice.subscription.extended, true);
+      assert.ok(new Date(accessCode.expiresAt) >= periodEnd);
+    });
+
+    it('un cobro fallido deja el código activo durante el periodo de gracia', async () => {
+      const checkout = await handle(stripeEvents.checkoutCompleted({
+        mode: 'subscription',
+        subscriptionId: 'sub_failed',
+        metadata: { productId: 'suscripcion-mensual' },
+      }));
+      const code = checkout.fulfillment.accessCode;
+      const before = await db.findOne('access_codes', { code });
+      const failed = (attemptCount) => stripeEvents.event('invoice.payment_failed', {
+        ...stripeEvents.invoicePaid({ subscriptionId: 'sub_failed' }).data.object,
+        attempt_count: attemptCount,
+      });
+
+      const first = await handle(failed(1));
+      const retry = await handle(failed(2));
+
+      const accessCode = await db.findOne('access_codes', { code });
+      assert.equal(accessCode.status, 'active');
+      assert.equal(accessCode.subscriptionStatus, 'past_due');
+      assert.equal(new Date(first.subscription.graceEndsAt).getTime(), new Date(before.expiresAt).getTime());
+      assert.deepEqual(retry.subscription.deliveries, {});
+    });
+
+    it('suspende el código cuando se cancela la suscripción', async () => {
+      const checkout = await handle(stripeEvents.checkoutCompleted({
+        mode: 'subscription',
+        subscriptionId: 'sub_cancel',
+        metadata: { productId: 'suscripcion-mensual' },
+      }));
+
+      const result = await handle(stripeEvents.event('customer.subscription.deleted', {
+        id: 'sub_cancel',
+        customer: 'cus_test',
+      }));
+
+      const accessCode = await db.findOne('access_codes', { code: checkout.fulfillment.accessCode });
+      assert.equal(result.subscription.suspended, true);
+      assert.equal(accessCode.subscriptionStatus, 'canceled');
+    });
+  });
+
+  describe('facturas CFDI', () => {
+    it('timbra y envía la factura de un checkout con datos fiscales', async () => {
+      const sent = [];
+      // Email simulado: registra cada envío
+      const emailService = new Proxy({}, {
+        get: (target, method) => (method === 'then' ? undefined : async (data) => {
+          sent.push({ method, data });
+          return { success: true, messageId: `msg_${sent.length}` };
+        }),
+      });
+      container = await createTestContainer({
+        emailService,
+        config: {
+          CFDI_EMISOR_RFC: 'SCE200101AB1',
+          CFDI_EMISOR_NOMBRE: 'SKILLSCERT',
+          CFDI_LUGAR_EXPEDICION: '06600',
+        },
+      });
+
+      const purchase = stripeEvents.checkoutCompleted({
+        metadata: {
+          cfdiRfc: 'XAXX010101000',
+          cfdiNombre: 'EMPRESA DE CAPACITACION',
+          cfdiRegimen: '601',
+          cfdiUso: 'G03',
+          cfdiCp: '01000',
+        },
+      });
+      await container.fulfillmentService.handleStripeEvent(purchase);
+
+      const invoice = await container.database.findOne('cfdi_invoices', { sessionId: purchase.data.object.id });
+      const email = sent.find((item) => item.method === 'sendInvoice');
+      assert.equal(invoice.status, 'stamped');
+      assert.ok(invoice.emailedAt);
+      assert.equal(email.data.uuid, invoice.uuid);
+      assert.match(email.data.xml, /TimbreFiscalDigital/);
+      assert.ok(Buffer.isBuffer(email.data.pdf));
+    });
+  });
+
+  describe('compras de grupo', () => {
+    it('genera un código por lugar', async () => {
+      const result = await handle(stripeEvents.checkoutCompleted({
+        amount: 299700,
+        metadata: { productId: 'ec0301-generador', quantity: '3' },
+      }));
+
+      assert.ok(result.fulfillment.groupPurchaseId);
+      assert.equal(result.fulfillment.seats, 3);
+      assert.equal(await db.count('access_codes', { groupPurchaseId: result.fulfillment.groupPurchaseId }), 3);
+    });
+  });
+
+  describe('reembolsos', () => {
+    it('desactiva el código con un reembolso total', async () => {
+      const purchase = stripeEvents.checkoutCompleted({ amount: 99900 });
+      const { fulfillment } = await handle(purchase);
+
+      const result = await handle(stripeEvents.chargeRefunded({
+        paymentIntentId: purchase.data.object.payment_intent,
+        amount: 99900,
+      }));
+
+      const accessCode = await db.findOne('access_codes', { code: fulfillment.accessCode });
+      assert.equal(result.refunds[0].accessAction, 'deactivate');
+      assert.equal(accessCode.status, 'inactive');
+    });
+
+    it('acorta el código con un reembolso parcial', async () => {
+      const purchase = stripeEvents.checkoutCompleted({ amount: 100000, metadata: { productId: 'modulo-evaluaciones' } });
+      const { fulfillment } = await handle(purchase);
+      const before = await db.findOne('access_codes', { code: fulfillment.accessCode });
+
+      await handle(stripeEvents.chargeRefunded({
+        paymentIntentId: purchase.data.object.payment_intent,
+        amount: 100000,
+        refundAmount: 50000,
+      }));
+
+      const after = await db.findOne('access_codes', { code: fulfillment.accessCode });
+      const remainingBefore = new Date(before.expiresAt) - Date.now();
+      const remainingAfter = new Date(after.expiresAt) - Date.now();
+      assert.ok(Math.abs(remainingAfter - remainingBefore / 2) < 60 * 1000);
+      assert.equal(after.status, 'active');
+    });
+
+    it('un reembolso que falló al aplicarse se aplica con el reintento del webhook', async () => {
+      const purchase = stripeEvents.checkoutCompleted({ amount: 99900 });
+      const { fulfillment } = await handle(purchase);
+      const paymentIntentId = purchase.data.object.payment_intent;
+      const refunded = stripeEvents.chargeRefunded({ paymentIntentId, amount: 99900 });
+
+      const deactivateCode = container.accessCodeService.deactivateCode;
+      container.accessCodeService.deactivateCode = async () => {
+        container.accessCodeService.deactivateCode = deactivateCode;
+        throw new Error('Base de datos no disponible');
+      };
+
+      await assert.rejects(handle(refunded));
+      assert.equal((await db.findOne('access_codes', { code: fulfillment.accessCode })).status, 'active');
+
+      const retry = await handle(refunded);
+
+      const refund = await db.findOne('refunds', { paymentIntentId });
+      const charge = await db.findOne('charges', { paymentIntentId });
+      assert.equal(retry.refunds[0].accessAction, 'deactivate');
+      assert.equal((await db.findOne('access_codes', { code: fulfillment.accessCode })).status, 'inactive');
+      assert.ok(refund.appliedAt);
+      assert.equal(charge.refundedAmount, 99900);
+      assert.equal(charge.status, 'refunded');
+    });
+
+    it('registra el reembolso de un pago con tarjeta en su cobro', async () => {
+      const purchase = stripeEvents.checkoutCompleted({ amount: 100000 });
+      await handle(purchase);
+      const paymentIntentId = purchase.data.object.payment_intent;
+
+      await handle(stripeEvents.chargeRefunded({ paymentIntentId, amount: 100000, refundAmount: 25000 }));
+
+      const charge = await db.findOne('charges', { paymentIntentId });
+      assert.equal(charge.refundedAmount, 25000);
+      assert.equal(charge.status, 'partially_refunded');
+    });
+
+    it('un reembolso parcial de una renovación solo acorta el periodo renovado', async () => {
+      const purchase = await handle(stripeEvents.checkoutCompleted({ metadata: { productId: 'modulo-evaluaciones' } }));
+      const code = purchase.fulfillment.accessCode;
+      const renewal = stripeEvents.checkoutCompleted({
+        amount: 50000,
+        metadata: { productId: 'renovacion-anual', renewCode: code },
+      });
+      await handle(renewal);
+      const renewed = await db.findOne('access_codes', { code });
+
+      await handle(stripeEvents.chargeRefunded({
+        paymentIntentId: renewal.data.object.payment_intent,
+        amount: 50000,
+        refundAmount: 25000,
+      }));
+
+      const after = await db.findOne('access_codes', { code });
+      assert.equal(new Date(renewed.expiresAt) - new Date(after.expiresAt), 365 * DAY / 2);
+    });
+
+    it('un reembolso total de una renovación quita el periodo renovado sin desactivar el código', async () => {
+      const purchase = await handle(stripeEvents.checkoutCompleted());
+      const code = purchase.fulfillment.accessCode;
+      const before = await db.findOne('access_codes', { code });
+      const renewal = stripeEvents.checkoutCompleted({
+        amount: 50000,
+        metadata: { productId: 'renovacion-anual', renewCode: code },
+      });
+      await handle(renewal);
+
+      const result = await handle(stripeEvents.chargeRefunded({
+        paymentIntentId: renewal.data.object.payment_intent,
+        amount: 50000,
+      }));
+
+      const after = await db.findOne('access_codes', { code });
+      assert.equal(result.refunds[0].accessAction, 'shorten');
+      assert.equal(after.status, 'active');
+      assert.equal(new Date(after.expiresAt).getTime(), new Date(before.expiresAt).getTime());
+    });
+
+    it('encuentra el código de una factura de suscripción reembolsada', async () => {
+      const checkout = await handle(stripeEvents.checkoutCompleted({
+        mode: 'subscription',
+        subscriptionId: 'sub_refund',
+        metadata: { productId: 'suscripcion-mensual' },
+      }));
+      const code = checkout.fulfillment.accessCode;
+      const periodStart = new Date(Date.now() + 31 * DAY);
+      const periodEnd = new Date(Date.now() + 62 * DAY);
+      const invoice = stripeEvents.invoicePaid({ subscriptionId: 'sub_refund', periodStart, periodEnd });
+      await handle(invoice);
+      const renewed = await db.findOne('access_codes', { code });
+
+      const result = await handle(stripeEvents.chargeRefunded({
+        paymentIntentId: invoice.data.object.payment_intent,
+        amount: 19900,
+      }));
+
+      const after = await db.findOne('access_codes', { code });
+      assert.deepEqual(result.refunds[0].accessCodes.map((item) => item.code), [code]);
+      assert.equal(after.status, 'active');
+      assert.equal(new Date(renewed.expiresAt) - new Date(after.expiresAt), 31 * DAY);
+    });
+
+    it('el admin reembolsa por código la última factura de una suscripción', async () => {
+      const checkout = await handle(stripeEvents.checkoutCompleted({
+        mode: 'subscription',
+        subscriptionId: 'sub_admin',
+        metadata: { productId: 'suscripcion-mensual' },
+      }));
+      const first = stripeEvents.invoicePaid({ subscriptionId: 'sub_admin', billingReason: 'subscription_create' });
+      const cycle = stripeEvents.invoicePaid({
+        subscriptionId: 'sub_admin',
+        periodStart: new Date(Date.now() + 31 * DAY),
+        periodEnd: new Date(Date.now() + 62 * DAY),
+      });
+      await handle(first);
+      await handle(cycle);
+      container.stripeService.chargeAmounts = { [cycle.data.object.payment_intent]: 19900 };
+
+      const refund = await container.refundHandler.refundPayment({ code: checkout.fulfillment.accessCode });
+
+      const charge = await db.findOne('charges', { paymentIntentId: cycle.data.object.payment_intent });
+      assert.equal(charge.status, 'refunded');
+      assert.equal(refund.accessAction, 'shorten');
+      assert.deepEqual(refund.accessCodes.map((item) => item.code), [checkout.fulfillment.accessCode]);
+    });
+  });
+
+  describe('disputas', () => {
+    it('suspende el código mientras está abierta y lo restaura si se gana', async () => {
+      const purchase = stripeEvents.checkoutCompleted();
+      const { fulfillment } = await handle(purchase);
+      const paymentIntentId = purchase.data.object.payment_intent;
+
+      const opened = await handle(stripeEvents.dispute('created', { disputeId: 'dp_win', paymentIntentId, amount: 99900 }));
+      assert.deepEqual(opened.dispute.suspendedCodes, [fulfillment.accessCode]);
+      assert.equal((await db.findOne('access_codes', { code: fulfillment.accessCode })).status, 'disputed');
+
+      await handle(stripeEvents.dispute('closed', {
+        disputeId: 'dp_win',
+        paymentIntentId,
+        amount: 99900,
+        status: 'won',
+      }));
+      assert.equal((await db.findOne('access_codes', { code: fulfillment.accessCode })).status, 'active');
+    });
+
+    it('una suspensión que falló se completa con el reintento del webhook', async () => {
+      const purchase = stripeEvents.checkoutCompleted();
+      const { fulfillment } = await handle(purchase);
+      const paymentIntentId = purchase.data.object.payment_intent;
+      const opened = stripeEvents.dispute('created', { disputeId: 'dp_retry', paymentIntentId, amount: 99900 });
+
+      const revokeCodeSessions = container.sessionService.revokeCodeSessions;
+      container.sessionService.revokeCodeSessions = async () => {
+        container.sessionService.revokeCodeSessions = revokeCodeSessions;
+        throw new Error('Base de datos no disponible');
+      };
+
+      await assert.rejects(handle(opened));
+      assert.equal((await container.disputeService.getDispute('dp_retry')).codesSuspendedAt, null);
+
+      const retry = await handle(opened);
+
+      const record = await container.disputeService.getDispute('dp_retry');
+      assert.deepEqual(retry.dispute.suspendedCodes, [fulfillment.accessCode]);
+      assert.equal(record.accessCodes[0].previousStatus, 'active');
+      assert.ok(record.codesSuspendedAt);
+      assert.ok(record.evidence);
+
+      await handle(stripeEvents.dispute('closed', {
+        disputeId: 'dp_retry',
+        paymentIntentId,
+        amount: 99900,
+        status: 'won',
+      }));
+      assert.equal((await db.findOne('access_codes', { code: fulfillment.accessCode })).status, 'active');
+    });
+
+    it('la evidencia se conserva si los códigos de la disputa se borraron', async () => {
+      const purchase = stripeEvents.checkoutCompleted();
+      const { fulfillment } = await handle(purchase);
+      const paymentIntentId = purchase.data.object.payment_intent;
+      await handle(stripeEvents.dispute('created', { disputeId: 'dp_deleted', paymentIntentId, amount: 99900 }));
+      const { evidence } = await container.disputeService.getDispute('dp_deleted');
+
+      await db.delete('access_codes', { code: fulfillment.accessCode });
+
+      assert.deepEqual(await container.disputeService.assembleEvidence('dp_deleted'), evidence);
+    });
+
+    it('un reembolso durante la disputa desactiva el código aunque la disputa se gane', async () => {
+      const purchase = stripeEvents.checkoutCompleted({ amount: 99900 });
+      const { fulfillment } = await handle(purchase);
+      const paymentIntentId = purchase.data.object.payment_intent;
+
+      await handle(stripeEvents.dispute('created', { disputeId: 'dp_refunded', paymentIntentId, amount: 99900 }));
+
+      const refunded = await handle(stripeEvents.chargeRefunded({ paymentIntentId, amount: 99900 }));
+      assert.equal(refunded.refunds[0].accessCodes[0].status, 'inactive');
+      assert.equal((await db.findOne('access_codes', { code: fulfillment.accessCode })).status, 'inactive');
+
+      await handle(stripeEvents.dispute('closed', {
+        disputeId: 'dp_refunded',
+        paymentIntentId,
+        amount: 99900,
+        status: 'won',
+      }));
+      assert.equal((await db.findOne('access_codes', { code: fulfillment.accessCode })).status, 'inactive');
+    });
+
+    it('suspende el código cuando se disputa el cobro de una renovación', async () => {
+      const purchase = await handle(stripeEvents.checkoutCompleted());
+      const code = purchase.fulfillment.accessCode;
+      const renewal = stripeEvents.checkoutCompleted({
+        amount: 50000,
+        metadata: { productId: 'renovacion-anual', renewCode: code },
+      });
+      await handle(renewal);
+
+      const opened = await handle(stripeEvents.dispute('created', {
+        disputeId: 'dp_renewal',
+        paymentIntentId: renewal.data.object.payment_intent,
+        amount: 50000,
+      }));
+
+      const record = await container.disputeService.getDispute('dp_renewal');
+      assert.deepEqual(opened.dispute.suspendedCodes, [code]);
+      assert.equal((await db.findOne('access_codes', { code })).status, 'disputed');
+      assert.match(record.evidence.uncategorized_text, /Cobro disputado: renovación del acceso/);
+    });
+
+    it('suspende el código cuando se disputa una factura de suscripción', async () => {
+      const checkout = await handle(stripeEvents.checkoutCompleted({
+        mode: 'subscription',
+        subscriptionId: 'sub_dispute',
+        metadata: { productId: 'suscripcion-mensual' },
+      }));
+      const invoice = stripeEvents.invoicePaid({ subscriptionId: 'sub_dispute' });
+      await handle(invoice);
+
+      const opened = await handle(stripeEvents.dispute('created', {
+        disputeId: 'dp_invoice',
+        paymentIntentId: invoice.data.object.payment_intent,
+        amount: 19900,
+      }));
+
+      const record = await container.disputeService.getDispute('dp_invoice');
+      assert.deepEqual(opened.dispute.suspendedCodes, [checkout.fulfillment.accessCode]);
+      assert.match(record.evidence.uncategorized_text, new RegExp(`factura de suscripción ${invoice.data.object.id}`));
+    });
+  });
+
+  describe('checkouts abandonados', () => {
+    it('registra el checkout vencido', async () => {
+      const expired = stripeEvents.checkoutCompleted({ paymentStatus: 'unpaid' });
+      const result = await handle(stripeEvents.event('checkout.session.expired', {
+        ...expired.data.object,
+        status: 'expired',
+      }));
+
+      assert.equal(result.recovery.sessionId, expired.data.object.id);
+    });
+
+    it('libera la reserva del cupón del checkout vencido', async () => {
+      await container.couponService.createCoupon({ code: 'VENCE', discountType: 'percent', value: 10, maxRedemptions: 1 });
+      const { reservationId } = await container.couponService.reserve({ code: 'VENCE', email: 'alumno@example.com' });
+      const expired = stripeEvents.checkoutCompleted({
+        paymentStatus: 'unpaid',
+        metadata: { couponCode: 'VENCE', couponReservationId: reservationId },
+      });
+
+      await handle(stripeEvents.event('checkout.session.expired', { ...expired.data.object, status: 'expired' }));
+
+      const coupon = await db.findOne('coupons', { code: 'VENCE' });
+      assert.equal((await db.findOne('coupon_reservations', { reservationId })).status, 'released');
+      assert.equal(coupon.reservedCount, 0);
+    });
+  });
+});
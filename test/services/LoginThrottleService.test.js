@@ -0,0 +1,72 @@
+/**
+ * LoginThrottleService: reserva de intentos y bloqueos
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestRepository, ADAPTERS } = require('../helpers/repository');
+const LoginThrottleService = require('../../src/services/LoginThrottleService');
+
+for (const driver of ADAPTERS) {
+  describe(`LoginThrottleService (${driver})`, () => {
+    let db;
+    let throttle;
+    const keys = LoginThrottleService.keysFor({ email: 'alumno@example.com', ip: '10.0.0.1' });
+
+    beforeEach(async () => {
+      db = await createTestRepository(driver);
+      throttle = new LoginThrottleService(db, { maxAttemptsPerEmail: 5, maxAttemptsPerIp: 20 });
+    });
+
+    afterEach(async () => {
+      await db.close();
+    });
+
+    it('bloquea al quinto fallo', async () => {
+      for (let i = 0; i < 4; i++) {
+        assert.equal((await throttle.reserve(keys)).allowed, true);
+        assert.equal((await throttle.recordFailure(keys)).allowed, true);
+      }
+
+      assert.equal((await throttle.reserve(keys)).allowed, true);
+      const afterFailure = await throttle.recordFailure(keys);
+
+      assert.equal(afterFailure.allowed, false);
+      assert.ok(afterFailure.retryAfterSeconds > 0);
+      assert.equal((await throttle.reserve(keys)).allowed, false);
+    });
+
+    it('las peticiones simultáneas no pasan del máximo', async () => {
+      const results = await Promise.all(Array.from({ length: 30 }, () => throttle.reserve(keys)));
+
+      assert.equal(results.filter((result) => result.allowed).length, 5);
+
+      await Promise.all(results.filter((result) => result.allowed).map(() => throttle.recordFailure(keys)));
+      assert.equal((await throttle.check(keys)).allowed, false);
+    });
+
+    it('un login exitoso borra el contador del email y devuelve el intento a la IP', async () => {
+      for (let i = 0; i < 4; i++) {
+        await throttle.reserve(keys);
+        await throttle.recordFailure(keys);
+      }
+
+      await throttle.reserve(keys);
+      await throttle.recordSuccess(keys);
+
+      assert.equal(await db.findOne('login_attempts', { throttleKey: keys[0] }), null);
+      assert.equal((await db.findOne('login_attempts', { throttleKey: keys[1] })).failures, 4);
+    });
+
+    it('si la IP está bloqueada devuelve el intento reservado al email', async () => {
+      const ipKeys = LoginThrottleService.keysFor({ ip: '10.0.0.1' });
+      const limited = new LoginThrottleService(db, { maxAttemptsPerEmail: 5, maxAttemptsPerIp: 1 });
+
+      await limited.reserve(ipKeys);
+      await limited.recordFailure(ipKeys);
+
+      assert.equal((await limited.reserve(keys)).allowed, false);
+      assert.equal((await db.findOne('login_attempts', { throttleKey: keys[0] })).failures, 0);
+    });
+  });
+}
@@ -0,0 +1,110 @@
+/**
+ * Conciliación de los cobros de Stripe con la base de datos y emisión
+ * de los códigos que faltan
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContainer } = require('../helpers/app');
+const stripeEvents = require('../helpers/stripe');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Conciliación con Stripe', () => {
+  let container;
+  let stripe;
+  let range;
+
+  // Checkout de Stripe tal como lo devuelve la API
+  const paidSession = (options) => ({ ...stripeEvents.checkoutCompleted(options).data.object, status: 'complete' });
+
+  const types = (report) => report.issues.map((issue) => issue.type).sort();
+
+  beforeEach(async () => {
+    stripe = stripeEvents.createFakeStripe();
+    stripe.sessions = [];
+    stripe.stripeRefunds = [];
+    stripe.listCheckoutSessions = async () => stripe.sessions;
+    stripe.listPaymentIntents = async () => [];
+    stripe.listRefundsCreated = async () => stripe.stripeRefunds;
+    stripe.getCheckoutSession = async (id) => stripe.sessions.find((session) => session.id === id) || null;
+
+    container = await createTestContainer({ stripeService: stripe });
+    range = { from: new Date(Date.now() - HOUR), to: new Date(Date.now() + HOUR) };
+  });
+
+  const fulfill = async (session) => {
+    await container.fulfillmentService.handleStripeEvent(stripeEvents.event('checkout.session.completed', session));
+  };
+
+  it('no reporta nada si cada checkout pagado tiene su código', async () => {
+    const session = paidSession();
+    stripe.sessions.push(session);
+    await fulfill(session);
+
+    const report = await container.reconciliationHandler.reconcilePayments(range);
+
+    assert.deepEqual(report.issues, []);
+    assert.equal(report.checked.sessions, 1);
+    assert.equal(report.checked.accessCodes, 1);
+  });
+
+  it('reporta checkouts sin código, montos distintos, códigos sin pago y reembolsos faltantes', async () => {
+    const lost = paidSession();
+    const mismatched = paidSession({ amount: 99900 });
+    stripe.sessions.push(lost, mismatched);
+    await fulfill(mismatched);
+    mismatched.amount_total = 89900;
+
+    await container.accessCodeService.saveAccessCode({
+      code: 'SINR-EFER-ENCI',
+      email: 'alumno@example.com',
+      productName: 'EC0301',
+      amount: 999,
+      currency: 'mxn',
+    });
+    stripe.stripeRefunds.push({
+      id: 're_test_dashboard',
+      payment_intent: mismatched.payment_intent,
+      amount: 10000,
+      currency: 'mxn',
+      status: 'succeeded',
+    });
+
+    const report = await container.reconciliationHandler.reconcilePayments(range);
+    const mismatch = report.issues.find((issue) => issue.type === 'amount_mismatch');
+
+    assert.deepEqual(types(report), ['amount_mismatch', 'code_without_payment', 'paid_without_code', 'refund_not_reflected']);
+    assert.equal(report.issues.find((issue) => issue.type === 'paid_without_code').sessionId, lost.id);
+    assert.equal(mismatch.stripeAmount, 89900);
+    assert.equal(mismatch.localAmount, 99900);
+    assert.equal(report.issues.find((issue) => issue.type === 'code_without_payment').code, 'SINR-EFER-ENCI');
+  });
+
+  it('no reporta las pruebas gratis como códigos sin pago', async () => {
+    await container.accessCodeService.saveAccessCode({
+      code: 'PRUE-BAGR-ATIS',
+      email: 'alumno@example.com',
+      productName: 'Prueba',
+      amount: 0,
+      currency: 'mxn',
+      trial: true,
+    });
+
+    const report = await container.reconciliationHandler.reconcilePayments(range);
+
+    assert.deepEqual(report.issues, []);
+  });
+
+  it('con fix emite el código de un checkout pagado sin código', async () => {
+    const lost = paidSession();
+    stripe.sessions.push(lost);
+
+    const fixed = await container.reconciliationHandler.reconcilePayments({ ...range, fix: true });
+    const accessCode = await container.database.findOne('access_codes', { stripeSessionId: lost.id });
+
+    assert.equal(fixed.issues[0].fix.status, 'fixed');
+    assert.equal(fixed.issues[0].fix.accessCode, accessCode.code);
+    assert.deepEqual((await container.reconciliationHandler.reconcilePayments(range)).issues, []);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * SchedulerService: candados entre instancias e historial de ejecuciones
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestRepository, ADAPTERS } = require('../helpers/repository');
+const SchedulerService = require('../../src/services/SchedulerService');
+
+for (const driver of ADAPTERS) {
+  describe(`SchedulerService (${driver})`, () => {
+    let db;
+
+    beforeEach(async () => {
+      db = await createTestRepository(driver);
+    });
+
+    afterEach(async () => {
+      await db.close();
+    });
+
+    it('registra la duración y el resultado de cada ejecución', async () => {
+      const scheduler = new SchedulerService(db, [
+        { name: 'expire', run: async () => ({ expired: 3 }) },
+        { name: 'broken', run: async () => { throw new Error('sin conexión'); } },
+      ]);
+
+      const runs = await scheduler.runAll();
+
+      assert.deepEqual(runs.map((run) => run.status), ['succeeded', 'failed']);
+      assert.deepEqual(runs[0].result, { expired: 3 });
+      assert.equal(runs[1].error, 'sin conexión');
+
+      const [expire] = await scheduler.getRecentRuns({ jobName: 'expire' });
+      const [broken] = await scheduler.getRecentRuns({ jobName: 'broken' });
+      assert.equal(expire.status, 'succeeded');
+      assert.deepEqual(expire.result, { expired: 3 });
+      assert.ok(expire.durationMs >= 0);
+      assert.equal(broken.error, 'sin conexión');
+    });
+
+    it('solo una instancia ejecuta la tarea mientras tiene el candado', async () => {
+      let finish;
+      let calls = 0;
+      let started;
+      const running = new Promise((resolve) => { started = resolve; });
+      const job = {
+        name: 'expire',
+        run: () => {
+          calls++;
+          if (calls > 1) return Promise.resolve({ expired: 0 });
+          started();
+          return new Promise((resolve) => { finish = resolve; });
+        },
+      };
+      const first = new SchedulerService(db, [job]);
+      const second = new SchedulerService(db, [job]);
+
+      const firstRun = first.runJob('expire');
+      await running;
+
+      const skipped = await second.runJob('expire');
+      assert.equal(skipped.status, 'skipped');
+      assert.equal(skipped.reason, 'locked');
+
+      finish({ expired: 0 });
+      assert.equal((await firstRun).status, 'succeeded');
+      assert.equal(calls, 1);
+
+      // Al terminar el candado se libera
+      assert.equal((await second.runJob('expire')).status, 'succeeded');
+      assert.equal(calls, 2);
+      assert.equal(await db.count('job_locks', {}), 0);
+    });
+
+    it('un candado vencido se puede tomar', async () => {
+      await db.insert('job_locks', {
+        name: 'expire',
+        owner: 'otra-instancia',
+        acquiredAt: new Date(Date.now() - 60 * 60 * 1000),
+        lockedUntil: new Date(Date.now() - 1000),
+      });
+      const scheduler = new SchedulerService(db, [{ name: 'expire', run: async () => ({}) }]);
+
+      assert.equal((await scheduler.runJob('expire')).status, 'succeeded');
+    });
+
+    it('las tareas sin candado corren aunque otra instancia lo tenga', async () => {
+      await db.insert('job_locks', {
+        name: 'purge-cache',
+        owner: 'otra-instancia',
+        acquiredAt: new Date(),
+        lockedUntil: new Date(Date.now() + 60 * 1000),
+      });
+      const scheduler = new SchedulerService(db, [{ name: 'purge-cache', lock: false, run: async () => ({ purged: 1 }) }]);
+
+      assert.equal((await scheduler.runJob('purge-cache')).status, 'succeeded');
+    });
+
+    it('rechaza tareas desconocidas', async () => {
+      const scheduler = new SchedulerService(db, []);
+
+      await assert.rejects(scheduler.runJob('no-existe'), { code: 'JOB_NOT_FOUND' });
+    });
+  });
+}
@@ -0,0 +1,190 @@
+/**
+ * SessionService: emisión y renovación de tokens
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestRepository } = require('../helpers/repository');
+const SessionService = require('../../src/services/SessionService');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('SessionService.refresh', () => {
+  let sessions;
+  let accessCode;
+  let accessCodeService;
+
+  beforeEach(async () => {
+    const db = await createTestRepository();
+    sessions = new SessionService(db, { secret: 'test', tokenTtlHours: 24, refreshWindowHours: 48 });
+    accessCode = {
+      code: 'ABCD-EFGH-JKLM',
+      email: 'alumno@example.com',
+      expiresAt: new Date(Date.now() + 90 * 24 * HOUR),
+    };
+    accessCodeService = {
+      validateCode: async () => ({ valid: true, accessCode }),
+    };
+  });
+
+  // Token de la sesión con el vencimiento indicado
+  const tokenExpiredAgo = (session, ms) => {
+    const exp = Math.floor((Date.now() - ms) / 1000);
+    return sessions.sign({ sub: session.email, sid: session.sessionId, iat: exp - 24 * 3600, exp });
+  };
+
+  it('renueva un token vigente', async () => {
+    const { token } = await sessions.createSession(accessCode);
+    const refreshed = await sessions.refresh(token, accessCodeService);
+
+    assert.equal(refreshed.valid, true);
+    assert.ok(refreshed.token);
+  });
+
+  it('renueva un token vencido dentro de la ventana', async () => {
+    const { session } = await sessions.createSession(accessCode);
+    const refreshed = await sessions.refresh(tokenExpiredAgo(session, 47 * HOUR), accessCodeService);
+
+    assert.equal(refreshed.valid, true);
+  });
+
+  it('rechaza un token vencido fuera de la ventana sin cerrar la sesión', async () => {
+    const { session, token } = await sessions.createSession(accessCode);
+    const refreshed = await sessions.refresh(tokenExpiredAgo(session, 49 * HOUR), accessCodeService);
+
+    assert.equal(refreshed.valid, false);
+    assert.equal(refreshed.reason, 'REFRESH_WINDOW_EXPIRED');
+    // El token vigente de la misma sesión sigue sirviendo
+    assert.equal((await sessions.verify(token)).valid, true);
+  });
+
+  it('rechaza un token sin vencimiento', async () => {
+    const { session } = await sessions.createSession(accessCode);
+    const token = sessions.sign({ sub: session.email, sid: session.sessionId });
+
+    assert.equal((await sessions.refresh(token, accessCodeService)).valid, false);
+  });
+});
+
+describe('SessionService límite de dispositivos', () => {
+  let db;
+  let sessions;
+  let accessCode;
+
+  beforeEach(async () => {
+    db = await createTestRepository();
+    sessions = new SessionService(db, { secret: 'test', maxDevicesPerCode: 2 });
+    accessCode = {
+      code: 'ABCD-EFGH-JKLM',
+      email: 'alumno@example.com',
+      expiresAt: new Date(Date.now() + 90 * 24 * HOUR),
+    };
+  });
+
+  const device = (name) => ({ deviceId: name, userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0' });
+
+  it('los logins simultáneos no pasan del límite', async () => {
+    const logins = await Promise.allSettled(
+      ['a', 'b', 'c', 'd'].map((name) => sessions.createSession(accessCode, device(name)))
+    );
+
+    const rejected = logins.filter((login) => login.status === 'rejected');
+    assert.equal(logins.filter((login) => login.status === 'fulfilled').length, 2);
+    assert.ok(rejected.every((login) => login.reason.code === 'DEVICE_LIMIT_REACHED'));
+    assert.equal((await sessions.listActiveSessions(accessCode.code)).length, 2);
+  });
+
+  it('rechaza un dispositivo más y lista los que tienen sesión', async () => {
+    await sessions.createSession(accessCode, device('a'));
+    await sessions.createSession(accessCode, device('b'));
+
+    await assert.rejects(sessions.createSession(accessCode, device('c')), (error) => {
+      assert.equal(error.code, 'DEVICE_LIMIT_REACHED');
+      assert.equal(error.limit, 2);
+      assert.equal(error.devices.length, 2);
+      assert.equal(error.devices[0].deviceName, 'Chrome en Windows');
+      return true;
+    });
+  });
+
+  it('volver a entrar desde el mismo dispositivo reemplaza su sesión', async () => {
+    const first = await sessions.createSession(accessCode, device('a'));
+    await sessions.createSession(accessCode, device('b'));
+    await sessions.createSession(accessCode, device('a'));
+
+    const previous = await sessions.verify(first.token);
+    assert.equal(previous.valid, false);
+    assert.equal(previous.revokedReason, 'replaced');
+    assert.equal((await sessions.listActiveSessions(accessCode.code)).length, 2);
+  });
+
+  it('cerrar otro dispositivo libera su lugar', async () => {
+    const { session } = await sessions.createSession(accessCode, device('a'));
+    await sessions.createSession(accessCode, device('b'));
+
+    assert.equal(await sessions.revokeCodeSession('OTRO-CODI-GO12', session.sessionId), false);
+    assert.equal(await sessions.revokeCodeSession(accessCode.code, session.sessionId), true);
+
+    await sessions.createSession(accessCode, device('c'));
+    assert.equal((await sessions.listActiveSessions(accessCode.code)).length, 2);
+  });
+
+  it('respeta el límite propio del código (0 = sin límite)', async () => {
+    const single = { ...accessCode, maxDevices: 1 };
+    await sessions.createSession(single, device('a'));
+    await assert.rejects(sessions.createSession(single, device('b')), { code: 'DEVICE_LIMIT_REACHED' });
+
+    const unlimited = { ...accessCode, code: 'SIN-LIMI-TE12', maxDevices: 0 };
+    for (const name of ['a', 'b', 'c', 'd']) {
+      await sessions.createSession(unlimited, device(name));
+    }
+    assert.equal((await sessions.listActiveSessions(unlimited.code)).length, 4);
+  });
+});
+
+describe('SessionService.refresh con cambios en el código', () => {
+  let sessions;
+  let accessCode;
+
+  beforeEach(async () => {
+    const db = await createTestRepository();
+    sessions = new SessionService(db, { secret: 'test' });
+    accessCode = {
+      code: 'ABCD-EFGH-JKLM',
+      email: 'alumno@example.com',
+      modules: ['carta_descriptiva'],
+      expiresAt: new Date(Date.now() + 30 * 24 * HOUR),
+    };
+  });
+
+  it('la sesión toma la vigencia y los módulos del código renovado', async () => {
+    const { token } = await sessions.createSession(accessCode);
+    const renewed = {
+      ...accessCode,
+      modules: ['carta_descriptiva', 'evaluaciones'],
+      expiresAt: new Date(Date.now() + 395 * 24 * HOUR),
+    };
+
+    const refreshed = await sessions.refresh(token, {
+      validateCode: async () => ({ valid: true, accessCode: renewed }),
+    });
+
+    assert.equal(refreshed.valid, true);
+    assert.deepEqual(refreshed.session.modules, renewed.modules);
+    assert.equal(new Date(refreshed.session.expiresAt).getTime(), renewed.expiresAt.getTime());
+    assert.equal((await sessions.verify(refreshed.token)).session.modules.length, 2);
+  });
+
+  it('cierra la sesión si el código fue desactivado', async () => {
+    const { token } = await sessions.createSession(accessCode);
+
+    const refreshed = await sessions.refresh(token, {
+      validateCode: async () => ({ valid: false, reason: 'CODE_INACTIVE', message: 'Código inactivo' }),
+    });
+
+    const verification = await sessions.verify(token);
+    assert.equal(refreshed.valid, false);
+    assert.equal(verification.valid, false);
+    assert.equal(verification.revokedReason, 'code_deactivated');
+  });
+});
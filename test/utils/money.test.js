@@ -0,0 +1,72 @@
+/**
+ * Monedas: unidades mínimas, redondeo, texto de los montos y moneda
+ * por país
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+  minCharge,
+  paymentMethodsFor,
+  currencyForCountry,
+} = require('../../src/utils/money');
+
+describe('Monedas y montos', () => {
+  it('normaliza el código de las monedas en que se vende', () => {
+    assert.equal(normalizeCurrency(' MXN '), 'mxn');
+    assert.equal(normalizeCurrency('usd'), 'usd');
+    assert.equal(normalizeCurrency('eur'), null);
+    assert.equal(normalizeCurrency(undefined), null);
+  });
+
+  it('convierte unidades a centavos redondeando al centavo', () => {
+    assert.equal(toMinorUnits(999, 'mxn'), 99900);
+    assert.equal(toMinorUnits(999.5, 'mxn'), 99950);
+    assert.equal(toMinorUnits(19.99, 'usd'), 1999);
+    assert.equal(toMinorUnits(1.005, 'mxn'), 100);
+    assert.equal(toMinorUnits('59', 'usd'), 5900);
+  });
+
+  it('convierte centavos a unidades sin perder los decimales', () => {
+    assert.equal(fromMinorUnits(99950, 'mxn'), 999.5);
+    assert.equal(fromMinorUnits(1, 'usd'), 0.01);
+    assert.equal(fromMinorUnits(toMinorUnits(1499.99, 'mxn'), 'mxn'), 1499.99);
+  });
+
+  it('escribe el monto con separadores, símbolo y código de la moneda cobrada', () => {
+    assert.equal(formatMoney(149900, 'mxn'), '$1,499.00 MXN');
+    assert.equal(formatMoney(5900, 'USD'), '$59.00 USD');
+    assert.equal(formatMoney(5, 'usd'), '$0.05 USD');
+    assert.equal(formatMoney(123456789, 'mxn'), '$1,234,567.89 MXN');
+    assert.equal(formatMoney(0, 'mxn'), '$0.00 MXN');
+  });
+
+  it('los montos negativos llevan el signo antes del símbolo', () => {
+    assert.equal(formatMoney(-10000, 'mxn'), '-$100.00 MXN');
+  });
+
+  it('una moneda desconocida se escribe con dos decimales y su código', () => {
+    assert.equal(formatMoney(2550, 'eur'), '25.50 EUR');
+    assert.equal(minCharge('eur'), 0);
+  });
+
+  it('cargo mínimo y métodos de pago de cada moneda', () => {
+    assert.equal(minCharge('mxn'), 1000);
+    assert.equal(minCharge('usd'), 50);
+    assert.deepEqual(paymentMethodsFor('mxn', ['card', 'oxxo']), ['card', 'oxxo']);
+    assert.deepEqual(paymentMethodsFor('usd', ['card', 'oxxo', 'customer_balance']), ['card']);
+  });
+
+  it('elige la moneda por el país del comprador', () => {
+    assert.equal(currencyForCountry('mx'), 'mxn');
+    assert.equal(currencyForCountry('US'), 'usd');
+    assert.equal(currencyForCountry('AR'), 'usd');
+    assert.equal(currencyForCountry('XX'), null);
+    assert.equal(currencyForCountry('México'), null);
+    assert.equal(currencyForCountry(null), null);
+  });
+});